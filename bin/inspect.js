@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const mp4Inspector = require('../lib/tools/mp4-inspector.js');
+const mp4Probe = require('../lib/mp4/probe.js');
+const flvInspector = require('../lib/tools/flv-inspector.js');
+const tsInspector = require('../lib/tools/ts-inspector.js');
+const m2ts = require('../lib/m2ts');
+const AdtsStream = require('../lib/codecs/adts.js');
+const {version} = require('../package.json');
+const {concatTypedArrays} = require('@videojs/vhs-utils/cjs/byte-helpers');
+
+const CONTAINERS = ['ts', 'mp4', 'flv'];
+
+// the box types an mp4 file or segment can start with
+const TOP_LEVEL_BOXES = [
+  'ftyp', 'styp', 'moov', 'moof', 'mdat', 'sidx', 'emsg', 'prft', 'free', 'skip', 'uuid'
+];
+
+const HANDLER_TYPES = {
+  vide: 'video',
+  soun: 'audio',
+  text: 'text',
+  subt: 'text'
+};
+
+const showHelp = function() {
+  console.log(`
+  inspect media-file
+  inspect init.mp4 segment-1.m4s segment-2.m4s
+  inspect media-file --samples --track video
+  inspect media-file --json --box trun --box tfdt
+  curl -s 'some-media-ulr' | inspect.js
+
+  print the structure of a ts, mp4 or flv file. Several files are read as one,
+  e.g. an init segment followed by its media segments
+
+  -h, --help                       print help
+  -v, --version                    print the version
+  -j, --json                       print JSON instead of text
+  -s, --samples                    print a table of the samples of every track
+                                   instead of the structure of the file. Times
+                                   are in the timescale of the track, 90kHz for
+                                   ts and milliseconds for flv. The samples of
+                                   a non-fragmented mp4 are read from its moov
+  --stats                          add the bitrate, GOP, frame type, PCR and
+                                   continuity counter statistics of a ts file
+  -t, --track       <id|type>      only print the track with this id (PID for
+                                   ts) or of this type, can be repeated
+  -b, --box         <string>       only print the mp4 boxes of this type, can be
+                                   repeated
+  -c, --container   <ts|mp4|flv>   skip the detection of the container
+`);
+};
+
+const parseArgs = function(args) {
+  const options = {
+    files: [],
+    tracks: [],
+    boxes: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if ((/^(--version|-v)$/).test(arg)) {
+      console.log(`inspect.js v${version}`);
+      process.exit(0);
+    } else if ((/^(--help|-h)$/).test(arg)) {
+      showHelp();
+      process.exit(0);
+    } else if ((/^(--json|-j)$/).test(arg)) {
+      options.json = true;
+    } else if ((/^(--samples|-s)$/).test(arg)) {
+      options.samples = true;
+    } else if (arg === '--stats') {
+      options.stats = true;
+    } else if ((/^(--track|-t)$/).test(arg)) {
+      i++;
+      options.tracks.push(args[i]);
+    } else if ((/^(--box|-b)$/).test(arg)) {
+      i++;
+      options.boxes.push(args[i]);
+    } else if ((/^(--container|-c)$/).test(arg)) {
+      i++;
+      options.container = args[i];
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+};
+
+const readStream = function(inputStream) {
+  return new Promise(function(resolve, reject) {
+    let allData;
+
+    inputStream.on('data', (chunk) => {
+      allData = concatTypedArrays(allData, chunk);
+    });
+    inputStream.on('error', reject);
+
+    inputStream.on('close', () => {
+      if (!allData || !allData.length) {
+        return reject('file is empty');
+      }
+      resolve(allData);
+    });
+  });
+};
+
+const detectContainer = function(bytes) {
+  if (bytes[0] === 0x46 && bytes[1] === 0x4c && bytes[2] === 0x56) {
+    return 'flv';
+  }
+  if (bytes[0] === 0x47 && (bytes.length <= m2ts.MP2T_PACKET_LENGTH ||
+      bytes[m2ts.MP2T_PACKET_LENGTH] === 0x47)) {
+    return 'ts';
+  }
+  if (bytes.length >= 8 &&
+      TOP_LEVEL_BOXES.indexOf(mp4Inspector.parseType(bytes.subarray(4, 8))) !== -1) {
+    return 'mp4';
+  }
+  return null;
+};
+
+/**
+ * Check a track against the --track filters, which are either track ids
+ * or track types.
+ */
+const matchesTrack = function(track, filters) {
+  if (!filters.length) {
+    return true;
+  }
+  return filters.some(function(filter) {
+    if (filter && !isNaN(filter)) {
+      return Number(filter) === track.id;
+    }
+    return filter === track.type;
+  });
+};
+
+// all the boxes of a type in an inspected mp4, at any depth
+const findBoxes = function(boxes, type) {
+  let result = [];
+
+  boxes.forEach(function(box) {
+    if (box.type === type) {
+      result.push(box);
+    }
+    if (box.boxes) {
+      result = result.concat(findBoxes(box.boxes, type));
+    }
+  });
+
+  return result;
+};
+
+const mp4Tracks = function(boxes) {
+  return findBoxes(boxes, 'trak').map(function(trak) {
+    const tkhd = findBoxes(trak.boxes, 'tkhd')[0];
+    const hdlr = findBoxes(trak.boxes, 'hdlr')[0];
+    const mdhd = findBoxes(trak.boxes, 'mdhd')[0];
+
+    return {
+      id: tkhd && tkhd.trackId,
+      type: hdlr && (HANDLER_TYPES[hdlr.handlerType] || hdlr.handlerType),
+      timescale: mdhd && mdhd.timescale
+    };
+  });
+};
+
+const mp4TrackId = function(box) {
+  let header = box;
+
+  if (box.type === 'trak') {
+    header = findBoxes(box.boxes, 'tkhd')[0];
+  } else if (box.type === 'traf') {
+    header = findBoxes(box.boxes, 'tfhd')[0];
+  }
+
+  return header && header.trackId;
+};
+
+const firstDefined = function() {
+  return Array.prototype.filter.call(arguments, (value) => value !== undefined)[0];
+};
+
+/**
+ * Remove the trak, trex and traf boxes of the tracks that were not
+ * selected.
+ */
+const filterMp4Tracks = function(boxes, tracks, filters) {
+  return boxes.filter(function(box) {
+    if (box.type !== 'trak' && box.type !== 'trex' && box.type !== 'traf') {
+      return true;
+    }
+    const id = mp4TrackId(box);
+    const track = tracks.filter((t) => t.id === id)[0] || {id};
+
+    return matchesTrack(track, filters);
+  }).map(function(box) {
+    if (!box.boxes) {
+      return box;
+    }
+    return Object.assign({}, box, {
+      boxes: filterMp4Tracks(box.boxes, tracks, filters)
+    });
+  });
+};
+
+/**
+ * List the samples of the track fragments. Durations, sizes and flags
+ * missing from a trun box come from the tfhd box, then the trex box.
+ */
+const mp4Samples = function(boxes, tracks) {
+  const trexes = findBoxes(boxes, 'trex');
+  const samples = [];
+
+  findBoxes(boxes, 'traf').forEach(function(traf) {
+    const tfhd = findBoxes(traf.boxes, 'tfhd')[0];
+    const tfdt = findBoxes(traf.boxes, 'tfdt')[0];
+    const trex = trexes.filter((box) => box.trackId === tfhd.trackId)[0] || {};
+    const track = tracks.filter((t) => t.id === tfhd.trackId)[0] || {id: tfhd.trackId};
+    let dts = tfdt ? tfdt.baseMediaDecodeTime : 0;
+
+    findBoxes(traf.boxes, 'trun').forEach(function(trun) {
+      trun.samples.forEach(function(sample) {
+        const duration = firstDefined(sample.duration, tfhd.defaultSampleDuration,
+          trex.defaultSampleDuration);
+        let keyframe = !trex.sampleIsDifferenceSample;
+
+        if (sample.flags) {
+          keyframe = !sample.flags.isNonSyncSample;
+        } else if (tfhd.defaultSampleFlags !== undefined) {
+          keyframe = !((tfhd.defaultSampleFlags >>> 16) & 0x01);
+        }
+
+        samples.push({
+          track: track.id,
+          type: track.type,
+          pts: dts + (sample.compositionTimeOffset || 0),
+          dts,
+          size: firstDefined(sample.size, tfhd.defaultSampleSize, trex.defaultSampleSize),
+          keyframe
+        });
+        dts += duration || 0;
+      });
+    });
+  });
+
+  return samples;
+};
+
+/**
+ * List the samples of a non-fragmented mp4 from the sample tables of its
+ * moov.
+ */
+const indexedSamples = function(bytes, filters) {
+  const samples = [];
+
+  mp4Probe.sampleIndex(bytes).filter((track) => matchesTrack(track, filters))
+    .forEach(function(track) {
+      track.samples.forEach(function(sample) {
+        samples.push({
+          track: track.id,
+          type: track.type,
+          pts: sample.cts,
+          dts: sample.dts,
+          size: sample.size,
+          keyframe: sample.keyFrame
+        });
+      });
+    });
+
+  return samples;
+};
+
+const inspectMp4 = function(bytes, options) {
+  let boxes = mp4Inspector.inspect(bytes);
+  const tracks = mp4Tracks(boxes);
+  const fragmented = findBoxes(boxes, 'moof').length > 0;
+
+  boxes = filterMp4Tracks(boxes, tracks, options.tracks);
+
+  if (options.samples) {
+    return fragmented ? mp4Samples(boxes, tracks) : indexedSamples(bytes, options.tracks);
+  }
+  if (options.boxes.length) {
+    boxes = [].concat.apply([], options.boxes.map((type) => findBoxes(boxes, type)));
+  }
+  return boxes;
+};
+
+// whether a PES packet holds an IDR picture
+const isKeyframe = function(data, codec) {
+  for (let i = 0; i + 3 < data.length; i++) {
+    if (data[i] === 0x00 && data[i + 1] === 0x00 && data[i + 2] === 0x01) {
+      if (codec === 'hevc') {
+        const nalUnitType = (data[i + 3] >>> 1) & 0x3f;
+
+        if (nalUnitType >= 16 && nalUnitType <= 21) {
+          return true;
+        }
+      } else if ((data[i + 3] & 0x1f) === 0x05) {
+        return true;
+      }
+      i += 2;
+    }
+  }
+  return false;
+};
+
+/**
+ * Run the segment through the elementary stream parser to list its tracks
+ * and samples. ADTS audio is split into frames, other samples are PES
+ * packets.
+ */
+const parseTs = function(bytes) {
+  const packetStream = new m2ts.TransportPacketStream();
+  const parseStream = new m2ts.TransportParseStream();
+  const elementaryStream = new m2ts.ElementaryStream();
+  const adtsStream = new AdtsStream();
+  const result = {
+    tracks: [],
+    samples: []
+  };
+  let adtsFrames = [];
+
+  packetStream.pipe(parseStream).pipe(elementaryStream);
+  adtsStream.on('data', (frame) => adtsFrames.push(frame));
+
+  elementaryStream.on('data', function(event) {
+    if (event.type === 'metadata') {
+      result.tracks = event.tracks.map(function(track) {
+        return {id: track.id, type: track.type, codec: track.codec};
+      });
+      return;
+    }
+    if (event.type === 'audio') {
+      adtsFrames = [];
+      adtsStream.push(event);
+      if (adtsFrames.length) {
+        adtsFrames.forEach(function(frame) {
+          result.samples.push({
+            track: event.trackId,
+            type: event.type,
+            pts: Math.round(frame.pts),
+            dts: Math.round(frame.dts),
+            size: frame.data.byteLength,
+            keyframe: true
+          });
+        });
+        return;
+      }
+    }
+    const track = result.tracks.filter((t) => t.id === event.trackId)[0] || {};
+
+    result.samples.push({
+      track: event.trackId,
+      type: event.type,
+      pts: event.pts,
+      dts: event.dts,
+      size: event.data.byteLength,
+      keyframe: event.type === 'video' ? isKeyframe(event.data, track.codec) : true
+    });
+  });
+
+  packetStream.push(bytes);
+  packetStream.endTimeline();
+
+  return result;
+};
+
+const inspectTs = function(bytes, options) {
+  const parsed = parseTs(bytes);
+  const timing = tsInspector.inspect(bytes, undefined, {deep: options.stats}) || {};
+  const tracks = parsed.tracks.filter((track) => matchesTrack(track, options.tracks));
+
+  if (options.samples) {
+    return parsed.samples.filter(function(sample) {
+      return matchesTrack({id: sample.track, type: sample.type}, options.tracks);
+    });
+  }
+
+  tracks.forEach(function(track) {
+    if (timing[track.type]) {
+      track.timing = timing[track.type];
+    }
+  });
+
+  const result = {
+    tracks,
+    firstKeyFrame: timing.firstKeyFrame
+  };
+
+  if (timing.stats) {
+    result.stats = timing.stats;
+  }
+  return result;
+};
+
+const inspectFlv = function(bytes, options) {
+  const tags = flvInspector.inspect(bytes).filter(function(tag) {
+    return matchesTrack({type: tag.tagType}, options.tracks);
+  });
+
+  if (!options.samples) {
+    return tags;
+  }
+
+  // sequence headers and script data are not samples
+  return tags.filter(function(tag) {
+    return tag.avcPacketType === 'AVC NALU' || tag.aacPacketType === 'AAC Raw' ||
+      (tag.tagType === 'audio' && !tag.aacPacketType) ||
+      (tag.tagType === 'video' && !tag.avcPacketType);
+  }).map(function(tag) {
+    return {
+      type: tag.tagType,
+      pts: tag.timestamp + (tag.CompositionTime || 0),
+      dts: tag.timestamp,
+      size: tag.dataSize,
+      keyframe: tag.tagType !== 'video' || (/keyframe/i).test(tag.frameType)
+    };
+  });
+};
+
+// typed arrays are written as plain arrays of bytes
+const jsonReplacer = function(key, value) {
+  if (ArrayBuffer.isView(value)) {
+    return Array.prototype.slice.call(value);
+  }
+  return value;
+};
+
+const sampleTable = function(samples) {
+  const columns = ['track', 'type', 'pts', 'dts', 'size', 'keyframe'];
+  const rows = [columns].concat(samples.map(function(sample) {
+    return columns.map(function(column) {
+      if (column === 'keyframe') {
+        return sample.keyframe ? 'yes' : 'no';
+      }
+      return sample[column] === undefined ? '-' : String(sample[column]);
+    });
+  }));
+  const widths = columns.map(function(column, index) {
+    return Math.max.apply(null, rows.map((row) => row[index].length));
+  });
+
+  return rows.map(function(row) {
+    return row.map((value, index) => value.padEnd(widths[index])).join('  ').trim();
+  }).join('\n');
+};
+
+const print = function(result, container, options) {
+  if (options.json) {
+    return JSON.stringify(result, jsonReplacer, 2);
+  }
+  if (options.samples) {
+    return sampleTable(result);
+  }
+  if (container === 'mp4') {
+    return mp4Inspector.textify(result);
+  }
+  if (container === 'flv') {
+    return flvInspector.textify(result);
+  }
+  return JSON.stringify(result, jsonReplacer, 2);
+};
+
+const inspect = function(bytes, options) {
+  const container = options.container || detectContainer(bytes);
+
+  if (!container) {
+    throw new Error('Could not detect the container, pass --container ts, mp4 or flv');
+  }
+  if (options.boxes.length && container !== 'mp4') {
+    throw new Error('--box only applies to mp4 input');
+  }
+  if (options.stats && container !== 'ts') {
+    throw new Error('--stats only applies to ts input');
+  }
+
+  const result = {
+    ts: inspectTs,
+    mp4: inspectMp4,
+    flv: inspectFlv
+  }[container](bytes, options);
+
+  if (options.samples && !result.length) {
+    throw new Error('No samples were found for the selected tracks');
+  }
+  return print(result, container, options);
+};
+
+const cli = function(stdin) {
+  const options = parseArgs(process.argv.slice(2));
+  let input;
+
+  if (options.container && CONTAINERS.indexOf(options.container) === -1) {
+    console.error(`--container must be one of ${CONTAINERS.join(', ')}`);
+    process.exit(1);
+  }
+
+  // stdin is only read when no file was passed in, so that scripts
+  // without a terminal can still pass files
+  if (options.files.length) {
+    input = Promise.resolve().then(function() {
+      return concatTypedArrays.apply(null, options.files.map(function(file) {
+        const data = fs.readFileSync(path.resolve(file));
+
+        if (!data.length) {
+          throw new Error(`${file} is empty`);
+        }
+        return data;
+      }));
+    });
+  } else if (stdin) {
+    input = readStream(stdin);
+  }
+
+  if (!input) {
+    console.error('A file or stdin must be passed in as an argument or via pipeing to this script!');
+    process.exit(1);
+  }
+
+  return input.then(function(bytes) {
+    console.log(inspect(bytes, options));
+  }).catch(function(e) {
+    console.error(e.message || e);
+    process.exit(1);
+  });
+};
+
+// no stdin if isTTY is set
+cli(!process.stdin.isTTY ? process.stdin : null);
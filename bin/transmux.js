@@ -3,82 +3,136 @@
 
 const fs = require('fs');
 const path = require('path');
-const {Transmuxer} = require('../lib/mp4');
+const {Transmuxer, generator} = require('../lib/mp4');
 const {version} = require('../package.json');
 const {concatTypedArrays} = require('@videojs/vhs-utils/cjs/byte-helpers');
 const {ONE_SECOND_IN_TS} = require('../lib/utils/clock.js');
 
+const TRACK_TYPES = ['video', 'audio'];
+
 const showHelp = function() {
   console.log(`
   transmux media-file > foo.mp4
   transmux media-file -o foo.mp4
+  transmux segment-1.ts segment-2.ts segment-3.ts -o foo.mp4
+  transmux -l playlist.m3u8 -o foo.mp4
+  transmux media-file --no-remux -o foo.mp4
   curl -s 'some-media-ulr' | transmux.js -o foo.mp4
   wget -O - -o /dev/null 'some-media-url' | transmux.js -o foo.mp4
 
   transmux a supported segment (ts or adts) info an fmp4
 
-  -h, --help                 print help
-  -v, --version              print the version
-  -o, --output    <string>   write to a file instead of stdout
-  -d, --debugger             add a break point just before data goes to transmuxer
+  several segments, passed in order or listed in a file, are transmuxed into a single
+  fmp4 with a continuous timeline
+
+  -h, --help                                   print help
+  -v, --version                                print the version
+  -o, --output                    <string>     write to a file instead of stdout
+  -l, --list                      <string>     transmux the segments listed in a file, one
+                                               path per line. m3u8 playlists work too,
+                                               #EXT-X-DISCONTINUITY restarts the timeline
+                                               where the previous segment ended
+  -b, --base-media-decode-time    <number>     the baseMediaDecodeTime of the first
+                                               segment in 90kHz clock ticks, 90000 by
+                                               default
+  -k, --keep-original-timestamps               keep the timestamps of the input
+  --remux, --no-remux                          write audio and video to a single fmp4
+                                               (the default), or to one fmp4 per track
+  --audio-output                  <string>     write the audio track to its own file
+  --video-output                  <string>     write the video track to its own file
+  -i, --init-only                              only write the init segments
+  -p, --progressive                            write a progressive, non-fragmented mp4
+                                               with every track
+  --faststart                                  write the moov of a progressive mp4
+                                               before its samples
+  -d, --debugger                               add a break point just before data goes to
+                                               transmuxer
 `);
 };
 
 const parseArgs = function(args) {
-  const options = {};
+  const options = {
+    files: [],
+    remux: true
+  };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
-    if ((/^--version|-v$/).test(arg)) {
+    if ((/^(--version|-v)$/).test(arg)) {
       console.log(`transmux.js v${version}`);
       process.exit(0);
-    } else if ((/^--help|-h$/).test(arg)) {
+    } else if ((/^(--help|-h)$/).test(arg)) {
       showHelp();
       process.exit(0);
-    } else if ((/^--debugger|-d$/).test(arg)) {
+    } else if ((/^(--debugger|-d)$/).test(arg)) {
       options.debugger = true;
-    } else if ((/^--output|-o$/).test(arg)) {
+    } else if ((/^(--output|-o)$/).test(arg)) {
       i++;
       options.output = args[i];
+    } else if ((/^(--list|-l)$/).test(arg)) {
+      i++;
+      options.list = args[i];
+    } else if ((/^(--base-media-decode-time|-b)$/).test(arg)) {
+      i++;
+      options.baseMediaDecodeTime = Number(args[i]);
+    } else if ((/^(--keep-original-timestamps|-k)$/).test(arg)) {
+      options.keepOriginalTimestamps = true;
+    } else if (arg === '--remux') {
+      options.remux = true;
+    } else if (arg === '--no-remux') {
+      options.remux = false;
+    } else if (arg === '--audio-output') {
+      i++;
+      options.audioOutput = args[i];
+    } else if (arg === '--video-output') {
+      i++;
+      options.videoOutput = args[i];
+    } else if ((/^(--init-only|-i)$/).test(arg)) {
+      options.initOnly = true;
+    } else if ((/^(--progressive|-p)$/).test(arg)) {
+      options.progressive = true;
+    } else if (arg === '--faststart') {
+      options.progressive = true;
+      options.faststart = true;
     } else {
-      options.file = arg;
+      options.files.push(arg);
     }
   }
 
   return options;
 };
 
-const cli = function(stdin) {
-  const options = parseArgs(process.argv.slice(2));
-  let inputStream;
-  let outputStream;
-
-  // if stdin was provided
-  if (stdin && options.file) {
-    console.error(`You cannot pass in a file ${options.file} and pipe from stdin!`);
-    process.exit(1);
-  }
+/**
+ * Read the segments of a list file. Lines are paths relative to the
+ * list, comments are ignored except for discontinuity tags, which
+ * flag the segment that follows them.
+ */
+const readList = function(list) {
+  const segments = [];
+  let discontinuity = false;
 
-  if (stdin) {
-    inputStream = process.stdin;
-  } else if (options.file) {
-    inputStream = fs.createReadStream(path.resolve(options.file));
-  }
+  fs.readFileSync(path.resolve(list), 'utf8').split(/\r?\n/).forEach((line) => {
+    line = line.trim();
 
-  if (!inputStream) {
-    console.error('A file or stdin must be passed in as an argument or via pipeing to this script!');
-    process.exit(1);
-  }
+    if (line === '#EXT-X-DISCONTINUITY') {
+      discontinuity = true;
+    } else if (line && line[0] !== '#') {
+      if ((/^[a-z]+:\/\//i).test(line)) {
+        throw new Error(`Only local segments can be listed, found ${line}`);
+      }
+      segments.push({
+        file: path.resolve(path.dirname(list), line),
+        discontinuity
+      });
+      discontinuity = false;
+    }
+  });
 
-  if (options.output) {
-    outputStream = fs.createWriteStream(path.resolve(options.output), {
-      encoding: null
-    });
-  } else {
-    outputStream = process.stdout;
-  }
+  return segments;
+};
 
+const readStream = function(inputStream) {
   return new Promise(function(resolve, reject) {
     let allData;
 
@@ -93,31 +147,214 @@ const cli = function(stdin) {
       }
       resolve(allData);
     });
-  }).then(function(inputData) {
-    const transmuxer = new Transmuxer();
-
-    // Setting the BMDT to ensure that captions and id3 tags are not
-    // time-shifted by this value when they are output and instead are
-    // zero-based
-    transmuxer.setBaseMediaDecodeTime(ONE_SECOND_IN_TS);
-
-    transmuxer.on('data', function(data) {
-      if (data.initSegment) {
-        outputStream.write(concatTypedArrays(data.initSegment, data.data));
-      } else {
-        outputStream.write(data.data);
+  });
+};
+
+// foo.mp4 becomes foo.video.mp4 for the video track of a --no-remux run
+const trackOutputPath = function(output, type) {
+  const extension = path.extname(output);
+
+  return output.slice(0, output.length - extension.length) + '.' + type + extension;
+};
+
+/**
+ * Decide which file every track is written to.
+ * @return {Object} the output path of each track type, undefined
+ *         for stdout
+ */
+const trackOutputs = function(options) {
+  const outputs = {};
+
+  if (options.progressive && (!options.remux || options.initOnly ||
+      options.audioOutput || options.videoOutput)) {
+    throw new Error('--progressive writes every track to a single file');
+  }
+
+  TRACK_TYPES.forEach((type) => {
+    if (options[type + 'Output']) {
+      outputs[type] = options[type + 'Output'];
+    } else if (!options.remux) {
+      if (!options.output) {
+        throw new Error('--no-remux needs --output or --audio-output and --video-output');
       }
-    });
+      outputs[type] = trackOutputPath(options.output, type);
+    } else {
+      outputs[type] = options.output;
+    }
+  });
+
+  return outputs;
+};
+
+const transmux = function(segments, options) {
+  const transmuxer = new Transmuxer({
+    keepOriginalTimestamps: options.keepOriginalTimestamps,
+    remux: options.remux,
+    progressive: options.progressive && {faststart: options.faststart}
+  });
+  const fragments = [];
+  const initSegments = {};
+  let timelineEnd = 0;
+
+  const trackTimelineEnd = function(timingInfo) {
+    timelineEnd = Math.max(timelineEnd, timingInfo.end.dts);
+  };
+
+  // Setting the BMDT to ensure that captions and id3 tags are not
+  // time-shifted by this value when they are output and instead are
+  // zero-based
+  transmuxer.setBaseMediaDecodeTime(typeof options.baseMediaDecodeTime === 'number' ?
+    options.baseMediaDecodeTime :
+    ONE_SECOND_IN_TS);
+
+  transmuxer.on('videoSegmentTimingInfo', trackTimelineEnd);
+  transmuxer.on('audioSegmentTimingInfo', trackTimelineEnd);
+  transmuxer.on('data', function(data) {
+    if (data.initSegment && !initSegments[data.type]) {
+      initSegments[data.type] = data.initSegment;
+    }
+    fragments.push(data);
+  });
+
+  segments.forEach(function(segment, index) {
+    // continue the timeline where the last segment ended, as the
+    // timestamps of the input start over. Frames of the previous timeline
+    // that were still buffered are dropped.
+    if (segment.discontinuity && index > 0) {
+      transmuxer.reset();
+      transmuxer.setBaseMediaDecodeTime(timelineEnd);
+    }
 
     if (options.debugger) {
       // eslint-disable-next-line
       debugger;
     }
-    transmuxer.push(inputData);
-    transmuxer.flush();
-    process.exit(0);
+    transmuxer.push(segment.data);
+    // the last segment of a timeline also outputs the packets that are
+    // buffered until the next segment starts
+    if (index === segments.length - 1 || segments[index + 1].discontinuity) {
+      transmuxer.endTimeline();
+    } else {
+      transmuxer.flush();
+    }
+  });
+
+  return {
+    fragments,
+    initSegments,
+    tracks: {
+      video: transmuxer.videoTrack,
+      audio: transmuxer.audioTrack
+    }
+  };
+};
+
+const writeProgressive = function(result, options) {
+  const files = result.fragments.filter((fragment) => fragment.type === 'progressive');
+
+  // every timeline ends with a progressive file
+  if (files.length !== 1) {
+    throw new Error('--progressive does not support discontinuities');
+  }
+  if (options.output) {
+    fs.writeFileSync(path.resolve(options.output), files[0].data);
+  } else {
+    process.stdout.write(files[0].data);
+  }
+};
+
+const write = function(result, outputs, options) {
+  const files = [];
+
+  if (options.progressive) {
+    return writeProgressive(result, options);
+  }
+
+  TRACK_TYPES.forEach((type) => {
+    if (!result.initSegments[type]) {
+      return;
+    }
+    let file = files.filter((f) => f.output === outputs[type])[0];
+
+    if (!file) {
+      file = {output: outputs[type], types: [], data: []};
+      files.push(file);
+    }
+    file.types.push(type);
+  });
+
+  files.forEach(function(file) {
+    // tracks that share a file share one init segment
+    const initSegment = file.types.length === 1 ?
+      result.initSegments[file.types[0]] :
+      generator.initSegment(file.types.map((type) => result.tracks[type]));
+
+    file.data.push(initSegment);
+    if (!options.initOnly) {
+      result.fragments.forEach(function(fragment) {
+        if (file.types.indexOf(fragment.type) !== -1) {
+          file.data.push(fragment.data);
+        }
+      });
+    }
+
+    const data = concatTypedArrays.apply(null, file.data);
+
+    if (file.output) {
+      fs.writeFileSync(path.resolve(file.output), data);
+    } else {
+      process.stdout.write(data);
+    }
+  });
+};
+
+const cli = function(stdin) {
+  const options = parseArgs(process.argv.slice(2));
+  let input;
+  let outputs;
+
+  try {
+    outputs = trackOutputs(options);
+    if (Number.isNaN(options.baseMediaDecodeTime)) {
+      throw new Error('--base-media-decode-time must be a number');
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  // stdin is only read when no file was passed in, so that scripts
+  // without a terminal can still pass files
+  if (options.files.length || options.list) {
+    input = Promise.resolve().then(function() {
+      const segments = options.list ?
+        readList(options.list) :
+        options.files.map((file) => ({file: path.resolve(file)}));
+
+      if (!segments.length) {
+        throw new Error(`${options.list} does not list any segments`);
+      }
+      segments.forEach(function(segment) {
+        segment.data = fs.readFileSync(segment.file);
+        if (!segment.data.length) {
+          throw new Error(`${segment.file} is empty`);
+        }
+      });
+      return segments;
+    });
+  } else if (stdin) {
+    input = readStream(stdin).then((data) => [{data}]);
+  }
+
+  if (!input) {
+    console.error('A file or stdin must be passed in as an argument or via pipeing to this script!');
+    process.exit(1);
+  }
+
+  return input.then(function(segments) {
+    write(transmux(segments, options), outputs, options);
   }).catch(function(e) {
-    console.error(e);
+    console.error(e.message || e);
     process.exit(1);
   });
 };
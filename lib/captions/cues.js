@@ -0,0 +1,125 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Selects, times and places the caption cues of a CaptionStream or a
+ * CaptionParser for the caption serializers.
+ */
+'use strict'
+
+const ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS
+
+// CEA-608 captions are laid out on 15 rows and 32 columns that cover the
+// 80% in the middle of the screen. CEA-708 windows are anchored in the same
+// area.
+const SAFE_AREA_MARGIN = 10
+const SAFE_AREA_SIZE = 80
+const CEA608_ROWS = 15
+// the horizontal anchors of absolutely positioned CEA-708 windows go up to
+// 209 for 16:9 video and the vertical anchors up to 74
+const CEA708_COLUMNS = 210
+const CEA708_ROWS = 75
+
+/**
+ * Read the options shared by the serializers.
+ */
+const normalizeOptions = function(cues, options) {
+  options = options || {}
+
+  return {
+    timelineStartPts: options.timelineStartPts || 0,
+    timescale: options.timescale || ONE_SECOND_IN_TS,
+    // 608 and 708 streams often carry the same captions, so only one
+    // stream is serialized
+    stream: options.stream || (cues.length ? cues[0].stream : null),
+    positions: options.positions !== false,
+  }
+}
+
+/**
+ * Select the cues of the stream, with their times in seconds from the
+ * start of the timeline, in order.
+ */
+const timedCues = function(cues, options) {
+  return cues.filter((cue) => !options.stream || cue.stream === options.stream)
+    .map((cue) => ({
+      cue,
+      startTime: (cue.startPts - options.timelineStartPts) / options.timescale,
+      endTime: (cue.endPts - options.timelineStartPts) / options.timescale,
+    }))
+    .filter((timed) => timed.endTime > 0 && timed.endTime > timed.startTime)
+    .sort((a, b) => a.startTime - b.startTime)
+}
+
+/**
+ * Split a CEA-608 cue into the blocks of rows that share an indentation.
+ * @return {Array} the blocks, with the percentages of the screen that
+ * their first row starts at from the top and from the left
+ */
+const cea608Blocks = function(cue) {
+  const blocks = []
+
+  cue.content.forEach((row) => {
+    const block = blocks[blocks.length - 1]
+
+    if (block && block.lastLine === row.line - 1 && block.left === row.position) {
+      block.text += '\n' + row.text
+      block.lastLine = row.line
+      return
+    }
+    blocks.push({
+      text: row.text,
+      lastLine: row.line,
+      top: SAFE_AREA_MARGIN + (row.line - 1) * SAFE_AREA_SIZE / CEA608_ROWS,
+      left: row.position,
+    })
+  })
+
+  return blocks
+}
+
+/**
+ * The text of a cue or of a CEA-708 window, with its italics and underline
+ * as <i> and <u> tags. CEA-608 cues carry the tags in their text.
+ */
+const cueText = function(cue) {
+  return cue.formattedText === undefined ? cue.text : cue.formattedText
+}
+
+/**
+ * Find the anchor of a displayed CEA-708 window on the screen.
+ * @return {object} the percentages of the screen that the anchor is at
+ * from the top and from the left, and the row and column, from 0 to 2, of
+ * the anchor point in the window
+ */
+const cea708Anchor = function(win) {
+  const vertical = win.relativePositioning ? win.anchorVertical :
+    win.anchorVertical * 100 / CEA708_ROWS
+  const horizontal = win.relativePositioning ? win.anchorHorizontal :
+    win.anchorHorizontal * 100 / CEA708_COLUMNS
+
+  return {
+    text: cueText(win),
+    top: SAFE_AREA_MARGIN + vertical * SAFE_AREA_SIZE / 100,
+    left: SAFE_AREA_MARGIN + horizontal * SAFE_AREA_SIZE / 100,
+    anchorRow: Math.floor(win.anchorPoint / 3) % 3,
+    anchorColumn: win.anchorPoint % 3,
+  }
+}
+
+const percent = function(value) {
+  return Number(Math.min(Math.max(value, 0), 100).toFixed(2)) + '%'
+}
+
+module.exports = {
+  SAFE_AREA_MARGIN,
+  SAFE_AREA_SIZE,
+  normalizeOptions,
+  timedCues,
+  cueText,
+  cea608Blocks,
+  cea708Anchor,
+  percent,
+}
@@ -0,0 +1,10 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ */
+module.exports = {
+  webvtt: require('./webvtt'),
+  ttml: require('./ttml'),
+}
@@ -0,0 +1,210 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Serializes the caption cues of a CaptionStream or a CaptionParser into
+ * TTML documents of the IMSC1 Text Profile, which are the samples of
+ * `stpp` text tracks in ISO BMFF.
+ * @see https://www.w3.org/TR/ttml-imsc1.0.1/
+ * @see ISO/IEC 14496-30:2014, section 5
+ */
+'use strict'
+
+const formatTimestamp = require('./webvtt').formatTimestamp
+const {
+  SAFE_AREA_MARGIN,
+  SAFE_AREA_SIZE,
+  normalizeOptions,
+  timedCues,
+  cueText,
+  cea608Blocks,
+  cea708Anchor,
+  percent,
+} = require('./cues')
+
+const TTML_NAMESPACE = 'http://www.w3.org/ns/ttml'
+const IMSC1_TEXT_PROFILE = 'http://www.w3.org/ns/ttml/profile/imsc1/text'
+// the regions of CEA-708 windows are aligned on one of the 9 anchor points,
+// in rows of 3
+const DISPLAY_ALIGNS = ['before', 'center', 'after']
+const TEXT_ALIGNS = ['left', 'center', 'right']
+// the formatting tags the caption streams add to cue text
+const FORMATTING_TAG = /(<\/?[iub]>)/
+const FORMATTING_STYLES = {
+  i: 'tts:fontStyle="italic"',
+  u: 'tts:textDecoration="underline"',
+  b: 'tts:fontWeight="bold"',
+}
+// captions without a position are shown at the bottom of the safe area
+const BOTTOM_REGION = {
+  top: SAFE_AREA_MARGIN + SAFE_AREA_SIZE,
+  left: SAFE_AREA_MARGIN + SAFE_AREA_SIZE / 2,
+  anchorRow: 2,
+  anchorColumn: 1,
+}
+
+const escapeXml = function(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Turn the text of a cue into the content of a paragraph, with spans for
+ * its formatting tags and a line break between its rows.
+ */
+const toContent = function(text) {
+  let openSpans = 0
+  const content = text.replace(/\n{2,}/g, '\n').replace(/^\n+|\n+$/g, '')
+    .split(FORMATTING_TAG).map((part) => {
+      if (!FORMATTING_TAG.test(part)) {
+        return escapeXml(part).replace(/\n/g, '<br/>')
+      }
+      if (part[1] !== '/') {
+        openSpans++
+        return '<span ' + FORMATTING_STYLES[part[1]] + '>'
+      }
+      if (!openSpans) {
+        return ''
+      }
+      openSpans--
+      return '</span>'
+    }).join('')
+
+  if (!content.replace(/<[^>]*>/g, '').trim()) {
+    return ''
+  }
+  return content + '</span>'.repeat(openSpans)
+}
+
+/**
+ * Find the start and size of a region along one axis of the safe area, so
+ * that its start, center or end is at the anchor.
+ * @param anchor {number} the percentage of the screen the anchor is at
+ * @param alignment {number} 0 to start, 1 to center or 2 to end the
+ * region at the anchor
+ */
+const regionSpan = function(anchor, alignment) {
+  const end = SAFE_AREA_MARGIN + SAFE_AREA_SIZE
+
+  anchor = Math.min(Math.max(anchor, SAFE_AREA_MARGIN), end)
+  if (alignment === 0) {
+    return [anchor, end - anchor]
+  }
+  if (alignment === 2) {
+    return [SAFE_AREA_MARGIN, anchor - SAFE_AREA_MARGIN]
+  }
+  const size = 2 * Math.min(anchor - SAFE_AREA_MARGIN, end - anchor)
+
+  return [anchor - size / 2, size]
+}
+
+/**
+ * The attributes of a region that is anchored like a CEA-708 window.
+ * Captions are laid out on explicit lines, so the text is not wrapped and
+ * may overflow small regions.
+ */
+const regionAttributes = function(position) {
+  const [y, height] = regionSpan(position.top, position.anchorRow)
+  const [x, width] = regionSpan(position.left, position.anchorColumn)
+
+  return 'tts:origin="' + percent(x) + ' ' + percent(y) + '"' +
+    ' tts:extent="' + percent(width) + ' ' + percent(height) + '"' +
+    ' tts:displayAlign="' + DISPLAY_ALIGNS[position.anchorRow] + '"' +
+    ' tts:textAlign="' + TEXT_ALIGNS[position.anchorColumn] + '"' +
+    ' tts:overflow="visible" tts:wrapOption="noWrap"'
+}
+
+/**
+ * The text blocks of a cue with the position of their region. The rows of
+ * CEA-608 captions start at the top left of their region.
+ */
+const cueBlocks = function(cue, positions) {
+  if (positions && cue.content && cue.content.length) {
+    return cea608Blocks(cue).map((block) => ({
+      text: block.text,
+      position: {
+        top: block.top,
+        left: block.left,
+        anchorRow: 0,
+        anchorColumn: 0,
+      },
+    }))
+  }
+  if (positions && cue.windows && cue.windows.length) {
+    return cue.windows.map((win) => {
+      const anchor = cea708Anchor(win)
+
+      return {text: anchor.text, position: anchor}
+    })
+  }
+  return [{text: cueText(cue), position: BOTTOM_REGION}]
+}
+
+/**
+ * Serialize caption cues into a TTML document of the IMSC1 Text Profile.
+ * Times in the document are offsets from the start of the timeline, which
+ * is the start of the track media timeline in ISO BMFF samples.
+ * @param cues {Array} the cues of a CaptionStream or CaptionParser, with
+ * startPts, endPts, text and stream
+ * @param [options] {object} the options of toWebVtt, and
+ * @param [options.language=''] {string} the language of the captions, as
+ * a BCP 47 language tag
+ * @return {string} the TTML document
+ */
+const toTtml = function(cues, options) {
+  const language = (options && options.language) || ''
+  const regions = []
+
+  options = normalizeOptions(cues, options)
+
+  const regionId = function(position) {
+    const attributes = regionAttributes(position)
+    let index = regions.indexOf(attributes)
+
+    if (index === -1) {
+      index = regions.push(attributes) - 1
+    }
+    return 'r' + index
+  }
+
+  const paragraphs = timedCues(cues, options).map(({cue, startTime, endTime}) => {
+    const timing = 'begin="' + formatTimestamp(startTime) + '"' +
+      ' end="' + formatTimestamp(endTime) + '"'
+
+    return cueBlocks(cue, options.positions).map((block) => {
+      const content = toContent(block.text)
+
+      if (!content) {
+        return ''
+      }
+      return '<p ' + timing + ' region="' + regionId(block.position) + '">' +
+        '<span style="caption">' + content + '</span></p>\n'
+    }).join('')
+  }).join('')
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<tt xmlns="' + TTML_NAMESPACE + '"' +
+    ' xmlns:ttp="' + TTML_NAMESPACE + '#parameter"' +
+    ' xmlns:tts="' + TTML_NAMESPACE + '#styling"' +
+    ' ttp:profile="' + IMSC1_TEXT_PROFILE + '"' +
+    ' xml:lang="' + escapeXml(language) + '">\n' +
+    '<head>\n' +
+    '<styling><style xml:id="caption" tts:color="white" tts:backgroundColor="black"' +
+    ' tts:fontFamily="monospaceSansSerif"/></styling>\n' +
+    (regions.length ? '<layout>\n' + regions.map((attributes, index) => {
+      return '<region xml:id="r' + index + '" ' + attributes + '/>\n'
+    }).join('') + '</layout>\n' : '') +
+    '</head>\n' +
+    '<body><div>\n' + paragraphs + '</div></body>\n' +
+    '</tt>\n'
+}
+
+module.exports = {
+  TTML_NAMESPACE,
+  toTtml,
+}
@@ -0,0 +1,219 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Serializes the caption cues of a CaptionStream or a CaptionParser into
+ * WebVTT files, or into the segments of an HLS subtitle playlist.
+ * @see https://www.w3.org/TR/webvtt1/
+ * @see https://datatracker.ietf.org/doc/html/rfc8216#section-3.5
+ */
+'use strict'
+
+const ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS
+const {
+  normalizeOptions,
+  timedCues,
+  cueText,
+  cea608Blocks,
+  cea708Anchor,
+  percent,
+} = require('./cues')
+
+// MPEG-TS timestamps are 33 bit numbers
+const MAX_TS = Math.pow(2, 33)
+// the CEA-708 anchor point is one of 9 points of a window, in rows of 3
+const LINE_ALIGNS = ['start', 'center', 'end']
+const POSITION_ALIGNS = ['line-left', 'center', 'line-right']
+const ALIGNS = ['left', 'center', 'right']
+// the formatting tags the caption streams add to cue text
+const FORMATTING_TAG = /(<\/?[iub]>)/
+
+const pad = function(number, length) {
+  return ('000' + number).slice(-length)
+}
+
+/**
+ * @param seconds {number} a time in seconds
+ * @return {string} the time as a WebVTT timestamp, hh:mm:ss.ttt
+ */
+const formatTimestamp = function(seconds) {
+  const milliseconds = Math.round(Math.max(seconds, 0) * 1000)
+  const hours = Math.floor(milliseconds / 3600000)
+
+  return (hours < 10 ? '0' + hours : hours) + ':' +
+    pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+    pad(Math.floor(milliseconds / 1000) % 60, 2) + '.' +
+    pad(milliseconds % 1000, 3)
+}
+
+/**
+ * Escape the characters that WebVTT reserves, except in the formatting
+ * tags of the cue. Blank lines would end the cue, so they are removed.
+ */
+const escapeText = function(text) {
+  return text.split(FORMATTING_TAG).map((part) => {
+    if (FORMATTING_TAG.test(part)) {
+      return part
+    }
+    return part
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+  }).join('').replace(/\n{2,}/g, '\n').replace(/^\n+|\n+$/g, '')
+}
+
+/**
+ * Place every block of rows of a CEA-608 cue at the row and column it
+ * starts at.
+ */
+const cea608Cues = function(cue) {
+  return cea608Blocks(cue).map((block) => ({
+    text: block.text,
+    settings: 'line:' + percent(block.top) + ' position:' + percent(block.left) +
+      ' align:left',
+  }))
+}
+
+/**
+ * Place every displayed CEA-708 window at its anchor.
+ */
+const cea708Cues = function(cue) {
+  return cue.windows.map((win) => {
+    const anchor = cea708Anchor(win)
+
+    return {
+      text: anchor.text,
+      settings: 'line:' + percent(anchor.top) + ',' + LINE_ALIGNS[anchor.anchorRow] +
+        ' position:' + percent(anchor.left) + ',' + POSITION_ALIGNS[anchor.anchorColumn] +
+        ' align:' + ALIGNS[anchor.anchorColumn],
+    }
+  })
+}
+
+/**
+ * The text blocks of a cue with their WebVTT cue settings, or the cue text
+ * alone when it has no position.
+ */
+const cueBlocks = function(cue, positions) {
+  if (positions && cue.content && cue.content.length) {
+    return cea608Cues(cue)
+  }
+  if (positions && cue.windows && cue.windows.length) {
+    return cea708Cues(cue)
+  }
+  return [{text: cueText(cue)}]
+}
+
+/**
+ * Split timed caption cues into WebVTT cues, one for every block of text.
+ */
+const webVttCues = function(timed, options) {
+  return timed.reduce((result, {cue, startTime, endTime}) => {
+    cueBlocks(cue, options.positions).forEach((block) => {
+      const text = escapeText(block.text)
+
+      if (text) {
+        result.push({startTime, endTime, text, settings: block.settings || ''})
+      }
+    })
+    return result
+  }, [])
+}
+
+const serializeCues = function(timed, options) {
+  return webVttCues(timed, options).map((cue) => {
+    return formatTimestamp(cue.startTime) + ' --> ' + formatTimestamp(cue.endTime) +
+      (cue.settings ? ' ' + cue.settings : '') + '\n' + cue.text + '\n\n'
+  }).join('')
+}
+
+/**
+ * Serialize caption cues into a WebVTT file.
+ * @param cues {Array} the cues of a CaptionStream or CaptionParser, with
+ * startPts, endPts, text and stream
+ * @param [options] {object}
+ * @param [options.timelineStartPts=0] {number} the timestamp that the
+ * file starts at, cues that end before it are dropped
+ * @param [options.timescale=90000] {number} the clock of startPts and
+ * endPts, which is the track timescale for CaptionParser cues
+ * @param [options.stream] {string} the caption stream to write, like 'CC1'
+ * or 'cc708_1', the stream of the first cue by default
+ * @param [options.positions=true] {boolean} false to leave the placement
+ * of the cues to the player
+ * @return {string} the WebVTT file
+ */
+const toWebVtt = function(cues, options) {
+  options = normalizeOptions(cues, options)
+
+  return 'WEBVTT\n\n' + serializeCues(timedCues(cues, options), options)
+}
+
+/**
+ * Convert caption cues into WebVTT cues, the payloads of the samples of
+ * `wvtt` tracks.
+ * @param cues {Array} the cues of a CaptionStream or CaptionParser
+ * @param [options] {object} the options of toWebVtt
+ * @return {Array} the WebVTT cues, with their startTime and endTime in
+ * seconds, their escaped text and their cue settings
+ */
+const toWebVttCues = function(cues, options) {
+  options = normalizeOptions(cues, options)
+
+  return webVttCues(timedCues(cues, options), options)
+}
+
+/**
+ * Serialize caption cues into the segments of an HLS WebVTT playlist.
+ * Every segment maps its local times to the MPEG-TS timestamps of the
+ * media with an X-TIMESTAMP-MAP header, and cues that span several
+ * segments are repeated in each of them.
+ * @param cues {Array} the cues of a CaptionStream or CaptionParser
+ * @param options {object} the options of toWebVtt, and
+ * @param options.segmentDuration {number} the duration of every segment in
+ * seconds
+ * @param [options.duration] {number} the duration of the playlist in
+ * seconds, up to the end of the last cue by default
+ * @return {Array} the segments, with their startTime and endTime in seconds
+ * and their WebVTT data
+ */
+const toWebVttSegments = function(cues, options) {
+  const segmentDuration = options && options.segmentDuration
+  const segments = []
+
+  if (!(segmentDuration > 0)) {
+    throw new Error('A segmentDuration is needed to segment WebVTT')
+  }
+
+  const normalized = normalizeOptions(cues, options)
+  const timed = timedCues(cues, normalized)
+  const duration = options.duration || timed.reduce((end, cue) => {
+    return Math.max(end, cue.endTime)
+  }, 0)
+  const mpegts = Math.round(normalized.timelineStartPts * ONE_SECOND_IN_TS /
+    normalized.timescale) % MAX_TS
+  const header = 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:' + mpegts + ',LOCAL:00:00:00.000\n\n'
+
+  for (let startTime = 0; startTime < duration; startTime += segmentDuration) {
+    const endTime = Math.min(startTime + segmentDuration, duration)
+    const segmentCues = timed.filter((cue) => {
+      return cue.startTime < endTime && cue.endTime > startTime
+    })
+
+    segments.push({
+      startTime,
+      endTime,
+      data: header + serializeCues(segmentCues, normalized),
+    })
+  }
+
+  return segments
+}
+
+module.exports = {
+  formatTimestamp,
+  toWebVtt,
+  toWebVttCues,
+  toWebVttSegments,
+}
@@ -0,0 +1,322 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const ExpGolomb = require('../utils/exp-golomb.js')
+const StreamTypes = require('../m2ts/stream-types.js')
+const ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS
+
+// see ETSI TS 102 366, Table 4.1
+const AC3_SAMPLING_FREQUENCIES = [48000, 44100, 32000]
+// sampling frequencies when fscod is 3 in an E-AC-3 frame, see Table E.1.3
+const EAC3_REDUCED_SAMPLING_FREQUENCIES = [24000, 22050, 16000]
+// nominal bit rates in kbps, indexed by frmsizecod >> 1, see Table 4.13
+const AC3_BIT_RATES = [
+  32, 40, 48, 56, 64, 80, 96, 112, 128, 160,
+  192, 224, 256, 320, 384, 448, 512, 576, 640,
+]
+// full bandwidth channels for each audio coding mode, see Table 4.3
+const ACMOD_CHANNEL_COUNTS = [2, 1, 2, 3, 3, 4, 4, 5]
+// audio blocks per E-AC-3 frame for each numblkscod, see Table E.1.4
+const EAC3_BLOCKS_PER_FRAME = [1, 2, 3, 6]
+const SAMPLES_PER_BLOCK = 256
+const AC3_SAMPLES_PER_FRAME = 1536
+
+/**
+ * Compute the size of an AC-3 syncframe from its frmsizecod.
+ * @param fscod {number} the sample rate code
+ * @param frmsizecod {number} the frame size code
+ * @return {number} the frame size in bytes
+ * @see ETSI TS 102 366, Table 4.13
+ */
+const ac3FrameLength = function(fscod, frmsizecod) {
+  const bitRate = AC3_BIT_RATES[frmsizecod >>> 1]
+
+  if (fscod === 1) {
+    // 44.1kHz frames alternate between two sizes to keep the nominal bit rate
+    return (Math.floor(bitRate * 320 / 147) + (frmsizecod & 0x01)) * 2
+  }
+  return bitRate * (fscod === 0 ? 2 : 3) * 2
+}
+
+/**
+ * Parse the syncinfo and the start of the bsi of an AC-3 syncframe.
+ * @param frame {Uint8Array} a complete syncframe
+ * @return {object} the properties needed for the track and its dac3 box
+ * @see ETSI TS 102 366, Section 4.3
+ */
+const parseAc3Header = function(frame) {
+  const expGolombDecoder = new ExpGolomb(frame.subarray(4))
+  const fscod = expGolombDecoder.readBits(2)
+  const frmsizecod = expGolombDecoder.readBits(6)
+  const bsid = expGolombDecoder.readBits(5)
+  const bsmod = expGolombDecoder.readBits(3)
+  const acmod = expGolombDecoder.readBits(3)
+
+  if ((acmod & 0x01) && acmod !== 1) {
+    expGolombDecoder.skipBits(2) // cmixlev
+  }
+  if (acmod & 0x04) {
+    expGolombDecoder.skipBits(2) // surmixlev
+  }
+  if (acmod === 2) {
+    expGolombDecoder.skipBits(2) // dsurmod
+  }
+  const lfeon = expGolombDecoder.readBits(1)
+
+  return {
+    independent: true,
+    substreamId: 0,
+    samplerate: AC3_SAMPLING_FREQUENCIES[fscod],
+    sampleCount: AC3_SAMPLES_PER_FRAME,
+    channelcount: ACMOD_CHANNEL_COUNTS[acmod] + lfeon,
+    config: {
+      fscod: fscod,
+      bsid: bsid,
+      bsmod: bsmod,
+      acmod: acmod,
+      lfeon: lfeon,
+      bitRateCode: frmsizecod >>> 1,
+    },
+  }
+}
+
+/**
+ * Parse the start of the bsi of an E-AC-3 syncframe.
+ * @param frame {Uint8Array} a complete syncframe
+ * @return {object} the properties needed for the track and its dec3 box
+ * @see ETSI TS 102 366, Section E.1.2.2
+ */
+const parseEac3Header = function(frame) {
+  const expGolombDecoder = new ExpGolomb(frame.subarray(2))
+  const strmtyp = expGolombDecoder.readBits(2)
+  const substreamId = expGolombDecoder.readBits(3)
+  let chanLoc = 0
+
+  expGolombDecoder.skipBits(11) // frmsiz
+  const fscod = expGolombDecoder.readBits(2)
+  const numblkscod = fscod === 3 ? 3 : expGolombDecoder.readBits(2)
+  const samplerate = fscod === 3 ?
+    EAC3_REDUCED_SAMPLING_FREQUENCIES[expGolombDecoder.readBits(2)] :
+    AC3_SAMPLING_FREQUENCIES[fscod]
+  const acmod = expGolombDecoder.readBits(3)
+  const lfeon = expGolombDecoder.readBits(1)
+  const bsid = expGolombDecoder.readBits(5)
+
+  expGolombDecoder.skipBits(5) // dialnorm
+  if (expGolombDecoder.readBoolean()) { // compre
+    expGolombDecoder.skipBits(8) // compr
+  }
+  if (acmod === 0) {
+    expGolombDecoder.skipBits(5) // dialnorm2
+    if (expGolombDecoder.readBoolean()) { // compr2e
+      expGolombDecoder.skipBits(8) // compr2
+    }
+  }
+  if (strmtyp === 1 && expGolombDecoder.readBoolean()) { // chanmape
+    // the dec3 chan_loc field holds the chanmap bits for the channel
+    // locations that a dependent substream can add, Lc/Rc through Vhc and LFE2
+    const chanmap = expGolombDecoder.readBits(16)
+
+    chanLoc = (((chanmap >>> 3) & 0xff) << 1) | ((chanmap >>> 1) & 0x01)
+  }
+
+  return {
+    independent: strmtyp !== 1,
+    substreamId: substreamId,
+    samplerate: samplerate,
+    sampleCount: EAC3_BLOCKS_PER_FRAME[numblkscod] * SAMPLES_PER_BLOCK,
+    channelcount: ACMOD_CHANNEL_COUNTS[acmod] + lfeon,
+    config: {
+      // fscod 3 signals a reduced sample rate, which is carried as-is
+      fscod: fscod,
+      bsid: bsid,
+      // bsmod lives deep in the optional bsi fields and is informational
+      bsmod: 0,
+      acmod: acmod,
+      lfeon: lfeon,
+      numDepSub: 0,
+      chanLoc: chanLoc,
+    },
+  }
+}
+
+/*
+ * Accepts an ElementaryStream and emits data events with the AC-3 or
+ * E-AC-3 syncframes of the individual packets. Frames are passed through
+ * untouched, as ISO BMFF stores complete syncframes as samples.
+ *
+ * E-AC-3 dependent substreams are appended to the independent substream
+ * they extend so that each sample covers every channel of the program.
+ * Only the first program (independent substream 0) is kept.
+ *
+ * @see ETSI TS 102 366, Annex F
+ */
+class Ac3Stream extends Stream {
+  constructor() {
+    super()
+    this.init()
+
+    this.buffer_ = undefined
+    this.pendingFrame_ = null
+    this.skipDependentSubstreams_ = false
+  }
+
+  /*
+   * @param {Object} packet - An audio packet from an ElementaryStream
+   * @param {Uint8Array} packet.data - The raw bytes of the packet
+   * @param {Number} packet.dts - Decode timestamp of the packet
+   * @param {Number} packet.pts - Presentation timestamp of the packet
+   * @param {Number} packet.streamType - The MPEG-2 TS stream_type of the packet
+   */
+  push(packet) {
+    let
+      i = 0,
+      frameDuration = 0,
+      frameLength,
+      frameEnd,
+      bsid,
+      header
+
+    if (packet.type !== 'audio' ||
+        (packet.streamType !== StreamTypes.AC3_STREAM_TYPE &&
+         packet.streamType !== StreamTypes.EAC3_STREAM_TYPE)) {
+      return
+    }
+
+    // Prepend any data in the buffer to the input data so that we can parse
+    // syncframes that cross a PES packet boundary
+    if (this.buffer_) {
+      const oldBuffer = this.buffer_
+
+      this.buffer_ = new Uint8Array(oldBuffer.byteLength + packet.data.byteLength)
+      this.buffer_.set(oldBuffer)
+      this.buffer_.set(packet.data, oldBuffer.byteLength)
+    } else {
+      this.buffer_ = packet.data
+    }
+    const buffer = this.buffer_
+
+    while (i + 5 < buffer.byteLength) {
+      // look for the syncword
+      if (buffer[i] !== 0x0b || buffer[i + 1] !== 0x77) {
+        i++
+        continue
+      }
+
+      bsid = buffer[i + 5] >>> 3
+      if (bsid <= 10) {
+        if ((buffer[i + 4] >>> 6) === 3 || (buffer[i + 4] & 0x3f) > 37) {
+          // reserved sample rate or frame size codes, this is not a syncframe
+          i++
+          continue
+        }
+        frameLength = ac3FrameLength(buffer[i + 4] >>> 6, buffer[i + 4] & 0x3f)
+      } else if (bsid <= 16) {
+        frameLength = ((((buffer[i + 2] & 0x07) << 8) | buffer[i + 3]) + 1) * 2
+      } else {
+        i++
+        continue
+      }
+
+      frameEnd = i + frameLength
+
+      // wait for more data if the frame is incomplete
+      if (buffer.byteLength < frameEnd) {
+        break
+      }
+
+      const frame = buffer.subarray(i, frameEnd)
+
+      header = bsid <= 10 ? parseAc3Header(frame) : parseEac3Header(frame)
+
+      if (!header.independent) {
+        if (this.pendingFrame_ && !this.skipDependentSubstreams_) {
+          this.appendDependentSubstream_(frame, header)
+        }
+      } else if (header.substreamId !== 0) {
+        this.skipDependentSubstreams_ = true
+      } else {
+        this.skipDependentSubstreams_ = false
+        this.flushPendingFrame_()
+        this.pendingFrame_ = {
+          pts: packet.pts + frameDuration,
+          dts: packet.dts + frameDuration,
+          sampleCount: header.sampleCount,
+          samplerate: header.samplerate,
+          channelcount: header.channelcount,
+          // assume ISO/IEC 14496-12 AudioSampleEntry default of 16
+          samplesize: 16,
+          data: frame,
+          ac3Config: header.config,
+        }
+        frameDuration += header.sampleCount * ONE_SECOND_IN_TS / header.samplerate
+      }
+
+      i = frameEnd
+    }
+
+    this.buffer_ = i < buffer.byteLength ? buffer.subarray(i) : undefined
+  }
+
+  /*
+   * Add a dependent substream to the pending frame and describe the
+   * additional channels it carries in the frame's configuration
+   */
+  appendDependentSubstream_(frame, header) {
+    const pending = this.pendingFrame_
+    const data = new Uint8Array(pending.data.byteLength + frame.byteLength)
+
+    data.set(pending.data)
+    data.set(frame, pending.data.byteLength)
+    pending.data = data
+    pending.ac3Config = Object.assign({}, pending.ac3Config, {
+      numDepSub: pending.ac3Config.numDepSub + 1,
+      chanLoc: pending.ac3Config.chanLoc | header.config.chanLoc,
+    })
+  }
+
+  flushPendingFrame_() {
+    const frame = this.pendingFrame_
+
+    if (!frame) {
+      return
+    }
+    this.pendingFrame_ = null
+
+    if (frame.ac3Config.bsid > 10) {
+      // the E-AC-3 data rate covers the independent and dependent substreams
+      frame.ac3Config.dataRate = Math.floor(
+        frame.data.byteLength * 8 * frame.samplerate / frame.sampleCount / 1000)
+    }
+    this.trigger('data', frame)
+  }
+
+  flush() {
+    this.flushPendingFrame_()
+    this.trigger('done')
+  }
+
+  reset() {
+    this.buffer_ = undefined
+    this.pendingFrame_ = null
+    this.trigger('reset')
+  }
+
+  endTimeline() {
+    this.buffer_ = undefined
+    this.pendingFrame_ = null
+    this.trigger('endedtimeline')
+  }
+}
+
+module.exports = {
+  Ac3Stream: Ac3Stream,
+  parseAc3Header: parseAc3Header,
+  parseEac3Header: parseEac3Header,
+}
@@ -8,6 +8,7 @@
 
 var Stream = require('../utils/stream.js');
 var ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS;
+var StreamTypes = require('../m2ts/stream-types.js');
 
 var AdtsStream;
 
@@ -61,6 +62,12 @@ AdtsStream = function(handlePartialSegments) {
       // ignore non-audio data
       return;
     }
+    // audio from other codecs is handled by its own stream
+    if (packet.streamType !== undefined &&
+        packet.streamType !== StreamTypes.ADTS_STREAM_TYPE &&
+        packet.streamType !== StreamTypes.SAMPLE_AES_ADTS_STREAM_TYPE) {
+      return;
+    }
 
     // Prepend any data in the buffer to the input data so that we can parse
     // aac frames the cross a PES packet boundary
@@ -8,6 +8,7 @@
 
 var Stream = require('../utils/stream.js');
 var ExpGolomb = require('../utils/exp-golomb.js');
+var StreamTypes = require('../m2ts/stream-types.js');
 
 var H264Stream, NalByteStream;
 var PROFILES_WITH_OPTIONAL_SPS_DATA;
@@ -183,12 +184,19 @@ H264Stream = function() {
    * @param {Number} packet.pts - Presentation timestamp of the packet
    * @param {Number} packet.trackId - The id of the h264 track this packet came from
    * @param {('video'|'audio')} packet.type - The type of packet
+   * @param {Number} [packet.streamType] - The MPEG-2 TS stream_type of the packet
    *
    */
   this.push = function(packet) {
     if (packet.type !== 'video') {
       return;
     }
+    // video from other codecs is handled by its own stream
+    if (packet.streamType !== undefined &&
+        packet.streamType !== StreamTypes.H264_STREAM_TYPE &&
+        packet.streamType !== StreamTypes.SAMPLE_AES_H264_STREAM_TYPE) {
+      return;
+    }
     trackId = packet.trackId;
     currentPts = packet.pts;
     currentDts = packet.dts;
@@ -0,0 +1,278 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const ExpGolomb = require('../utils/exp-golomb.js')
+const NalByteStream = require('./h264').NalByteStream
+const StreamTypes = require('../m2ts/stream-types.js')
+const discardEmulationPreventionBytes =
+  require('../tools/caption-packet-parser').discardEmulationPreventionBytes
+
+// nal_unit_type values, see Recommendation ITU-T H.265 (02/2018), Table 7-1
+const NAL_UNIT_TYPES = {
+  BLA_W_LP: 16,
+  RSV_IRAP_VCL23: 23,
+  VPS_NUT: 32,
+  SPS_NUT: 33,
+  PPS_NUT: 34,
+  AUD_NUT: 35,
+  PREFIX_SEI_NUT: 39,
+  SUFFIX_SEI_NUT: 40,
+}
+
+/**
+ * Read the general profile, tier and level fields of a
+ * profile_tier_level() structure and skip over any sub-layer
+ * information that follows.
+ * @param expGolombDecoder {object} an ExpGolomb pointed to the start
+ * of the profile_tier_level structure
+ * @param maxSubLayersMinus1 {number} sps_max_sub_layers_minus1
+ * @return {object} the general profile, tier and level fields
+ * @see Recommendation ITU-T H.265, Section 7.3.3
+ */
+const readProfileTierLevel = function(expGolombDecoder, maxSubLayersMinus1) {
+  const subLayerProfilePresent = []
+  const subLayerLevelPresent = []
+  const result = {
+    generalProfileSpace: expGolombDecoder.readBits(2),
+    generalTierFlag: expGolombDecoder.readBits(1),
+    generalProfileIdc: expGolombDecoder.readBits(5),
+    // read the 32 compatibility flags in two halves to keep the result unsigned
+    generalProfileCompatibilityFlags: expGolombDecoder.readBits(16) * 0x10000 +
+      expGolombDecoder.readBits(16),
+    generalConstraintIndicatorFlags: [],
+  }
+  let i
+
+  // progressive_source_flag through general_inbld_flag/reserved, 48 bits
+  for (i = 0; i < 6; i++) {
+    result.generalConstraintIndicatorFlags.push(expGolombDecoder.readUnsignedByte())
+  }
+  result.generalLevelIdc = expGolombDecoder.readUnsignedByte()
+
+  for (i = 0; i < maxSubLayersMinus1; i++) {
+    subLayerProfilePresent.push(expGolombDecoder.readBoolean())
+    subLayerLevelPresent.push(expGolombDecoder.readBoolean())
+  }
+  if (maxSubLayersMinus1 > 0) {
+    for (i = maxSubLayersMinus1; i < 8; i++) {
+      expGolombDecoder.skipBits(2) // reserved_zero_2bits
+    }
+  }
+  for (i = 0; i < maxSubLayersMinus1; i++) {
+    if (subLayerProfilePresent[i]) {
+      // sub_layer profile space, tier, idc, compatibility and constraint flags
+      expGolombDecoder.skipBits(88)
+    }
+    if (subLayerLevelPresent[i]) {
+      expGolombDecoder.skipBits(8) // sub_layer_level_idc
+    }
+  }
+
+  return result
+}
+
+/**
+ * Read a sequence parameter set and return the video properties needed
+ * to build an HEVC decoder configuration record.
+ * @param data {Uint8Array} the RBSP of a sequence parameter set, without
+ * the two byte NAL unit header
+ * @return {object} the parsed configuration, including the dimensions of
+ * the associated video frames
+ * @see Recommendation ITU-T H.265, Section 7.3.2.2
+ */
+const readSequenceParameterSet = function(data) {
+  const expGolombDecoder = new ExpGolomb(data)
+  let
+    subWidthC = 1,
+    subHeightC = 1,
+    confWinLeftOffset = 0,
+    confWinRightOffset = 0,
+    confWinTopOffset = 0,
+    confWinBottomOffset = 0
+
+  expGolombDecoder.skipBits(4) // sps_video_parameter_set_id
+  const maxSubLayersMinus1 = expGolombDecoder.readBits(3)
+  const temporalIdNestingFlag = expGolombDecoder.readBits(1)
+  const profileTierLevel = readProfileTierLevel(expGolombDecoder, maxSubLayersMinus1)
+
+  expGolombDecoder.skipUnsignedExpGolomb() // sps_seq_parameter_set_id
+  const chromaFormatIdc = expGolombDecoder.readUnsignedExpGolomb()
+
+  if (chromaFormatIdc === 3) {
+    expGolombDecoder.skipBits(1) // separate_colour_plane_flag
+  }
+  const picWidthInLumaSamples = expGolombDecoder.readUnsignedExpGolomb()
+  const picHeightInLumaSamples = expGolombDecoder.readUnsignedExpGolomb()
+
+  if (expGolombDecoder.readBoolean()) { // conformance_window_flag
+    confWinLeftOffset = expGolombDecoder.readUnsignedExpGolomb()
+    confWinRightOffset = expGolombDecoder.readUnsignedExpGolomb()
+    confWinTopOffset = expGolombDecoder.readUnsignedExpGolomb()
+    confWinBottomOffset = expGolombDecoder.readUnsignedExpGolomb()
+  }
+  const bitDepthLumaMinus8 = expGolombDecoder.readUnsignedExpGolomb()
+  const bitDepthChromaMinus8 = expGolombDecoder.readUnsignedExpGolomb()
+
+  // conformance window offsets are expressed in chroma samples,
+  // see Table 6-1
+  if (chromaFormatIdc === 1 || chromaFormatIdc === 2) {
+    subWidthC = 2
+  }
+  if (chromaFormatIdc === 1) {
+    subHeightC = 2
+  }
+
+  return {
+    profileIdc: profileTierLevel.generalProfileIdc,
+    levelIdc: profileTierLevel.generalLevelIdc,
+    profileCompatibility: profileTierLevel.generalProfileCompatibilityFlags,
+    width: picWidthInLumaSamples -
+      subWidthC * (confWinLeftOffset + confWinRightOffset),
+    height: picHeightInLumaSamples -
+      subHeightC * (confWinTopOffset + confWinBottomOffset),
+    hevcConfig: {
+      generalProfileSpace: profileTierLevel.generalProfileSpace,
+      generalTierFlag: profileTierLevel.generalTierFlag,
+      generalProfileIdc: profileTierLevel.generalProfileIdc,
+      generalProfileCompatibilityFlags: profileTierLevel.generalProfileCompatibilityFlags,
+      generalConstraintIndicatorFlags: profileTierLevel.generalConstraintIndicatorFlags,
+      generalLevelIdc: profileTierLevel.generalLevelIdc,
+      chromaFormatIdc: chromaFormatIdc,
+      bitDepthLumaMinus8: bitDepthLumaMinus8,
+      bitDepthChromaMinus8: bitDepthChromaMinus8,
+      numTemporalLayers: maxSubLayersMinus1 + 1,
+      temporalIdNested: temporalIdNestingFlag,
+    },
+  }
+}
+
+/**
+ * Accepts input from an ElementaryStream and produces H.265 NAL unit
+ * data events. Events use the same shape as the ones emitted by
+ * H264Stream so that the rest of the fMP4 pipeline can consume either.
+ */
+class H265Stream extends Stream {
+  constructor() {
+    super()
+    this.init()
+
+    this.nalByteStream_ = new NalByteStream()
+    this.trackId_ = undefined
+    this.currentPts_ = undefined
+    this.currentDts_ = undefined
+
+    this.nalByteStream_.on('data', (data) => {
+      this.trigger('data', this.parseNalUnit_(data))
+    })
+    this.nalByteStream_.on('done', () => {
+      this.trigger('done')
+    })
+    this.nalByteStream_.on('partialdone', () => {
+      this.trigger('partialdone')
+    })
+    this.nalByteStream_.on('reset', () => {
+      this.trigger('reset')
+    })
+    this.nalByteStream_.on('endedtimeline', () => {
+      this.trigger('endedtimeline')
+    })
+  }
+
+  /*
+   * Pushes a packet from a stream onto the NalByteStream
+   *
+   * @param {Object} packet - A packet received from a stream
+   * @param {Uint8Array} packet.data - The raw bytes of the packet
+   * @param {Number} packet.dts - Decode timestamp of the packet
+   * @param {Number} packet.pts - Presentation timestamp of the packet
+   * @param {Number} packet.trackId - The id of the h265 track this packet came from
+   * @param {Number} packet.streamType - The MPEG-2 TS stream_type of the packet
+   */
+  push(packet) {
+    if (packet.type !== 'video' || packet.streamType !== StreamTypes.H265_STREAM_TYPE) {
+      return
+    }
+    this.trackId_ = packet.trackId
+    this.currentPts_ = packet.pts
+    this.currentDts_ = packet.dts
+
+    this.nalByteStream_.push(packet)
+  }
+
+  /*
+   * Identify the NAL unit type and pre-process the parameter sets and SEI
+   * messages. IRAP pictures are flagged as key frames.
+   *
+   * @param {Uint8Array} data - A NAL unit identified by `NalByteStream.push`
+   */
+  parseNalUnit_(data) {
+    const event = {
+      trackId: this.trackId_,
+      pts: this.currentPts_,
+      dts: this.currentDts_,
+      data: data,
+    }
+    const nalUnitType = (data[0] >>> 1) & 0x3f
+
+    if (nalUnitType >= NAL_UNIT_TYPES.BLA_W_LP &&
+        nalUnitType <= NAL_UNIT_TYPES.RSV_IRAP_VCL23) {
+      event.nalUnitType = 'slice_segment_layer_rbsp_irap'
+      return event
+    }
+
+    switch (nalUnitType) {
+    case NAL_UNIT_TYPES.VPS_NUT:
+      event.nalUnitType = 'video_parameter_set_rbsp'
+      break
+    case NAL_UNIT_TYPES.SPS_NUT:
+      event.nalUnitType = 'seq_parameter_set_rbsp'
+      event.escapedRBSP = discardEmulationPreventionBytes(data.subarray(2))
+      event.config = readSequenceParameterSet(event.escapedRBSP)
+      break
+    case NAL_UNIT_TYPES.PPS_NUT:
+      event.nalUnitType = 'pic_parameter_set_rbsp'
+      break
+    case NAL_UNIT_TYPES.AUD_NUT:
+      event.nalUnitType = 'access_unit_delimiter_rbsp'
+      break
+    case NAL_UNIT_TYPES.PREFIX_SEI_NUT:
+    case NAL_UNIT_TYPES.SUFFIX_SEI_NUT:
+      // SEI payloads share their syntax with H.264 so CaptionStream can
+      // parse CEA-608/708 data out of them unchanged
+      event.nalUnitType = 'sei_rbsp'
+      event.escapedRBSP = discardEmulationPreventionBytes(data.subarray(2))
+      break
+    default:
+      break
+    }
+
+    return event
+  }
+
+  flush() {
+    this.nalByteStream_.flush()
+  }
+
+  partialFlush() {
+    this.nalByteStream_.partialFlush()
+  }
+
+  reset() {
+    this.nalByteStream_.reset()
+  }
+
+  endTimeline() {
+    this.nalByteStream_.endTimeline()
+  }
+}
+
+module.exports = {
+  H265Stream: H265Stream,
+  readSequenceParameterSet: readSequenceParameterSet,
+}
@@ -6,5 +6,9 @@
  */
 module.exports = {
   Adts: require('./adts'),
-  h264: require('./h264')
+  ac3: require('./ac3'),
+  h264: require('./h264'),
+  h265: require('./h265'),
+  mp3: require('./mp3'),
+  opus: require('./opus')
 };
@@ -0,0 +1,194 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const StreamTypes = require('../m2ts/stream-types.js')
+const ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS
+
+// values of the two bit version and layer fields of the frame header
+const MPEG_VERSION_1 = 3
+const MPEG_VERSION_2_5 = 0
+const LAYER_I = 3
+const LAYER_II = 2
+const LAYER_III = 1
+
+// bit rates in kbps indexed by bitrate_index, see ISO/IEC 11172-3, 2.4.2.3
+// and ISO/IEC 13818-3, 2.4.2.3
+const MPEG1_BIT_RATES = {
+  [LAYER_I]: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  [LAYER_II]: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  [LAYER_III]: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+}
+const MPEG2_BIT_RATES = {
+  [LAYER_I]: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  [LAYER_II]: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  [LAYER_III]: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+}
+const MPEG1_SAMPLING_FREQUENCIES = [44100, 48000, 32000]
+// channel_mode 3 is single channel, every other mode carries two
+const MONO_CHANNEL_MODE = 3
+
+/**
+ * Parse the header of an MPEG-1, MPEG-2 or MPEG-2.5 audio frame.
+ * @param data {Uint8Array} the bytes to parse
+ * @param offset {number} the index of the first byte of the header
+ * @return {object|null} the frame properties, or null if the bytes at
+ * offset are not a supported frame header
+ * @see ISO/IEC 11172-3, 2.4.1.3
+ */
+const parseFrameHeader = function(data, offset) {
+  if (data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) {
+    return null
+  }
+
+  const version = (data[offset + 1] >>> 3) & 0x03
+  const layer = (data[offset + 1] >>> 1) & 0x03
+  const bitrateIndex = data[offset + 2] >>> 4
+  const samplingFrequencyIndex = (data[offset + 2] >>> 2) & 0x03
+  const padding = (data[offset + 2] >>> 1) & 0x01
+  const channelMode = data[offset + 3] >>> 6
+
+  // reject reserved values and free format streams, whose frame size can
+  // not be derived from the header
+  if (version === 1 || layer === 0 || bitrateIndex === 0 || bitrateIndex === 15 ||
+      samplingFrequencyIndex === 3) {
+    return null
+  }
+
+  const bitRate = (version === MPEG_VERSION_1 ?
+    MPEG1_BIT_RATES :
+    MPEG2_BIT_RATES)[layer][bitrateIndex] * 1000
+  let samplerate = MPEG1_SAMPLING_FREQUENCIES[samplingFrequencyIndex]
+  let sampleCount = 1152
+  let frameLength
+
+  // MPEG-2 halves and MPEG-2.5 quarters the MPEG-1 sampling frequencies
+  if (version === MPEG_VERSION_2_5) {
+    samplerate /= 4
+  } else if (version !== MPEG_VERSION_1) {
+    samplerate /= 2
+  }
+
+  if (layer === LAYER_I) {
+    sampleCount = 384
+    frameLength = (Math.floor(12 * bitRate / samplerate) + padding) * 4
+  } else if (layer === LAYER_III && version !== MPEG_VERSION_1) {
+    // lower sampling frequency layer III frames hold a single granule
+    sampleCount = 576
+    frameLength = Math.floor(72 * bitRate / samplerate) + padding
+  } else {
+    frameLength = Math.floor(144 * bitRate / samplerate) + padding
+  }
+
+  return {
+    frameLength: frameLength,
+    sampleCount: sampleCount,
+    samplerate: samplerate,
+    channelcount: channelMode === MONO_CHANNEL_MODE ? 1 : 2,
+  }
+}
+
+/*
+ * Accepts an ElementaryStream and emits data events with the MPEG audio
+ * frames of the individual packets. Frames keep their headers, as that
+ * is how ISO BMFF stores MPEG-1/2 audio samples.
+ *
+ * @see ISO/IEC 14496-3, 1.6.2.2
+ */
+class Mp3Stream extends Stream {
+  constructor() {
+    super()
+    this.init()
+
+    this.buffer_ = undefined
+  }
+
+  /*
+   * @param {Object} packet - An audio packet from an ElementaryStream
+   * @param {Uint8Array} packet.data - The raw bytes of the packet
+   * @param {Number} packet.dts - Decode timestamp of the packet
+   * @param {Number} packet.pts - Presentation timestamp of the packet
+   * @param {Number} packet.streamType - The MPEG-2 TS stream_type of the packet
+   */
+  push(packet) {
+    let
+      i = 0,
+      frameDuration = 0,
+      header
+
+    if (packet.type !== 'audio' ||
+        (packet.streamType !== StreamTypes.MPEG1_AUDIO_STREAM_TYPE &&
+         packet.streamType !== StreamTypes.MPEG2_AUDIO_STREAM_TYPE)) {
+      return
+    }
+
+    // Prepend any data in the buffer to the input data so that we can parse
+    // frames that cross a PES packet boundary
+    if (this.buffer_) {
+      const oldBuffer = this.buffer_
+
+      this.buffer_ = new Uint8Array(oldBuffer.byteLength + packet.data.byteLength)
+      this.buffer_.set(oldBuffer)
+      this.buffer_.set(packet.data, oldBuffer.byteLength)
+    } else {
+      this.buffer_ = packet.data
+    }
+    const buffer = this.buffer_
+
+    while (i + 3 < buffer.byteLength) {
+      header = parseFrameHeader(buffer, i)
+
+      // If a valid header was not found, jump one forward and attempt to
+      // find a valid header starting at the next byte
+      if (!header) {
+        i++
+        continue
+      }
+
+      // wait for more data if the frame is incomplete
+      if (buffer.byteLength < i + header.frameLength) {
+        break
+      }
+
+      this.trigger('data', {
+        pts: packet.pts + frameDuration,
+        dts: packet.dts + frameDuration,
+        sampleCount: header.sampleCount,
+        samplerate: header.samplerate,
+        channelcount: header.channelcount,
+        // assume ISO/IEC 14496-12 AudioSampleEntry default of 16
+        samplesize: 16,
+        data: buffer.subarray(i, i + header.frameLength),
+      })
+
+      frameDuration += header.sampleCount * ONE_SECOND_IN_TS / header.samplerate
+      i += header.frameLength
+    }
+
+    this.buffer_ = i < buffer.byteLength ? buffer.subarray(i) : undefined
+  }
+
+  flush() {
+    this.trigger('done')
+  }
+
+  reset() {
+    this.buffer_ = undefined
+    this.trigger('reset')
+  }
+
+  endTimeline() {
+    this.buffer_ = undefined
+    this.trigger('endedtimeline')
+  }
+}
+
+module.exports = {
+  Mp3Stream: Mp3Stream,
+  parseFrameHeader: parseFrameHeader,
+}
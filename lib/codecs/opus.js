@@ -0,0 +1,219 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const StreamTypes = require('../m2ts/stream-types.js')
+const ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS
+
+// Opus is always decoded at 48kHz
+const OPUS_SAMPLE_RATE = 48000
+// frame durations in samples at 48kHz for each TOC configuration,
+// see RFC 6716, Section 3.1
+const FRAME_SIZES = [
+  480, 960, 1920, 2880, // SILK-only NB
+  480, 960, 1920, 2880, // SILK-only MB
+  480, 960, 1920, 2880, // SILK-only WB
+  480, 960, // Hybrid SWB
+  480, 960, // Hybrid FB
+  120, 240, 480, 960, // CELT-only NB
+  120, 240, 480, 960, // CELT-only WB
+  120, 240, 480, 960, // CELT-only SWB
+  120, 240, 480, 960, // CELT-only FB
+]
+// stream counts and Vorbis channel order for the channel_config_code
+// values of the Opus extension descriptor, indexed by channel count
+const STREAM_COUNTS = [0, 1, 1, 2, 2, 3, 4, 4, 5]
+const COUPLED_STREAM_COUNTS = [0, 0, 1, 1, 2, 2, 2, 3, 3]
+const CHANNEL_MAPPINGS = [
+  [],
+  [0],
+  [0, 1],
+  [0, 2, 1],
+  [0, 1, 2, 3],
+  [0, 4, 1, 2, 3],
+  [0, 4, 1, 2, 3, 5],
+  [0, 4, 1, 2, 3, 5, 6],
+  [0, 6, 1, 2, 3, 4, 5, 7],
+]
+const DUAL_MONO_CHANNEL_CONFIG_CODE = 0x80
+
+/**
+ * Build the channel configuration of a dOps box from the channel_config_code
+ * of the Opus extension descriptor. Streams without the descriptor are
+ * assumed to be stereo.
+ * @param channelConfigCode {number} the channel_config_code, if known
+ * @return {object} the channel count and mapping of the stream
+ * @see https://opus-codec.org/docs/ETSI_TS_opus-v0.1.3-draft.pdf, Table 6-1
+ */
+const channelConfig = function(channelConfigCode) {
+  if (channelConfigCode === DUAL_MONO_CHANNEL_CONFIG_CODE) {
+    return {
+      channelcount: 2,
+      channelMappingFamily: 255,
+      streamCount: 2,
+      coupledCount: 0,
+      channelMapping: [0, 1],
+    }
+  }
+  if (!(channelConfigCode >= 1 && channelConfigCode <= 8)) {
+    channelConfigCode = 2
+  }
+
+  return {
+    channelcount: channelConfigCode,
+    // mapping family 0 covers mono and stereo without a mapping table
+    channelMappingFamily: channelConfigCode > 2 ? 1 : 0,
+    streamCount: STREAM_COUNTS[channelConfigCode],
+    coupledCount: COUPLED_STREAM_COUNTS[channelConfigCode],
+    channelMapping: CHANNEL_MAPPINGS[channelConfigCode],
+  }
+}
+
+/**
+ * Count the samples in an Opus packet from its TOC byte.
+ * @param packet {Uint8Array} an Opus packet
+ * @return {number} the duration of the packet in 48kHz samples
+ * @see RFC 6716, Section 3.1
+ */
+const packetSampleCount = function(packet) {
+  const frameCountCode = packet[0] & 0x03
+  let frameCount = 1
+
+  if (frameCountCode === 1 || frameCountCode === 2) {
+    frameCount = 2
+  } else if (frameCountCode === 3) {
+    frameCount = packet[1] & 0x3f
+  }
+
+  return FRAME_SIZES[packet[0] >>> 3] * frameCount
+}
+
+/*
+ * Accepts an ElementaryStream and emits data events with the Opus access
+ * units of the individual packets. Each access unit is preceded by an
+ * opus_control_header that carries its size and optional trimming.
+ * The channel configuration is taken from the PMT metadata of the track.
+ *
+ * @see https://opus-codec.org/docs/ETSI_TS_opus-v0.1.3-draft.pdf
+ */
+class OpusStream extends Stream {
+  constructor() {
+    super()
+    this.init()
+
+    this.config_ = channelConfig()
+    this.preSkip_ = undefined
+  }
+
+  /*
+   * @param {Object} packet - A packet from an ElementaryStream
+   * @param {Uint8Array} packet.data - The raw bytes of the packet
+   * @param {Number} packet.dts - Decode timestamp of the packet
+   * @param {Number} packet.pts - Presentation timestamp of the packet
+   * @param {Number} packet.streamType - The MPEG-2 TS stream_type of the packet
+   */
+  push(packet) {
+    const data = packet.data
+    let
+      i = 0,
+      frameDuration = 0
+
+    if (packet.type === 'metadata') {
+      packet.tracks.forEach((track) => {
+        if (track.codec === 'opus') {
+          this.config_ = channelConfig(track.channelConfigCode)
+        }
+      })
+      return
+    }
+
+    if (packet.type !== 'audio' ||
+        packet.streamType !== StreamTypes.PRIVATE_PES_STREAM_TYPE) {
+      return
+    }
+
+    while (i + 2 < data.byteLength) {
+      // look for the 11 bit control_header_prefix
+      if (data[i] !== 0x7f || (data[i + 1] & 0xe0) !== 0xe0) {
+        i++
+        continue
+      }
+
+      const startTrimFlag = data[i + 1] & 0x10
+      const endTrimFlag = data[i + 1] & 0x08
+      const controlExtensionFlag = data[i + 1] & 0x04
+      let auSize = 0
+      let startTrim = 0
+
+      i += 2
+      // au_size is coded as a run of 0xff bytes and a final remainder
+      do {
+        auSize += data[i]
+      } while (data[i++] === 0xff && i < data.byteLength)
+
+      if (startTrimFlag) {
+        startTrim = ((data[i] & 0x1f) << 8) | data[i + 1]
+        i += 2
+      }
+      if (endTrimFlag) {
+        i += 2
+      }
+      if (controlExtensionFlag) {
+        i += data[i] + 1
+      }
+
+      // drop access units that were truncated
+      if (i + auSize > data.byteLength) {
+        return
+      }
+
+      // the trim at the start of the stream is the decoder pre-skip
+      if (this.preSkip_ === undefined) {
+        this.preSkip_ = startTrim
+      }
+
+      const accessUnit = data.subarray(i, i + auSize)
+      const sampleCount = packetSampleCount(accessUnit)
+
+      this.trigger('data', {
+        pts: packet.pts + frameDuration,
+        dts: packet.dts + frameDuration,
+        sampleCount: sampleCount,
+        samplerate: OPUS_SAMPLE_RATE,
+        channelcount: this.config_.channelcount,
+        // assume ISO/IEC 14496-12 AudioSampleEntry default of 16
+        samplesize: 16,
+        data: accessUnit,
+        opusConfig: Object.assign({preSkip: this.preSkip_}, this.config_),
+      })
+
+      frameDuration += sampleCount * ONE_SECOND_IN_TS / OPUS_SAMPLE_RATE
+      i += auSize
+    }
+  }
+
+  flush() {
+    this.trigger('done')
+  }
+
+  reset() {
+    this.preSkip_ = undefined
+    this.trigger('reset')
+  }
+
+  endTimeline() {
+    this.preSkip_ = undefined
+    this.trigger('endedtimeline')
+  }
+}
+
+module.exports = {
+  OpusStream: OpusStream,
+  channelConfig: channelConfig,
+  packetSampleCount: packetSampleCount,
+}
@@ -11,7 +11,8 @@ var muxjs = {
   mp4: require('./mp4'),
   flv: require('./flv'),
   mp2t: require('./m2ts'),
-  partial: require('./partial')
+  partial: require('./partial'),
+  captions: require('./captions')
 };
 
 // include all the tools when the full library is required
@@ -293,6 +293,32 @@ var within708TextBlock = function(b) {
   return (0x20 <= b && b <= 0x7f) || (0xa0 <= b && b <= 0xff);
 };
 
+var openFormatting = function(formatting) {
+  return formatting.split('').reduce(function(text, format) {
+    return text + '<' + format + '>';
+  }, '');
+};
+
+var closeFormatting = function(formatting) {
+  return formatting.split('').reverse().reduce(function(text, format) {
+    return text + '</' + format + '>';
+  }, '');
+};
+
+// Mark up a row with the HTML tags of the formatting of its characters
+var formatRow = function(row, formats) {
+  var text = '', formatting = '', i;
+
+  for (i = 0; i < row.length; i++) {
+    if (formats[i] !== formatting) {
+      text += closeFormatting(formatting) + openFormatting(formats[i]);
+      formatting = formats[i];
+    }
+    text += row.charAt(i);
+  }
+  return text + closeFormatting(formatting);
+};
+
 var Cea708Window = function(windowNum) {
   this.windowNum = windowNum;
   this.reset();
@@ -327,8 +353,18 @@ Cea708Window.prototype.getText = function() {
   return this.rows.join('\n');
 };
 
+// The text with the italics and underline pen attributes as <i> and <u>
+// tags, like the formatting of CEA-608 captions
+Cea708Window.prototype.getFormattedText = function() {
+  return this.rows.map(function(row, i) {
+    return formatRow(row, this.rowFormats[i]);
+  }, this).join('\n');
+};
+
 Cea708Window.prototype.clearText = function() {
   this.rows = [''];
+  // the formatting of every character of the rows, 'i', 'u', 'iu' or ''
+  this.rowFormats = [[]];
   this.rowIdx = 0;
 };
 
@@ -339,12 +375,14 @@ Cea708Window.prototype.newLine = function(pts) {
 
   if (this.rows.length > 0) {
     this.rows.push('');
+    this.rowFormats.push([]);
     this.rowIdx++;
   }
 
   // Show all virtual rows since there's no visible scrolling
   while (this.rows.length > this.virtualRowCount) {
     this.rows.shift();
+    this.rowFormats.shift();
     this.rowIdx--;
   }
 };
@@ -360,7 +398,14 @@ Cea708Window.prototype.isEmpty = function() {
 };
 
 Cea708Window.prototype.addText = function(text) {
+  var
+    formatting = (this.penAttr.italics ? 'i' : '') + (this.penAttr.underline ? 'u' : ''),
+    i;
+
   this.rows[this.rowIdx] += text;
+  for (i = 0; i < text.length; i++) {
+    this.rowFormats[this.rowIdx].push(formatting);
+  }
 };
 
 Cea708Window.prototype.backspace = function() {
@@ -368,6 +413,7 @@ Cea708Window.prototype.backspace = function() {
     var row = this.rows[this.rowIdx];
 
     this.rows[this.rowIdx] = row.substr(0, row.length - 1);
+    this.rowFormats[this.rowIdx].pop();
   }
 };
 
@@ -756,17 +802,32 @@ Cea708Stream.prototype.setWindowAttributes = function(i, service) {
  */
 Cea708Stream.prototype.flushDisplayed = function(pts, service) {
   var displayedText = [];
+  var formattedText = [];
+  var displayedWindows = [];
+  var win;
 
-  // TODO: Positioning not supported, displaying multiple windows will not necessarily
-  // display text in the correct order, but sample files so far have not shown any issue.
+  // The text of all windows is joined in window order, their positions are
+  // listed separately for the consumers that can place them
   for (var winId = 0; winId < 8; winId++) {
-    if (service.windows[winId].visible && !service.windows[winId].isEmpty()) {
-      displayedText.push(service.windows[winId].getText());
+    win = service.windows[winId];
+    if (win.visible && !win.isEmpty()) {
+      displayedText.push(win.getText());
+      formattedText.push(win.getFormattedText());
+      displayedWindows.push({
+        text: win.getText(),
+        formattedText: win.getFormattedText(),
+        relativePositioning: win.relativePositioning,
+        anchorVertical: win.anchorVertical,
+        anchorHorizontal: win.anchorHorizontal,
+        anchorPoint: win.anchorPoint
+      });
     }
   }
 
   service.endPts = pts;
   service.text = displayedText.join('\n\n');
+  service.formattedText = formattedText.join('\n\n');
+  service.displayedWindows = displayedWindows;
   this.pushCaption(service);
 
   service.startPts = pts;
@@ -783,6 +844,8 @@ Cea708Stream.prototype.pushCaption = function(service) {
       startPts: service.startPts,
       endPts: service.endPts,
       text: service.text,
+      formattedText: service.formattedText,
+      windows: service.displayedWindows,
       stream: 'cc708_' + service.serviceNum
     });
 
@@ -1185,6 +1248,9 @@ var Cea608Stream = function(field, dataChannel) {
 
     } else if (data === this.RESUME_CAPTION_LOADING_) {
       this.mode_ = 'popOn';
+      // captions are positioned by their PACs, without one they start at
+      // the first column
+      this.column_ = 0;
 
     } else if (data === this.END_OF_CAPTION_) {
       // If an EOC is received while in paint-on mode, the displayed caption
@@ -1203,6 +1269,7 @@ var Cea608Stream = function(field, dataChannel) {
 
       // start measuring the time to display the caption
       this.startPts_ = packet.pts;
+      this.column_ = 0;
 
     } else if (data === this.ROLL_UP_2_ROWS_) {
       this.rollUpRows_ = 2;
@@ -1218,6 +1285,7 @@ var Cea608Stream = function(field, dataChannel) {
       this.flushDisplayed(packet.pts);
       this.shiftRowsUp_();
       this.startPts_ = packet.pts;
+      this.column_ = 0;
 
     } else if (data === this.BACKSPACE_) {
       if (this.mode_ === 'popOn') {
@@ -1228,8 +1296,10 @@ var Cea608Stream = function(field, dataChannel) {
     } else if (data === this.ERASE_DISPLAYED_MEMORY_) {
       this.flushDisplayed(packet.pts);
       this.displayed_ = createDisplayBuffer();
+      this.column_ = 0;
     } else if (data === this.ERASE_NON_DISPLAYED_MEMORY_) {
       this.nonDisplayed_ = createDisplayBuffer();
+      this.column_ = 0;
 
     } else if (data === this.RESUME_DIRECT_CAPTIONING_) {
       if (this.mode_ !== 'paintOn') {
@@ -1240,6 +1310,7 @@ var Cea608Stream = function(field, dataChannel) {
       }
       this.mode_ = 'paintOn';
       this.startPts_ = packet.pts;
+      this.column_ = 0;
 
     // Append special characters to caption text
     } else if (this.isSpecialCharacter(char0, char1)) {
@@ -1337,6 +1408,8 @@ var Cea608Stream = function(field, dataChannel) {
         // column position by bit-shifting to the right (to get n/2)
         // and multiplying by 4.
         this.column_ = ((data & 0xe) >> 1) * 4;
+      } else {
+        this.column_ = 0;
       }
 
       if (this.isColorPAC(char1)) {
@@ -1367,11 +1440,14 @@ Cea608Stream.prototype = new Stream();
 // Trigger a cue point that captures the current state of the
 // display buffer
 Cea608Stream.prototype.flushDisplayed = function(pts) {
+  var rows = [];
   var content = this.displayed_
     // remove spaces from the start and end of the string
-    .map(function(row) {
+    .map(function(row, index) {
+      var text;
+
       try {
-        return row.trim();
+        text = row.trim();
       } catch (e) {
         // Ordinarily, this shouldn't happen. However, caption
         // parsing errors should not throw exceptions and
@@ -1380,6 +1456,18 @@ Cea608Stream.prototype.flushDisplayed = function(pts) {
         console.error('Skipping malformed caption.');
         return '';
       }
+
+      // rows are indented with spaces up to the column of their first
+      // character, which places them in the 80% of the screen that
+      // the 32 columns cover
+      if (text.length) {
+        rows.push({
+          text: text,
+          line: index + 1,
+          position: 10 + Math.min(row.search(/\S/), 31) * 2.5
+        });
+      }
+      return text;
     })
     // combine all text rows to display in one cue
     .join('\n')
@@ -1391,6 +1479,7 @@ Cea608Stream.prototype.flushDisplayed = function(pts) {
       startPts: this.startPts_,
       endPts: pts,
       text: content,
+      content: rows,
       stream: this.name_
     });
   }
@@ -1582,6 +1671,7 @@ Cea608Stream.prototype.setRollUp = function(pts, newBaseRow) {
   // Reset the base row to the bottom row when switching modes
   if (this.mode_ !== 'rollUp') {
     this.row_ = BOTTOM_ROW;
+    this.column_ = 0;
     this.mode_ = 'rollUp';
     // Spec says to wipe memories when switching to roll-up
     this.flushDisplayed(pts);
@@ -1627,9 +1717,17 @@ Cea608Stream.prototype.clearFormatting = function(pts) {
   this[this.mode_](pts, text);
 };
 
+// The first text of a row is indented to the current column
+Cea608Stream.prototype.indentRow_ = function(row) {
+  if (row) {
+    return row;
+  }
+  return new Array(Math.min(this.column_, 31) + 1).join(' ');
+};
+
 // Mode Implementations
 Cea608Stream.prototype.popOn = function(pts, text) {
-  var baseRow = this.nonDisplayed_[this.row_];
+  var baseRow = this.indentRow_(this.nonDisplayed_[this.row_]);
 
   // buffer characters
   baseRow += text;
@@ -1637,7 +1735,7 @@ Cea608Stream.prototype.popOn = function(pts, text) {
 };
 
 Cea608Stream.prototype.rollUp = function(pts, text) {
-  var baseRow = this.displayed_[this.row_];
+  var baseRow = this.indentRow_(this.displayed_[this.row_]);
 
   baseRow += text;
   this.displayed_[this.row_] = baseRow;
@@ -1662,7 +1760,7 @@ Cea608Stream.prototype.shiftRowsUp_ = function() {
 };
 
 Cea608Stream.prototype.paintOn = function(pts, text) {
-  var baseRow = this.displayed_[this.row_];
+  var baseRow = this.indentRow_(this.displayed_[this.row_]);
 
   baseRow += text;
   this.displayed_[this.row_] = baseRow;
@@ -0,0 +1,166 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Writes ID3v2.4 tags of timed metadata, to be carried by the PES packets of
+ * a metadata stream or between the ADTS frames of raw AAC.
+ * @see http://id3.org/id3v2.4.0-structure
+ * @see http://id3.org/id3v2.4.0-frames
+ */
+'use strict'
+
+const utf8Bytes = require('../utils/bin').utf8Bytes
+
+const ENCODING_UTF_8 = 0x03
+// the PRIV frame that gives the time of the first frame of raw AAC
+const TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp'
+// timestamps are 33 bit values of the 90kHz clock
+const MAX_TS = Math.pow(2, 33)
+// sizes are 28 bit syncsafe integers
+const MAX_SIZE = Math.pow(2, 28) - 1
+
+const concatBytes = function(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, bytes) => sum + bytes.length, 0))
+  let offset = 0
+
+  arrays.forEach((bytes) => {
+    result.set(bytes, offset)
+    offset += bytes.length
+  })
+  return result
+}
+
+const iso88591Bytes = function(string) {
+  const bytes = new Uint8Array((string || '').length)
+
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = string.charCodeAt(i) & 0xff
+  }
+  return bytes
+}
+
+const syncSafeBytes = function(size) {
+  if (size > MAX_SIZE) {
+    throw new RangeError(`An ID3 size of ${size} bytes does not fit in 28 bits`)
+  }
+  return [size >>> 21 & 0x7f, size >>> 14 & 0x7f, size >>> 7 & 0x7f, size & 0x7f]
+}
+
+// the fields of the frames, which start with their text encoding and end
+// their strings with a null terminator, except for the last one
+const FRAME_WRITERS = {
+  TXXX: (frame) => [
+    [ENCODING_UTF_8], utf8Bytes(frame.description), [0x00], utf8Bytes(frame.value),
+  ],
+  // URLs are always ISO-8859-1
+  WXXX: (frame) => [
+    [ENCODING_UTF_8], utf8Bytes(frame.description), [0x00], iso88591Bytes(frame.url),
+  ],
+  TIT2: (frame) => [[ENCODING_UTF_8], utf8Bytes(frame.value)],
+  PRIV: (frame) => [
+    iso88591Bytes(frame.owner), [0x00], frame.privateData || new Uint8Array(0),
+  ],
+  GEOB: (frame) => [
+    [ENCODING_UTF_8],
+    iso88591Bytes(frame.mimeType), [0x00],
+    utf8Bytes(frame.filename), [0x00],
+    utf8Bytes(frame.description), [0x00],
+    frame.data || new Uint8Array(0),
+  ],
+  APIC: (frame) => [
+    [ENCODING_UTF_8],
+    iso88591Bytes(frame.mimeType), [0x00],
+    // 'Other' by default
+    [frame.pictureType || 0x00],
+    utf8Bytes(frame.description), [0x00],
+    frame.data || new Uint8Array(0),
+  ],
+}
+
+/**
+ * Write an ID3 frame from its fields, named like the fields that the
+ * MetadataStream parses:
+ * - TXXX: `description` and `value`
+ * - WXXX: `description` and `url`
+ * - TIT2: `value`
+ * - PRIV: `owner` and `privateData`
+ * - GEOB: `mimeType`, `filename`, `description` and `data`
+ * - APIC: `mimeType`, `pictureType`, `description` and `data`
+ * Text is written in UTF-8.
+ *
+ * @param {Object} frame - the frame, with its `id` and its fields
+ * @return {Uint8Array} the bytes of the frame, from its header
+ */
+const id3Frame = function(frame) {
+  const writer = FRAME_WRITERS[frame.id]
+
+  if (!writer) {
+    throw new Error(`Cannot write ID3 frames of type ${frame.id}`)
+  }
+
+  const body = concatBytes(writer(frame))
+
+  return concatBytes([
+    iso88591Bytes(frame.id),
+    syncSafeBytes(body.length),
+    // no frame status or format flags
+    [0x00, 0x00],
+    body,
+  ])
+}
+
+/**
+ * Write an ID3v2.4 tag.
+ *
+ * @param {Object[]} frames - the frames of the tag, see id3Frame
+ * @return {Uint8Array} the bytes of the tag, from its header
+ */
+const id3Tag = function(frames) {
+  const body = concatBytes(frames.map(id3Frame))
+
+  return concatBytes([
+    // 'ID3', version 2.4.0 and no flags
+    [0x49, 0x44, 0x33, 0x04, 0x00, 0x00],
+    syncSafeBytes(body.length),
+    body,
+  ])
+}
+
+/**
+ * The PRIV frame that gives the time of the first ADTS frame that follows
+ * its tag in raw AAC, as read by the MetadataStream.
+ *
+ * @param {Number} pts - a timestamp of the 90kHz clock
+ * @return {Object} the frame, to pass to id3Tag
+ * @see HTTP Live Streaming, Packed Audio
+ */
+const timestampFrame = function(pts) {
+  const timestamp = ((Math.round(pts) % MAX_TS) + MAX_TS) % MAX_TS
+  const privateData = new Uint8Array(8)
+
+  privateData[3] = timestamp >= Math.pow(2, 32) ? 0x01 : 0x00
+  new DataView(privateData.buffer).setUint32(4, timestamp % Math.pow(2, 32))
+  return { id: 'PRIV', owner: TIMESTAMP_OWNER, privateData }
+}
+
+/**
+ * Write an ID3 tag to insert into raw AAC, before an ADTS frame. When a pts
+ * is given, the tag starts with the timestamp PRIV frame that packed audio
+ * segments must start with, and the AacStream emits it as timed metadata.
+ *
+ * @param {Object[]} frames - the frames of the tag, see id3Frame
+ * @param {Number} [pts] - the time of the ADTS frame after the tag
+ * @return {Uint8Array} the bytes of the tag
+ */
+const aacId3Tag = function(frames, pts) {
+  return id3Tag(pts === undefined ? frames : [timestampFrame(pts)].concat(frames))
+}
+
+module.exports = {
+  id3Frame,
+  id3Tag,
+  timestampFrame,
+  aacId3Tag,
+}
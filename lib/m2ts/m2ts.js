@@ -13,6 +13,7 @@ var Stream = require('../utils/stream.js'),
   CaptionStream = require('./caption-stream'),
   StreamTypes = require('./stream-types'),
   TimestampRolloverStream = require('./timestamp-rollover-stream').TimestampRolloverStream
+const { parseSpliceInfoSection } = require('./scte35')
 
 // object types
 var TransportPacketStream, TransportParseStream, ElementaryStream
@@ -20,19 +21,255 @@ var TransportPacketStream, TransportParseStream, ElementaryStream
 // constants
 var
   MP2T_PACKET_LENGTH = 188, // bytes
-  SYNC_BYTE = 0x47
+  SYNC_BYTE = 0x47,
+  NULL_PACKET_PID = 0x1fff,
+  // track codecs for each supported audio stream type
+  AUDIO_CODECS = {
+    [StreamTypes.ADTS_STREAM_TYPE]: 'adts',
+    [StreamTypes.SAMPLE_AES_ADTS_STREAM_TYPE]: 'adts',
+    [StreamTypes.MPEG1_AUDIO_STREAM_TYPE]: 'mp3',
+    [StreamTypes.MPEG2_AUDIO_STREAM_TYPE]: 'mp3',
+    [StreamTypes.AC3_STREAM_TYPE]: 'ac-3',
+    [StreamTypes.EAC3_STREAM_TYPE]: 'ec-3',
+    [StreamTypes.PRIVATE_PES_STREAM_TYPE]: 'opus',
+  },
+  // descriptor tags, see ISO/IEC 13818-1, 2.6.1 and ETSI EN 300 468, 6.1
+  REGISTRATION_DESCRIPTOR_TAG = 0x05,
+  ISO_639_LANGUAGE_DESCRIPTOR_TAG = 0x0a,
+  TELETEXT_DESCRIPTOR_TAG = 0x56,
+  SUBTITLING_DESCRIPTOR_TAG = 0x59,
+  EXTENSION_DESCRIPTOR_TAG = 0x7f,
+  OPUS_EXTENSION_DESCRIPTOR_TAG = 0x80,
+  // the format_identifier of Opus registration descriptors, 'Opus'
+  OPUS_FORMAT_IDENTIFIER = 0x4f707573
+
+/**
+ * Split a descriptor loop of a PSI table into its descriptors.
+ * @param data {Uint8Array} the bytes of the descriptor loop
+ * @return {Array} the tag and payload of each descriptor
+ */
+const parseDescriptors = function(data) {
+  const descriptors = []
+  let offset = 0
+
+  while (offset + 2 <= data.byteLength) {
+    const length = data[offset + 1]
+
+    descriptors.push({
+      tag: data[offset],
+      data: data.subarray(offset + 2, offset + 2 + length),
+    })
+    offset += length + 2
+  }
+  return descriptors
+}
+
+/**
+ * Check the descriptors of a private data stream for an Opus registration
+ * descriptor.
+ * @param descriptors {Array} the parsed ES_info descriptors of the stream
+ * @return {boolean} whether the stream carries Opus audio
+ * @see https://opus-codec.org/docs/ETSI_TS_opus-v0.1.3-draft.pdf, 6.1
+ */
+const isOpusStream = function(descriptors) {
+  return descriptors.some((descriptor) => {
+    const data = descriptor.data
+
+    return descriptor.tag === REGISTRATION_DESCRIPTOR_TAG &&
+      data.byteLength >= 4 &&
+      ((data[0] << 24 | data[1] << 16 | data[2] << 8 | data[3]) >>> 0) ===
+        OPUS_FORMAT_IDENTIFIER
+  })
+}
+
+/**
+ * Find the channel_config_code of the Opus extension descriptor.
+ * @param descriptors {Array} the parsed ES_info descriptors of the stream
+ * @return {number|undefined} the channel_config_code, if signalled
+ */
+const opusChannelConfigCode = function(descriptors) {
+  const extension = descriptors.find((descriptor) => {
+    return descriptor.tag === EXTENSION_DESCRIPTOR_TAG &&
+      descriptor.data[0] === OPUS_EXTENSION_DESCRIPTOR_TAG
+  })
+
+  return extension && extension.data.byteLength > 1 ? extension.data[1] : undefined
+}
+
+/**
+ * Read the language of an elementary stream.
+ * @param descriptors {Array} the parsed ES_info descriptors of the stream
+ * @return {string|undefined} the first ISO 639-2 language code of the
+ *         ISO_639_language_descriptor, if any
+ * @see ISO/IEC 13818-1, 2.6.18
+ */
+const streamLanguage = function(descriptors) {
+  const descriptor = descriptors.find((d) => {
+    return d.tag === ISO_639_LANGUAGE_DESCRIPTOR_TAG && d.data.byteLength >= 3
+  })
+
+  return descriptor && String.fromCharCode.apply(null, descriptor.data.subarray(0, 3))
+}
+
+const samePayload = function(a, b) {
+  return a.byteLength === b.byteLength && a.every((byte, i) => byte === b[i])
+}
+
+/**
+ * Describe the DVB subtitles or teletext carried by a private data stream.
+ * @param descriptors {Array} the parsed ES_info descriptors of the stream
+ * @return {object|undefined} the type of the stream, 'dvb-subtitles' or
+ *         'teletext', with the subtitles or teletext pages it lists
+ * @see ETSI EN 300 468, 6.2.41 and 6.2.43
+ */
+const subtitleStream = function(descriptors) {
+  const language = (data, offset) => {
+    return String.fromCharCode.apply(null, data.subarray(offset, offset + 3))
+  }
+
+  for (let i = 0; i < descriptors.length; i++) {
+    const data = descriptors[i].data
+
+    if (descriptors[i].tag === SUBTITLING_DESCRIPTOR_TAG) {
+      const subtitles = []
+
+      for (let offset = 0; offset + 8 <= data.byteLength; offset += 8) {
+        subtitles.push({
+          language: language(data, offset),
+          subtitlingType: data[offset + 3],
+          compositionPageId: data[offset + 4] << 8 | data[offset + 5],
+          ancillaryPageId: data[offset + 6] << 8 | data[offset + 7],
+        })
+      }
+      return { type: 'dvb-subtitles', subtitles }
+    }
+    if (descriptors[i].tag === TELETEXT_DESCRIPTOR_TAG) {
+      const pages = []
+
+      for (let offset = 0; offset + 5 <= data.byteLength; offset += 5) {
+        // magazine 0 is magazine 8, and the page number is binary coded decimal
+        pages.push({
+          language: language(data, offset),
+          teletextType: data[offset + 3] >>> 3,
+          page: ((data[offset + 3] & 0x07) || 8) * 100 +
+            (data[offset + 4] >>> 4) * 10 + (data[offset + 4] & 0x0f),
+        })
+      }
+      return { type: 'teletext', pages }
+    }
+  }
+}
+
+const concatBytes = function(a, b) {
+  const result = new Uint8Array(a.byteLength + b.byteLength)
+
+  result.set(a)
+  result.set(b, a.byteLength)
+  return result
+}
 
 /**
  * Splits an incoming stream of binary data into MPEG-2 Transport
- * Stream packets.
+ * Stream packets. Packets are checked as they are split and a `warning` event
+ * describes every packet that was flagged with a transport error, or whose
+ * continuity_counter shows that packets of its PID were lost or repeated:
+ *
+ * - `type`: 'transport-error', 'continuity-error' or 'duplicate-packet'
+ * - `pid`: the PID of the packet
+ * - `packetIndex`: the index of the packet since the last flush
+ * - `continuityCounter` and `expected`: the continuity_counter of the packet
+ *   and the one that was expected, for continuity errors and duplicates
+ * - `message`: a description of the problem
+ *
+ * Duplicate packets, which repeat the continuity_counter and the payload of
+ * the packet before them, are discarded as decoders do. The other packets
+ * are still emitted: the warnings tell which data may be corrupt.
  */
 TransportPacketStream = function() {
   var
     buffer = new Uint8Array(MP2T_PACKET_LENGTH),
-    bytesInBuffer = 0
+    bytesInBuffer = 0,
+    // the last continuity_counter of every PID, see ISO/IEC 13818-1, 2.4.3.3
+    continuityCounters = {},
+    packetIndex = 0
 
   TransportPacketStream.prototype.init.call(this)
 
+  const warn = (type, pid, message, details) => {
+    this.trigger('warning', Object.assign({ type, pid, packetIndex, message }, details))
+  }
+
+  /**
+   * Check the transport_error_indicator and the continuity_counter of a
+   * packet before it is emitted
+   * @param packet {Uint8Array} a transport packet
+   * @return {boolean} false for a duplicate packet, which must be discarded
+   */
+  const validate = (packet) => {
+    const pid = (packet[1] & 0x1f) << 8 | packet[2]
+    const adaptationFieldControl = (packet[3] & 0x30) >>> 4
+    const continuityCounter = packet[3] & 0x0f
+    const last = continuityCounters[pid]
+    // a duplicate repeats every byte of the packet, but its PCR may differ
+    const payload = packet.subarray(adaptationFieldControl & 0x02 ? 5 + packet[4] : 4)
+
+    if (packet[1] & 0x80) {
+      warn('transport-error', pid,
+        `Packet ${packetIndex} of PID ${pid} has a transport error`)
+    }
+
+    // the counter of null packets is undefined, and it does not change in
+    // packets without a payload
+    if (pid === NULL_PACKET_PID || !(adaptationFieldControl & 0x01)) {
+      return true
+    }
+
+    // the discontinuity_indicator allows the counter to jump
+    if ((adaptationFieldControl & 0x02) && packet[4] && (packet[5] & 0x80)) {
+      continuityCounters[pid] = {
+        continuityCounter,
+        payload: payload.slice(),
+        duplicate: false,
+      }
+      return true
+    }
+
+    if (last) {
+      const expected = (last.continuityCounter + 1) & 0x0f
+
+      // a packet can be sent twice in a row, but not more, and decoders
+      // discard the second one, see ISO/IEC 13818-1, 2.4.3.3
+      if (continuityCounter === last.continuityCounter && !last.duplicate &&
+          samePayload(payload, last.payload)) {
+        warn('duplicate-packet', pid,
+          `Packet ${packetIndex} of PID ${pid} is a duplicate`,
+          { continuityCounter, expected })
+        last.duplicate = true
+        return false
+      }
+      if (continuityCounter !== expected) {
+        warn('continuity-error', pid,
+          `Packet ${packetIndex} of PID ${pid} has continuity counter ` +
+          `${continuityCounter} instead of ${expected}`, { continuityCounter, expected })
+      }
+    }
+    continuityCounters[pid] = {
+      continuityCounter,
+      payload: payload.slice(),
+      duplicate: false,
+    }
+    return true
+  }
+
+  const emit = (packet) => {
+    const valid = validate(packet)
+
+    packetIndex++
+    if (valid) {
+      this.trigger('data', packet)
+    }
+  }
+
    // Deliver new bytes to the stream.
 
   /**
@@ -61,7 +298,7 @@ TransportPacketStream = function() {
       if (everything[startIndex] === SYNC_BYTE && everything[endIndex] === SYNC_BYTE) {
         // We found a packet so emit it and jump one whole packet forward in
         // the stream
-        this.trigger('data', everything.subarray(startIndex, endIndex))
+        emit(everything.subarray(startIndex, endIndex))
         startIndex += MP2T_PACKET_LENGTH
         endIndex += MP2T_PACKET_LENGTH
         continue
@@ -85,24 +322,29 @@ TransportPacketStream = function() {
   /**
    * Passes identified M2TS packets to the TransportParseStream to be parsed
   **/
-  this.flush = function() {
+  this.flush = function(flushSource) {
     // If the buffer contains a whole packet when we are being flushed, emit it
     // and empty the buffer. Otherwise hold onto the data because it may be
     // important for decoding the next segment
     if (bytesInBuffer === MP2T_PACKET_LENGTH && buffer[0] === SYNC_BYTE) {
-      this.trigger('data', buffer)
+      emit(buffer)
       bytesInBuffer = 0
     }
-    this.trigger('done')
+    packetIndex = 0
+    this.trigger('done', flushSource)
   }
 
   this.endTimeline = function() {
-    this.flush()
+    this.flush('endTimeline')
+    // the counters of the next timeline start over
+    continuityCounters = {}
     this.trigger('endedtimeline')
   }
 
   this.reset = function() {
     bytesInBuffer = 0
+    packetIndex = 0
+    continuityCounters = {}
     this.trigger('reset')
   }
 }
@@ -110,16 +352,55 @@ TransportPacketStream.prototype = new Stream()
 
 /**
  * Accepts an MP2T TransportPacketStream and emits data events with parsed
- * forms of the individual transport stream packets.
+ * forms of the individual transport stream packets. Only the elementary
+ * streams of one program are parsed, but a `programs` event lists every
+ * program of the PAT whenever the list or the streams of a program change:
+ * the `programNumber`, `pmtPid` and `streams` (`{pid, streamType}`, once its
+ * PMT was parsed) of each program, and whether it is `selected`.
+ * @param options {object} parse options
+ * @param options.programNumber {number} the program_number of the program
+ *        to parse, the first program of the PAT by default. A
+ *        `program-not-found` warning is triggered when the PAT does not
+ *        list it, and nothing is parsed until it does.
+ * @param options.audioPid {number} the PID of the audio stream to parse
+ * @param options.audioLanguage {string} the ISO 639-2 language of the audio
+ *        stream to parse, when no audioPid is set. The first audio stream of
+ *        the PMT is parsed when neither selects a stream.
  */
-TransportParseStream = function() {
-  let parsePsi, parsePat, parsePmt, self
+TransportParseStream = function(options) {
+  let parsePsi, parsePat, parsePmt, triggerPrograms, self
 
   TransportParseStream.prototype.init.call(this)
   self = this
 
   this.packetsWaitingForPmt = []
   this.programMapTable = undefined
+  this.programNumber = options && options.programNumber
+  this.audioPid = options && options.audioPid
+  this.audioLanguage = options && options.audioLanguage
+  this.programs = []
+
+  // the programs event is only triggered when its description changes, as
+  // the tables are repeated throughout the stream
+  let lastPrograms
+  // and the missing program is only reported once
+  let missingProgram = false
+
+  triggerPrograms = function() {
+    const programs = self.programs.map((program) => ({
+      programNumber: program.programNumber,
+      pmtPid: program.pmtPid,
+      streams: program.streams,
+      selected: program.pmtPid === self.pmtPid &&
+        program.programNumber === self.selectedProgramNumber,
+    }))
+    const description = JSON.stringify(programs)
+
+    if (description !== lastPrograms) {
+      lastPrograms = description
+      self.trigger('programs', programs)
+    }
+  }
 
   parsePsi = function(payload, psi) {
     var offset = 0
@@ -135,19 +416,57 @@ TransportParseStream = function() {
     }
 
     if (psi.type === 'pat') {
-      parsePat(payload.subarray(offset), psi)
-    } else {
-      parsePmt(payload.subarray(offset), psi)
+      return parsePat(payload.subarray(offset), psi)
     }
+    return parsePmt(payload.subarray(offset), psi)
   }
 
   parsePat = function(payload, pat) {
+    const sectionLength = (payload[1] & 0x0f) << 8 | payload[2]
+    // always read the first program, even when the section_length is wrong
+    const tableEnd = Math.min(Math.max(3 + sectionLength - 4, 12), payload.byteLength)
+    const programs = []
+
     pat.section_number = payload[7] // eslint-disable-line camelcase
     pat.last_section_number = payload[8] // eslint-disable-line camelcase
 
-    // skip the PSI header and parse the first PMT entry
-    self.pmtPid = (payload[10] & 0x1F) << 8 | payload[11]
+    // skip the PSI header and list the programs, program_number 0 is the
+    // network PID
+    for (let offset = 8; offset + 4 <= tableEnd; offset += 4) {
+      const programNumber = payload[offset] << 8 | payload[offset + 1]
+      const pmtPid = (payload[offset + 2] & 0x1F) << 8 | payload[offset + 3]
+
+      if (programNumber !== 0) {
+        const known = self.programs.find((program) => {
+          return program.programNumber === programNumber && program.pmtPid === pmtPid
+        })
+
+        programs.push(known || { programNumber, pmtPid, streams: undefined })
+      }
+    }
+    self.programs = programs
+
+    const selected = self.programNumber === undefined ?
+      programs[0] :
+      programs.find((program) => program.programNumber === self.programNumber)
+
+    if (selected) {
+      self.pmtPid = selected.pmtPid
+      self.selectedProgramNumber = selected.programNumber
+      missingProgram = false
+    } else if (programs.length && !missingProgram) {
+      missingProgram = true
+      self.trigger('warning', {
+        type: 'program-not-found',
+        pid: pat.pid,
+        programNumber: self.programNumber,
+        message: `The PAT does not list program ${self.programNumber}, its programs ` +
+          `are ${programs.map((program) => program.programNumber).join(', ')}`,
+      })
+    }
     pat.pmtPid = self.pmtPid
+    pat.programs = programs.map((program) => program.programNumber)
+    triggerPrograms()
   }
 
   /**
@@ -160,6 +479,25 @@ TransportParseStream = function() {
    */
   parsePmt = function(payload, pmt) {
     var sectionLength, tableEnd, programInfoLength, offset
+    const programNumber = payload[3] << 8 | payload[4]
+    const program = self.programs.find((p) => {
+      return p.programNumber === programNumber && p.pmtPid === pmt.pid
+    })
+    // a PMT on the PMT PID is used as is until a PAT lists the programs
+    const isSelected = pmt.pid === self.pmtPid &&
+      (self.selectedProgramNumber === undefined ||
+        programNumber === self.selectedProgramNumber)
+    const programMapTable = {
+      video: null,
+      videoStreamType: null,
+      audio: null,
+      audioStreamType: null,
+      audioTracks: [],
+      subtitles: {},
+      'timed-metadata': {},
+      scte35: {},
+    }
+    const streams = []
 
     // PMTs can be sent ahead of the time when they should actually
     // take effect. We don't believe this should ever be the case
@@ -170,13 +508,6 @@ TransportParseStream = function() {
       return
     }
 
-    // overwrite any existing program map table
-    self.programMapTable = {
-      video: null,
-      audio: null,
-      'timed-metadata': {},
-    }
-
     // the mapping table ends at the end of the current section
     sectionLength = (payload[1] & 0x0f) << 8 | payload[2]
     tableEnd = 3 + sectionLength - 4
@@ -190,28 +521,81 @@ TransportParseStream = function() {
     while (offset < tableEnd) {
       const streamType = payload[offset]
       const pid = (payload[offset + 1] & 0x1F) << 8 | payload[offset + 2]
+      const esInfoLength = (payload[offset + 3] & 0x0F) << 8 | payload[offset + 4]
+      const descriptors =
+        parseDescriptors(payload.subarray(offset + 5, offset + 5 + esInfoLength))
+      // private data streams only carry audio when registered as Opus
+      const isAudio = AUDIO_CODECS.hasOwnProperty(streamType) &&
+        (streamType !== StreamTypes.PRIVATE_PES_STREAM_TYPE || isOpusStream(descriptors))
+
+      streams.push({ pid, streamType })
 
       // only map a single elementary_pid for audio and video stream types
       // TODO: should this be done for metadata too? for now maintain behavior of
       //       multiple metadata streams
-      if (streamType === StreamTypes.H264_STREAM_TYPE &&
-          self.programMapTable.video === null) {
-        self.programMapTable.video = pid
-      } else if (streamType === StreamTypes.ADTS_STREAM_TYPE &&
-                 self.programMapTable.audio === null) {
-        self.programMapTable.audio = pid
+      if ((streamType === StreamTypes.H264_STREAM_TYPE ||
+           streamType === StreamTypes.SAMPLE_AES_H264_STREAM_TYPE ||
+           streamType === StreamTypes.H265_STREAM_TYPE) &&
+          programMapTable.video === null) {
+        programMapTable.video = pid
+        programMapTable.videoStreamType = streamType
+      } else if (isAudio) {
+        // list every audio stream, one of them is selected below
+        const audioTrack = { pid, streamType, language: streamLanguage(descriptors) }
+
+        if (streamType === StreamTypes.PRIVATE_PES_STREAM_TYPE) {
+          audioTrack.channelConfigCode = opusChannelConfigCode(descriptors)
+        }
+        programMapTable.audioTracks.push(audioTrack)
+      } else if (streamType === StreamTypes.PRIVATE_PES_STREAM_TYPE &&
+                 subtitleStream(descriptors)) {
+        // map pid to the DVB subtitles or teletext of the stream
+        programMapTable.subtitles[pid] = subtitleStream(descriptors)
       } else if (streamType === StreamTypes.METADATA_STREAM_TYPE) {
         // map pid to stream type for metadata streams
-        self.programMapTable['timed-metadata'][pid] = streamType
+        programMapTable['timed-metadata'][pid] = streamType
+      } else if (streamType === StreamTypes.SCTE35_STREAM_TYPE) {
+        // map pid to stream type for the splice information of SCTE-35
+        programMapTable.scte35[pid] = streamType
       }
 
       // move to the next table entry
       // skip past the elementary stream descriptors, if present
-      offset += ((payload[offset + 3] & 0x0F) << 8 | payload[offset + 4]) + 5
+      offset += esInfoLength + 5
     }
 
-    // record the map on the packet as well
-    pmt.programMapTable = self.programMapTable
+    const audioTracks = programMapTable.audioTracks
+    const language = self.audioLanguage && self.audioLanguage.toLowerCase()
+    const audioTrack =
+      audioTracks.find((track) => track.pid === self.audioPid) ||
+      (self.audioPid === undefined && audioTracks.find((track) => {
+        return language && track.language && track.language.toLowerCase() === language
+      })) ||
+      audioTracks[0]
+
+    if (audioTrack) {
+      programMapTable.audio = audioTrack.pid
+      programMapTable.audioStreamType = audioTrack.streamType
+      if (audioTrack.channelConfigCode !== undefined) {
+        programMapTable.channelConfigCode = audioTrack.channelConfigCode
+      }
+      if (audioTrack.language !== undefined) {
+        programMapTable.audioLanguage = audioTrack.language
+      }
+    }
+
+    if (program) {
+      program.streams = streams
+      triggerPrograms()
+    }
+    if (!isSelected) {
+      return false
+    }
+
+    // overwrite any existing program map table, and record it on the packet
+    // as well
+    self.programMapTable = programMapTable
+    pmt.programMapTable = programMapTable
   }
 
   /**
@@ -243,9 +627,13 @@ TransportParseStream = function() {
       result.type = 'pat'
       parsePsi(packet.subarray(offset), result)
       this.trigger('data', result)
-    } else if (result.pid === this.pmtPid) {
+    } else if (result.pid === this.pmtPid ||
+               this.programs.some((program) => program.pmtPid === result.pid)) {
       result.type = 'pmt'
-      parsePsi(packet.subarray(offset), result)
+      // the PMTs of the other programs only describe them in the programs event
+      if (parsePsi(packet.subarray(offset), result) === false) {
+        return
+      }
       this.trigger('data', result)
 
       // if there are any packets waiting for a PMT to be found, process them now
@@ -264,9 +652,17 @@ TransportParseStream = function() {
   this.processPes_ = function(packet, offset, result) {
     // set the appropriate stream type
     if (result.pid === this.programMapTable.video) {
-      result.streamType = StreamTypes.H264_STREAM_TYPE
+      result.streamType =
+        this.programMapTable.videoStreamType || StreamTypes.H264_STREAM_TYPE
     } else if (result.pid === this.programMapTable.audio) {
-      result.streamType = StreamTypes.ADTS_STREAM_TYPE
+      result.streamType =
+        this.programMapTable.audioStreamType || StreamTypes.ADTS_STREAM_TYPE
+    } else if (this.programMapTable.subtitles &&
+               this.programMapTable.subtitles[result.pid]) {
+      result.streamType = StreamTypes.PRIVATE_PES_STREAM_TYPE
+      result.subtitleType = this.programMapTable.subtitles[result.pid].type
+    } else if (this.programMapTable.scte35 && this.programMapTable.scte35[result.pid]) {
+      result.streamType = StreamTypes.SCTE35_STREAM_TYPE
     } else {
       // if not video or audio, it is timed-metadata or unknown
       // if unknown, streamType will be undefined
@@ -281,7 +677,15 @@ TransportParseStream = function() {
 TransportParseStream.prototype = new Stream()
 TransportParseStream.STREAM_TYPES = {
   h264: 0x1b,
+  h265: 0x24,
   adts: 0x0f,
+  mpeg1Audio: 0x03,
+  mpeg2Audio: 0x04,
+  ac3: 0x81,
+  eac3: 0x87,
+  opus: 0x06,
+  sampleAesH264: 0xdb,
+  sampleAesAdts: 0xcf,
 }
 
 /**
@@ -308,6 +712,10 @@ ElementaryStream = function() {
       data: [],
       size: 0,
     },
+    // the DVB subtitle and teletext fragments of every PID
+    subtitles = {},
+    // the start of the SCTE-35 section being received on every PID
+    sections = {},
     programMapTable,
     parsePes = function(payload, pes) {
       const startPrefix = payload[0] << 16 | payload[1] << 8 | payload[2]
@@ -385,6 +793,7 @@ ElementaryStream = function() {
         return
       }
       event.trackId = stream.data[0].pid
+      event.streamType = stream.data[0].streamType
 
       // reassemble the packet
       for (i = 0; i < stream.data.length; i++) {
@@ -414,6 +823,65 @@ ElementaryStream = function() {
       }
     }
 
+  /**
+   * Pass on the SCTE-35 messages of the complete sections at the start of
+   * the bytes of a PID.
+   * @return {Uint8Array|undefined} the start of the next section
+   **/
+  const flushSections = function(pid, bytes) {
+    while (bytes.byteLength >= 3 && bytes[0] !== 0xff) {
+      const sectionEnd = 3 + ((bytes[1] & 0x0f) << 8 | bytes[2])
+
+      if (bytes.byteLength < sectionEnd) {
+        return bytes
+      }
+
+      const section = bytes.slice(0, sectionEnd)
+      const message = parseSpliceInfoSection(section)
+
+      if (message) {
+        self.trigger('data',
+          Object.assign({ type: 'scte35', trackId: pid, data: section }, message))
+      } else {
+        self.trigger('warning', {
+          type: 'scte35-error',
+          pid,
+          message: `An SCTE-35 section of PID ${pid} has an invalid CRC_32 or syntax`,
+        })
+      }
+      bytes = bytes.subarray(sectionEnd)
+    }
+    // the rest of the packet is stuffing
+    if (bytes.byteLength && bytes[0] !== 0xff) {
+      return bytes
+    }
+  }
+
+  /**
+   * Reassemble the SCTE-35 sections of a PID, which are not carried in PES
+   * packets but split into transport packets like the PAT and PMT.
+   **/
+  const pushSections = function(data) {
+    const payload = data.data
+    let bytes = sections[data.pid]
+
+    if (data.payloadUnitStartIndicator) {
+      // the pointer_field is the length of the end of the previous section
+      const sectionStart = 1 + payload[0]
+
+      if (bytes) {
+        flushSections(data.pid, concatBytes(bytes, payload.subarray(1, sectionStart)))
+      }
+      bytes = payload.slice(sectionStart)
+    } else if (bytes) {
+      bytes = concatBytes(bytes, payload)
+    } else {
+      // wait for the start of a section
+      return
+    }
+    sections[data.pid] = flushSections(data.pid, bytes)
+  }
+
   ElementaryStream.prototype.init.call(this)
 
   /**
@@ -429,24 +897,45 @@ ElementaryStream = function() {
       pes: function() {
         var stream, streamType
 
-        switch (data.streamType) {
-        case StreamTypes.H264_STREAM_TYPE:
-          stream = video
-          streamType = 'video'
-          break
-        case StreamTypes.ADTS_STREAM_TYPE:
-          stream = audio
-          streamType = 'audio'
-          break
-        case StreamTypes.METADATA_STREAM_TYPE:
-          stream = timedMetadata
-          streamType = 'timed-metadata'
-          break
-        default:
-          // ignore unknown stream types
+        if (data.streamType === StreamTypes.SCTE35_STREAM_TYPE) {
+          pushSections(data)
           return
         }
 
+        // DVB subtitles and teletext are private data, like Opus audio
+        if (data.subtitleType) {
+          subtitles[data.pid] =
+            subtitles[data.pid] || { type: data.subtitleType, data: [], size: 0 }
+          stream = subtitles[data.pid]
+          streamType = stream.type
+        } else {
+          switch (data.streamType) {
+          case StreamTypes.H264_STREAM_TYPE:
+          case StreamTypes.SAMPLE_AES_H264_STREAM_TYPE:
+          case StreamTypes.H265_STREAM_TYPE:
+            stream = video
+            streamType = 'video'
+            break
+          case StreamTypes.ADTS_STREAM_TYPE:
+          case StreamTypes.SAMPLE_AES_ADTS_STREAM_TYPE:
+          case StreamTypes.MPEG1_AUDIO_STREAM_TYPE:
+          case StreamTypes.MPEG2_AUDIO_STREAM_TYPE:
+          case StreamTypes.AC3_STREAM_TYPE:
+          case StreamTypes.EAC3_STREAM_TYPE:
+          case StreamTypes.PRIVATE_PES_STREAM_TYPE:
+            stream = audio
+            streamType = 'audio'
+            break
+          case StreamTypes.METADATA_STREAM_TYPE:
+            stream = timedMetadata
+            streamType = 'timed-metadata'
+            break
+          default:
+            // ignore unknown stream types
+            return
+          }
+        }
+
         // if a new packet is starting, we can flush the completed
         // packet
         if (data.payloadUnitStartIndicator) {
@@ -474,21 +963,45 @@ ElementaryStream = function() {
               baseMediaDecodeTime: 0,
             },
             id: +programMapTable.video,
-            codec: 'avc',
+            codec: programMapTable.videoStreamType === StreamTypes.H265_STREAM_TYPE ?
+              'hevc' :
+              'avc',
             type: 'video',
           })
         }
         if (programMapTable.audio !== null) {
-          event.tracks.push({
+          const audioTrack = {
             timelineStartInfo: {
               baseMediaDecodeTime: 0,
             },
             id: +programMapTable.audio,
-            codec: 'adts',
+            codec: AUDIO_CODECS[programMapTable.audioStreamType] || 'adts',
             type: 'audio',
-          })
+          }
+
+          // Opus channel layouts are only signalled in the PMT
+          if (programMapTable.channelConfigCode !== undefined) {
+            audioTrack.channelConfigCode = programMapTable.channelConfigCode
+          }
+          if (programMapTable.audioLanguage !== undefined) {
+            audioTrack.language = programMapTable.audioLanguage
+          }
+          event.tracks.push(audioTrack)
         }
 
+        // DVB subtitles and teletext are not tracks of the output
+        event.subtitleTracks = Object.keys(programMapTable.subtitles || {}).map((pid) => {
+          return Object.assign({ id: +pid }, programMapTable.subtitles[pid])
+        })
+
+        // describe every audio stream, only the selected one is a track
+        event.audioTracks = (programMapTable.audioTracks || []).map((track) => ({
+          id: track.pid,
+          codec: AUDIO_CODECS[track.streamType],
+          language: track.language,
+          selected: track.pid === programMapTable.audio,
+        }))
+
         self.trigger('data', event)
       },
     })[data.type]()
@@ -499,6 +1012,8 @@ ElementaryStream = function() {
     video.data.length = 0
     audio.size = 0
     audio.data.length = 0
+    subtitles = {}
+    sections = {}
     this.trigger('reset')
   }
 
@@ -517,9 +1032,17 @@ ElementaryStream = function() {
     flushStream(video, 'video')
     flushStream(audio, 'audio')
     flushStream(timedMetadata, 'timed-metadata')
+    Object.keys(subtitles).forEach((pid) => {
+      flushStream(subtitles[pid], subtitles[pid].type)
+    })
   }
 
-  this.flush = function() {
+  this.flush = function(flushSource) {
+    // packets are normally completed by the start of the next packet, which
+    // never comes at the end of a timeline
+    if (flushSource === 'endTimeline') {
+      this.flushStreams_()
+    }
     this.trigger('done')
   }
 }
@@ -537,6 +1060,11 @@ const m2ts = {
   Cea608Stream: CaptionStream.Cea608Stream,
   Cea708Stream: CaptionStream.Cea708Stream,
   MetadataStream: require('./metadata-stream'),
+  TeletextStream: require('./teletext-stream'),
+  SampleAesStream: require('./sample-aes-stream'),
+  TransportPacketWriter: require('./packet-writer'),
+  id3Writer: require('./id3-writer'),
+  Transmuxer: require('./transmuxer'),
 }
 
 for (let type in StreamTypes) {
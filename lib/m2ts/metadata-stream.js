@@ -86,6 +86,75 @@ var
       tag.data = tag.privateData;
     }
   },
+  /**
+   * Parse the frames of a complete ID3 tag.
+   * @param data {Uint8Array} the bytes of the tag, from its header
+   * @return {array|undefined} the frames, or undefined if a frame is malformed
+   */
+  parseId3Frames = function(data) {
+    var
+      frames = [],
+      tagSize = Math.min(parseSyncSafeInteger(data.subarray(6, 10)) + 10,
+                         data.byteLength),
+      frameStart, frameSize, frame, frameHeader;
+
+    // find the start of the first frame and the end of the tag
+    frameStart = 10;
+    if (data[5] & 0x40) {
+      // advance the frame start past the extended header
+      frameStart += 4; // header size field
+      frameStart += parseSyncSafeInteger(data.subarray(10, 14));
+
+      // clip any padding off the end
+      tagSize -= parseSyncSafeInteger(data.subarray(16, 20));
+    }
+
+    // parse one or more ID3 frames
+    // http://id3.org/id3v2.3.0#ID3v2_frame_overview
+    do {
+      // determine the number of bytes in this frame
+      frameSize = parseSyncSafeInteger(data.subarray(frameStart + 4, frameStart + 8));
+      if (frameSize < 1) {
+        return;
+      }
+      frameHeader = String.fromCharCode(data[frameStart],
+                                        data[frameStart + 1],
+                                        data[frameStart + 2],
+                                        data[frameStart + 3]);
+
+
+      frame = {
+        id: frameHeader,
+        data: data.subarray(frameStart + 10, frameStart + frameSize + 10)
+      };
+      frame.key = frame.id;
+      if (tagParsers[frame.id]) {
+        tagParsers[frame.id](frame);
+
+        // handle the special PRIV frame used to indicate the start
+        // time for raw AAC data
+        if (frame.owner === 'com.apple.streaming.transportStreamTimestamp') {
+          var
+            d = frame.data,
+            size = ((d[3] & 0x01)  << 30) |
+                   (d[4]  << 22) |
+                   (d[5] << 14) |
+                   (d[6] << 6) |
+                   (d[7] >>> 2);
+
+          size *= 4;
+          size += d[7] & 0x03;
+          frame.timeStamp = size;
+        }
+      }
+      frames.push(frame);
+
+      frameStart += 10; // advance past the frame header
+      frameStart += frameSize; // advance past the frame body
+    } while (frameStart < tagSize);
+
+    return frames;
+  },
   MetadataStream;
 
 MetadataStream = function(options) {
@@ -118,7 +187,7 @@ MetadataStream = function(options) {
   }
 
   this.push = function(chunk) {
-    var tag, frameStart, frameSize, frame, i, frameHeader;
+    var tag, i;
     if (chunk.type !== 'timed-metadata') {
       return;
     }
@@ -181,73 +250,31 @@ MetadataStream = function(options) {
       buffer.shift();
     }
 
-    // find the start of the first frame and the end of the tag
-    frameStart = 10;
-    if (tag.data[5] & 0x40) {
-      // advance the frame start past the extended header
-      frameStart += 4; // header size field
-      frameStart += parseSyncSafeInteger(tag.data.subarray(10, 14));
-
-      // clip any padding off the end
-      tagSize -= parseSyncSafeInteger(tag.data.subarray(16, 20));
+    tag.frames = parseId3Frames(tag.data);
+    if (!tag.frames) {
+      // eslint-disable-next-line no-console
+      return console.log('Malformed ID3 frame encountered. Skipping metadata parsing.');
     }
 
-    // parse one or more ID3 frames
-    // http://id3.org/id3v2.3.0#ID3v2_frame_overview
-    do {
-      // determine the number of bytes in this frame
-      frameSize = parseSyncSafeInteger(tag.data.subarray(frameStart + 4, frameStart + 8));
-      if (frameSize < 1) {
-         // eslint-disable-next-line no-console
-        return console.log('Malformed ID3 frame encountered. Skipping metadata parsing.');
-      }
-      frameHeader = String.fromCharCode(tag.data[frameStart],
-                                        tag.data[frameStart + 1],
-                                        tag.data[frameStart + 2],
-                                        tag.data[frameStart + 3]);
-
-
-      frame = {
-        id: frameHeader,
-        data: tag.data.subarray(frameStart + 10, frameStart + frameSize + 10)
-      };
-      frame.key = frame.id;
-      if (tagParsers[frame.id]) {
-        tagParsers[frame.id](frame);
-
-        // handle the special PRIV frame used to indicate the start
-        // time for raw AAC data
-        if (frame.owner === 'com.apple.streaming.transportStreamTimestamp') {
-          var
-            d = frame.data,
-            size = ((d[3] & 0x01)  << 30) |
-                   (d[4]  << 22) |
-                   (d[5] << 14) |
-                   (d[6] << 6) |
-                   (d[7] >>> 2);
-
-          size *= 4;
-          size += d[7] & 0x03;
-          frame.timeStamp = size;
-          // in raw AAC, all subsequent data will be timestamped based
-          // on the value of this frame
-          // we couldn't have known the appropriate pts and dts before
-          // parsing this ID3 tag so set those values now
-          if (tag.pts === undefined && tag.dts === undefined) {
-            tag.pts = frame.timeStamp;
-            tag.dts = frame.timeStamp;
-          }
-          this.trigger('timestamp', frame);
+    for (i = 0; i < tag.frames.length; i++) {
+      // handle the special PRIV frame used to indicate the start
+      // time for raw AAC data
+      if (tag.frames[i].timeStamp !== undefined) {
+        // in raw AAC, all subsequent data will be timestamped based
+        // on the value of this frame
+        // we couldn't have known the appropriate pts and dts before
+        // parsing this ID3 tag so set those values now
+        if (tag.pts === undefined && tag.dts === undefined) {
+          tag.pts = tag.frames[i].timeStamp;
+          tag.dts = tag.frames[i].timeStamp;
         }
+        this.trigger('timestamp', tag.frames[i]);
       }
-      tag.frames.push(frame);
-
-      frameStart += 10; // advance past the frame header
-      frameStart += frameSize; // advance past the frame body
-    } while (frameStart < tagSize);
+    }
     this.trigger('data', tag);
   };
 };
 MetadataStream.prototype = new Stream();
+MetadataStream.parseId3Frames = parseId3Frames;
 
 module.exports = MetadataStream;
@@ -0,0 +1,458 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Writes the events of an ElementaryStream, or of an MP4 DemuxStream, as
+ * MPEG-2 transport stream packets.
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const StreamTypes = require('./stream-types.js')
+const crc32 = require('../utils/crc32.js')
+
+const MP2T_PACKET_LENGTH = 188
+const MP2T_PAYLOAD_LENGTH = 184
+const SYNC_BYTE = 0x47
+const PAT_PID = 0x0000
+const PAT_TABLE_ID = 0x00
+const PMT_TABLE_ID = 0x02
+// the PES packets of larger video frames have no length
+const MAX_PES_PACKET_LENGTH = 0xffff
+// timestamps are 33 bit values of the 90kHz clock
+const MAX_TS = Math.pow(2, 33)
+// the time that the PCR runs behind the DTS, 0.7 seconds for the decoder to
+// buffer the frames before it decodes them
+const MUX_DELAY = 63000
+const PES_STREAM_IDS = {
+  video: 0xe0,
+  audio: 0xc0,
+  // private_stream_1
+  private: 0xbd,
+}
+// the stream types of the codecs of the tracks
+const STREAM_TYPES = {
+  avc: StreamTypes.H264_STREAM_TYPE,
+  hevc: StreamTypes.H265_STREAM_TYPE,
+  adts: StreamTypes.ADTS_STREAM_TYPE,
+  mp3: StreamTypes.MPEG1_AUDIO_STREAM_TYPE,
+  'ac-3': StreamTypes.AC3_STREAM_TYPE,
+  'ec-3': StreamTypes.EAC3_STREAM_TYPE,
+  opus: StreamTypes.PRIVATE_PES_STREAM_TYPE,
+}
+// descriptor tags, see ISO/IEC 13818-1, 2.6.1 and ETSI EN 300 468, 6.1
+const REGISTRATION_DESCRIPTOR_TAG = 0x05
+const EXTENSION_DESCRIPTOR_TAG = 0x7f
+const OPUS_EXTENSION_DESCRIPTOR_TAG = 0x80
+// the format_identifier of Opus registration descriptors, 'Opus'
+const OPUS_FORMAT_IDENTIFIER = [0x4f, 0x70, 0x75, 0x73]
+const METADATA_POINTER_DESCRIPTOR_TAG = 0x25
+const METADATA_DESCRIPTOR_TAG = 0x26
+// the metadata_application_format, metadata_format and their identifiers of
+// ID3 timed metadata, 'ID3 '
+const ID3_METADATA_FORMAT = [
+  0xff, 0xff, 0x49, 0x44, 0x33, 0x20,
+  0xff, 0x49, 0x44, 0x33, 0x20,
+]
+
+const concatBytes = function(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, bytes) => sum + bytes.length, 0))
+  let offset = 0
+
+  arrays.forEach((bytes) => {
+    result.set(bytes, offset)
+    offset += bytes.length
+  })
+  return result
+}
+
+/**
+ * Write a PTS or a DTS with the 4 bit prefix of its field.
+ * @see ISO/IEC 13818-1, 2.4.3.7
+ */
+const timestampBytes = function(prefix, timestamp) {
+  const value = ((Math.round(timestamp) % MAX_TS) + MAX_TS) % MAX_TS
+  const high = Math.floor(value / Math.pow(2, 30))
+  const middle = Math.floor(value / Math.pow(2, 15)) % 0x8000
+  const low = value % 0x8000
+
+  return [
+    (prefix << 4) | (high << 1) | 0x01,
+    middle >>> 7,
+    ((middle & 0x7f) << 1) | 0x01,
+    low >>> 7,
+    ((low & 0x7f) << 1) | 0x01,
+  ]
+}
+
+/**
+ * Write a program_clock_reference with a base of a 90kHz timestamp and an
+ * extension of 0.
+ * @see ISO/IEC 13818-1, 2.4.3.5
+ */
+const pcrBytes = function(timestamp) {
+  const base = ((Math.round(timestamp) % MAX_TS) + MAX_TS) % MAX_TS
+
+  return [
+    Math.floor(base / Math.pow(2, 25)) & 0xff,
+    Math.floor(base / Math.pow(2, 17)) & 0xff,
+    Math.floor(base / Math.pow(2, 9)) & 0xff,
+    Math.floor(base / 2) & 0xff,
+    ((base % 2) << 7) | 0x7e,
+    0x00,
+  ]
+}
+
+/**
+ * Write a PES packet, with the PTS and the DTS if it differs.
+ * @see ISO/IEC 13818-1, 2.4.3.6
+ */
+const pesPacket = function(streamId, pts, dts, data) {
+  const hasDts = dts !== undefined && dts !== pts
+  const timestamps = hasDts ?
+    timestampBytes(0x3, pts).concat(timestampBytes(0x1, dts)) :
+    timestampBytes(0x2, pts)
+  let packetLength = 3 + timestamps.length + data.length
+
+  if (packetLength > MAX_PES_PACKET_LENGTH) {
+    packetLength = 0
+  }
+
+  return concatBytes([[
+    0x00, 0x00, 0x01, streamId,
+    packetLength >>> 8, packetLength & 0xff,
+    // '10' marker bits and data_alignment_indicator
+    0x84,
+    hasDts ? 0xc0 : 0x80,
+    timestamps.length,
+  ].concat(timestamps), data])
+}
+
+/**
+ * Add the CRC_32 to a PSI section and write it as the payload of a packet,
+ * after a pointer_field and before the stuffing bytes.
+ * @see ISO/IEC 13818-1, 2.4.4
+ */
+const psiPayload = function(section) {
+  const crc = crc32(section)
+  const payload = new Uint8Array(MP2T_PAYLOAD_LENGTH).fill(0xff)
+
+  payload[0] = 0x00
+  payload.set(section, 1)
+  payload.set([crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff],
+    1 + section.length)
+  return payload
+}
+
+/**
+ * Whether an access unit starts a coded video sequence, so that it can be
+ * decoded without the packets before it.
+ */
+const isRandomAccessPoint = function(codec, data) {
+  for (let i = 0; i + 3 < data.length; i++) {
+    if (data[i] !== 0x00 || data[i + 1] !== 0x00 || data[i + 2] !== 0x01) {
+      continue
+    }
+    if (codec === 'hevc') {
+      const nalUnitType = (data[i + 3] >>> 1) & 0x3f
+
+      // BLA, IDR and CRA pictures
+      if (nalUnitType >= 16 && nalUnitType <= 21) {
+        return true
+      }
+    } else if ((data[i + 3] & 0x1f) === 5) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Accepts the events of an ElementaryStream, or of an MP4 DemuxStream, and
+ * emits a data event with the bytes of a transport stream segment when
+ * flushed. The segment is made of 188 byte packets:
+ * - a PAT and a PMT at the start of every segment and before every video
+ *   random access point
+ * - the PES packets of the audio and video tracks of the last metadata
+ *   event, with the PCR of the program on the packets that start a PES
+ *   packet of the video track, or of the first audio track. The PCR runs
+ *   MUX_DELAY behind the DTS of the frame.
+ * - the PES packets of the ID3 tags of timed-metadata events, when a
+ *   metadata PID is set
+ * The frames are buffered until the flush and written in DTS order across
+ * the tracks, and the ID3 tags in the order of their PTS, so that the
+ * tracks of a fragment whose data is not interleaved are multiplexed.
+ * Continuity counters carry on from one segment to the next.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.programNumber=1] - the program_number of the
+ * program
+ * @param {Number} [options.pmtPid=0x1000] - the PID of the PMT
+ * @param {Number} [options.firstPid=0x100] - the PID of the first track,
+ * the other tracks use the PIDs after it
+ * @param {Number} [options.metadataPid] - the PID of a stream of ID3 timed
+ * metadata, see id3-writer.js to write its tags
+ * @see ISO/IEC 13818-1, 2.4.3
+ * @see HTTP Live Streaming, Timed Metadata for HTTP Live Streaming
+ */
+class TransportPacketWriter extends Stream {
+  constructor(options) {
+    super()
+    this.init()
+
+    options = options || {}
+    this.programNumber_ = options.programNumber || 1
+    this.pmtPid_ = options.pmtPid || 0x1000
+    this.firstPid_ = options.firstPid || 0x100
+    this.metadataPid_ = options.metadataPid
+    this.streams_ = []
+    this.pcrPid_ = null
+    this.continuityCounters_ = {}
+    this.frames_ = []
+    this.packets_ = []
+  }
+
+  /**
+   * @param {Object} event - an event of an ElementaryStream
+   */
+  push(event) {
+    if (event.type === 'metadata') {
+      this.setTracks_(event.tracks)
+      return
+    }
+    if (event.type === 'timed-metadata') {
+      if (this.metadataPid_ !== undefined) {
+        this.frames_.push({event, time: event.pts})
+      }
+      return
+    }
+
+    const stream = this.streams_.find((candidate) => candidate.trackId === event.trackId)
+
+    if (stream && stream.type === event.type) {
+      this.frames_.push({
+        event,
+        stream,
+        time: event.dts === undefined ? event.pts : event.dts,
+      })
+    }
+  }
+
+  /**
+   * Write the PES packets of a frame of an audio or video track.
+   */
+  writeFrame_(stream, event) {
+    const randomAccess = stream.type === 'video' ?
+      isRandomAccessPoint(stream.codec, event.data) :
+      true
+
+    if (!this.packets_.length || (stream.type === 'video' && randomAccess)) {
+      this.writeTables_()
+    }
+    this.writePackets_(stream.pid, pesPacket(stream.streamId, event.pts, event.dts,
+      event.data), {
+      pcr: stream.pid === this.pcrPid_ ? event.dts - MUX_DELAY : undefined,
+      randomAccess,
+    })
+  }
+
+  /**
+   * Write the ID3 tag of a timed-metadata event as a PES packet of the
+   * metadata stream, whatever its trackId.
+   */
+  writeMetadata_(event) {
+    if (!this.packets_.length) {
+      this.writeTables_()
+    }
+    this.writePackets_(this.metadataPid_,
+      pesPacket(PES_STREAM_IDS.private, event.pts, event.pts, event.data), {})
+  }
+
+  /**
+   * Assign PIDs to the audio and video tracks, in the order of the tracks.
+   */
+  setTracks_(tracks) {
+    this.streams_ = tracks.filter((track) => STREAM_TYPES.hasOwnProperty(track.codec))
+      .map((track, index) => {
+        const streamType = STREAM_TYPES[track.codec]
+        const descriptors = []
+
+        if (track.codec === 'opus') {
+          descriptors.push(REGISTRATION_DESCRIPTOR_TAG, 4, ...OPUS_FORMAT_IDENTIFIER)
+          if (track.channelConfigCode !== undefined) {
+            descriptors.push(EXTENSION_DESCRIPTOR_TAG, 2, OPUS_EXTENSION_DESCRIPTOR_TAG,
+              track.channelConfigCode)
+          }
+        }
+
+        return {
+          trackId: track.id,
+          type: track.type,
+          codec: track.codec,
+          pid: this.firstPid_ + index,
+          streamType,
+          streamId: streamType === StreamTypes.PRIVATE_PES_STREAM_TYPE ||
+            streamType === StreamTypes.AC3_STREAM_TYPE ||
+            streamType === StreamTypes.EAC3_STREAM_TYPE ?
+            PES_STREAM_IDS.private :
+            PES_STREAM_IDS[track.type],
+          descriptors,
+        }
+      })
+
+    const pcrStream = this.streams_.find((stream) => stream.type === 'video') ||
+      this.streams_[0]
+
+    this.pcrPid_ = pcrStream ? pcrStream.pid : null
+  }
+
+  /**
+   * Write a PAT with the program and a PMT with the streams of the tracks,
+   * followed by the metadata stream. Its descriptors declare ID3 metadata.
+   * @see ISO/IEC 13818-1, 2.4.4.3, 2.4.4.8 and 2.6.58 to 2.6.61
+   */
+  writeTables_() {
+    const programNumber = [this.programNumber_ >>> 8, this.programNumber_ & 0xff]
+    const pat = [
+      PAT_TABLE_ID,
+      // section_syntax_indicator and section_length
+      0xb0, 13,
+      // transport_stream_id
+      0x00, 0x01,
+      // version_number 0 and current_next_indicator
+      0xc1,
+      // section_number and last_section_number
+      0x00, 0x00,
+    ].concat(programNumber, [0xe0 | (this.pmtPid_ >>> 8), this.pmtPid_ & 0xff])
+    const streams = this.streams_.reduce((bytes, stream) => bytes.concat([
+      stream.streamType,
+      0xe0 | (stream.pid >>> 8), stream.pid & 0xff,
+      0xf0, stream.descriptors.length,
+    ], stream.descriptors), [])
+    let programInfo = []
+
+    if (this.metadataPid_ !== undefined) {
+      const pid = this.metadataPid_
+
+      programInfo = [METADATA_POINTER_DESCRIPTOR_TAG, 15].concat(ID3_METADATA_FORMAT, [
+        // metadata_service_id
+        0x00,
+        // no metadata_locator_record and MPEG_carriage_flags of this stream
+        0x1f,
+      ], programNumber)
+      streams.push(StreamTypes.METADATA_STREAM_TYPE, 0xe0 | (pid >>> 8), pid & 0xff,
+        0xf0, 15, METADATA_DESCRIPTOR_TAG, 13, ...ID3_METADATA_FORMAT,
+        // metadata_service_id
+        0x00,
+        // no decoder_config and no DSM-CC_flag
+        0x0f)
+    }
+
+    const pcrPid = this.pcrPid_ === null ? 0x1fff : this.pcrPid_
+    const sectionLength = 13 + programInfo.length + streams.length
+    const pmt = [
+      PMT_TABLE_ID,
+      0xb0 | (sectionLength >>> 8), sectionLength & 0xff,
+    ].concat(programNumber, [
+      0xc1,
+      0x00, 0x00,
+      0xe0 | (pcrPid >>> 8), pcrPid & 0xff,
+      0xf0, programInfo.length,
+    ], programInfo, streams)
+
+    this.writePackets_(PAT_PID, psiPayload(pat), {})
+    this.writePackets_(this.pmtPid_, psiPayload(pmt), {})
+  }
+
+  /**
+   * Split a payload into packets. The first packet carries the PCR and the
+   * random_access_indicator in its adaptation field, and the last packet
+   * is filled with the stuffing bytes of an adaptation field.
+   * @see ISO/IEC 13818-1, 2.4.3.2 and 2.4.3.4
+   */
+  writePackets_(pid, payload, options) {
+    let offset = 0
+
+    do {
+      const first = offset === 0
+      const remaining = payload.length - offset
+      const hasPcr = first && options.pcr !== undefined
+      let adaptationField = null
+
+      if (hasPcr || (first && options.randomAccess)) {
+        adaptationField = [(options.randomAccess ? 0x40 : 0x00) | (hasPcr ? 0x10 : 0x00)]
+        if (hasPcr) {
+          adaptationField.push(...pcrBytes(options.pcr))
+        }
+      }
+
+      const adaptationFieldLength = adaptationField ? adaptationField.length + 1 : 0
+
+      if (adaptationFieldLength + remaining < MP2T_PAYLOAD_LENGTH) {
+        if (!adaptationField) {
+          // an adaptation field of one byte has no flags
+          adaptationField = adaptationFieldLength + remaining < MP2T_PAYLOAD_LENGTH - 1 ?
+            [0x00] :
+            []
+        }
+        while (adaptationField.length + 1 + remaining < MP2T_PAYLOAD_LENGTH) {
+          adaptationField.push(0xff)
+        }
+      }
+
+      const payloadLength = MP2T_PAYLOAD_LENGTH -
+        (adaptationField ? adaptationField.length + 1 : 0)
+      const packet = new Uint8Array(MP2T_PACKET_LENGTH)
+      const counter = this.continuityCounters_[pid] || 0
+      let i = 0
+
+      packet[i++] = SYNC_BYTE
+      packet[i++] = (first ? 0x40 : 0x00) | (pid >>> 8)
+      packet[i++] = pid & 0xff
+      packet[i++] = (adaptationField ? 0x30 : 0x10) | counter
+      if (adaptationField) {
+        packet[i++] = adaptationField.length
+        packet.set(adaptationField, i)
+        i += adaptationField.length
+      }
+      packet.set(payload.subarray(offset, offset + payloadLength), i)
+
+      this.continuityCounters_[pid] = (counter + 1) & 0x0f
+      this.packets_.push(packet)
+      offset += payloadLength
+    } while (offset < payload.length)
+  }
+
+  flush() {
+    this.frames_
+      .map((frame, index) => Object.assign({index}, frame))
+      .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+      .forEach((frame) => {
+        if (frame.stream) {
+          this.writeFrame_(frame.stream, frame.event)
+        } else {
+          this.writeMetadata_(frame.event)
+        }
+      })
+    this.frames_ = []
+
+    if (this.packets_.length) {
+      this.trigger('data', {
+        data: concatBytes(this.packets_),
+      })
+      this.packets_ = []
+    }
+    this.trigger('done')
+  }
+
+  reset() {
+    this.continuityCounters_ = {}
+    this.frames_ = []
+    this.packets_ = []
+    this.trigger('reset')
+  }
+}
+
+module.exports = TransportPacketWriter
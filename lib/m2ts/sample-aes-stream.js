@@ -0,0 +1,109 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Decrypts the H.264 slices and AAC frames of HLS SAMPLE-AES segments.
+ * @see https://developer.apple.com/library/archive/documentation/AudioVideo/Conceptual/HLS_Sample_Encryption/Encryption/Encryption.html
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const aes = require('../utils/aes')
+const discardEmulationPreventionBytes =
+  require('../tools/caption-packet-parser').discardEmulationPreventionBytes
+
+// NAL units up to this size are left in the clear
+const MIN_ENCRYPTED_NAL_SIZE = 48
+// the NAL unit type byte and the first 31 bytes of a slice are in the clear
+const NAL_CLEAR_LEADER_SIZE = 32
+// one block out of every ten is encrypted after the leader
+const NAL_PATTERN_SIZE = 10 * aes.BLOCK_SIZE
+// the first 16 bytes of every AAC frame are in the clear
+const AUDIO_CLEAR_LEADER_SIZE = 16
+const ENCRYPTED_NAL_UNIT_TYPES = [
+  'slice_layer_without_partitioning_rbsp',
+  'slice_layer_without_partitioning_rbsp_idr',
+]
+
+/**
+ * Accepts the NAL units of an H264Stream or the frames of an AdtsStream
+ * and emits them with their SAMPLE-AES encryption removed.
+ */
+class SampleAesStream extends Stream {
+  /**
+   * @param options {object}
+   * @param options.key {Uint8Array} the 16 byte key of the segment
+   * @param options.iv {Uint8Array} the 16 byte initialization vector of the
+   * segment, which every NAL unit and frame starts from
+   */
+  constructor(options) {
+    super()
+    this.init()
+
+    this.aes_ = new aes.AES(options.key)
+    this.iv_ = options.iv
+  }
+
+  push(data) {
+    if (data.nalUnitType !== undefined) {
+      if (ENCRYPTED_NAL_UNIT_TYPES.indexOf(data.nalUnitType) !== -1) {
+        data.data = this.decryptNalUnit_(data.data)
+      }
+    } else {
+      this.decryptFrame_(data.data)
+    }
+
+    this.trigger('data', data)
+  }
+
+  /*
+   * The encrypted blocks of a slice follow a 32 byte leader and repeat every
+   * 160 bytes. Emulation prevention was applied after encryption, so it has
+   * to be removed before the blocks can be found. The decrypted slice keeps
+   * the emulation prevention bytes of the original.
+   */
+  decryptNalUnit_(nalUnit) {
+    const encryptedBlocks = []
+    let i
+
+    if (nalUnit.byteLength <= MIN_ENCRYPTED_NAL_SIZE) {
+      return nalUnit
+    }
+
+    const data = discardEmulationPreventionBytes(nalUnit)
+
+    // a final block of 16 bytes or fewer is always in the clear
+    for (i = NAL_CLEAR_LEADER_SIZE; i < data.byteLength - aes.BLOCK_SIZE;
+      i += NAL_PATTERN_SIZE) {
+      encryptedBlocks.push(i)
+    }
+
+    // the encrypted blocks of a slice form a single cipher block chain
+    const chain = new Uint8Array(encryptedBlocks.length * aes.BLOCK_SIZE)
+
+    encryptedBlocks.forEach((offset, index) => {
+      chain.set(data.subarray(offset, offset + aes.BLOCK_SIZE), index * aes.BLOCK_SIZE)
+    })
+    aes.decryptCbc(this.aes_, this.iv_, chain)
+    encryptedBlocks.forEach((offset, index) => {
+      data.set(chain.subarray(index * aes.BLOCK_SIZE, (index + 1) * aes.BLOCK_SIZE), offset)
+    })
+
+    return data
+  }
+
+  /*
+   * Every complete block of an AAC frame after its 16 byte leader is
+   * encrypted, the ADTS header has already been removed
+   */
+  decryptFrame_(frame) {
+    if (frame.byteLength <= AUDIO_CLEAR_LEADER_SIZE) {
+      return
+    }
+    aes.decryptCbc(this.aes_, this.iv_, frame.subarray(AUDIO_CLEAR_LEADER_SIZE))
+  }
+}
+
+module.exports = SampleAesStream
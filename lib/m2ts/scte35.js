@@ -0,0 +1,332 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Parses the splice_info_section of SCTE-35 cue messages.
+ * @see ANSI/SCTE 35, Digital Program Insertion Cueing Message
+ */
+'use strict'
+
+const crc32 = require('../utils/crc32')
+
+const SPLICE_INFO_TABLE_ID = 0xfc
+const MAX_TS = Math.pow(2, 33)
+const MAX_UINT32 = Math.pow(2, 32)
+// the splice_command_length of legacy messages, when it is not known
+const UNKNOWN_COMMAND_LENGTH = 0xfff
+
+const SPLICE_COMMAND_TYPES = {
+  0x00: 'splice_null',
+  0x04: 'splice_schedule',
+  0x05: 'splice_insert',
+  0x06: 'time_signal',
+  0x07: 'bandwidth_reservation',
+  0xff: 'private_command',
+}
+const SPLICE_DESCRIPTOR_TAGS = {
+  0x00: 'avail_descriptor',
+  0x01: 'DTMF_descriptor',
+  0x02: 'segmentation_descriptor',
+  0x03: 'time_descriptor',
+  0x04: 'audio_descriptor',
+}
+// the segmentation_type_ids of the segmentation descriptors that are
+// followed by a sub_segment_num and sub_segments_expected
+const SUB_SEGMENTATION_TYPE_IDS = [0x34, 0x36, 0x38, 0x3a, 0x44, 0x46]
+
+// a 33-bit time, whose most significant bit is the last bit of the first byte
+const read33Bits = function(view, offset) {
+  return (view.getUint8(offset) & 0x01) * MAX_UINT32 + view.getUint32(offset + 1)
+}
+
+// a 40-bit duration
+const read40Bits = function(view, offset) {
+  return view.getUint8(offset) * MAX_UINT32 + view.getUint32(offset + 1)
+}
+
+const bytesToString = function(bytes) {
+  return String.fromCharCode.apply(null, bytes)
+}
+
+/*
+ * @return {object} the ptsTime of a splice_time, if its time_specified_flag
+ *         is set, and its byteLength
+ */
+const parseSpliceTime = function(view, offset) {
+  if (view.getUint8(offset) & 0x80) {
+    return { ptsTime: read33Bits(view, offset), byteLength: 5 }
+  }
+  return { byteLength: 1 }
+}
+
+const parseSpliceInsert = function(view) {
+  const command = {
+    spliceEventId: view.getUint32(0),
+    spliceEventCancel: !!(view.getUint8(4) & 0x80),
+  }
+  let offset = 5
+
+  if (command.spliceEventCancel) {
+    return Object.assign(command, { byteLength: offset })
+  }
+
+  const flags = view.getUint8(offset++)
+  const durationFlag = !!(flags & 0x20)
+
+  command.outOfNetwork = !!(flags & 0x80)
+  command.programSplice = !!(flags & 0x40)
+  command.spliceImmediate = !!(flags & 0x10)
+
+  if (command.programSplice && !command.spliceImmediate) {
+    const spliceTime = parseSpliceTime(view, offset)
+
+    command.ptsTime = spliceTime.ptsTime
+    offset += spliceTime.byteLength
+  }
+  if (!command.programSplice) {
+    const componentCount = view.getUint8(offset++)
+
+    command.components = []
+    for (let i = 0; i < componentCount; i++) {
+      const component = { componentTag: view.getUint8(offset++) }
+
+      if (!command.spliceImmediate) {
+        const spliceTime = parseSpliceTime(view, offset)
+
+        component.ptsTime = spliceTime.ptsTime
+        offset += spliceTime.byteLength
+      }
+      command.components.push(component)
+    }
+  }
+  if (durationFlag) {
+    command.breakDuration = {
+      autoReturn: !!(view.getUint8(offset) & 0x80),
+      duration: read33Bits(view, offset),
+    }
+    offset += 5
+  }
+  command.uniqueProgramId = view.getUint16(offset)
+  command.availNum = view.getUint8(offset + 2)
+  command.availsExpected = view.getUint8(offset + 3)
+
+  return Object.assign(command, { byteLength: offset + 4 })
+}
+
+/*
+ * Parse a splice command. Only the commands of unknown types, which have
+ * no defined length, have no byteLength.
+ */
+const parseSpliceCommand = function(type, view) {
+  switch (type) {
+  case 0x05:
+    return parseSpliceInsert(view)
+  case 0x06: {
+    const spliceTime = parseSpliceTime(view, 0)
+
+    return { ptsTime: spliceTime.ptsTime, byteLength: spliceTime.byteLength }
+  }
+  case 0x00:
+  case 0x07:
+    return { byteLength: 0 }
+  case 0xff:
+    return {
+      identifier: view.getUint32(0),
+      privateBytes: new Uint8Array(view.buffer, view.byteOffset + 4, view.byteLength - 4),
+      byteLength: view.byteLength,
+    }
+  default:
+    // splice_schedule and reserved commands are passed as is
+    return {
+      data: new Uint8Array(view.buffer, view.byteOffset, view.byteLength),
+    }
+  }
+}
+
+const parseSegmentationDescriptor = function(view) {
+  const descriptor = {
+    segmentationEventId: view.getUint32(0),
+    segmentationEventCancel: !!(view.getUint8(4) & 0x80),
+  }
+  let offset = 5
+
+  if (descriptor.segmentationEventCancel) {
+    return descriptor
+  }
+
+  const flags = view.getUint8(offset++)
+  const durationFlag = !!(flags & 0x40)
+
+  descriptor.programSegmentation = !!(flags & 0x80)
+  descriptor.deliveryNotRestricted = !!(flags & 0x20)
+  if (!descriptor.deliveryNotRestricted) {
+    descriptor.webDeliveryAllowed = !!(flags & 0x10)
+    descriptor.noRegionalBlackout = !!(flags & 0x08)
+    descriptor.archiveAllowed = !!(flags & 0x04)
+    descriptor.deviceRestrictions = flags & 0x03
+  }
+  if (!descriptor.programSegmentation) {
+    const componentCount = view.getUint8(offset++)
+
+    descriptor.components = []
+    for (let i = 0; i < componentCount; i++) {
+      descriptor.components.push({
+        componentTag: view.getUint8(offset),
+        ptsOffset: read33Bits(view, offset + 1),
+      })
+      offset += 6
+    }
+  }
+  if (durationFlag) {
+    descriptor.segmentationDuration = read40Bits(view, offset)
+    offset += 5
+  }
+
+  const upidLength = view.getUint8(offset + 1)
+
+  descriptor.segmentationUpidType = view.getUint8(offset)
+  descriptor.segmentationUpid =
+    new Uint8Array(view.buffer, view.byteOffset + offset + 2, upidLength)
+  offset += 2 + upidLength
+  descriptor.segmentationTypeId = view.getUint8(offset)
+  descriptor.segmentNum = view.getUint8(offset + 1)
+  descriptor.segmentsExpected = view.getUint8(offset + 2)
+  offset += 3
+  // older messages end before the sub-segments
+  if (SUB_SEGMENTATION_TYPE_IDS.indexOf(descriptor.segmentationTypeId) !== -1 &&
+      offset + 2 <= view.byteLength) {
+    descriptor.subSegmentNum = view.getUint8(offset)
+    descriptor.subSegmentsExpected = view.getUint8(offset + 1)
+  }
+  return descriptor
+}
+
+const parseSpliceDescriptors = function(view) {
+  const descriptors = []
+
+  for (let offset = 0; offset + 2 <= view.byteLength;) {
+    const tag = view.getUint8(offset)
+    const length = view.getUint8(offset + 1)
+    const body = new DataView(view.buffer, view.byteOffset + offset + 2,
+      Math.min(length, view.byteLength - offset - 2))
+    const descriptor = {
+      spliceDescriptorTag: tag,
+      type: SPLICE_DESCRIPTOR_TAGS[tag],
+      identifier: body.byteLength >= 4 ? bytesToString([
+        body.getUint8(0), body.getUint8(1), body.getUint8(2), body.getUint8(3),
+      ]) : '',
+    }
+    const data =
+      new DataView(body.buffer, body.byteOffset + 4, Math.max(body.byteLength - 4, 0))
+
+    if (descriptor.identifier !== 'CUEI' || !descriptor.type) {
+      descriptor.data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    } else if (tag === 0x00) {
+      descriptor.providerAvailId = data.getUint32(0)
+    } else if (tag === 0x02) {
+      Object.assign(descriptor, parseSegmentationDescriptor(data))
+    } else {
+      // DTMF, time and audio descriptors are passed as is
+      descriptor.data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    }
+    descriptors.push(descriptor)
+    offset += 2 + length
+  }
+  return descriptors
+}
+
+// parse the splice command and descriptors of an unencrypted message
+const parseSpliceInfo = function(message, view, commandLength) {
+  const section = new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+  // the end of the section, before the CRC_32
+  const end = section.byteLength - 4
+  const command = parseSpliceCommand(message.spliceCommandType, new DataView(
+    section.buffer,
+    section.byteOffset + 14,
+    commandLength === UNKNOWN_COMMAND_LENGTH ?
+      end - 14 :
+      Math.min(commandLength, end - 14)
+  ))
+
+  if (commandLength === UNKNOWN_COMMAND_LENGTH) {
+    if (command.byteLength === undefined) {
+      return
+    }
+    commandLength = command.byteLength
+  }
+  delete command.byteLength
+  message.spliceCommand = Object.assign({
+    type: SPLICE_COMMAND_TYPES[message.spliceCommandType],
+  }, command)
+
+  const loopOffset = 14 + commandLength
+
+  if (loopOffset + 2 <= end) {
+    const loopLength = view.getUint16(loopOffset)
+
+    message.descriptors = parseSpliceDescriptors(new DataView(
+      section.buffer,
+      section.byteOffset + loopOffset + 2,
+      Math.min(loopLength, end - loopOffset - 2)
+    ))
+  }
+
+  // the time of the splice, in the time base of the PES packets
+  if (command.ptsTime !== undefined) {
+    message.pts = (command.ptsTime + message.ptsAdjustment) % MAX_TS
+    message.dts = message.pts
+  }
+}
+
+/**
+ * Parse the splice_info_section of an SCTE-35 message.
+ * @param section {Uint8Array} a complete section, from its table_id to its
+ *        CRC_32
+ * @return {object|null} the message, or null if it is not a valid
+ *         splice_info_section. Its `pts`, when the command has a splice
+ *         time, is the pts_time with the pts_adjustment applied. The splice
+ *         command and descriptors of encrypted messages are not parsed.
+ */
+const parseSpliceInfoSection = function(section) {
+  if (section.byteLength < 17 || section[0] !== SPLICE_INFO_TABLE_ID ||
+      3 + ((section[1] & 0x0f) << 8 | section[2]) !== section.byteLength ||
+      crc32(section) !== 0) {
+    return null
+  }
+
+  const view = new DataView(section.buffer, section.byteOffset, section.byteLength)
+  const message = {
+    protocolVersion: section[3],
+    encrypted: !!(section[4] & 0x80),
+    ptsAdjustment: read33Bits(view, 4),
+    tier: view.getUint16(10) >>> 4,
+    spliceCommandType: section[13],
+    spliceCommand: undefined,
+    descriptors: [],
+  }
+  const commandLength = (section[11] & 0x0f) << 8 | section[12]
+
+  if (message.encrypted) {
+    message.encryptionAlgorithm = section[4] >>> 1 & 0x3f
+    message.cwIndex = section[9]
+    return message
+  }
+
+  try {
+    parseSpliceInfo(message, view, commandLength)
+  } catch (error) {
+    // the command or descriptors overrun the section
+    if (error instanceof RangeError) {
+      return null
+    }
+    throw error
+  }
+  return message
+}
+
+module.exports = {
+  SPLICE_COMMAND_TYPES,
+  parseSpliceInfoSection,
+}
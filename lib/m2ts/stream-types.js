@@ -8,6 +8,17 @@
 
 module.exports = {
   H264_STREAM_TYPE: 0x1B,
+  H265_STREAM_TYPE: 0x24,
+  MPEG1_AUDIO_STREAM_TYPE: 0x03,
+  MPEG2_AUDIO_STREAM_TYPE: 0x04,
+  PRIVATE_PES_STREAM_TYPE: 0x06,
   ADTS_STREAM_TYPE: 0x0F,
-  METADATA_STREAM_TYPE: 0x15
+  AC3_STREAM_TYPE: 0x81,
+  EAC3_STREAM_TYPE: 0x87,
+  METADATA_STREAM_TYPE: 0x15,
+  // SCTE-35 splice information sections
+  SCTE35_STREAM_TYPE: 0x86,
+  // HLS SAMPLE-AES encrypted H.264 and ADTS
+  SAMPLE_AES_H264_STREAM_TYPE: 0xDB,
+  SAMPLE_AES_ADTS_STREAM_TYPE: 0xCF
 };
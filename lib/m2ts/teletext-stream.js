@@ -0,0 +1,276 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Decodes the subtitle pages of EBU teletext carried in MPEG-2 transport
+ * streams into cues.
+ * @see ETSI EN 300 472, EBU data in DVB bitstreams
+ * @see ETSI EN 300 706, Enhanced Teletext specification
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+
+// data_unit_id of EBU teletext non-subtitle and subtitle data
+const TELETEXT_DATA_UNIT_IDS = [0x02, 0x03]
+const DATA_UNIT_LENGTH = 0x2c
+// the rows of a page, after its header
+const LAST_DISPLAY_ROW = 23
+// the characters of the national option subsets replace these positions of
+// the Latin G0 set, see EN 300 706, table 36
+const NATIONAL_POSITIONS = [
+  0x23, 0x24, 0x40, 0x5b, 0x5c, 0x5d, 0x5e, 0x5f, 0x60, 0x7b, 0x7c, 0x7d, 0x7e,
+]
+// indexed by the C12, C13 and C14 control bits of the page header
+const NATIONAL_SUBSETS = [
+  // English
+  ['£', '$', '@', '←', '½', '→', '↑', '#', '―', '¼', '‖', '¾', '÷'],
+  // German
+  ['#', '$', '§', 'Ä', 'Ö', 'Ü', '^', '_', '°', 'ä', 'ö', 'ü', 'ß'],
+  // Swedish, Finnish and Hungarian
+  ['#', '¤', 'É', 'Ä', 'Ö', 'Å', 'Ü', '_', 'é', 'ä', 'ö', 'å', 'ü'],
+  // Italian
+  ['£', '$', 'é', '°', 'ç', '→', '↑', '#', 'ù', 'à', 'ò', 'è', 'ì'],
+  // French
+  ['é', 'ï', 'à', 'ë', 'ê', 'ù', 'î', '#', 'è', 'â', 'ô', 'û', 'ç'],
+  // Portuguese and Spanish
+  ['ç', '$', '¡', 'á', 'é', 'í', 'ó', 'ú', '¿', 'ü', 'ñ', 'è', 'à'],
+  // Czech and Slovak
+  ['#', 'ů', 'č', 'ť', 'ž', 'ý', 'í', 'ř', 'é', 'á', 'ě', 'ú', 'š'],
+]
+
+// teletext bytes are sent least significant bit first
+const reverseBits = function(byte) {
+  let result = 0
+
+  for (let i = 0; i < 8; i++) {
+    result = result << 1 | (byte >>> i & 0x01)
+  }
+  return result
+}
+
+// the data bits of a Hamming 8/4 protected byte, without error correction
+const unham = function(byte) {
+  return (byte >>> 1 & 0x01) | (byte >>> 2 & 0x02) |
+    (byte >>> 3 & 0x04) | (byte >>> 4 & 0x08)
+}
+
+// the text of a display row, with its spacing attributes as spaces
+const decodeRow = function(bytes, nationalSubset) {
+  let text = ''
+
+  for (let i = 0; i < bytes.length; i++) {
+    // the most significant bit is the odd parity bit
+    const code = bytes[i] & 0x7f
+    const national = NATIONAL_POSITIONS.indexOf(code)
+
+    if (code < 0x20 || code === 0x7f) {
+      text += ' '
+    } else if (national !== -1) {
+      text += nationalSubset[national]
+    } else {
+      text += String.fromCharCode(code)
+    }
+  }
+  return text.trim()
+}
+
+/**
+ * Accepts the teletext PES packets of an ElementaryStream and emits a cue
+ * for every subtitle shown by a page: its `startPts` and `endPts`, `text`,
+ * `page` number, `trackId` and, when the PMT lists it, `language`. A page is
+ * shown from the PES packet of its header until a different version of the
+ * page replaces it, so cues are emitted when their page changes.
+ */
+class TeletextStream extends Stream {
+  /**
+   * @param options {object}
+   * @param options.page {number} the page to decode, like 888. By default,
+   *        every page flagged as subtitles is decoded.
+   */
+  constructor(options) {
+    super()
+    this.init()
+
+    this.page_ = options && options.page
+    this.reset()
+  }
+
+  push(event) {
+    if (event.type === 'metadata') {
+      // the languages of the pages, from the teletext descriptors
+      (event.subtitleTracks || []).forEach((track) => {
+        (track.pages || []).forEach((page) => {
+          this.languages_[`${track.id}:${page.page}`] = page.language
+        })
+      })
+      return
+    }
+    if (event.type !== 'teletext' || !event.data.byteLength) {
+      return
+    }
+
+    const track = this.track_(event.trackId)
+
+    track.lastPts = event.pts
+    // skip the data_identifier
+    for (let offset = 1; offset + 2 <= event.data.byteLength;) {
+      const dataUnitId = event.data[offset]
+      const length = event.data[offset + 1]
+
+      if (TELETEXT_DATA_UNIT_IDS.indexOf(dataUnitId) !== -1 &&
+          length === DATA_UNIT_LENGTH &&
+          offset + 2 + length <= event.data.byteLength) {
+        // skip the line offset and the framing code
+        this.parsePacket_(track, event,
+          event.data.subarray(offset + 4, offset + 2 + length).map(reverseBits))
+      }
+      offset += 2 + length
+    }
+  }
+
+  flush() {
+    this.trigger('done')
+  }
+
+  endTimeline() {
+    // show the pages that are still on screen until the last teletext packet
+    Object.keys(this.tracks_).forEach((trackId) => {
+      const track = this.tracks_[trackId]
+
+      Object.keys(track.receiving).forEach((magazine) => {
+        this.endReception_(track, magazine)
+      })
+      Object.keys(track.shown).forEach((page) => {
+        this.showPage_(track, page, { startPts: track.lastPts, text: '' })
+      })
+    })
+    this.flush()
+    this.trigger('endedtimeline')
+  }
+
+  reset() {
+    this.tracks_ = {}
+    this.languages_ = {}
+    this.trigger('reset')
+  }
+
+  track_(trackId) {
+    if (!this.tracks_[trackId]) {
+      this.tracks_[trackId] = {
+        id: trackId,
+        // the page that each magazine is sending
+        receiving: {},
+        // the subtitles on screen of every page
+        shown: {},
+        lastPts: undefined,
+      }
+    }
+    return this.tracks_[trackId]
+  }
+
+  /*
+   * Every teletext packet is a row of a page: row 0 is the header of the
+   * page, which the display rows of the same magazine follow.
+   * @param packet {Uint8Array} the 42 bytes of a packet, in bit order
+   */
+  parsePacket_(track, event, packet) {
+    const address = unham(packet[0]) | unham(packet[1]) << 4
+    const magazine = (address & 0x07) || 8
+    const row = address >>> 3
+
+    if (row === 0) {
+      const units = unham(packet[2])
+      const tens = unham(packet[3])
+      const erase = unham(packet[5]) & 0x08
+      const subtitle = unham(packet[7]) & 0x08
+      const control = unham(packet[9])
+      // C12, C13 and C14, most significant bit first
+      const nationalOption =
+        (control >>> 1 & 0x01) << 2 | (control >>> 2 & 0x01) << 1 | control >>> 3 & 0x01
+
+      // in serial mode, a header ends the pages of every magazine
+      if (control & 0x01) {
+        Object.keys(track.receiving).forEach((m) => this.endReception_(track, m))
+      } else {
+        this.endReception_(track, magazine)
+      }
+
+      // pages with hexadecimal numbers only fill time
+      if (units > 9 || tens > 9) {
+        return
+      }
+
+      const page = magazine * 100 + tens * 10 + units
+
+      if (this.page_ !== undefined ? page !== this.page_ : !subtitle) {
+        return
+      }
+      track.receiving[magazine] = {
+        page,
+        startPts: event.pts,
+        nationalSubset: NATIONAL_SUBSETS[nationalOption] || NATIONAL_SUBSETS[0],
+        // the rows of a page that is not erased are only updated
+        rows: erase || !track.shown[page] ?
+          {} :
+          Object.assign({}, track.shown[page].rows),
+      }
+    } else if (row <= LAST_DISPLAY_ROW && track.receiving[magazine]) {
+      const reception = track.receiving[magazine]
+
+      reception.rows[row] = decodeRow(packet.subarray(2), reception.nationalSubset)
+    }
+  }
+
+  // a page is complete when its magazine starts sending another page
+  endReception_(track, magazine) {
+    const reception = track.receiving[magazine]
+
+    if (!reception) {
+      return
+    }
+    delete track.receiving[magazine]
+    this.showPage_(track, reception.page, {
+      startPts: reception.startPts,
+      rows: reception.rows,
+      text: Object.keys(reception.rows)
+        .sort((a, b) => a - b)
+        .map((row) => reception.rows[row])
+        .filter((text) => text.length)
+        .join('\n'),
+    })
+  }
+
+  // replace the subtitles on screen of a page, and emit them if they changed
+  showPage_(track, page, subtitles) {
+    const shown = track.shown[page]
+
+    if (shown && shown.text === subtitles.text) {
+      return
+    }
+    if (shown && shown.text) {
+      const cue = {
+        startPts: shown.startPts,
+        endPts: subtitles.startPts,
+        text: shown.text,
+        page: +page,
+        trackId: track.id,
+      }
+      const language = this.languages_[`${track.id}:${page}`]
+
+      if (language) {
+        cue.language = language
+      }
+      this.trigger('data', cue)
+    }
+    if (subtitles.text) {
+      track.shown[page] = subtitles
+    } else {
+      delete track.shown[page]
+    }
+  }
+}
+
+module.exports = TeletextStream
@@ -60,6 +60,13 @@ var TimestampRolloverStream = function(type) {
       return;
     }
 
+    // events without a time, like SCTE-35 messages without a splice time,
+    // are passed on without becoming the reference of the next segment
+    if (data.dts === undefined) {
+      this.trigger('data', data);
+      return;
+    }
+
     if (referenceDTS === undefined) {
       referenceDTS = data.dts;
     }
@@ -0,0 +1,57 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * A stream-based fMP4 to mp2t converter, for players that only support
+ * MPEG-2 transport streams.
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const DemuxStream = require('../mp4/demux-stream.js')
+const TransportPacketWriter = require('./packet-writer.js')
+
+/**
+ * Takes the init segment and the media segments of an fMP4 stream and emits
+ * a data event with a transport stream segment for every flush. The tracks
+ * are read from the moov by the MP4 DemuxStream, and written as the
+ * elementary streams of a single program.
+ *
+ * @param {Object} [options] - the options of the TransportPacketWriter
+ */
+class Transmuxer extends Stream {
+  constructor(options) {
+    super()
+    this.init()
+
+    this.demuxStream = new DemuxStream()
+    this.packetWriter = new TransportPacketWriter(options)
+
+    this.demuxStream.pipe(this.packetWriter)
+    this.packetWriter.on('data', (segment) => {
+      this.trigger('data', segment)
+    })
+    this.packetWriter.on('done', () => {
+      this.trigger('done')
+    })
+  }
+
+  /**
+   * @param {Uint8Array} bytes - the bytes of an init or a media segment
+   */
+  push(bytes) {
+    this.demuxStream.push(bytes)
+  }
+
+  flush() {
+    this.demuxStream.flush()
+  }
+
+  reset() {
+    this.demuxStream.reset()
+  }
+}
+
+module.exports = Transmuxer
@@ -116,7 +116,9 @@ var trimAdtsFramesByEarliestDts = function(adtsFrames, track, earliestAllowedDts
 };
 
 // generate the track's raw mdat data from an array of frames
-var generateSampleTable = function(frames) {
+// useFrameSampleCount: take each sample's duration from the frame's own
+// sampleCount rather than the fixed AAC frame size
+var generateSampleTable = function(frames, useFrameSampleCount) {
   var
     i,
     currentFrame,
@@ -126,7 +128,8 @@ var generateSampleTable = function(frames) {
     currentFrame = frames[i];
     samples.push({
       size: currentFrame.data.byteLength,
-      duration: 1024 // For AAC audio, all samples contain 1024 samples
+      // For AAC audio, all samples contain 1024 samples
+      duration: useFrameSampleCount ? currentFrame.sampleCount : 1024
     });
   }
   return samples;
@@ -0,0 +1,602 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Reads fragmented ISO BMFF (fMP4) back into elementary streams, so that
+ * MP4 sources can be fed to the codec, caption and metadata stages of the
+ * MPEG-2 TS pipeline.
+ */
+'use strict'
+
+const Stream = require('../utils/stream.js')
+const StreamTypes = require('../m2ts/stream-types.js')
+const ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS
+const findBox = require('./find-box.js')
+const parseType = require('./parse-type.js')
+const probe = require('./probe.js')
+const parseTfhd = require('../tools/parse-tfhd.js')
+const parseTrun = require('../tools/parse-trun.js')
+const parseTfdt = require('../tools/parse-tfdt.js')
+const parseSampleFlags = require('../tools/parse-sample-flags.js')
+
+const START_CODE = [0x00, 0x00, 0x00, 0x01]
+// access unit delimiters that allow any slice type, so that the codec
+// streams can split the samples into frames
+const ACCESS_UNIT_DELIMITERS = {
+  avc: [0x09, 0xf0],
+  hevc: [0x46, 0x01, 0x50],
+}
+// the size of the fields of a VisualSampleEntry and of the versions of an
+// AudioSampleEntry that come before their child boxes
+const VISUAL_SAMPLE_ENTRY_SIZE = 78
+const AUDIO_SAMPLE_ENTRY_SIZES = [28, 44, 64]
+// ISO/IEC 14496-1 descriptor tags
+const ES_DESCRIPTOR_TAG = 0x03
+const DECODER_CONFIG_DESCRIPTOR_TAG = 0x04
+const DECODER_SPECIFIC_INFO_TAG = 0x05
+// the objectTypeIndication values of MPEG-2 and MPEG-1 audio
+const MPEG2_AUDIO_OBJECT_TYPE = 0x69
+const MPEG1_AUDIO_OBJECT_TYPE = 0x6b
+// AAC audio object types that signal SBR or PS explicitly
+const SBR_OBJECT_TYPE = 5
+const PS_OBJECT_TYPE = 29
+const ADTS_SAMPLING_FREQUENCIES = [
+  96000, 88200, 64000, 48000, 44100, 32000,
+  24000, 22050, 16000, 12000, 11025, 8000, 7350,
+]
+
+const readUint32 = function(data, offset) {
+  return ((data[offset] << 24) | (data[offset + 1] << 16) |
+    (data[offset + 2] << 8) | data[offset + 3]) >>> 0
+}
+
+const concatBytes = function(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, bytes) => sum + bytes.length, 0))
+  let offset = 0
+
+  arrays.forEach((bytes) => {
+    result.set(bytes, offset)
+    offset += bytes.length
+  })
+  return result
+}
+
+/**
+ * Read the parameter set NAL units and the size of the NAL unit lengths of
+ * an avcC or hvcC box.
+ * @see ISO/IEC 14496-15, sections 5.3.3.1 and 8.3.3.1
+ */
+const videoConfig = function(codec, config) {
+  const parameterSets = []
+  let arrayCount = 1
+  let i = 5
+
+  const readNalUnits = function(count) {
+    while (count-- && i + 2 <= config.length) {
+      const size = (config[i] << 8) | config[i + 1]
+
+      parameterSets.push(config.subarray(i + 2, i + 2 + size))
+      i += 2 + size
+    }
+  }
+
+  if (codec === 'hevc') {
+    arrayCount = config[22]
+    i = 23
+    while (arrayCount-- && i + 3 <= config.length) {
+      i += 3
+      readNalUnits((config[i - 2] << 8) | config[i - 1])
+    }
+    return {nalLengthSize: (config[21] & 0x03) + 1, parameterSets}
+  }
+
+  // sequence parameter sets, then picture parameter sets
+  readNalUnits(config[i++] & 0x1f)
+  readNalUnits(config[i++])
+  return {nalLengthSize: (config[4] & 0x03) + 1, parameterSets}
+}
+
+/**
+ * Find the payload of the first descriptor with a tag in a list of
+ * descriptors of ISO/IEC 14496-1, which have sizes of up to 4 bytes.
+ */
+const findDescriptor = function(data, tag) {
+  let i = 0
+
+  while (i + 2 <= data.length) {
+    const descriptorTag = data[i++]
+    let size = 0
+
+    do {
+      size = (size << 7) | (data[i] & 0x7f)
+    } while (data[i++] & 0x80 && i < data.length)
+
+    if (descriptorTag === tag) {
+      return data.subarray(i, i + size)
+    }
+    i += size
+  }
+  return null
+}
+
+/**
+ * Read the objectTypeIndication and the AudioSpecificConfig of an esds box.
+ * @see ISO/IEC 14496-1, section 7.2.6.5
+ */
+const esdsConfig = function(esds) {
+  const esDescriptor = findDescriptor(esds.subarray(4), ES_DESCRIPTOR_TAG)
+  let i = 3
+
+  if (!esDescriptor) {
+    return null
+  }
+  // skip the optional fields of the ES_Descriptor
+  if (esDescriptor[2] & 0x80) {
+    i += 2
+  }
+  if (esDescriptor[2] & 0x40) {
+    i += esDescriptor[i] + 1
+  }
+  if (esDescriptor[2] & 0x20) {
+    i += 2
+  }
+
+  const decoderConfig = findDescriptor(esDescriptor.subarray(i),
+    DECODER_CONFIG_DESCRIPTOR_TAG)
+
+  if (!decoderConfig) {
+    return null
+  }
+  return {
+    objectTypeIndication: decoderConfig[0],
+    audioSpecificConfig: findDescriptor(decoderConfig.subarray(13),
+      DECODER_SPECIFIC_INFO_TAG),
+  }
+}
+
+/**
+ * Read the fields of an ADTS header from an AudioSpecificConfig. Streams
+ * that signal SBR or PS explicitly are described by their core AAC stream.
+ * @see ISO/IEC 14496-3, section 1.6.2.1
+ */
+const adtsConfig = function(audioSpecificConfig, samplerate) {
+  let audioObjectType = audioSpecificConfig[0] >>> 3
+  let samplingFrequencyIndex = ((audioSpecificConfig[0] & 0x07) << 1) |
+    (audioSpecificConfig[1] >>> 7)
+  const channelConfiguration = (audioSpecificConfig[1] >>> 3) & 0x0f
+
+  if (samplingFrequencyIndex === 0x0f) {
+    // explicit frequencies cannot be carried in ADTS headers
+    samplingFrequencyIndex = ADTS_SAMPLING_FREQUENCIES.indexOf(samplerate)
+  } else if (audioObjectType === SBR_OBJECT_TYPE ||
+             audioObjectType === PS_OBJECT_TYPE) {
+    // the 4 bit extensionSamplingFrequencyIndex is followed by the core
+    // object type, in bits 17 to 21
+    audioObjectType = (audioSpecificConfig[2] >>> 2) & 0x1f
+  }
+
+  return {audioObjectType, samplingFrequencyIndex, channelConfiguration}
+}
+
+/**
+ * Read the codec and configuration of a track from the first entry of its
+ * sample description box.
+ * @return {object} the track, or null if its codec is not supported
+ */
+const parseTrack = function(info, trak) {
+  const stsd = findBox(trak, ['mdia', 'minf', 'stbl', 'stsd'])[0]
+  const track = {
+    id: info.id,
+    type: info.type,
+    timescale: info.timescale || ONE_SECOND_IN_TS,
+    nextDecodeTime: 0,
+  }
+
+  if (!stsd || stsd.length < 16) {
+    return null
+  }
+
+  const entry = stsd.subarray(16, 8 + readUint32(stsd, 8))
+  const entryType = parseType(stsd.subarray(12, 16))
+
+  if ((/^(avc[13]|hvc1|hev1)$/).test(entryType)) {
+    const isHevc = entryType[0] === 'h'
+    const config = findBox(entry.subarray(VISUAL_SAMPLE_ENTRY_SIZE),
+      [isHevc ? 'hvcC' : 'avcC'])[0]
+
+    if (!config) {
+      return null
+    }
+    return Object.assign(track, {
+      type: 'video',
+      codec: isHevc ? 'hevc' : 'avc',
+      streamType: isHevc ? StreamTypes.H265_STREAM_TYPE : StreamTypes.H264_STREAM_TYPE,
+    }, videoConfig(isHevc ? 'hevc' : 'avc', config))
+  }
+
+  const audioBoxes = entry.subarray(AUDIO_SAMPLE_ENTRY_SIZES[(entry[8] << 8) | entry[9]])
+  const samplerate = (entry[24] << 8) | entry[25]
+
+  track.type = 'audio'
+  if (entryType === 'ac-3' || entryType === 'ec-3') {
+    return Object.assign(track, {
+      codec: entryType,
+      streamType: entryType === 'ac-3' ? StreamTypes.AC3_STREAM_TYPE :
+        StreamTypes.EAC3_STREAM_TYPE,
+    })
+  }
+  if (entryType === 'Opus') {
+    const dOps = findBox(audioBoxes, ['dOps'])[0]
+
+    return Object.assign(track, {
+      codec: 'opus',
+      streamType: StreamTypes.PRIVATE_PES_STREAM_TYPE,
+      // the channel_config_code of mono to 8 channel streams is their
+      // channel count
+      channelConfigCode: dOps ? dOps[1] : 2,
+      preSkip: dOps ? (dOps[2] << 8) | dOps[3] : 0,
+    })
+  }
+  if (entryType !== 'mp4a') {
+    return null
+  }
+
+  const esds = findBox(audioBoxes, ['esds'])[0]
+  const config = esds && esdsConfig(esds)
+
+  if (!config) {
+    return null
+  }
+  if (config.objectTypeIndication === MPEG1_AUDIO_OBJECT_TYPE ||
+      config.objectTypeIndication === MPEG2_AUDIO_OBJECT_TYPE) {
+    return Object.assign(track, {
+      codec: 'mp3',
+      streamType: config.objectTypeIndication === MPEG1_AUDIO_OBJECT_TYPE ?
+        StreamTypes.MPEG1_AUDIO_STREAM_TYPE :
+        StreamTypes.MPEG2_AUDIO_STREAM_TYPE,
+    })
+  }
+  if (!config.audioSpecificConfig || config.audioSpecificConfig.length < 2) {
+    return null
+  }
+  return Object.assign(track, {
+    codec: 'adts',
+    streamType: StreamTypes.ADTS_STREAM_TYPE,
+    adtsConfig: adtsConfig(config.audioSpecificConfig, samplerate),
+  })
+}
+
+/**
+ * Read the sample defaults of the tracks from the trex boxes of a movie.
+ * @see ISO/IEC 14496-12, section 8.8.3
+ */
+const trackExtends = function(moov) {
+  const defaults = {}
+
+  findBox(moov, ['mvex', 'trex']).forEach((trex) => {
+    defaults[readUint32(trex, 4)] = {
+      duration: readUint32(trex, 12),
+      size: readUint32(trex, 16),
+      flags: readUint32(trex, 20),
+    }
+  })
+  return defaults
+}
+
+// sample fields fall back on the defaults of the track fragment, then on
+// the defaults of the track
+const firstDefined = function(...values) {
+  const value = values.find((candidate) => candidate !== undefined)
+
+  return value === undefined ? 0 : value
+}
+
+const numberToFlags = function(flags) {
+  return parseSampleFlags([flags >>> 24, (flags >>> 16) & 0xff, (flags >>> 8) & 0xff,
+    flags & 0xff])
+}
+
+/**
+ * Turn the length-prefixed NAL units of a video sample into an Annex B
+ * access unit, that starts with an access unit delimiter and the parameter
+ * sets of the sample description on key frames.
+ */
+const annexBSample = function(track, data, keyFrame) {
+  const nalUnits = []
+  let i = 0
+
+  while (i + track.nalLengthSize <= data.length) {
+    let size = 0
+
+    for (let j = 0; j < track.nalLengthSize; j++) {
+      size = (size * 256) + data[i + j]
+    }
+    i += track.nalLengthSize
+    nalUnits.push(data.subarray(i, i + size))
+    i += size
+  }
+
+  const delimiter = ACCESS_UNIT_DELIMITERS[track.codec]
+  const leadingNalUnits = nalUnits.length && nalUnits[0][0] === delimiter[0] ?
+    [nalUnits.shift()] :
+    [new Uint8Array(delimiter)]
+
+  return concatBytes(leadingNalUnits.concat(keyFrame ? track.parameterSets : [],
+    nalUnits).reduce((result, nalUnit) => {
+    result.push(START_CODE, nalUnit)
+    return result
+  }, []))
+}
+
+/**
+ * Add an ADTS header to a raw AAC frame.
+ * @see ISO/IEC 13818-7, section 6.2
+ */
+const adtsFrame = function(config, data) {
+  const frameLength = data.length + 7
+
+  return concatBytes([[
+    0xff,
+    // MPEG-4, no CRC
+    0xf1,
+    ((config.audioObjectType - 1) << 6) | (config.samplingFrequencyIndex << 2) |
+      (config.channelConfiguration >>> 2),
+    ((config.channelConfiguration & 0x03) << 6) | (frameLength >>> 11),
+    (frameLength >>> 3) & 0xff,
+    ((frameLength & 0x07) << 5) | 0x1f,
+    0xfc,
+  ], data])
+}
+
+/**
+ * Add an opus_control_header to an Opus packet. The first packet carries
+ * the decoder pre-skip as its start trim.
+ * @see https://opus-codec.org/docs/ETSI_TS_opus-v0.1.3-draft.pdf, section 4.1
+ */
+const opusAccessUnit = function(data, startTrim) {
+  const header = [0x7f, startTrim === undefined ? 0xe0 : 0xf0]
+  let size = data.length
+
+  while (size >= 0xff) {
+    header.push(0xff)
+    size -= 0xff
+  }
+  header.push(size)
+  if (startTrim !== undefined) {
+    header.push((startTrim >>> 8) & 0x1f, startTrim & 0xff)
+  }
+  return concatBytes([header, data])
+}
+
+/**
+ * Splits fragmented MP4 input into the samples of its tracks. Accepts the
+ * bytes of an initialization segment and of media segments, in any chunks,
+ * and emits the same events an ElementaryStream emits for MPEG-2 TS:
+ * - a metadata event with the supported tracks, for every moov
+ * - a video or audio event for every sample, with its pts and dts on a
+ *   90kHz clock and its data as an Annex B access unit, an ADTS frame,
+ *   an Opus access unit or the raw frames of other audio codecs
+ * The samples of a fragment are emitted in the order of their data.
+ *
+ * @see ISO/IEC 14496-12, section 8.8
+ */
+class DemuxStream extends Stream {
+  constructor() {
+    super()
+    this.init()
+
+    this.tracks_ = {}
+    this.trackExtends_ = {}
+    this.buffer_ = new Uint8Array(0)
+    // the position of the buffer in the input, for data offsets
+    this.bufferPosition_ = 0
+    // the samples of the last moof that have not been read yet
+    this.pendingSamples_ = []
+  }
+
+  /**
+   * @param {Uint8Array} bytes - the next bytes of the input
+   */
+  push(bytes) {
+    this.buffer_ = concatBytes([this.buffer_, bytes])
+    this.parseBoxes_(false)
+  }
+
+  /**
+   * Read every complete box in the buffer. Boxes with a size of 0 extend to
+   * the end of the input, which is only known when flushing.
+   */
+  parseBoxes_(endOfInput) {
+    let i = 0
+
+    while (i + 8 <= this.buffer_.length) {
+      let size = readUint32(this.buffer_, i)
+      let headerSize = 8
+
+      if (size === 1) {
+        if (i + 16 > this.buffer_.length) {
+          break
+        }
+        size = readUint32(this.buffer_, i + 8) * 0x100000000 +
+          readUint32(this.buffer_, i + 12)
+        headerSize = 16
+      } else if (size === 0 && endOfInput) {
+        size = this.buffer_.length - i
+      }
+      if (size < headerSize || i + size > this.buffer_.length) {
+        break
+      }
+
+      this.parseBox_(parseType(this.buffer_.subarray(i + 4, i + 8)),
+        this.buffer_.subarray(i, i + size), headerSize, this.bufferPosition_ + i)
+      i += size
+    }
+
+    this.buffer_ = this.buffer_.slice(i)
+    this.bufferPosition_ += i
+  }
+
+  parseBox_(type, box, headerSize, position) {
+    if (type === 'moov') {
+      this.parseMoov_(box)
+    } else if (type === 'moof') {
+      this.parseMoof_(box.subarray(headerSize), position)
+    } else if (type === 'mdat') {
+      this.readSamples_(box, position)
+    }
+  }
+
+  parseMoov_(moov) {
+    const traks = findBox(moov, ['moov', 'trak'])
+    const event = {
+      type: 'metadata',
+      tracks: [],
+    }
+
+    this.tracks_ = {}
+    this.trackExtends_ = trackExtends(moov.subarray(8))
+    probe.tracks(moov).forEach((info, index) => {
+      const track = parseTrack(info, traks[index])
+
+      if (!track) {
+        return
+      }
+      this.tracks_[track.id] = track
+
+      const trackInfo = {
+        timelineStartInfo: {
+          baseMediaDecodeTime: 0,
+        },
+        id: track.id,
+        codec: track.codec,
+        type: track.type,
+      }
+
+      if (track.channelConfigCode !== undefined) {
+        trackInfo.channelConfigCode = track.channelConfigCode
+      }
+      event.tracks.push(trackInfo)
+    })
+
+    this.trigger('data', event)
+  }
+
+  /**
+   * Find the position, size and timing of every sample of a movie fragment.
+   * @see ISO/IEC 14496-12, sections 8.8.7 and 8.8.8
+   */
+  parseMoof_(moof, moofPosition) {
+    let dataEnd = moofPosition
+
+    this.pendingSamples_ = []
+    findBox(moof, ['traf']).forEach((traf, index) => {
+      const tfhd = parseTfhd(findBox(traf, ['tfhd'])[0])
+      const tfdt = findBox(traf, ['tfdt'])[0]
+      const track = this.tracks_[tfhd.trackId]
+      const defaults = this.trackExtends_[tfhd.trackId] || {}
+      const defaultFlags = firstDefined(tfhd.defaultSampleFlags, defaults.flags)
+      let dataOffset = dataEnd
+
+      if (tfhd.baseDataOffset !== undefined) {
+        dataOffset = tfhd.baseDataOffset
+      } else if (tfhd.baseDataOffsetIsMoof || index === 0) {
+        dataOffset = moofPosition
+      }
+      const baseDataOffset = dataOffset
+
+      if (track && tfdt) {
+        track.nextDecodeTime = parseTfdt(tfdt).baseMediaDecodeTime
+      }
+
+      findBox(traf, ['trun']).forEach((trunBox) => {
+        const trun = parseTrun(trunBox)
+
+        if (trun.dataOffset !== undefined) {
+          dataOffset = baseDataOffset + trun.dataOffset
+        }
+        trun.samples.forEach((sample) => {
+          const size = firstDefined(sample.size, tfhd.defaultSampleSize, defaults.size)
+          const duration = firstDefined(sample.duration, tfhd.defaultSampleDuration,
+            defaults.duration)
+          const flags = sample.flags || numberToFlags(defaultFlags)
+
+          if (track) {
+            this.pendingSamples_.push({
+              track,
+              offset: dataOffset,
+              size,
+              dts: track.nextDecodeTime,
+              pts: track.nextDecodeTime + (sample.compositionTimeOffset || 0),
+              keyFrame: !flags.isNonSyncSample,
+            })
+            track.nextDecodeTime += duration
+          }
+          dataOffset += size
+        })
+      })
+      dataEnd = dataOffset
+    })
+
+    this.pendingSamples_.sort((a, b) => a.offset - b.offset)
+  }
+
+  /**
+   * Emit the samples of the last movie fragment that are in a media data box.
+   */
+  readSamples_(mdat, mdatPosition) {
+    const mdatEnd = mdatPosition + mdat.length
+
+    this.pendingSamples_ = this.pendingSamples_.filter((sample) => {
+      if (sample.offset + sample.size > mdatEnd) {
+        // the sample is in a later media data box
+        return sample.offset >= mdatEnd
+      }
+      if (sample.offset < mdatPosition) {
+        return false
+      }
+      this.trigger('data', this.sampleEvent_(sample,
+        mdat.subarray(sample.offset - mdatPosition,
+          sample.offset - mdatPosition + sample.size)))
+      return false
+    })
+  }
+
+  sampleEvent_(sample, data) {
+    const track = sample.track
+    const toClock = (time) => Math.round(time * ONE_SECOND_IN_TS / track.timescale)
+
+    if (track.type === 'video') {
+      data = annexBSample(track, data, sample.keyFrame)
+    } else if (track.codec === 'adts') {
+      data = adtsFrame(track.adtsConfig, data)
+    } else if (track.codec === 'opus') {
+      data = opusAccessUnit(data, track.preSkip)
+      track.preSkip = undefined
+    }
+
+    return {
+      type: track.type,
+      trackId: track.id,
+      streamType: track.streamType,
+      pts: toClock(sample.pts),
+      dts: toClock(sample.dts),
+      data,
+    }
+  }
+
+  flush() {
+    this.parseBoxes_(true)
+    this.trigger('done')
+  }
+
+  reset() {
+    this.buffer_ = new Uint8Array(0)
+    this.bufferPosition_ = 0
+    this.pendingSamples_ = []
+    this.trigger('reset')
+  }
+}
+
+module.exports = DemuxStream
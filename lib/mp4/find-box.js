@@ -3,7 +3,7 @@ var parseType = require('./parse-type.js');
 
 var findBox = function(data, path) {
   var results = [],
-    i, size, type, end, subresults;
+    i, size, header, type, end, subresults;
 
   if (!path.length) {
     // short-circuit the search for empty paths
@@ -17,6 +17,16 @@ var findBox = function(data, path) {
       data[i + 3]);
 
     type = parseType(data.subarray(i + 4, i + 8));
+    header = 8;
+
+    if (size === 1 && i + 16 <= data.byteLength) {
+      // a 64-bit largesize follows the type, like in the mdat of large files
+      header = 16;
+      size = toUnsigned(data[i + 8] << 24 | data[i + 9] << 16 |
+                        data[i + 10] << 8 | data[i + 11]) * Math.pow(2, 32) +
+        toUnsigned(data[i + 12] << 24 | data[i + 13] << 16 |
+                   data[i + 14] << 8 | data[i + 15]);
+    }
 
     end = size > 1 ? i + size : data.byteLength;
 
@@ -24,10 +34,10 @@ var findBox = function(data, path) {
       if (path.length === 1) {
         // this is the end of the path and we've found the box we were
         // looking for
-        results.push(data.subarray(i + 8, end));
+        results.push(data.subarray(i + header, end));
       } else {
         // recursively search for the next box along the path
-        subresults = findBox(data.subarray(i + 8, end), path.slice(1));
+        subresults = findBox(data.subarray(i + header, end), path.slice(1));
         if (subresults.length) {
           results = results.concat(subresults);
         }
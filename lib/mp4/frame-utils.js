@@ -4,6 +4,17 @@
  * Copyright (c) Brightcove
  * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
  */
+// NAL unit types that start a picture decoders can begin decoding from:
+// H.264 IDR slices and H.265 IRAP (IDR, CRA and BLA) slices
+var KEY_FRAME_NAL_UNIT_TYPES = [
+  'slice_layer_without_partitioning_rbsp_idr',
+  'slice_segment_layer_rbsp_irap',
+]
+
+var isKeyFrameNalUnit = function(nalUnit) {
+  return KEY_FRAME_NAL_UNIT_TYPES.indexOf(nalUnit.nalUnitType) !== -1
+}
+
 // Convert an array of nal units into an array of frames with each frame being
 // composed of the nal units that make up that frame
 // Also keep track of cummulative data about the frame from the nal units such
@@ -43,7 +54,7 @@ var groupNalsIntoFrames = function(nalUnits) {
       currentFrame.dts = currentNal.dts
     } else {
       // Specifically flag key frames for ease of use later
-      if (currentNal.nalUnitType === 'slice_layer_without_partitioning_rbsp_idr') {
+      if (isKeyFrameNalUnit(currentNal)) {
         currentFrame.keyFrame = true
       }
       currentFrame.duration = currentNal.dts - currentFrame.dts
@@ -309,6 +320,7 @@ var concatenateNalDataForFrame = function(frame) {
 }
 
 module.exports = {
+  isKeyFrameNalUnit: isKeyFrameNalUnit,
   groupNalsIntoFrames: groupNalsIntoFrames,
   groupFramesIntoGops: groupFramesIntoGops,
   extendFirstKeyFrame: extendFirstKeyFrame,
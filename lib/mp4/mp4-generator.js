@@ -9,25 +9,48 @@
  */
 'use strict';
 
+var utf8Bytes = require('../utils/bin').utf8Bytes;
+
 var UINT32_MAX = Math.pow(2, 32) - 1;
 
-var box, dinf, esds, ftyp, mdat, mfhd, minf, moof, moov, mvex, mvhd,
+var box, dac3, dec3, dinf, dOps, esds, ftyp, mdat, mfhd, minf, moof, moov, mvex, mvhd,
     trak, tkhd, mdia, mdhd, hdlr, sdtp, stbl, stsd, traf, trex,
+    progressiveMoov, edts, stts, ctts, stss, stsc, stsz, chunkOffsets, tableBox,
+    runLengths, trackDuration,
+    pssh, saio, saiz, senc, sinf, tenc, sampleAuxiliaryInfoSize, sampleEncryptionBoxes,
+    byteLength, emsg, vttc, vtte,
     trun, types, MAJOR_BRAND, MINOR_VERSION, AVC1_BRAND, VIDEO_HDLR,
-    AUDIO_HDLR, HDLR_TYPES, VMHD, SMHD, DREF, STCO, STSC, STSZ, STTS;
+    AUDIO_HDLR, SUBTITLE_HDLR, TEXT_HDLR, HDLR_TYPES, VMHD, SMHD, STHD, NMHD, DREF, STCO, STSC,
+    STSZ, STTS;
 
 // pre-calculate constants
 (function() {
   var i;
   types = {
+    'ac-3': [], // codingname
     avc1: [], // codingname
     avcC: [],
     btrt: [],
+    co64: [],
+    ctts: [],
+    dac3: [],
+    dec3: [],
     dinf: [],
+    dOps: [],
     dref: [],
+    'ec-3': [], // codingname
+    edts: [],
+    elst: [],
+    emsg: [],
     esds: [],
+    enca: [], // codingname
+    encv: [], // codingname
+    frma: [],
     ftyp: [],
     hdlr: [],
+    hvc1: [], // codingname
+    hvcC: [],
+    iden: [],
     mdat: [],
     mdhd: [],
     mdia: [],
@@ -38,16 +61,31 @@ var box, dinf, esds, ftyp, mdat, mfhd, minf, moof, moov, mvex, mvhd,
     mp4a: [], // codingname
     mvex: [],
     mvhd: [],
+    nmhd: [],
+    Opus: [], // codingname
     pasp: [],
+    payl: [],
+    pssh: [],
+    saio: [],
+    saiz: [],
+    schi: [],
+    schm: [],
     sdtp: [],
+    senc: [],
+    sinf: [],
     smhd: [],
     stbl: [],
     stco: [],
     stsc: [],
     stsd: [],
+    stss: [],
+    sthd: [],
+    stpp: [], // codingname
+    sttg: [],
     stsz: [],
     stts: [],
     styp: [],
+    tenc: [],
     tfdt: [],
     tfhd: [],
     traf: [],
@@ -55,7 +93,11 @@ var box, dinf, esds, ftyp, mdat, mfhd, minf, moof, moov, mvex, mvhd,
     trun: [],
     trex: [],
     tkhd: [],
-    vmhd: []
+    vmhd: [],
+    vttC: [],
+    vttc: [],
+    vtte: [],
+    wvtt: [] // codingname
   };
 
   // In environments where Uint8Array is undefined (e.g., IE8), skip set up so that we
@@ -112,9 +154,35 @@ var box, dinf, esds, ftyp, mdat, mfhd, minf, moof, moov, mvex, mvhd,
     0x64, 0x48, 0x61, 0x6e,
     0x64, 0x6c, 0x65, 0x72, 0x00 // name: 'SoundHandler'
   ]);
+  SUBTITLE_HDLR = new Uint8Array([
+    0x00, // version 0
+    0x00, 0x00, 0x00, // flags
+    0x00, 0x00, 0x00, 0x00, // pre_defined
+    0x73, 0x75, 0x62, 0x74, // handler_type: 'subt'
+    0x00, 0x00, 0x00, 0x00, // reserved
+    0x00, 0x00, 0x00, 0x00, // reserved
+    0x00, 0x00, 0x00, 0x00, // reserved
+    0x53, 0x75, 0x62, 0x74,
+    0x69, 0x74, 0x6c, 0x65,
+    0x48, 0x61, 0x6e, 0x64,
+    0x6c, 0x65, 0x72, 0x00 // name: 'SubtitleHandler'
+  ]);
+  TEXT_HDLR = new Uint8Array([
+    0x00, // version 0
+    0x00, 0x00, 0x00, // flags
+    0x00, 0x00, 0x00, 0x00, // pre_defined
+    0x74, 0x65, 0x78, 0x74, // handler_type: 'text'
+    0x00, 0x00, 0x00, 0x00, // reserved
+    0x00, 0x00, 0x00, 0x00, // reserved
+    0x00, 0x00, 0x00, 0x00, // reserved
+    0x54, 0x65, 0x78, 0x74,
+    0x48, 0x61, 0x6e, 0x64,
+    0x6c, 0x65, 0x72, 0x00 // name: 'TextHandler'
+  ]);
   HDLR_TYPES = {
     video: VIDEO_HDLR,
-    audio: AUDIO_HDLR
+    audio: AUDIO_HDLR,
+    text: SUBTITLE_HDLR
   };
   DREF = new Uint8Array([
     0x00, // version 0
@@ -131,6 +199,12 @@ var box, dinf, esds, ftyp, mdat, mfhd, minf, moof, moov, mvex, mvhd,
     0x00, 0x00,       // balance, 0 means centered
     0x00, 0x00        // reserved
   ]);
+  // the subtitle and null media headers are empty full boxes
+  STHD = new Uint8Array([
+    0x00,             // version
+    0x00, 0x00, 0x00  // flags
+  ]);
+  NMHD = STHD;
   STCO = new Uint8Array([
     0x00, // version
     0x00, 0x00, 0x00, // flags
@@ -189,49 +263,321 @@ dinf = function() {
   return box(types.dinf, box(types.dref, DREF));
 };
 
+// AC3SpecificBox, see ETSI TS 102 366, section F.4
+dac3 = function(track) {
+  var config = track.ac3Config;
+
+  return box(types.dac3, new Uint8Array([
+    (config.fscod << 6) | (config.bsid << 1) | (config.bsmod >>> 2),
+    ((config.bsmod & 0x03) << 6) | (config.acmod << 3) | (config.lfeon << 2) |
+      (config.bitRateCode >>> 3),
+    (config.bitRateCode & 0x07) << 5 // reserved
+  ]));
+};
+
+// EC3SpecificBox with a single independent substream,
+// see ETSI TS 102 366, section F.6
+dec3 = function(track) {
+  var config = track.ac3Config;
+
+  return box(types.dec3, new Uint8Array([
+    (config.dataRate >>> 5) & 0xff,
+    ((config.dataRate & 0x1f) << 3), // num_ind_sub = 0, ie. one substream
+    (config.fscod << 6) | (config.bsid << 1), // reserved
+    (config.bsmod << 4) | (config.acmod << 1) | config.lfeon, // asvc = 0
+    (config.numDepSub << 1) | (config.chanLoc >>> 8), // reserved
+    config.chanLoc & 0xff
+  ].slice(0, config.numDepSub ? 6 : 5)));
+};
+
+// OpusSpecificBox, see Encapsulation of Opus in ISO Base Media File Format,
+// section 4.3.2
+dOps = function(track) {
+  var
+    config = track.opusConfig,
+    result = [
+      0x00, // Version
+      config.channelcount, // OutputChannelCount
+      (config.preSkip >>> 8) & 0xff,
+      config.preSkip & 0xff, // PreSkip
+      (track.samplerate >>> 24) & 0xff,
+      (track.samplerate >>> 16) & 0xff,
+      (track.samplerate >>> 8) & 0xff,
+      track.samplerate & 0xff, // InputSampleRate
+      0x00, 0x00, // OutputGain
+      config.channelMappingFamily
+    ];
+
+  // the ChannelMappingTable is only present for mapping families other than 0
+  if (config.channelMappingFamily !== 0) {
+    result = result.concat(
+      [config.streamCount, config.coupledCount],
+      config.channelMapping
+    );
+  }
+
+  return box(types.dOps, new Uint8Array(result));
+};
+
+// ProtectionSchemeInfoBox, see ISO/IEC 23001-7, section 4
+sinf = function(track, format) {
+  var encryption = track.encryption;
+
+  return box(types.sinf,
+             box(types.frma, format),
+             box(types.schm, new Uint8Array([
+               0x00, // version 0
+               0x00, 0x00, 0x00, // flags
+               encryption.scheme.charCodeAt(0),
+               encryption.scheme.charCodeAt(1),
+               encryption.scheme.charCodeAt(2),
+               encryption.scheme.charCodeAt(3), // scheme_type
+               0x00, 0x01, 0x00, 0x00 // scheme_version
+             ])),
+             box(types.schi, tenc(track)));
+};
+
+// TrackEncryptionBox, see ISO/IEC 23001-7, section 8.2
+tenc = function(track) {
+  var
+    encryption = track.encryption,
+    isPatterned = encryption.cryptByteBlock || encryption.skipByteBlock,
+    result = [
+      isPatterned ? 0x01 : 0x00, // version
+      0x00, 0x00, 0x00, // flags
+      0x00, // reserved
+      isPatterned ?
+        (encryption.cryptByteBlock << 4) | encryption.skipByteBlock :
+        0x00, // default_crypt_byte_block, default_skip_byte_block
+      0x01, // default_isProtected
+      encryption.perSampleIvSize // default_Per_Sample_IV_Size
+    ].concat(Array.prototype.slice.call(encryption.keyId)); // default_KID
+
+  // samples without a per-sample IV all use a constant IV
+  if (!encryption.perSampleIvSize) {
+    result = result.concat(
+      [encryption.constantIv.length], // default_constant_IV_size
+      Array.prototype.slice.call(encryption.constantIv)
+    );
+  }
+
+  return box(types.tenc, new Uint8Array(result));
+};
+
+// ProtectionSystemSpecificHeaderBox, see ISO/IEC 23001-7, section 8.1
+pssh = function(header) {
+  var
+    keyIds = header.keyIds || [],
+    data = header.data || new Uint8Array(0),
+    result = [
+      keyIds.length ? 0x01 : 0x00, // version
+      0x00, 0x00, 0x00 // flags
+    ].concat(Array.prototype.slice.call(header.systemId)),
+    i;
+
+  // version 1 boxes list the key IDs the data applies to
+  if (keyIds.length) {
+    result.push(
+      (keyIds.length >>> 24) & 0xff,
+      (keyIds.length >>> 16) & 0xff,
+      (keyIds.length >>> 8) & 0xff,
+      keyIds.length & 0xff // KID_count
+    );
+    for (i = 0; i < keyIds.length; i++) {
+      result = result.concat(Array.prototype.slice.call(keyIds[i]));
+    }
+  }
+  result.push(
+    (data.length >>> 24) & 0xff,
+    (data.length >>> 16) & 0xff,
+    (data.length >>> 8) & 0xff,
+    data.length & 0xff // DataSize
+  );
+
+  return box(types.pssh, new Uint8Array(result.concat(Array.prototype.slice.call(data))));
+};
+
+// the size of the auxiliary information of each sample in its senc entry
+sampleAuxiliaryInfoSize = function(track, sample) {
+  return track.encryption.perSampleIvSize +
+    (sample.subsamples ? 2 + sample.subsamples.length * 6 : 0);
+};
+
+// SampleEncryptionBox, see ISO/IEC 23001-7, section 7.2
+senc = function(track) {
+  var
+    samples = track.sampleEncryption,
+    useSubsamples = samples.length && !!samples[0].subsamples,
+    result = [
+      0x00, // version 0
+      0x00, 0x00, useSubsamples ? 0x02 : 0x00, // flags, UseSubSampleEncryption
+      (samples.length >>> 24) & 0xff,
+      (samples.length >>> 16) & 0xff,
+      (samples.length >>> 8) & 0xff,
+      samples.length & 0xff // sample_count
+    ],
+    i,
+    j,
+    subsample;
+
+  for (i = 0; i < samples.length; i++) {
+    if (samples[i].iv) {
+      result = result.concat(Array.prototype.slice.call(samples[i].iv));
+    }
+    if (useSubsamples) {
+      result.push(
+        (samples[i].subsamples.length >>> 8) & 0xff,
+        samples[i].subsamples.length & 0xff // subsample_count
+      );
+      for (j = 0; j < samples[i].subsamples.length; j++) {
+        subsample = samples[i].subsamples[j];
+        result.push(
+          (subsample.clearBytes >>> 8) & 0xff,
+          subsample.clearBytes & 0xff, // BytesOfClearData
+          (subsample.protectedBytes >>> 24) & 0xff,
+          (subsample.protectedBytes >>> 16) & 0xff,
+          (subsample.protectedBytes >>> 8) & 0xff,
+          subsample.protectedBytes & 0xff // BytesOfProtectedData
+        );
+      }
+    }
+  }
+
+  return box(types.senc, new Uint8Array(result));
+};
+
+// SampleAuxiliaryInformationSizesBox, see ISO/IEC 14496-12:2012, section 8.7.8
+saiz = function(track) {
+  var
+    samples = track.sampleEncryption,
+    defaultSize = samples.length ? sampleAuxiliaryInfoSize(track, samples[0]) : 0,
+    sizes = [],
+    i;
+
+  for (i = 0; i < samples.length; i++) {
+    sizes.push(sampleAuxiliaryInfoSize(track, samples[i]));
+    if (sizes[i] !== defaultSize) {
+      defaultSize = 0;
+    }
+  }
+
+  return box(types.saiz, new Uint8Array([
+    0x00, // version 0
+    0x00, 0x00, 0x00, // flags
+    defaultSize, // default_sample_info_size
+    (samples.length >>> 24) & 0xff,
+    (samples.length >>> 16) & 0xff,
+    (samples.length >>> 8) & 0xff,
+    samples.length & 0xff // sample_count
+  ].concat(defaultSize ? [] : sizes))); // sample_info_size
+};
+
+// SampleAuxiliaryInformationOffsetsBox, see ISO/IEC 14496-12:2012, section 8.7.9
+saio = function(offset) {
+  return box(types.saio, new Uint8Array([
+    0x00, // version 0
+    0x00, 0x00, 0x00, // flags
+    0x00, 0x00, 0x00, 0x01, // entry_count
+    (offset >>> 24) & 0xff,
+    (offset >>> 16) & 0xff,
+    (offset >>> 8) & 0xff,
+    offset & 0xff // offset
+  ]));
+};
+
+// the total size of a list of boxes
+byteLength = function(boxes) {
+  var i, length = 0;
+
+  for (i = 0; i < boxes.length; i++) {
+    length += boxes[i].byteLength;
+  }
+  return length;
+};
+
+/**
+ * Generate the saiz, saio and senc boxes of an encrypted track fragment.
+ * @param track {object} the track, with the sampleEncryption of its samples
+ * @param offset {number} the offset of the boxes from the start of the moof
+ * @return {array} the boxes, or an empty list for clear tracks
+ */
+sampleEncryptionBoxes = function(track, offset) {
+  var sampleInfoSizes, sampleEncryption;
+
+  // samples that use a constant IV and no subsamples have no auxiliary
+  // information, like cbcs audio
+  if (!track.encryption || !track.sampleEncryption ||
+      (!track.encryption.perSampleIvSize && track.type !== 'video')) {
+    return [];
+  }
+
+  sampleInfoSizes = saiz(track);
+  sampleEncryption = senc(track);
+
+  // point at the first sample entry in the senc box, past the saio box (20
+  // bytes) and the senc header and sample_count (16 bytes)
+  return [
+    sampleInfoSizes,
+    saio(offset + sampleInfoSizes.byteLength + 20 + 16),
+    sampleEncryption
+  ];
+};
+
 esds = function(track) {
+  // MPEG-1/2 audio is identified by its objectTypeIndication alone and
+  // has no DecoderSpecificInfo, see ISO/IEC 14496-3, 1.6.2.2
+  var
+    isMp3 = track.codec === 'mp3',
+    decoderSpecificInfo = isMp3 ? [] : [
+      // DecoderSpecificInfo
+      0x05, // tag, DecoderSpecificInfoTag
+      0x02, // length
+      // ISO/IEC 14496-3, AudioSpecificConfig
+      // for samplingFrequencyIndex see ISO/IEC 13818-7:2006, 8.1.3.2.2, Table 35
+      (track.audioobjecttype << 3) | (track.samplingfrequencyindex >>> 1),
+      (track.samplingfrequencyindex << 7) | (track.channelcount << 3)
+    ];
+
   return box(types.esds, new Uint8Array([
     0x00, // version
     0x00, 0x00, 0x00, // flags
 
     // ES_Descriptor
     0x03, // tag, ES_DescrTag
-    0x19, // length
+    0x15 + decoderSpecificInfo.length, // length
     0x00, 0x00, // ES_ID
     0x00, // streamDependenceFlag, URL_flag, reserved, streamPriority
 
     // DecoderConfigDescriptor
     0x04, // tag, DecoderConfigDescrTag
-    0x11, // length
-    0x40, // object type
+    0x0d + decoderSpecificInfo.length, // length
+    isMp3 ? 0x6b : 0x40, // object type
     0x15,  // streamType
     0x00, 0x06, 0x00, // bufferSizeDB
     0x00, 0x00, 0xda, 0xc0, // maxBitrate
-    0x00, 0x00, 0xda, 0xc0, // avgBitrate
-
-    // DecoderSpecificInfo
-    0x05, // tag, DecoderSpecificInfoTag
-    0x02, // length
-    // ISO/IEC 14496-3, AudioSpecificConfig
-    // for samplingFrequencyIndex see ISO/IEC 13818-7:2006, 8.1.3.2.2, Table 35
-    (track.audioobjecttype << 3) | (track.samplingfrequencyindex >>> 1),
-    (track.samplingfrequencyindex << 7) | (track.channelcount << 3),
+    0x00, 0x00, 0xda, 0xc0 // avgBitrate
+  ].concat(decoderSpecificInfo, [
     0x06, 0x01, 0x02 // GASpecificConfig
-  ]));
+  ])));
 };
 
 ftyp = function() {
   return box(types.ftyp, MAJOR_BRAND, MINOR_VERSION, MAJOR_BRAND, AVC1_BRAND);
 };
 
-hdlr = function(type) {
-  return box(types.hdlr, HDLR_TYPES[type]);
+hdlr = function(track) {
+  // WebVTT tracks are text tracks, other text tracks are subtitles
+  // see ISO/IEC 14496-30:2014, section 7.5
+  if (track.type === 'text' && track.codec === 'wvtt') {
+    return box(types.hdlr, TEXT_HDLR);
+  }
+  return box(types.hdlr, HDLR_TYPES[track.type]);
 };
 mdat = function(data) {
   return box(types.mdat, data);
 };
 mdhd = function(track) {
-  var result = new Uint8Array([
+  var language, result = new Uint8Array([
     0x00,                   // version 0
     0x00, 0x00, 0x00,       // flags
     0x00, 0x00, 0x00, 0x02, // creation_time
@@ -256,10 +602,21 @@ mdhd = function(track) {
     result[15] = (track.samplerate)        & 0xFF;
   }
 
+  // ISO 639-2/T codes are packed as three 5-bit offsets from 0x60 of their
+  // lower case letters. PMT descriptors may carry them in upper case.
+  language = typeof track.language === 'string' && track.language.toLowerCase();
+  if (/^[a-z]{3}$/.test(language)) {
+    language = language.split('').reduce(function(packed, letter) {
+      return packed << 5 | (letter.charCodeAt(0) - 0x60);
+    }, 0);
+    result[20] = language >>> 8;
+    result[21] = language & 0xFF;
+  }
+
   return box(types.mdhd, result);
 };
 mdia = function(track) {
-  return box(types.mdia, mdhd(track), hdlr(track.type), minf(track));
+  return box(types.mdia, mdhd(track), hdlr(track), minf(track));
 };
 mfhd = function(sequenceNumber) {
   return box(types.mfhd, new Uint8Array([
@@ -272,8 +629,23 @@ mfhd = function(sequenceNumber) {
   ]));
 };
 minf = function(track) {
+  var mediaHeader;
+
+  if (track.type === 'video') {
+    mediaHeader = box(types.vmhd, VMHD);
+  } else if (track.type === 'audio') {
+    mediaHeader = box(types.smhd, SMHD);
+  } else if (track.type === 'text' && track.codec !== 'wvtt' &&
+             !track.nullMediaHeader) {
+    mediaHeader = box(types.sthd, STHD);
+  } else {
+    // for WebVTT tracks, and players that do not know the subtitle
+    // media header
+    mediaHeader = box(types.nmhd, NMHD);
+  }
+
   return box(types.minf,
-             track.type === 'video' ? box(types.vmhd, VMHD) : box(types.smhd, SMHD),
+             mediaHeader,
              dinf(),
              stbl(track));
 };
@@ -304,8 +676,39 @@ moov = function(tracks) {
     boxes[i] = trak(tracks[i]);
   }
 
+  // add the protection system headers of the first encrypted track
+  for (i = 0; i < tracks.length; i++) {
+    if (tracks[i].encryption) {
+      boxes = boxes.concat(tracks[i].encryption.pssh.map(pssh));
+      break;
+    }
+  }
+
   return box.apply(null, [types.moov, mvhd(0xffffffff)].concat(boxes).concat(mvex(tracks)));
 };
+/**
+ * Returns the movie box of a progressive, non-fragmented file, with the
+ * complete sample tables of the tracks.
+ * @param tracks {array} the tracks of the movie, with all of their samples,
+ * their duration in the media timescale and their chunks, as a list of
+ * {offset, sampleCount} where offset is from the start of the file. An
+ * optional startTime, in the 90kHz movie timescale, delays the track with an
+ * edit list.
+ * @see ISO/IEC 14496-12:2012(E), section 8.2.1
+ */
+progressiveMoov = function(tracks) {
+  var
+    i = tracks.length,
+    duration = 0,
+    boxes = [];
+
+  while (i--) {
+    boxes[i] = trak(tracks[i]);
+    duration = Math.max(duration, trackDuration(tracks[i]));
+  }
+
+  return box.apply(null, [types.moov, mvhd(duration)].concat(boxes));
+};
 mvex = function(tracks) {
   var
     i = tracks.length,
@@ -376,24 +779,323 @@ sdtp = function(track) {
 };
 
 stbl = function(track) {
-  return box(types.stbl,
-             stsd(track),
-             box(types.stts, STTS),
-             box(types.stsc, STSC),
-             box(types.stsz, STSZ),
-             box(types.stco, STCO));
+  var boxes;
+
+  // the samples of fragmented tracks are described in their fragments
+  if (!track.chunks) {
+    return box(types.stbl,
+               stsd(track),
+               box(types.stts, STTS),
+               box(types.stsc, STSC),
+               box(types.stsz, STSZ),
+               box(types.stco, STCO));
+  }
+
+  boxes = [stsd(track), stts(track)];
+  if (track.samples.some(function(sample) {
+    return sample.compositionTimeOffset;
+  })) {
+    boxes.push(ctts(track));
+  }
+  // without a sync sample box, every sample is a sync sample
+  if (track.samples.some(function(sample) {
+    return sample.flags && sample.flags.isNonSyncSample;
+  })) {
+    boxes.push(stss(track));
+  }
+  boxes.push(stsc(track), stsz(track), chunkOffsets(track));
+
+  return box.apply(null, [types.stbl].concat(boxes));
+};
+
+/**
+ * Group equal consecutive values.
+ * @param values {array} a list of numbers
+ * @return {array} the runs of values, as [count, value] pairs
+ */
+runLengths = function(values) {
+  var runs = [], i;
+
+  for (i = 0; i < values.length; i++) {
+    if (runs.length && runs[runs.length - 1][1] === values[i]) {
+      runs[runs.length - 1][0]++;
+    } else {
+      runs.push([1, values[i]]);
+    }
+  }
+  return runs;
+};
+
+/**
+ * Generate a full box holding an entry_count and a table of 32-bit fields.
+ * @param type {array} the box type
+ * @param version {number} the version of the box
+ * @param entries {array} the entries of the table, as lists of fields
+ * @return {Uint8Array} the box
+ */
+tableBox = function(type, version, entries) {
+  var
+    fieldCount = entries.length ? entries[0].length : 0,
+    bytes = new Uint8Array(8 + entries.length * fieldCount * 4),
+    view = new DataView(bytes.buffer),
+    i,
+    j;
+
+  bytes[0] = version;
+  view.setUint32(4, entries.length);
+  for (i = 0; i < entries.length; i++) {
+    for (j = 0; j < fieldCount; j++) {
+      // signed fields are written as their two's complement
+      view.setUint32(8 + (i * fieldCount + j) * 4, entries[i][j] >>> 0);
+    }
+  }
+  return box(type, bytes);
+};
+
+/**
+ * Generate the decoding time to sample box of a progressive track.
+ * @see ISO/IEC 14496-12:2012(E), section 8.6.1.2
+ */
+stts = function(track) {
+  return tableBox(types.stts, 0, runLengths(track.samples.map(function(sample) {
+    return sample.duration;
+  })));
+};
+
+/**
+ * Generate the composition time to sample box of a progressive track. Negative
+ * offsets need a version 1 box.
+ * @see ISO/IEC 14496-12:2012(E), section 8.6.1.3
+ */
+ctts = function(track) {
+  var offsets = track.samples.map(function(sample) {
+    return sample.compositionTimeOffset || 0;
+  });
+
+  return tableBox(types.ctts, offsets.some(function(offset) {
+    return offset < 0;
+  }) ? 1 : 0, runLengths(offsets));
+};
+
+/**
+ * Generate the sync sample box of a progressive track, with the 1-based
+ * numbers of its sync samples.
+ * @see ISO/IEC 14496-12:2012(E), section 8.6.2
+ */
+stss = function(track) {
+  var entries = [], i;
+
+  for (i = 0; i < track.samples.length; i++) {
+    if (!track.samples[i].flags || !track.samples[i].flags.isNonSyncSample) {
+      entries.push([i + 1]);
+    }
+  }
+  return tableBox(types.stss, 0, entries);
+};
+
+/**
+ * Generate the sample to chunk box of a progressive track, with an entry for
+ * every chunk whose sample count differs from the previous one.
+ * @see ISO/IEC 14496-12:2012(E), section 8.7.4
+ */
+stsc = function(track) {
+  var entries = [], i;
+
+  for (i = 0; i < track.chunks.length; i++) {
+    if (!entries.length ||
+        entries[entries.length - 1][1] !== track.chunks[i].sampleCount) {
+      entries.push([i + 1, track.chunks[i].sampleCount, 1]);
+    }
+  }
+  return tableBox(types.stsc, 0, entries);
+};
+
+/**
+ * Generate the sample size box of a progressive track. Samples of a single
+ * size are described by the sample_size alone.
+ * @see ISO/IEC 14496-12:2012(E), section 8.7.3.2
+ */
+stsz = function(track) {
+  var
+    samples = track.samples,
+    constantSize = samples.length && samples.every(function(sample) {
+      return sample.size === samples[0].size;
+    }),
+    bytes = new Uint8Array(12 + (constantSize ? 0 : samples.length * 4)),
+    view = new DataView(bytes.buffer),
+    i;
+
+  view.setUint32(8, samples.length);
+  if (constantSize) {
+    view.setUint32(4, samples[0].size);
+  } else {
+    for (i = 0; i < samples.length; i++) {
+      view.setUint32(12 + i * 4, samples[i].size);
+    }
+  }
+  return box(types.stsz, bytes);
+};
+
+/**
+ * Generate the chunk offset box of a progressive track, a chunk large offset
+ * box (co64) when a chunk starts past 4GB.
+ * @see ISO/IEC 14496-12:2012(E), section 8.7.5
+ */
+chunkOffsets = function(track) {
+  var
+    chunks = track.chunks,
+    bytes,
+    view,
+    i;
+
+  if (!chunks.some(function(chunk) {
+    return chunk.offset > UINT32_MAX;
+  })) {
+    return tableBox(types.stco, 0, chunks.map(function(chunk) {
+      return [chunk.offset];
+    }));
+  }
+
+  bytes = new Uint8Array(8 + chunks.length * 8);
+  view = new DataView(bytes.buffer);
+  view.setUint32(4, chunks.length);
+  for (i = 0; i < chunks.length; i++) {
+    view.setUint32(8 + i * 8, Math.floor(chunks[i].offset / (UINT32_MAX + 1)));
+    view.setUint32(12 + i * 8, chunks[i].offset % (UINT32_MAX + 1));
+  }
+  return box(types.co64, bytes);
 };
 
 (function() {
-  var videoSample, audioSample;
+  var videoSample, hevcSample, audioSample, visualSampleEntry, audioSampleEntry,
+      protectedSample, textSample, webVttSample;
 
   stsd = function(track) {
+    var sampleEntry;
+
+    if (track.type === 'video') {
+      sampleEntry = videoSample(track);
+    } else if (track.type === 'text') {
+      sampleEntry = textSample(track);
+    } else {
+      sampleEntry = audioSample(track);
+    }
+
+    if (track.encryption) {
+      sampleEntry = protectedSample(track, sampleEntry);
+    }
 
     return box(types.stsd, new Uint8Array([
       0x00, // version 0
       0x00, 0x00, 0x00, // flags
       0x00, 0x00, 0x00, 0x01
-    ]), track.type === 'video' ? videoSample(track) : audioSample(track));
+    ]), sampleEntry);
+  };
+
+  // rename an encrypted sample entry to encv or enca and record its
+  // original codingname in a sinf box, see ISO/IEC 23001-7, section 4
+  protectedSample = function(track, sampleEntry) {
+    return box(track.type === 'video' ? types.encv : types.enca,
+               sampleEntry.subarray(8),
+               sinf(track, sampleEntry.subarray(4, 8)));
+  };
+
+  // the fields of a VisualSampleEntry shared by every video codingname
+  // see ISO/IEC 14496-12:2012, section 12.1.3
+  visualSampleEntry = function(track) {
+    return new Uint8Array([
+      0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, // reserved
+      0x00, 0x01, // data_reference_index
+      0x00, 0x00, // pre_defined
+      0x00, 0x00, // reserved
+      0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00, // pre_defined
+      (track.width & 0xff00) >> 8,
+      track.width & 0xff, // width
+      (track.height & 0xff00) >> 8,
+      track.height & 0xff, // height
+      0x00, 0x48, 0x00, 0x00, // horizresolution
+      0x00, 0x48, 0x00, 0x00, // vertresolution
+      0x00, 0x00, 0x00, 0x00, // reserved
+      0x00, 0x01, // frame_count
+      0x13,
+      0x76, 0x69, 0x64, 0x65,
+      0x6f, 0x6a, 0x73, 0x2d,
+      0x63, 0x6f, 0x6e, 0x74,
+      0x72, 0x69, 0x62, 0x2d,
+      0x68, 0x6c, 0x73, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, // compressorname
+      0x00, 0x18, // depth = 24
+      0x11, 0x11 // pre_defined = -1
+    ]);
+  };
+
+  /**
+   * Generate an hvc1 sample entry with its HEVC decoder configuration
+   * record. Parameter sets are stored in the hvcC so that the samples
+   * themselves do not need to carry them.
+   * @see ISO/IEC 14496-15:2017, section 8.3.3
+   */
+  hevcSample = function(track) {
+    var
+      config = track.hevcConfig || {},
+      constraintFlags = config.generalConstraintIndicatorFlags || [0, 0, 0, 0, 0, 0],
+      compatibilityFlags = config.generalProfileCompatibilityFlags || 0,
+      parameterSets = [
+        [32, track.vps || []], // VPS_NUT
+        [33, track.sps || []], // SPS_NUT
+        [34, track.pps || []] // PPS_NUT
+      ],
+      arrays = [],
+      i,
+      j,
+      nalUnits;
+
+    for (i = 0; i < parameterSets.length; i++) {
+      nalUnits = parameterSets[i][1];
+      arrays.push(
+        0x80 | parameterSets[i][0], // array_completeness, NAL_unit_type
+        (nalUnits.length & 0xff00) >>> 8,
+        nalUnits.length & 0xff // numNalus
+      );
+      for (j = 0; j < nalUnits.length; j++) {
+        arrays.push((nalUnits[j].byteLength & 0xff00) >>> 8);
+        arrays.push(nalUnits[j].byteLength & 0xff); // nalUnitLength
+        arrays = arrays.concat(Array.prototype.slice.call(nalUnits[j]));
+      }
+    }
+
+    return box(types.hvc1, visualSampleEntry(track), box(types.hvcC, new Uint8Array([
+      0x01, // configurationVersion
+      ((config.generalProfileSpace & 0x03) << 6) |
+        ((config.generalTierFlag & 0x01) << 5) |
+        (config.generalProfileIdc & 0x1f),
+      (compatibilityFlags >>> 24) & 0xff,
+      (compatibilityFlags >>> 16) & 0xff,
+      (compatibilityFlags >>> 8) & 0xff,
+      compatibilityFlags & 0xff, // general_profile_compatibility_flags
+      constraintFlags[0],
+      constraintFlags[1],
+      constraintFlags[2],
+      constraintFlags[3],
+      constraintFlags[4],
+      constraintFlags[5], // general_constraint_indicator_flags
+      config.generalLevelIdc & 0xff,
+      0xf0, 0x00, // min_spatial_segmentation_idc
+      0xfc, // parallelismType
+      0xfc | (config.chromaFormatIdc & 0x03),
+      0xf8 | (config.bitDepthLumaMinus8 & 0x07),
+      0xf8 | (config.bitDepthChromaMinus8 & 0x07),
+      0x00, 0x00, // avgFrameRate
+      ((config.numTemporalLayers & 0x07) << 3) |
+        ((config.temporalIdNested & 0x01) << 2) |
+        0x03, // lengthSizeMinusOne, hard-coded to 4 bytes
+      parameterSets.length // numOfArrays
+    ].concat(arrays))));
   };
 
   videoSample = function(track) {
@@ -405,6 +1107,10 @@ stbl = function(track) {
       i,
       avc1Box;
 
+    if (track.codec === 'hevc') {
+      return hevcSample(track);
+    }
+
     // assemble the SPSs
     for (i = 0; i < sps.length; i++) {
       sequenceParameterSets.push((sps[i].byteLength & 0xFF00) >>> 8);
@@ -420,35 +1126,7 @@ stbl = function(track) {
     }
 
     avc1Box = [
-      types.avc1, new Uint8Array([
-        0x00, 0x00, 0x00,
-        0x00, 0x00, 0x00, // reserved
-        0x00, 0x01, // data_reference_index
-        0x00, 0x00, // pre_defined
-        0x00, 0x00, // reserved
-        0x00, 0x00, 0x00, 0x00,
-        0x00, 0x00, 0x00, 0x00,
-        0x00, 0x00, 0x00, 0x00, // pre_defined
-        (track.width & 0xff00) >> 8,
-        track.width & 0xff, // width
-        (track.height & 0xff00) >> 8,
-        track.height & 0xff, // height
-        0x00, 0x48, 0x00, 0x00, // horizresolution
-        0x00, 0x48, 0x00, 0x00, // vertresolution
-        0x00, 0x00, 0x00, 0x00, // reserved
-        0x00, 0x01, // frame_count
-        0x13,
-        0x76, 0x69, 0x64, 0x65,
-        0x6f, 0x6a, 0x73, 0x2d,
-        0x63, 0x6f, 0x6e, 0x74,
-        0x72, 0x69, 0x62, 0x2d,
-        0x68, 0x6c, 0x73, 0x00,
-        0x00, 0x00, 0x00, 0x00,
-        0x00, 0x00, 0x00, 0x00,
-        0x00, 0x00, 0x00, // compressorname
-        0x00, 0x18, // depth = 24
-        0x11, 0x11 // pre_defined = -1
-      ]),
+      types.avc1, visualSampleEntry(track),
       box(types.avcC, new Uint8Array([
         0x01, // configurationVersion
         track.profileIdc, // AVCProfileIndication
@@ -490,8 +1168,10 @@ stbl = function(track) {
     return box.apply(null, avc1Box);
   };
 
-  audioSample = function(track) {
-    return box(types.mp4a, new Uint8Array([
+  // the fields of an AudioSampleEntry shared by every audio codingname
+  // see ISO/IEC 14496-12:2012, section 12.2.3
+  audioSampleEntry = function(track) {
+    return new Uint8Array([
 
       // SampleEntry, ISO/IEC 14496-12
       0x00, 0x00, 0x00,
@@ -512,13 +1192,168 @@ stbl = function(track) {
       (track.samplerate & 0xff00) >> 8,
       (track.samplerate & 0xff),
       0x00, 0x00 // samplerate, 16.16
+    ]);
+  };
+
+  audioSample = function(track) {
+    // Dolby audio is stored as complete syncframes, see ETSI TS 102 366, Annex F
+    if (track.codec === 'ac-3') {
+      return box(types['ac-3'], audioSampleEntry(track), dac3(track));
+    }
+    if (track.codec === 'ec-3') {
+      return box(types['ec-3'], audioSampleEntry(track), dec3(track));
+    }
+    if (track.codec === 'opus') {
+      return box(types.Opus, audioSampleEntry(track), dOps(track));
+    }
 
-      // MP4AudioSampleEntry, ISO/IEC 14496-14
-    ]), esds(track));
+    // MP4AudioSampleEntry, ISO/IEC 14496-14
+    return box(types.mp4a, audioSampleEntry(track), esds(track));
+  };
+
+  // XMLSubtitleSampleEntry for TTML documents, with the null-terminated
+  // namespace, schema_location and auxiliary_mime_types strings
+  // see ISO/IEC 14496-30:2014, section 5.5
+  textSample = function(track) {
+    if (track.codec === 'wvtt') {
+      return webVttSample(track);
+    }
+
+    var
+      namespace = track.namespace || 'http://www.w3.org/ns/ttml',
+      bytes = new Uint8Array(8 + namespace.length + 3),
+      i;
+
+    bytes[7] = 0x01; // data_reference_index
+    for (i = 0; i < namespace.length; i++) {
+      bytes[8 + i] = namespace.charCodeAt(i);
+    }
+
+    return box(types.stpp, bytes);
+  };
+
+  // WVTTSampleEntry, with the WebVTT file header in a vttC box
+  // see ISO/IEC 14496-30:2014, section 7.5
+  webVttSample = function(track) {
+    return box(types.wvtt, new Uint8Array([
+      0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, // reserved
+      0x00, 0x01 // data_reference_index
+    ]), box(types.vttC, utf8Bytes(track.header || 'WEBVTT')));
   };
 }());
 
+/**
+ * Generate the sample of a WebVTT cue.
+ * @param cue {object} the cue, with its text and optional id and settings
+ * @see ISO/IEC 14496-30:2014, section 7.4
+ */
+vttc = function(cue) {
+  var boxes = [types.vttc];
+
+  if (cue.id) {
+    boxes.push(box(types.iden, utf8Bytes(cue.id)));
+  }
+  if (cue.settings) {
+    boxes.push(box(types.sttg, utf8Bytes(cue.settings)));
+  }
+  boxes.push(box(types.payl, utf8Bytes(cue.text)));
+
+  return box.apply(null, boxes);
+};
+
+/**
+ * Generate an event message box, see ISO/IEC 23009-1, section 5.10.3.3.
+ * @param event {object} the schemeIdUri, value, timescale, duration, id and
+ *        messageData of the event, with the presentationTime of version 1
+ *        boxes or the presentationTimeDelta of version 0 boxes
+ */
+emsg = function(event) {
+  var
+    schemeIdUri = utf8Bytes(event.schemeIdUri + '\0'),
+    value = utf8Bytes((event.value || '') + '\0'),
+    messageData = event.messageData || new Uint8Array(0),
+    strings = schemeIdUri.byteLength + value.byteLength,
+    // version 1 boxes have a 64-bit presentation_time
+    result = new Uint8Array((event.version ? 24 : 20) + strings + messageData.byteLength),
+    view = new DataView(result.buffer),
+    offset = 4;
+
+  result[0] = event.version ? 0x01 : 0x00;
+  if (!event.version) {
+    result.set(schemeIdUri, offset);
+    result.set(value, offset + schemeIdUri.byteLength);
+    offset += strings;
+  }
+  view.setUint32(offset, event.timescale);
+  if (event.version) {
+    view.setUint32(offset + 4, Math.floor(event.presentationTime / (UINT32_MAX + 1)));
+    view.setUint32(offset + 8, event.presentationTime % (UINT32_MAX + 1));
+    offset += 12;
+  } else {
+    view.setUint32(offset + 4, event.presentationTimeDelta);
+    offset += 8;
+  }
+  view.setUint32(offset, event.duration);
+  view.setUint32(offset + 4, event.id);
+  offset += 8;
+  if (event.version) {
+    result.set(schemeIdUri, offset);
+    result.set(value, offset + schemeIdUri.byteLength);
+    offset += strings;
+  }
+  result.set(messageData, offset);
+
+  return box(types.emsg, result);
+};
+
+/**
+ * Generate the sample of a time without WebVTT cues.
+ */
+vtte = function() {
+  return box(types.vtte);
+};
+
+/**
+ * The duration of a track in the 90kHz movie timescale. The duration of a
+ * progressive track is in its media timescale, which is the sample rate of
+ * audio tracks, and includes the delay of its edit list.
+ */
+trackDuration = function(track) {
+  var duration = track.duration;
+
+  if (!track.chunks) {
+    return duration;
+  }
+  if (track.samplerate) {
+    duration = Math.round(duration * 90000 / track.samplerate);
+  }
+  return duration + (track.startTime || 0);
+};
+
+/**
+ * Generate an edit box that starts a progressive track at its startTime, with
+ * an empty edit followed by the whole media of the track.
+ * @see ISO/IEC 14496-12:2012(E), section 8.6.6
+ */
+edts = function(track) {
+  var
+    bytes = new Uint8Array(32),
+    view = new DataView(bytes.buffer);
+
+  view.setUint32(4, 2); // entry_count
+  view.setUint32(8, track.startTime); // segment_duration
+  view.setInt32(12, -1); // media_time, empty
+  view.setUint16(16, 1); // media_rate_integer
+  view.setUint32(20, trackDuration(track) - track.startTime);
+  view.setInt32(24, 0);
+  view.setUint16(28, 1);
+
+  return box(types.edts, box(types.elst, bytes));
+};
+
 tkhd = function(track) {
+  var duration = trackDuration(track);
   var result = new Uint8Array([
     0x00, // version 0
     0x00, 0x00, 0x07, // flags
@@ -529,10 +1364,10 @@ tkhd = function(track) {
     (track.id & 0xFF00) >> 8,
     track.id & 0xFF, // track_ID
     0x00, 0x00, 0x00, 0x00, // reserved
-    (track.duration & 0xFF000000) >> 24,
-    (track.duration & 0xFF0000) >> 16,
-    (track.duration & 0xFF00) >> 8,
-    track.duration & 0xFF, // duration
+    (duration & 0xFF000000) >> 24,
+    (duration & 0xFF0000) >> 16,
+    (duration & 0xFF00) >> 8,
+    duration & 0xFF, // duration
     0x00, 0x00, 0x00, 0x00,
     0x00, 0x00, 0x00, 0x00, // reserved
     0x00, 0x00, // layer
@@ -565,7 +1400,7 @@ tkhd = function(track) {
  */
 traf = function(track) {
   var trackFragmentHeader, trackFragmentDecodeTime, trackFragmentRun,
-      sampleDependencyTable, dataOffset,
+      sampleDependencyTable, dataOffset, encryptionBoxes, encryptionBoxesLength,
       upperWordBaseMediaDecodeTime, lowerWordBaseMediaDecodeTime;
 
   trackFragmentHeader = box(types.tfhd, new Uint8Array([
@@ -608,26 +1443,38 @@ traf = function(track) {
                 8 +  // moof header
                 8);  // mdat header
 
-  // audio tracks require less metadata
-  if (track.type === 'audio') {
-    trackFragmentRun = trun(track, dataOffset);
-    return box(types.traf,
-               trackFragmentHeader,
-               trackFragmentDecodeTime,
-               trackFragmentRun);
+  // audio and text tracks require less metadata
+  if (track.type === 'audio' || track.type === 'text') {
+    // encrypted samples are described by boxes that follow the trun
+    encryptionBoxes = sampleEncryptionBoxes(
+      track, dataOffset - 8 + trun(track, 0).byteLength);
+    encryptionBoxesLength = byteLength(encryptionBoxes);
+    trackFragmentRun = trun(track, dataOffset + encryptionBoxesLength);
+    return box.apply(null, [
+      types.traf,
+      trackFragmentHeader,
+      trackFragmentDecodeTime,
+      trackFragmentRun
+    ].concat(encryptionBoxes));
   }
 
   // video tracks should contain an independent and disposable samples
   // box (sdtp)
   // generate one and adjust offsets to match
   sampleDependencyTable = sdtp(track)
-  trackFragmentRun = trun(track, sampleDependencyTable.length + dataOffset)
+  encryptionBoxes = sampleEncryptionBoxes(
+    track, dataOffset - 8 + trun(track, 0).byteLength + sampleDependencyTable.length);
+  encryptionBoxesLength = byteLength(encryptionBoxes);
+  trackFragmentRun = trun(track,
+                          sampleDependencyTable.length + encryptionBoxesLength + dataOffset)
 
-  return box(types.traf,
-             trackFragmentHeader,
-             trackFragmentDecodeTime,
-             trackFragmentRun,
-             sampleDependencyTable);
+  return box.apply(null, [
+    types.traf,
+    trackFragmentHeader,
+    trackFragmentDecodeTime,
+    trackFragmentRun,
+    sampleDependencyTable
+  ].concat(encryptionBoxes));
 };
 
 /**
@@ -637,6 +1484,12 @@ traf = function(track) {
  */
 trak = function(track) {
   track.duration = track.duration || 0xffffffff
+  if (track.chunks && track.startTime) {
+    return box(types.trak,
+               tkhd(track),
+               edts(track),
+               mdia(track))
+  }
   return box(types.trak,
              tkhd(track),
              mdia(track))
@@ -664,6 +1517,11 @@ trex = function(track) {
     result[result.length - 1] = 0x00
   }
 
+  // every sample of a text track is a sync sample that depends on no other
+  if (track.type === 'text') {
+    result.set([0x02, 0x00, 0x00, 0x00], result.length - 4)
+  }
+
   return box(types.trex, result)
 };
 
@@ -773,7 +1631,7 @@ trex = function(track) {
   };
 
   trun = function(track, offset) {
-    if (track.type === 'audio') {
+    if (track.type === 'audio' || track.type === 'text') {
       return audioTrun(track, offset);
     }
 
@@ -782,10 +1640,14 @@ trex = function(track) {
 }());
 
 module.exports = {
+  emsg: emsg,
   ftyp: ftyp,
   mdat: mdat,
   moof: moof,
   moov: moov,
+  progressiveMoov: progressiveMoov,
+  vttc: vttc,
+  vtte: vtte,
   initSegment: function(tracks) {
     var
       fileType = ftyp(),
@@ -15,8 +15,20 @@ var parseType = require('../mp4/parse-type.js');
 var parseTfhd = require('../tools/parse-tfhd.js');
 var parseTrun = require('../tools/parse-trun.js');
 var parseTfdt = require('../tools/parse-tfdt.js');
+var sampleTables = require('../tools/parse-sample-tables.js');
+var parseSidx = require('../tools/parse-sidx.js');
+var parseEmsg = require('../tools/parse-emsg.js');
+var parsePrft = require('../tools/parse-prft.js');
+var parseId3Frames = require('../m2ts/metadata-stream.js').parseId3Frames;
 var timescale, startTime, compositionStartTime, getVideoTrackIds, getTracks,
-  getTimescaleFromMediaHeader;
+  getTimescaleFromMediaHeader, getSampleIndex, getEventMessages,
+  getProducerReferenceTimes, getSegmentIndexes;
+
+// the schemes of event messages carrying ID3 tags
+var ID3_SCHEME_ID_URIS = [
+  'https://aomedia.org/emsg/ID3',
+  'https://developer.apple.com/streaming/emsg-id3'
+];
 
 /**
  * Parses an MP4 initialization segment and extracts the timescale
@@ -353,6 +365,166 @@ getTracks = function(init) {
   return tracks;
 };
 
+/**
+ * Build the index of the samples of every track of a non-fragmented MP4 from
+ * the sample tables of its moov:
+ *   moov > trak > mdia > minf > stbl
+ *
+ * Times are in the timescale of the track and do not apply edit lists, and
+ * offsets are from the start of the file. Without a sync sample box, every
+ * sample is a key frame.
+ *
+ * @param {Uint8Array} file - the bytes of the file, or at least of its moov
+ * @return {Object[]} the tracks, with their id, type, codec and timescale and
+ *         their samples, as a list of {offset, size, dts, cts, keyFrame}
+ *
+ * @see ISO/IEC 14496-12:2012(E), section 8.6 and 8.7
+ */
+getSampleIndex = function(file) {
+  var traks = findBox(file, ['moov', 'trak']);
+
+  return getTracks(file).map(function(track, index) {
+    var
+      stbl = findBox(traks[index], ['mdia', 'minf', 'stbl'])[0] || new Uint8Array(),
+      parseTable = function(type) {
+        var data = findBox(stbl, [type])[0];
+
+        return data ? sampleTables[type](data) : null;
+      },
+      stts = parseTable('stts'),
+      ctts = parseTable('ctts'),
+      stss = parseTable('stss'),
+      stsz = parseTable('stsz'),
+      stsc = parseTable('stsc'),
+      chunkOffsets = (parseTable('co64') || parseTable('stco') || {}).chunkOffsets || [],
+      syncSamples = {},
+      samples = [],
+      dts = 0,
+      chunkEntry = 0,
+      sampleCount,
+      chunk,
+      i,
+      j;
+
+    if (stss) {
+      stss.syncSamples.forEach(function(sampleNumber) {
+        syncSamples[sampleNumber] = true;
+      });
+    }
+
+    // the decode times
+    (stts ? stts.timeToSamples : []).forEach(function(entry) {
+      for (i = 0; i < entry.sampleCount; i++) {
+        samples.push({
+          dts: dts,
+          cts: dts,
+          keyFrame: !stss || !!syncSamples[samples.length + 1]
+        });
+        dts += entry.sampleDelta;
+      }
+    });
+
+    // the composition times
+    if (ctts) {
+      j = 0;
+      ctts.compositionOffsets.forEach(function(entry) {
+        for (i = 0; i < entry.sampleCount && j < samples.length; i++, j++) {
+          samples[j].cts = samples[j].dts + entry.sampleOffset;
+        }
+      });
+    }
+
+    // the sizes, of a single size when the sample_size is set
+    if (stsz) {
+      samples.forEach(function(sample, n) {
+        sample.size = stsz.sampleSize || stsz.entries[n];
+      });
+    }
+
+    // the offsets of the samples, which follow each other in their chunk
+    j = 0;
+    for (chunk = 0; chunk < chunkOffsets.length && stsc; chunk++) {
+      while (chunkEntry + 1 < stsc.sampleToChunks.length &&
+             stsc.sampleToChunks[chunkEntry + 1].firstChunk <= chunk + 1) {
+        chunkEntry++;
+      }
+      sampleCount = stsc.sampleToChunks[chunkEntry].samplesPerChunk;
+
+      for (i = 0; i < sampleCount && j < samples.length; i++, j++) {
+        samples[j].offset = i ?
+          samples[j - 1].offset + samples[j - 1].size :
+          chunkOffsets[chunk];
+      }
+    }
+
+    track.samples = samples;
+    return track;
+  });
+};
+
+/**
+ * Parse the event messages of a media segment, the emsg boxes before its
+ * moof. The message data of ID3 events is also parsed into the frames of
+ * the tag, like the tags of the MetadataStream.
+ *
+ * The presentationTimeDelta of version 0 boxes is from the earliest
+ * presentation time of the segment, and the presentationTime of version 1
+ * boxes is on the media timeline, both in the timescale of the event.
+ *
+ * @param {Uint8Array} segment - the bytes of a media segment
+ * @return {Object[]} the events, with their schemeIdUri, value, timescale,
+ *         presentationTimeDelta or presentationTime, eventDuration, id and
+ *         messageData, and the ID3 frames of ID3 events
+ *
+ * @see ISO/IEC 23009-1:2019, section 5.10.3.3
+ */
+getEventMessages = function(segment) {
+  return findBox(segment, ['emsg']).map(function(emsg) {
+    var event = parseEmsg(emsg), data = event.messageData;
+
+    if (ID3_SCHEME_ID_URIS.indexOf(event.schemeIdUri) !== -1 && data.length >= 10 &&
+        data[0] === 0x49 && data[1] === 0x44 && data[2] === 0x33) {
+      // malformed tags have no frames
+      event.frames = parseId3Frames(data) || [];
+    }
+    return event;
+  });
+};
+
+/**
+ * Parse the producer reference times of a media segment, which give the
+ * wall-clock time at which a media time of a track was produced, to measure
+ * the latency of a live stream:
+ * ```
+ * latency = Date.now() - prft.wallClockTime -
+ *   (currentTime - prft.mediaTime / timescale) * 1000
+ * ```
+ *
+ * @param {Uint8Array} segment - the bytes of a media segment
+ * @return {Object[]} the prft boxes, with their referenceTrackId,
+ *         ntpTimestamp, wallClockTime in milliseconds since the Unix epoch
+ *         and mediaTime, in the timescale of the track
+ *
+ * @see ISO/IEC 14496-12:2015, section 8.16.5
+ */
+getProducerReferenceTimes = function(segment) {
+  return findBox(segment, ['prft']).map(parsePrft);
+};
+
+/**
+ * Parse the segment indexes of a file or of a media segment, which list the
+ * size, duration and stream access points of its subsegments.
+ *
+ * @param {Uint8Array} segment - the bytes of the file or segment
+ * @return {Object[]} the sidx boxes, with their referenceId, timescale,
+ *         earliestPresentationTime, firstOffset and references
+ *
+ * @see ISO/IEC 14496-12:2015, section 8.16.3
+ */
+getSegmentIndexes = function(segment) {
+  return findBox(segment, ['sidx']).map(parseSidx);
+};
+
 module.exports = {
   // export mp4 inspector's findBox and parseType for backwards compatibility
   findBox: findBox,
@@ -362,5 +534,9 @@ module.exports = {
   compositionStartTime: compositionStartTime,
   videoTrackIds: getVideoTrackIds,
   tracks: getTracks,
-  getTimescaleFromMediaHeader: getTimescaleFromMediaHeader
+  getTimescaleFromMediaHeader: getTimescaleFromMediaHeader,
+  sampleIndex: getSampleIndex,
+  eventMessages: getEventMessages,
+  producerReferenceTimes: getProducerReferenceTimes,
+  segmentIndexes: getSegmentIndexes
 };
@@ -0,0 +1,284 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * Common Encryption of fMP4 samples, see ISO/IEC 23001-7.
+ */
+'use strict'
+
+const aes = require('../utils/aes')
+
+// bytes at the start of every video slice that are left in the clear, so
+// that the NAL unit and slice headers can be parsed without the key
+const CLEAR_LEADER_SIZE = 32
+// subsample clear byte counts are stored in 16 bits
+const MAX_CLEAR_BYTES = 0xffff
+// the sizes of the auxiliary information of the samples, their IV and
+// subsamples, are stored in 8 bits in the saiz box
+const MAX_SAMPLE_INFO_SIZE = 0xff
+// the 1:9 pattern recommended for video encrypted with cbcs
+const VIDEO_CRYPT_BYTE_BLOCK = 1
+const VIDEO_SKIP_BYTE_BLOCK = 9
+const CENC_IV_SIZE = 8
+// the IV of the next sample of the encryption options, shared by the tracks
+// that use the same key so that their AES-CTR keystreams never overlap
+const perSampleIvs = new WeakMap()
+
+/**
+ * Whether a NAL unit holds coded slice data.
+ * @param codec {string} the codec of the track, avc or hevc
+ * @param header {number} the first byte of the NAL unit header
+ * @return {boolean} true for video coding layer NAL units
+ */
+const isVclNalUnit = function(codec, header) {
+  if (codec === 'hevc') {
+    return ((header >>> 1) & 0x3f) < 32
+  }
+
+  const nalUnitType = header & 0x1f
+
+  return nalUnitType >= 1 && nalUnitType <= 5
+}
+
+/**
+ * Merge subsamples until there are no more than a maximum, by leaving the
+ * smallest protected ranges in the clear.
+ * @param subsamples {Array} the subsamples of a sample
+ * @param maxSubsamples {number} the maximum number of subsamples
+ * @return {Array} the subsamples
+ */
+const limitSubsamples = function(subsamples, maxSubsamples) {
+  while (subsamples.length > maxSubsamples) {
+    let merged = -1
+
+    for (let i = 0; i + 1 < subsamples.length; i++) {
+      const clearBytes = subsamples[i].clearBytes + subsamples[i].protectedBytes +
+        subsamples[i + 1].clearBytes
+
+      if (clearBytes <= MAX_CLEAR_BYTES && (merged === -1 ||
+          subsamples[i].protectedBytes < subsamples[merged].protectedBytes)) {
+        merged = i
+      }
+    }
+    if (merged === -1) {
+      throw new RangeError(`A sample of ${subsamples.length} subsamples does not fit ` +
+        `in ${maxSubsamples} subsamples`)
+    }
+
+    const [first, second] = subsamples.splice(merged, 2)
+
+    subsamples.splice(merged, 0, {
+      clearBytes: first.clearBytes + first.protectedBytes + second.clearBytes,
+      protectedBytes: second.protectedBytes,
+    })
+  }
+  return subsamples
+}
+
+/**
+ * Split a video sample into subsamples that keep the NAL unit lengths,
+ * the non-VCL NAL units and the slice headers in the clear.
+ * @param codec {string} the codec of the track
+ * @param sample {Uint8Array} the length-prefixed NAL units of a sample
+ * @param [maxSubsamples] {number} the maximum number of subsamples, the
+ * protected ranges of the smallest slices are left in the clear to keep to it
+ * @return {Array} the clearBytes and protectedBytes of each subsample
+ */
+const videoSubsamples = function(codec, sample, maxSubsamples) {
+  const subsamples = []
+  let clearBytes = 0
+  let i = 0
+
+  const addSubsample = function(protectedBytes) {
+    while (clearBytes > MAX_CLEAR_BYTES) {
+      subsamples.push({clearBytes: MAX_CLEAR_BYTES, protectedBytes: 0})
+      clearBytes -= MAX_CLEAR_BYTES
+    }
+    subsamples.push({clearBytes, protectedBytes})
+    clearBytes = 0
+  }
+
+  while (i + 4 < sample.byteLength) {
+    const nalSize = (sample[i] << 24 | sample[i + 1] << 16 |
+      sample[i + 2] << 8 | sample[i + 3]) >>> 0
+    const nalEnd = Math.min(i + 4 + nalSize, sample.byteLength)
+    let protectedBytes = 0
+
+    if (isVclNalUnit(codec, sample[i + 4])) {
+      // only whole blocks at the end of the slice data are protected
+      protectedBytes = Math.max(nalEnd - i - 4 - CLEAR_LEADER_SIZE, 0)
+      protectedBytes -= protectedBytes % aes.BLOCK_SIZE
+    }
+
+    clearBytes += nalEnd - i - protectedBytes
+    if (protectedBytes) {
+      addSubsample(protectedBytes)
+    }
+    i = nalEnd
+  }
+  clearBytes += sample.byteLength - i
+
+  if (clearBytes || !subsamples.length) {
+    addSubsample(0)
+  }
+  return maxSubsamples ? limitSubsamples(subsamples, maxSubsamples) : subsamples
+}
+
+/**
+ * Encrypts the samples of a track with AES-CTR ('cenc') or AES-CBC with
+ * subsample patterns ('cbcs') and describes them for the senc, saiz and
+ * saio boxes of each fragment. The protection scheme of the track is
+ * recorded on the track for the sinf box of its sample entry.
+ */
+class SampleEncryptor {
+  /**
+   * @param track {object} the track whose samples will be encrypted
+   * @param options {object} the encryption options of the transmuxer
+   * @param options.key {Uint8Array} the 16 byte content key
+   * @param options.keyId {Uint8Array} the 16 byte key ID
+   * @param options.iv {Uint8Array} the 8 or 16 byte initialization vector,
+   * used as the first per-sample IV with cenc and as the constant IV with cbcs.
+   * With cenc, the encryptors of the same options count their per-sample IVs
+   * from one counter, so that no IV is used twice with the key.
+   * @param [options.scheme='cenc'] {string} 'cenc' or 'cbcs'
+   * @param [options.pssh] {Array} protection system specific headers for the
+   * init segment, each with a systemId, optional keyIds and data
+   */
+  constructor(track, options) {
+    const scheme = options.scheme || 'cenc'
+    const iv = new Uint8Array(16)
+    const isPatterned = scheme === 'cbcs' && track.type === 'video'
+
+    if (scheme !== 'cenc' && scheme !== 'cbcs') {
+      throw new Error('Unsupported encryption scheme: ' + scheme)
+    }
+
+    iv.set(options.iv.subarray(0, 16))
+    if (scheme === 'cenc' && !perSampleIvs.has(options)) {
+      perSampleIvs.set(options, iv.subarray(0, CENC_IV_SIZE))
+    }
+
+    this.track = track
+    this.aes_ = new aes.AES(options.key)
+    // the IV of the next sample with cenc, or the constant IV with cbcs
+    this.iv_ = scheme === 'cenc' ? perSampleIvs.get(options) : iv
+
+    track.encryption = {
+      scheme,
+      keyId: options.keyId,
+      perSampleIvSize: scheme === 'cenc' ? CENC_IV_SIZE : 0,
+      constantIv: scheme === 'cenc' ? null : iv,
+      cryptByteBlock: isPatterned ? VIDEO_CRYPT_BYTE_BLOCK : 0,
+      skipByteBlock: isPatterned ? VIDEO_SKIP_BYTE_BLOCK : 0,
+      pssh: options.pssh || [],
+    }
+  }
+
+  /**
+   * Encrypt the samples of a fragment.
+   * @param data {Uint8Array} the mdat payload, described by track.samples
+   * @return {Uint8Array} a copy of the payload with protected samples
+   */
+  encrypt(data) {
+    const encryption = this.track.encryption
+    const output = new Uint8Array(data)
+    // the IV, the subsample_count and 6 bytes for each subsample
+    const maxSubsamples = Math.floor(
+      (MAX_SAMPLE_INFO_SIZE - encryption.perSampleIvSize - 2) / 6)
+    let offset = 0
+
+    this.track.sampleEncryption = this.track.samples.map((sample) => {
+      const sampleData = output.subarray(offset, offset + sample.size)
+      const subsamples = this.track.type === 'video' ?
+        videoSubsamples(this.track.codec, sampleData, maxSubsamples) :
+        null
+      const entry = {
+        iv: encryption.perSampleIvSize ? new Uint8Array(this.iv_) : null,
+        subsamples,
+      }
+
+      if (encryption.scheme === 'cenc') {
+        this.encryptCtr_(sampleData, subsamples)
+      } else {
+        this.encryptCbcs_(sampleData, subsamples)
+      }
+
+      offset += sample.size
+      return entry
+    })
+
+    return output
+  }
+
+  /*
+   * Encrypt the protected ranges of a sample as one continuous AES-CTR
+   * keystream that starts from the per-sample IV
+   */
+  encryptCtr_(sample, subsamples) {
+    const counter = new Uint8Array(16)
+    let keystreamOffset = 0
+    let i
+
+    counter.set(this.iv_)
+    if (!subsamples) {
+      aes.ctr(this.aes_, counter, sample)
+    } else {
+      let offset = 0
+
+      subsamples.forEach(({clearBytes, protectedBytes}) => {
+        offset += clearBytes
+        keystreamOffset = aes.ctr(this.aes_, counter,
+          sample.subarray(offset, offset + protectedBytes), keystreamOffset)
+        offset += protectedBytes
+      })
+    }
+
+    // advance the 64 bit IV for the next sample
+    for (i = this.iv_.length - 1; i >= 0 && ++this.iv_[i] === 256; i--) {
+      this.iv_[i] = 0
+    }
+  }
+
+  /*
+   * Encrypt the protected ranges of a sample in AES-CBC mode, restarting
+   * from the constant IV for every subsample and skipping blocks according
+   * to the encryption pattern of the track
+   */
+  encryptCbcs_(sample, subsamples) {
+    const {cryptByteBlock, skipByteBlock} = this.track.encryption
+    const ranges = []
+    let offset = 0
+
+    if (!subsamples) {
+      ranges.push(sample)
+    } else {
+      subsamples.forEach(({clearBytes, protectedBytes}) => {
+        offset += clearBytes
+        ranges.push(sample.subarray(offset, offset + protectedBytes))
+        offset += protectedBytes
+      })
+    }
+
+    ranges.forEach((range) => {
+      if (!skipByteBlock) {
+        aes.encryptCbc(this.aes_, this.iv_, range)
+        return
+      }
+
+      const cryptSize = cryptByteBlock * aes.BLOCK_SIZE
+      const patternSize = (cryptByteBlock + skipByteBlock) * aes.BLOCK_SIZE
+      let chain = this.iv_
+
+      for (let i = 0; i + cryptSize <= range.byteLength; i += patternSize) {
+        chain = aes.encryptCbc(this.aes_, chain, range.subarray(i, i + cryptSize))
+      }
+    })
+  }
+}
+
+module.exports = {
+  SampleEncryptor,
+  videoSubsamples,
+}
@@ -15,7 +15,11 @@ const Stream = require('../utils/stream.js')
 const trackDecodeInfo = require('./track-decode-info')
 const m2ts = require('../m2ts/m2ts.js')
 const AdtsStream = require('../codecs/adts.js')
+const Ac3Stream = require('../codecs/ac3').Ac3Stream
+const Mp3Stream = require('../codecs/mp3').Mp3Stream
+const OpusStream = require('../codecs/opus').OpusStream
 const H264Stream = require('../codecs/h264').H264Stream
+const H265Stream = require('../codecs/h265').H265Stream
 const AacStream = require('../aac')
 const isLikelyAacData = require('../aac/utils').isLikelyAacData
 const AUDIO_PROPERTIES = require('../constants/audio-properties.js')
@@ -23,12 +27,45 @@ const VIDEO_PROPERTIES = require('../constants/video-properties.js')
 const AudioSegmentStream = require('./transmuxer/audioSegmentStream.js')
 const VideoSegmentStream = require('./transmuxer/videoSegmentStream.js')
 const CoalesceStream = require('./transmuxer/coalesceStream.js')
+const SampleAesStream = require('../m2ts/sample-aes-stream.js')
 
 /**
  * A Stream that expects MP2T binary data as input and produces
  * corresponding media segments, suitable for use with Media Source
  * Extension (MSE) implementations that support the ISO BMFF byte
  * stream format, like Chrome.
+ * @param options {object} transmuxer options object
+ * @param options.encryption {object} If set, the samples of the tracks are
+ *        encrypted with Common Encryption, see lib/mp4/sample-encryption.js
+ *        for the key, keyId, iv, scheme and pssh
+ * @param options.sampleAes {object} If set, the key and iv of HLS SAMPLE-AES
+ *        segments, used to decrypt H.264 slices and ADTS frames
+ * @param options.textTrack {object} If set, the CEA-608/708 captions of the
+ *        video are also output as a third, text track of the given codec
+ *        ('stpp', the default, or 'wvtt'), from one caption stream (the
+ *        stream of the first caption by default) and with an optional
+ *        language and nullMediaHeader
+ * @param options.progressive {object|boolean} If set, the samples are
+ *        collected and the end of the timeline outputs a single
+ *        non-fragmented MP4, with the moov first when faststart is set
+ * @param options.programNumber {number} The program_number of the program of
+ *        a multi-program transport stream to transmux, the first program of
+ *        the PAT by default. The programs are listed by `programs` events.
+ * @param options.audioPid {number} The PID of the audio stream to transmux
+ *        when the program has several, like dubs in several languages
+ * @param options.audioLanguage {string} The ISO 639-2 language of the audio
+ *        stream to transmux when no audioPid is set. The audio streams are
+ *        listed in the audioTracks of `trackinfo` events.
+ * @param options.teletextPage {number} The teletext page whose cues are
+ *        triggered as `teletext` events, like 888. By default, the cues of
+ *        every subtitle page are triggered. The PES packets of DVB subtitles
+ *        are triggered as `dvbSubtitle` events.
+ * @param options.emsg {object|boolean} If set, the ID3 tags and SCTE-35
+ *        messages of every segment are also written as emsg boxes before
+ *        its moof, version 1 boxes by default or version 0 boxes with
+ *        `{version: 0}`
+ *
+ * The SCTE-35 messages of the program are triggered as `scte35` events.
  */
 class Transmuxer extends Stream {
   constructor(options) {
@@ -40,7 +77,7 @@ class Transmuxer extends Stream {
     this.init()
 
     this.options = options || {}
-    this.baseMediaDecodeTime = options.baseMediaDecodeTime || 0
+    this.baseMediaDecodeTime = this.options.baseMediaDecodeTime || 0
     this.transmuxPipeline_ = {}
   }
 
@@ -92,7 +129,7 @@ class Transmuxer extends Stream {
         this.trigger.bind(this, 'audioTimingInfo'))
 
       // Set up the final part of the audio pipeline
-      pipeline.adtsStream
+      this.decrypt_(pipeline.adtsStream)
         .pipe(pipeline.audioSegmentStream)
         .pipe(pipeline.coalesceStream)
 
@@ -109,6 +146,19 @@ class Transmuxer extends Stream {
     pipeline.coalesceStream.on('done', this.trigger.bind(this, 'done'))
   }
 
+  /**
+   * Add a SAMPLE-AES decryption stage after a codec stream, if the
+   * segments are encrypted.
+   * @param codecStream {Stream} an H264Stream or AdtsStream
+   * @return {Stream} the stream to pipe into the segment stream
+   */
+  decrypt_(codecStream) {
+    if (!this.options.sampleAes) {
+      return codecStream
+    }
+    return codecStream.pipe(new SampleAesStream(this.options.sampleAes))
+  }
+
   setupTsPipeline() {
     const pipeline = {}
 
@@ -119,15 +169,30 @@ class Transmuxer extends Stream {
 
     // set up the parsing pipeline
     pipeline.packetStream = new m2ts.TransportPacketStream()
-    pipeline.parseStream = new m2ts.TransportParseStream()
+    pipeline.parseStream = new m2ts.TransportParseStream({
+      programNumber: this.options.programNumber,
+      audioPid: this.options.audioPid,
+      audioLanguage: this.options.audioLanguage,
+    })
     pipeline.elementaryStream = new m2ts.ElementaryStream()
     pipeline.timestampRolloverStream = new m2ts.TimestampRolloverStream()
     pipeline.adtsStream = new AdtsStream()
+    pipeline.ac3Stream = new Ac3Stream()
+    pipeline.mp3Stream = new Mp3Stream()
+    pipeline.opusStream = new OpusStream()
     pipeline.h264Stream = new H264Stream()
+    pipeline.h265Stream = new H265Stream()
     pipeline.captionStream = new m2ts.CaptionStream(this.options)
+    pipeline.teletextStream = new m2ts.TeletextStream({ page: this.options.teletextPage })
     pipeline.coalesceStream = new CoalesceStream(this.options, pipeline.metadataStream)
     pipeline.headOfPipeline = pipeline.packetStream
 
+    // report the packets that were lost, repeated or corrupted
+    pipeline.packetStream.on('warning', this.trigger.bind(this, 'warning'))
+    pipeline.parseStream.on('warning', this.trigger.bind(this, 'warning'))
+    pipeline.elementaryStream.on('warning', this.trigger.bind(this, 'warning'))
+    pipeline.parseStream.on('programs', this.trigger.bind(this, 'programs'))
+
     // disassemble MPEG2-TS packets into elementary streams
     pipeline.packetStream
       .pipe(pipeline.parseStream)
@@ -139,16 +204,44 @@ class Transmuxer extends Stream {
     pipeline.timestampRolloverStream
       .pipe(pipeline.h264Stream)
 
+    pipeline.timestampRolloverStream
+      .pipe(pipeline.h265Stream)
+
     pipeline.timestampRolloverStream
       .pipe(pipeline.adtsStream)
 
+    pipeline.timestampRolloverStream
+      .pipe(pipeline.ac3Stream)
+
+    pipeline.timestampRolloverStream
+      .pipe(pipeline.mp3Stream)
+
+    pipeline.timestampRolloverStream
+      .pipe(pipeline.opusStream)
+
     pipeline.timestampRolloverStream
       .pipe(pipeline.metadataStream)
       .pipe(pipeline.coalesceStream)
 
+    // subtitles are passed up instead of being transmuxed
+    pipeline.timestampRolloverStream
+      .pipe(pipeline.teletextStream)
+    pipeline.teletextStream.on('data', this.trigger.bind(this, 'teletext'))
+    pipeline.timestampRolloverStream.on('data', (data) => {
+      if (data.type === 'dvb-subtitles') {
+        this.trigger('dvbSubtitle', data)
+      } else if (data.type === 'scte35') {
+        this.trigger('scte35', data)
+        if (this.options.emsg) {
+          pipeline.coalesceStream.push(data)
+        }
+      }
+    })
+
     // Hook up CEA-608/708 caption stream
     pipeline.h264Stream.pipe(pipeline.captionStream)
       .pipe(pipeline.coalesceStream)
+    pipeline.h265Stream.pipe(pipeline.captionStream)
 
     pipeline.elementaryStream.on('data', (data) => {
       let i
@@ -167,7 +260,7 @@ class Transmuxer extends Stream {
           }
         }
 
-        // hook up the video segment stream to the first track with h264 data
+        // hook up the video segment stream to the first track with h264 or h265 data
         if (this.videoTrack && !pipeline.videoSegmentStream) {
           pipeline.coalesceStream.numberOfTracks++
           pipeline.videoSegmentStream = new VideoSegmentStream(this.videoTrack, this.options)
@@ -202,13 +295,18 @@ class Transmuxer extends Stream {
             this.trigger.bind(this, 'videoTimingInfo'))
 
           // Set up the final part of the video pipeline
-          pipeline.h264Stream
+          const videoCodecStream = this.videoTrack.codec === 'hevc' ?
+            pipeline.h265Stream :
+            this.decrypt_(pipeline.h264Stream)
+
+          videoCodecStream
             .pipe(pipeline.videoSegmentStream)
             .pipe(pipeline.coalesceStream)
         }
 
         if (this.audioTrack && !pipeline.audioSegmentStream) {
-          // hook up the audio segment stream to the first track with aac data
+          // hook up the audio segment stream to the first track with aac, ac-3,
+          // e-ac-3, mp3 or opus data
           pipeline.coalesceStream.numberOfTracks++
           pipeline.audioSegmentStream = new AudioSegmentStream(this.audioTrack, this.options)
 
@@ -218,7 +316,14 @@ class Transmuxer extends Stream {
             this.trigger.bind(this, 'audioSegmentTimingInfo'))
 
           // Set up the final part of the audio pipeline
-          pipeline.adtsStream
+          const audioCodecStream = {
+            'ac-3': pipeline.ac3Stream,
+            'ec-3': pipeline.ac3Stream,
+            mp3: pipeline.mp3Stream,
+            opus: pipeline.opusStream,
+          }[this.audioTrack.codec] || this.decrypt_(pipeline.adtsStream)
+
+          audioCodecStream
             .pipe(pipeline.audioSegmentStream)
             .pipe(pipeline.coalesceStream)
         }
@@ -227,6 +332,7 @@ class Transmuxer extends Stream {
         this.trigger('trackinfo', {
           hasAudio: !!this.audioTrack,
           hasVideo: !!this.videoTrack,
+          audioTracks: data.audioTracks,
         })
       }
     })
@@ -252,6 +358,7 @@ class Transmuxer extends Stream {
     }
 
     if (this.audioTrack) {
+      this.audioTrack.timelineStartInfo.baseMediaDecodeTime = this.baseMediaDecodeTime
       this.audioTrack.timelineStartInfo.dts = undefined
       this.audioTrack.timelineStartInfo.pts = undefined
       trackDecodeInfo.clearDtsInfo(this.audioTrack)
@@ -263,6 +370,7 @@ class Transmuxer extends Stream {
       if (pipeline.videoSegmentStream) {
         pipeline.videoSegmentStream.gopCache_ = []
       }
+      this.videoTrack.timelineStartInfo.baseMediaDecodeTime = this.baseMediaDecodeTime
       this.videoTrack.timelineStartInfo.dts = undefined
       this.videoTrack.timelineStartInfo.pts = undefined
       trackDecodeInfo.clearDtsInfo(this.videoTrack)
@@ -4,6 +4,10 @@ const audioFrameUtils = require('../audio-frame-utils')
 const trackDecodeInfo = require('../track-decode-info')
 const clock = require('../../utils/clock')
 const AUDIO_PROPERTIES = require('../../constants/audio-properties.js')
+const SampleEncryptor = require('../sample-encryption').SampleEncryptor
+
+// codecs whose frames are passed through as-is with their own sample counts
+const PASSTHROUGH_CODECS = ['ac-3', 'ec-3', 'mp3', 'opus']
 
 const generateSegmentTimingInfo = function(
   baseMediaDecodeTime,
@@ -36,13 +40,15 @@ const generateSegmentTimingInfo = function(
 }
 
 /**
- * Constructs a single-track, ISO BMFF media segment from AAC data
- * events. The output of this stream can be fed to a SourceBuffer
+ * Constructs a single-track, ISO BMFF media segment from AAC, AC-3,
+ * E-AC-3 or MPEG-1/2 audio data events. The output of this stream can be fed to a SourceBuffer
  * configured with a suitable initialization segment.
  * @param track {object} track metadata configuration
  * @param options {object} transmuxer options object
  * @param options.keepOriginalTimestamps {boolean} If true, keep the timestamps
  *        in the source; false to adjust the first segment to start at 0.
+ * @param options.encryption {object} If set, encrypt the samples with
+ *        Common Encryption, see lib/mp4/sample-encryption.js
  */
 module.exports = class AudioSegmentStream extends Stream {
   constructor(track, options = {}) {
@@ -55,6 +61,10 @@ module.exports = class AudioSegmentStream extends Stream {
     this.audioAppendStartTs = 0
     this.videoBaseMediaDecodeTime = Infinity
 
+    if (options.encryption) {
+      this.sampleEncryptor_ = new SampleEncryptor(track, options.encryption)
+    }
+
     this.init()
   }
 
@@ -65,6 +75,15 @@ module.exports = class AudioSegmentStream extends Stream {
       AUDIO_PROPERTIES.forEach((prop) => {
         this.track[prop] = data[prop]
       })
+
+      // AC-3 and E-AC-3 frames carry the fields of their dac3/dec3 box
+      if (data.ac3Config) {
+        this.track.ac3Config = data.ac3Config
+      }
+      // Opus packets carry the fields of their dOps box
+      if (data.opusConfig) {
+        this.track.opusConfig = data.opusConfig
+      }
     }
 
     // buffer audio data until end() is called
@@ -92,6 +111,7 @@ module.exports = class AudioSegmentStream extends Stream {
       frameDuration,
       segmentDuration,
       videoClockCyclesOfSilencePrefixed
+    const isPassthrough = PASSTHROUGH_CODECS.indexOf(this.track.codec) !== -1
 
     // return early if no audio data has been observed
     if (this.adtsFrames.length === 0) {
@@ -108,15 +128,23 @@ module.exports = class AudioSegmentStream extends Stream {
       )
 
     // amount of audio filled but the value is in video clock rather than audio clock
-    videoClockCyclesOfSilencePrefixed = audioFrameUtils.prefixWithSilence(
-      this.track, frames, this.audioAppendStartTs, this.videoBaseMediaDecodeTime)
+    // the pregenerated silent frames are AAC so other codecs are never prefixed
+    if (!isPassthrough) {
+      videoClockCyclesOfSilencePrefixed = audioFrameUtils.prefixWithSilence(
+        this.track, frames, this.audioAppendStartTs, this.videoBaseMediaDecodeTime)
+    }
 
     // we have to build the index from byte locations to
-    // samples (that is, adts frames) in the audio data
-    this.track.samples = audioFrameUtils.generateSampleTable(frames)
+    // samples (that is, adts frames, syncframes or mpeg audio frames) in the audio data
+    this.track.samples = audioFrameUtils.generateSampleTable(frames, isPassthrough)
 
     // concatenate the audio data to constuct the mdat
-    mdat = mp4.mdat(audioFrameUtils.concatenateFrameData(frames))
+    let mdatData = audioFrameUtils.concatenateFrameData(frames)
+
+    if (this.sampleEncryptor_) {
+      mdatData = this.sampleEncryptor_.encrypt(mdatData)
+    }
+    mdat = mp4.mdat(mdatData)
 
     this.adtsFrames = []
 
@@ -138,7 +166,13 @@ module.exports = class AudioSegmentStream extends Stream {
     // valid use-case where an init segment/data should be triggered without associated
     // frames. Leaving for now, but should be looked into.
     if (frames.length) {
-      segmentDuration = frames.length * frameDuration
+      if (isPassthrough) {
+        segmentDuration = clock.audioTsToVideoTs(
+          this.track.samples.reduce((total, sample) => total + sample.duration, 0),
+          this.track.samplerate)
+      } else {
+        segmentDuration = frames.length * frameDuration
+      }
 
       this.trigger(
         'segmentTimingInfo',
@@ -3,12 +3,39 @@ const AUDIO_PROPERTIES = require('../../constants/audio-properties.js')
 const VIDEO_PROPERTIES = require('../../constants/video-properties.js')
 const clock = require('../../utils/clock')
 const mp4 = require('../mp4-generator.js')
+const textSamples = require('./textSamples.js')
+const ProgressiveFile = require('./progressiveFile.js')
 
 const TRACK_TYPE = {
     AUDIO: 'audio',
     INIT_SEGMENT: 'initSegment',
+    TEXT: 'text',
     VIDEO: 'video',
 }
+// audio and video tracks are numbered after their PID, which is a 13 bit
+// number, so the text track takes the first ID above them
+const TEXT_TRACK_ID = 0x2000
+// the schemes of event messages carrying ID3 tags and SCTE-35 sections
+const ID3_SCHEME_ID_URI = 'https://aomedia.org/emsg/ID3'
+const SCTE35_SCHEME_ID_URI = 'urn:scte:scte35:2013:bin'
+// the event_duration of events whose duration is unknown
+const UNKNOWN_DURATION = 0xffffffff
+
+// the earliest presentation time of a track fragment, in the 90kHz clock
+const earliestPresentationTime = function(track) {
+    if (track.type === TRACK_TYPE.AUDIO) {
+        return clock.audioTsToVideoTs(track.baseMediaDecodeTime, track.samplerate)
+    }
+
+    let decodeTime = track.baseMediaDecodeTime
+    let earliest = Infinity
+
+    track.samples.forEach((sample) => {
+        earliest = Math.min(earliest, decodeTime + (sample.compositionTimeOffset || 0))
+        decodeTime += sample.duration
+    })
+    return earliest === Infinity ? track.baseMediaDecodeTime : earliest
+}
 
 /**
 * A Stream that can combine multiple streams (ie. audio & video)
@@ -17,6 +44,12 @@ const TRACK_TYPE = {
 * @param options {object} transmuxer options object
 * @param options.keepOriginalTimestamps {boolean} If true, keep the timestamps
 *      in the source; false to adjust the first segment to start at media timeline start.
+* @param options.textTrack {object} If set, the captions of every video segment
+*      are also output as a text track, see the Transmuxer
+* @param options.progressive {object|boolean} If set, the segments are collected
+*      and output as a single non-fragmented MP4 at the end of the timeline
+* @param options.emsg {object|boolean} If set, the ID3 tags and SCTE-35 messages
+*      of every segment are also written as emsg boxes, see the Transmuxer
 */
 module.exports = class extends Stream {
     constructor(options, metadataStream) {
@@ -44,11 +77,43 @@ module.exports = class extends Stream {
         this.audioTrack = null
         this.pendingCaptions = []
         this.pendingMetadata = []
+        this.pendingSplices = []
         this.emittedTracks = 0
 
         this.trackData = []
         this.bufferedTrackIds = new Set()
 
+        if (options.textTrack) {
+            const codec = options.textTrack.codec || 'stpp'
+
+            if (textSamples.CODECS.indexOf(codec) === -1) {
+                throw new Error(`Unsupported text track codec ${codec}`)
+            }
+            this.textTrack = {
+                id: TEXT_TRACK_ID,
+                type: TRACK_TYPE.TEXT,
+                codec,
+                nullMediaHeader: !!options.textTrack.nullMediaHeader,
+                samples: [],
+            }
+            this.textTrackOptions = options.textTrack
+            this.textTrackStream = options.textTrack.stream
+            this.textSequenceNumber = 0
+        }
+
+        if (options.progressive) {
+            if (options.encryption) {
+                throw new Error('Progressive MP4 files cannot be encrypted')
+            }
+            this.progressiveFile = new ProgressiveFile(options.progressive)
+        }
+
+        if (options.emsg) {
+            this.emsgVersion = options.emsg.version === 0 ? 0 : 1
+            // the ids of the ID3 events, which have no identifier of their own
+            this.emsgId = 0
+        }
+
         this.init()
     }
 
@@ -63,6 +128,11 @@ module.exports = class extends Stream {
         if (output.frames) {
             return this.pendingMetadata.push(output)
         }
+        // buffer SCTE-35 messages until the final flush, they are only
+        // output as event messages
+        if (output.type === 'scte35') {
+            return this.pendingSplices.push(output)
+        }
 
         // Add this track to the list of pending tracks and store
         // important information required for the construction of
@@ -119,8 +189,19 @@ module.exports = class extends Stream {
         }
 
         if (this.trackData.length) {
+            if (this.emsgVersion !== undefined && !this.progressiveFile) {
+                // the event messages precede the moof of the video track, or
+                // of the first track of audio-only segments
+                this.prependEventMessages(
+                    this.trackData.find(({track}) => track.type === TRACK_TYPE.VIDEO) ||
+                    this.trackData[0])
+            }
             this.trackData.forEach(this.sendTrackData, this)
 
+            if (this.textTrack && this.videoTrack) {
+                this.sendTextTrackData(this.videoTrack, this.pendingCaptions)
+            }
+
             // Reset stream state
             this.trackData.length = 0
             this.bufferedTrackIds.clear()
@@ -158,6 +239,7 @@ module.exports = class extends Stream {
                 this.trigger('id3Frame', id3)
             }
             this.pendingMetadata.length = 0
+            this.pendingSplices.length = 0
         }
 
         // Only emit `done` if all tracks have been flushed and emitted
@@ -190,6 +272,15 @@ module.exports = class extends Stream {
     }
 
     sendTrackData({track, boxes}) {
+        if (this.progressiveFile) {
+            // keep the samples of the mdat that follows the moof
+            const moofSize = new DataView(boxes.buffer, boxes.byteOffset).getUint32(0)
+
+            this.progressiveFile.addChunk(track, boxes.subarray(moofSize + 8))
+            this.emittedTracks++
+            return
+        }
+
         const info = {}
 
         if (track.type === TRACK_TYPE.VIDEO) {
@@ -227,6 +318,157 @@ module.exports = class extends Stream {
         this.emittedTracks++
     }
 
+    /**
+     * Write the pending ID3 tags and SCTE-35 messages as emsg boxes before
+     * the moof of a track fragment. Their presentation times are on the
+     * media timeline of the track, in the 90kHz clock, and events that
+     * started before the fragment are presented from its start.
+     */
+    prependEventMessages(trackData) {
+        const track = trackData.track
+        const timelineStartInfo = track.timelineStartInfo
+        const timelineStartDts = this.keepOriginalTimestamps ? 0 : timelineStartInfo.dts
+        const timelineStartPts = timelineStartDts - timelineStartInfo.baseMediaDecodeTime
+        const earliest = earliestPresentationTime(track)
+        const events = this.pendingMetadata.map((id3) => ({
+            pts: id3.pts,
+            schemeIdUri: ID3_SCHEME_ID_URI,
+            duration: 0,
+            id: this.emsgId++,
+            messageData: id3.data,
+        })).concat(this.pendingSplices.map((message) => {
+            const command = message.spliceCommand || {}
+            const segmentation = message.descriptors.find((descriptor) => {
+                return descriptor.segmentationEventId !== undefined
+            }) || {}
+            const duration = command.breakDuration ?
+                command.breakDuration.duration :
+                segmentation.segmentationDuration
+
+            return {
+                pts: message.pts,
+                schemeIdUri: SCTE35_SCHEME_ID_URI,
+                duration: duration === undefined ?
+                    UNKNOWN_DURATION :
+                    Math.min(duration, UNKNOWN_DURATION),
+                id: command.spliceEventId !== undefined ?
+                    command.spliceEventId :
+                    segmentation.segmentationEventId || 0,
+                messageData: message.data,
+            }
+        }))
+
+        if (!events.length) {
+            return
+        }
+
+        const boxes = events.map((event) => {
+            const presentationTime = event.pts === undefined ?
+                earliest :
+                Math.max(event.pts - timelineStartPts, earliest)
+
+            return mp4.emsg(Object.assign({
+                version: this.emsgVersion,
+                timescale: clock.ONE_SECOND_IN_TS,
+                presentationTime,
+                presentationTimeDelta: presentationTime - earliest,
+            }, event))
+        }).concat(trackData.boxes)
+        const data = new Uint8Array(boxes.reduce((sum, box) => sum + box.byteLength, 0))
+        let offset = 0
+
+        boxes.forEach((box) => {
+            data.set(box, offset)
+            offset += box.byteLength
+        })
+        trackData.boxes = data
+    }
+
+    /**
+     * Output the captions of a video segment as the samples of the text track,
+     * which last as long as the segment. Captions are only complete once
+     * they are cleared, so a caption that started in an earlier segment is
+     * shown from the start of the segment it ends in.
+     */
+    sendTextTrackData(videoTrack, captions) {
+        const timelineStartInfo = videoTrack.timelineStartInfo
+        const track = this.textTrack
+
+        if (!this.textTrackStream && captions.length) {
+            this.textTrackStream = captions[0].stream
+        }
+
+        // times in the samples are on the media timeline of the track, like
+        // the presentation times of the video samples
+        const timelineStartDts = this.keepOriginalTimestamps ? 0 : timelineStartInfo.dts
+        const timelineStartPts = timelineStartDts - timelineStartInfo.baseMediaDecodeTime
+        const samples = textSamples(
+            track.codec,
+            videoTrack.baseMediaDecodeTime,
+            videoTrack.samples.reduce((sum, s) => sum + s.duration, 0),
+            captions,
+            {
+                timelineStartPts,
+                stream: this.textTrackStream,
+                language: this.textTrackOptions.language,
+            })
+        const sampleData = new Uint8Array(
+            samples.reduce((sum, sample) => sum + sample.data.byteLength, 0))
+        let offset = 0
+
+        track.width = videoTrack.width
+        track.height = videoTrack.height
+        track.baseMediaDecodeTime = videoTrack.baseMediaDecodeTime
+        track.samples = samples.map((sample) => ({
+            duration: sample.duration,
+            size: sample.data.byteLength,
+        }))
+        samples.forEach((sample) => {
+            sampleData.set(sample.data, offset)
+            offset += sample.data.byteLength
+        })
+
+        if (this.progressiveFile) {
+            this.progressiveFile.addChunk(track, sampleData)
+            return
+        }
+
+        const moof = mp4.moof(this.textSequenceNumber++, [track])
+        const mdat = mp4.mdat(sampleData)
+        const boxes = new Uint8Array(moof.byteLength + mdat.byteLength)
+
+        boxes.set(moof)
+        boxes.set(mdat, moof.byteLength)
+
+        const event = {
+            type: track.type,
+            metadata: [],
+            info: {},
+            initSegment: mp4.initSegment([track]),
+            data: boxes,
+        }
+
+        event.metadata.dispatchType = this.metadataStream.dispatchType
+
+        this.trigger('data', event)
+    }
+
+    /**
+     * Output the progressive file of the samples collected so far. The end
+     * of the timeline reaches the stream once for every track.
+     */
+    endTimeline(flushSource) {
+        if (this.progressiveFile && this.progressiveFile.hasSamples()) {
+            const tracks = this.progressiveFile.tracks.map((entry) => entry.track)
+
+            this.sendDataEvent('progressive', this.progressiveFile.write(), {
+                tracks: tracks.map((track) => ({ id: track.id, type: track.type })),
+            })
+            this.progressiveFile.reset()
+        }
+        this.trigger('endedtimeline', flushSource)
+    }
+
     setRemux(val) {
         this.remuxTracks = val
     }
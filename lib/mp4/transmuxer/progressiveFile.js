@@ -0,0 +1,140 @@
+const mp4 = require('../mp4-generator.js')
+
+const UINT32_MAX = Math.pow(2, 32) - 1
+
+/**
+ * Collects the samples of the segments output by the transmuxer and writes
+ * them as a single, non-fragmented MP4 file. The samples of every segment of
+ * a track are written as one chunk, and the chunks of the tracks are
+ * interleaved in the order of the segments.
+ * @param options {object|boolean} the progressive option of the transmuxer
+ * @param options.faststart {boolean} If true, write the moov before the mdat so
+ *        that the file can be played while it is downloaded
+ */
+module.exports = class ProgressiveFile {
+  constructor(options) {
+    this.faststart = !!(options && options.faststart)
+    this.reset()
+  }
+
+  reset() {
+    this.tracks = []
+    this.chunks = []
+  }
+
+  /**
+   * @param track {object} a track, with the samples of a segment
+   * @param data {Uint8Array} the data of the samples
+   */
+  addChunk(track, data) {
+    let entry = this.tracks.find((t) => t.track.id === track.id)
+
+    if (!entry) {
+      entry = {
+        track,
+        samples: [],
+        baseMediaDecodeTime: track.baseMediaDecodeTime,
+      }
+      this.tracks.push(entry)
+    }
+    // keep the latest codec configuration of the track
+    entry.track = track
+    track.samples.forEach((sample) => entry.samples.push(sample))
+    this.chunks.push({ entry, data, sampleCount: track.samples.length })
+  }
+
+  hasSamples() {
+    return this.chunks.length > 0
+  }
+
+  /**
+   * @return {Uint8Array} an ftyp, mdat and moov, or an ftyp, moov and mdat for
+   *         faststart files
+   */
+  write() {
+    const fileType = mp4.ftyp()
+    const dataSize = this.chunks.reduce((sum, chunk) => sum + chunk.data.byteLength, 0)
+    const mdatHeader = this.mdatHeader_(dataSize)
+    let movie = this.moov_(fileType.byteLength + mdatHeader.byteLength)
+
+    if (this.faststart) {
+      // the chunks are moved by the size of the moov, which can grow when
+      // the offsets need a co64 box
+      let size
+
+      do {
+        size = movie.byteLength
+        movie = this.moov_(fileType.byteLength + size + mdatHeader.byteLength)
+      } while (movie.byteLength !== size)
+    }
+
+    const result = new Uint8Array(
+      fileType.byteLength + mdatHeader.byteLength + dataSize + movie.byteLength)
+    let offset = 0
+
+    result.set(fileType)
+    offset += fileType.byteLength
+    if (this.faststart) {
+      result.set(movie, offset)
+      offset += movie.byteLength
+    }
+    result.set(mdatHeader, offset)
+    offset += mdatHeader.byteLength
+    this.chunks.forEach((chunk) => {
+      result.set(chunk.data, offset)
+      offset += chunk.data.byteLength
+    })
+    if (!this.faststart) {
+      result.set(movie, offset)
+    }
+    return result
+  }
+
+  // the header of an mdat, with a 64-bit largesize when needed
+  mdatHeader_(dataSize) {
+    if (dataSize + 8 <= UINT32_MAX) {
+      const header = new Uint8Array(8)
+
+      new DataView(header.buffer).setUint32(0, dataSize + 8)
+      header.set([0x6d, 0x64, 0x61, 0x74], 4)
+      return header
+    }
+
+    const header = new Uint8Array(16)
+    const view = new DataView(header.buffer)
+
+    view.setUint32(0, 1)
+    header.set([0x6d, 0x64, 0x61, 0x74], 4)
+    view.setUint32(8, Math.floor((dataSize + 16) / (UINT32_MAX + 1)))
+    view.setUint32(12, (dataSize + 16) % (UINT32_MAX + 1))
+    return header
+  }
+
+  // the moov of the file, when the chunks start at dataOffset
+  moov_(dataOffset) {
+    const chunks = new Map(this.tracks.map((entry) => [entry, []]))
+    const startTime = Math.min(...this.tracks.map((entry) => this.startTime_(entry)))
+    let offset = dataOffset
+
+    this.chunks.forEach((chunk) => {
+      chunks.get(chunk.entry).push({ offset, sampleCount: chunk.sampleCount })
+      offset += chunk.data.byteLength
+    })
+
+    return mp4.progressiveMoov(this.tracks.map((entry) => Object.assign({}, entry.track, {
+      samples: entry.samples,
+      chunks: chunks.get(entry),
+      duration: entry.samples.reduce((sum, sample) => sum + sample.duration, 0),
+      // keep the tracks in sync when they do not start at the same time
+      startTime: this.startTime_(entry) - startTime,
+    })))
+  }
+
+  // the decode time of the first sample of a track, at 90kHz
+  startTime_(entry) {
+    if (entry.track.samplerate) {
+      return Math.round(entry.baseMediaDecodeTime * 90000 / entry.track.samplerate)
+    }
+    return entry.baseMediaDecodeTime
+  }
+}
@@ -0,0 +1,79 @@
+const mp4 = require('../mp4-generator.js')
+const ttml = require('../../captions/ttml.js')
+const webvtt = require('../../captions/webvtt.js')
+const ONE_SECOND_IN_TS = require('../../utils/clock').ONE_SECOND_IN_TS
+const utf8Bytes = require('../../utils/bin').utf8Bytes
+
+const concatBytes = function(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, bytes) => sum + bytes.length, 0))
+  let offset = 0
+
+  arrays.forEach((bytes) => {
+    result.set(bytes, offset)
+    offset += bytes.length
+  })
+  return result
+}
+
+/**
+ * A single TTML document covers the whole segment.
+ */
+const stpp = function(startTime, duration, captions, options) {
+  return [{
+    duration,
+    data: utf8Bytes(ttml.toTtml(captions, options)),
+  }]
+}
+
+/**
+ * WebVTT samples do not overlap, so the segment is split at the start and
+ * end of every cue. Every sample holds the cues that are displayed for its
+ * whole duration, or an empty cue box.
+ * @see ISO/IEC 14496-30:2014, section 7.4
+ */
+const wvtt = function(startTime, duration, captions, options) {
+  const endTime = startTime + duration
+  const cues = webvtt.toWebVttCues(captions, options).map((cue) => ({
+    start: Math.round(cue.startTime * ONE_SECOND_IN_TS),
+    end: Math.round(cue.endTime * ONE_SECOND_IN_TS),
+    text: cue.text,
+    settings: cue.settings,
+  }))
+  const bounds = [startTime, endTime]
+
+  cues.forEach((cue) => {
+    [cue.start, cue.end].forEach((time) => {
+      if (time > startTime && time < endTime && bounds.indexOf(time) === -1) {
+        bounds.push(time)
+      }
+    })
+  })
+  bounds.sort((a, b) => a - b)
+
+  return bounds.slice(1).map((end, i) => {
+    const start = bounds[i]
+    const displayed = cues.filter((cue) => cue.start <= start && cue.end >= end)
+
+    return {
+      duration: end - start,
+      data: displayed.length ? concatBytes(displayed.map(mp4.vttc)) : mp4.vtte(),
+    }
+  })
+}
+
+/**
+ * Build the samples of a text track that cover a video segment, from the
+ * captions that ended during the segment.
+ * @param codec {string} 'stpp' or 'wvtt'
+ * @param startTime {number} the baseMediaDecodeTime of the segment
+ * @param duration {number} the duration of the segment
+ * @param captions {Array} the captions of a CaptionStream
+ * @param options {object} the options of the caption serializers, with the
+ * timelineStartPts that maps the captions on the media timeline
+ * @return {Array} the samples, with their duration and data
+ */
+module.exports = function(codec, startTime, duration, captions, options) {
+  return {stpp, wvtt}[codec](startTime, duration, captions, options)
+}
+
+module.exports.CODECS = ['stpp', 'wvtt']
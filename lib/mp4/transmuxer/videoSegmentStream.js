@@ -3,6 +3,7 @@ const VIDEO_PROPERTIES = require('../../constants/video-properties.js')
 const trackDecodeInfo = require('../track-decode-info')
 const frameUtils = require('../frame-utils')
 const mp4 = require('../mp4-generator.js')
+const SampleEncryptor = require('../sample-encryption').SampleEncryptor
 
 /**
  * Compare two arrays (even typed) for same-ness
@@ -64,6 +65,8 @@ const generateVideoSegmentTimingInfo = function(
  *        gopsToAlignWith list when attempting to align gop pts
  * @param options.keepOriginalTimestamps {boolean} If true, keep the timestamps
  *        in the source; false to adjust the first segment to start at 0.
+ * @param options.encryption {object} If set, encrypt the samples with
+ *        Common Encryption, see lib/mp4/sample-encryption.js
  */
 module.exports = class VideoSegmentStream extends Stream {
 
@@ -81,6 +84,10 @@ module.exports = class VideoSegmentStream extends Stream {
 
         this.gopCache_ = []
         this.waitForKeyFrame = true
+
+        if (this.options.encryption) {
+          this.sampleEncryptor_ = new SampleEncryptor(track, this.options.encryption)
+        }
     }
 
     /**
@@ -107,6 +114,15 @@ module.exports = class VideoSegmentStream extends Stream {
         this.track.pps = [nalUnit.data]
       }
 
+      // HEVC streams also carry a video parameter set and need the extra
+      // profile information for the hvcC box
+      if (nalUnit.nalUnitType === 'video_parameter_set_rbsp') {
+        this.track.vps = [nalUnit.data]
+      }
+      if (nalUnit.nalUnitType === 'seq_parameter_set_rbsp' && nalUnit.config.hevcConfig) {
+        this.track.hevcConfig = nalUnit.config.hevcConfig
+      }
+
       // buffer video until flush() is called
       this.nalUnits.push(nalUnit)
     }
@@ -133,14 +149,12 @@ module.exports = class VideoSegmentStream extends Stream {
       if (this.waitForKeyFrame) {
         let firstAUD = -1
         const containsKeyFrame = this.nalUnits.some(function(nalUnit, index) {
-          switch (nalUnit.nalUnitType) {
-            case 'access_unit_delimiter_rbsp':
-              if (firstAUD === -1) {
-                firstAUD = index
-              }
-              break
-              case 'slice_layer_without_partitioning_rbsp_idr':
-                return firstAUD >= 0
+          if (nalUnit.nalUnitType === 'access_unit_delimiter_rbsp') {
+            if (firstAUD === -1) {
+              firstAUD = index
+            }
+          } else if (frameUtils.isKeyFrameNalUnit(nalUnit)) {
+            return firstAUD >= 0
           }
         })
 
@@ -281,7 +295,12 @@ module.exports = class VideoSegmentStream extends Stream {
       this.track.samples = frameUtils.generateSampleTable(gops)
 
       // Concatenate the video data and construct the mdat
-      mdat = mp4.mdat(frameUtils.concatenateNalData(gops))
+      let mdatData = frameUtils.concatenateNalData(gops)
+
+      if (this.sampleEncryptor_) {
+        mdatData = this.sampleEncryptor_.encrypt(mdatData)
+      }
+      mdat = mp4.mdat(mdatData)
 
       this.track.baseMediaDecodeTime = trackDecodeInfo.calculateTrackBaseMediaDecodeTime(
         this.track, this.options.keepOriginalTimestamps)
@@ -19,6 +19,84 @@ var
   },
   parseType = require('../mp4/parse-type'),
   findBox = require('../mp4/find-box'),
+  sampleTables = require('./parse-sample-tables.js'),
+  // names of the DRM systems behind well-known pssh system IDs
+  // see https://dashif.org/identifiers/content_protection/
+  drmSystems = {
+    '1077efec-c0b2-4d02-ace3-3c1e52e2fb4b': 'ClearKey',
+    'e2719d58-a985-b3c9-781a-b030af78d30e': 'ClearKey (DASH-IF)',
+    'edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'Widevine',
+    '9a04f079-9840-4286-ab92-e65be0885f95': 'PlayReady',
+    '94ce86fb-07ff-4f43-adb8-93d2fa968ca2': 'FairPlay',
+    '5e629af5-38da-4063-8977-97ffbd9902d4': 'Marlin',
+    'f239e769-efa3-4850-9c16-a903c6932efb': 'Adobe Primetime',
+    'adb41c24-2dbf-4a6d-958b-4457c0d27b95': 'Nagra',
+    '80a6be7e-1448-4c37-9e70-d5aebe04c8d2': 'Irdeto',
+    '9a27dd82-fde2-4725-8cbc-4234aa06ec09': 'Verimatrix'
+  },
+  // format 16 bytes as a UUID string, like system and key IDs are
+  // usually written
+  parseUuid = function(bytes) {
+    var hex = Array.prototype.map.call(bytes, function(byte) {
+      return ('00' + byte.toString(16)).slice(-2);
+    }).join('');
+
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20, 32)
+    ].join('-');
+  },
+  // the fields of a VisualSampleEntry, followed by its boxes: the codec
+  // configuration and, for encrypted entries, the sinf
+  parseVisualSampleEntry = function(data) {
+    var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return {
+      dataReferenceIndex: view.getUint16(6),
+      width: view.getUint16(24),
+      height: view.getUint16(26),
+      horizresolution: view.getUint16(28) + (view.getUint16(30) / 16),
+      vertresolution: view.getUint16(32) + (view.getUint16(34) / 16),
+      frameCount: view.getUint16(40),
+      depth: view.getUint16(74),
+      config: inspectMp4(data.subarray(78, data.byteLength))
+    };
+  },
+  // the senc box does not record the size of its IVs, which is found in the
+  // tenc box of the track. Pick the size that accounts for every byte.
+  sencIvSize = function(data, sampleCount, useSubsamples) {
+    var
+      view = new DataView(data.buffer, data.byteOffset, data.byteLength),
+      ivSizes = [8, 16, 0],
+      offset,
+      i,
+      j;
+
+    for (i = 0; i < ivSizes.length; i++) {
+      offset = 8;
+      for (j = 0; j < sampleCount && offset <= data.byteLength; j++) {
+        offset += ivSizes[i];
+        if (useSubsamples) {
+          offset += offset + 2 <= data.byteLength ? 2 + view.getUint16(offset) * 6 : 2;
+        }
+      }
+      if (offset === data.byteLength) {
+        return ivSizes[i];
+      }
+    }
+    return null;
+  },
+  // decode the UTF-8 text of a box, like the strings of WebVTT samples
+  parseUtf8 = function(bytes) {
+    var text = '', i;
+
+    for (i = 0; i < bytes.length; i++) {
+      text += String.fromCharCode(bytes[i]);
+    }
+    return decodeURIComponent(escape(text));
+  },
   nalParse = function(avcStream) {
     var
       avcView = new DataView(avcStream.buffer, avcStream.byteOffset, avcStream.byteLength),
@@ -68,17 +146,7 @@ var
     // same format as real boxes so the parsing infrastructure can be
     // shared
     avc1: function(data) {
-      var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-      return {
-        dataReferenceIndex: view.getUint16(6),
-        width: view.getUint16(24),
-        height: view.getUint16(26),
-        horizresolution: view.getUint16(28) + (view.getUint16(30) / 16),
-        vertresolution: view.getUint16(32) + (view.getUint16(34) / 16),
-        frameCount: view.getUint16(40),
-        depth: view.getUint16(74),
-        config: inspectMp4(data.subarray(78, data.byteLength))
-      };
+      return parseVisualSampleEntry(data);
     },
     avcC: function(data) {
       var
@@ -125,6 +193,8 @@ var
         avgBitrate: view.getUint32(8)
       };
     },
+    co64: sampleTables.co64,
+    ctts: sampleTables.ctts,
     edts: function edts(data) {
       return {
         boxes: inspectMp4(data)
@@ -159,8 +229,34 @@ var
       }
       return result;
     },
+    emsg: require('./parse-emsg.js'),
+    // codingname of an encrypted audio sample entry, see ISO/IEC 23001-7,
+    // section 4. The sinf box follows the codec configuration.
+    enca: function(data) {
+      var result = parse.mp4a(data.subarray(0, 28));
+
+      result.config = inspectMp4(data.subarray(28));
+      return result;
+    },
+    // codingname of an encrypted video sample entry. The frma box of its
+    // sinf names the original sample entry, like avc1 or hvc1.
+    encv: function(data) {
+      var
+        result = parseVisualSampleEntry(data),
+        sinf = result.config.filter(function(child) {
+          return child.type === 'sinf';
+        })[0],
+        frma = sinf && sinf.boxes.filter(function(child) {
+          return child.type === 'frma';
+        })[0];
+
+      if (frma) {
+        result.dataFormat = frma.dataFormat;
+      }
+      return result;
+    },
     esds: function(data) {
-      return {
+      var result = {
         version: data[0],
         flags: new Uint8Array(data.subarray(1, 4)),
         esId: (data[6] << 8) | data[7],
@@ -176,17 +272,28 @@ var
           avgBitrate: (data[20] << 24) |
             (data[21] << 16) |
             (data[22] <<  8) |
-            data[23],
-          decoderConfigDescriptor: {
-            tag: data[24],
-            length: data[25],
-            audioObjectType: (data[26] >>> 3) & 0x1f,
-            samplingFrequencyIndex: ((data[26] & 0x07) << 1) |
-              ((data[27] >>> 7) & 0x01),
-            channelConfiguration: (data[27] >>> 3) & 0x0f
-          }
+            data[23]
         }
       };
+
+      // MPEG-1/2 audio has no DecoderSpecificInfo, so the SLConfigDescriptor
+      // follows the DecoderConfigDescriptor directly
+      if (data[24] !== 0x06) {
+        result.decoderConfig.decoderConfigDescriptor = {
+          tag: data[24],
+          length: data[25],
+          audioObjectType: (data[26] >>> 3) & 0x1f,
+          samplingFrequencyIndex: ((data[26] & 0x07) << 1) |
+            ((data[27] >>> 7) & 0x01),
+          channelConfiguration: (data[27] >>> 3) & 0x0f
+        };
+      }
+      return result;
+    },
+    frma: function(data) {
+      return {
+        dataFormat: parseType(data.subarray(0, 4))
+      };
     },
     ftyp: function(data) {
       var
@@ -241,6 +348,11 @@ var
 
       return result;
     },
+    iden: function(data) {
+      return {
+        cueId: parseUtf8(data)
+      };
+    },
     mdat: function(data) {
       return {
         byteLength: data.byteLength,
@@ -386,6 +498,17 @@ var
       result.nextTrackId = view.getUint32(i);
       return result;
     },
+    nmhd: function(data) {
+      return {
+        version: data[0],
+        flags: new Uint8Array(data.subarray(1, 4))
+      };
+    },
+    payl: function(data) {
+      return {
+        cueText: parseUtf8(data)
+      };
+    },
     pdin: function(data) {
       var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
       return {
@@ -395,70 +518,191 @@ var
         initialDelay: view.getUint32(8)
       };
     },
-    sdtp: function(data) {
+    prft: require('./parse-prft.js'),
+    pssh: function(data) {
       var
+        view = new DataView(data.buffer, data.byteOffset, data.byteLength),
         result = {
           version: data[0],
           flags: new Uint8Array(data.subarray(1, 4)),
-          samples: []
-        }, i;
+          systemId: parseUuid(data.subarray(4, 20)),
+          keyIds: []
+        },
+        i = 20,
+        keyIdCount,
+        dataSize;
 
-      for (i = 4; i < data.byteLength; i++) {
-        result.samples.push({
-          dependsOn: (data[i] & 0x30) >> 4,
-          isDependedOn: (data[i] & 0x0c) >> 2,
-          hasRedundancy: data[i] & 0x03
-        });
+      result.drm = drmSystems[result.systemId] || 'unknown';
+      // version 1 boxes list the key IDs their data applies to
+      if (result.version > 0) {
+        keyIdCount = view.getUint32(i);
+        i += 4;
+        for (; keyIdCount; keyIdCount--, i += 16) {
+          result.keyIds.push(parseUuid(data.subarray(i, i + 16)));
+        }
       }
+      dataSize = view.getUint32(i);
+      result.data = new Uint8Array(data.subarray(i + 4, i + 4 + dataSize));
       return result;
     },
-    sidx: require('./parse-sidx.js'),
-    smhd: function(data) {
-      return {
-        version: data[0],
-        flags: new Uint8Array(data.subarray(1, 4)),
-        balance: data[4] + (data[5] / 256)
-      };
+    saio: function(data) {
+      var
+        view = new DataView(data.buffer, data.byteOffset, data.byteLength),
+        result = {
+          version: data[0],
+          flags: new Uint8Array(data.subarray(1, 4)),
+          offsets: []
+        },
+        i = 4,
+        entryCount;
+
+      if (data[3] & 0x01) {
+        result.auxInfoType = parseType(data.subarray(i, i + 4));
+        result.auxInfoTypeParameter = view.getUint32(i + 4);
+        i += 8;
+      }
+      entryCount = view.getUint32(i);
+      for (i += 4; entryCount; entryCount--) {
+        if (result.version === 0) {
+          result.offsets.push(view.getUint32(i));
+          i += 4;
+        } else {
+          result.offsets.push((view.getUint32(i) * MAX_UINT32) + view.getUint32(i + 4));
+          i += 8;
+        }
+      }
+      return result;
     },
-    stbl: function(data) {
+    saiz: function(data) {
+      var
+        view = new DataView(data.buffer, data.byteOffset, data.byteLength),
+        result = {
+          version: data[0],
+          flags: new Uint8Array(data.subarray(1, 4)),
+          sampleInfoSizes: []
+        },
+        i = 4,
+        sampleCount;
+
+      if (data[3] & 0x01) {
+        result.auxInfoType = parseType(data.subarray(i, i + 4));
+        result.auxInfoTypeParameter = view.getUint32(i + 4);
+        i += 8;
+      }
+      result.defaultSampleInfoSize = data[i];
+      result.sampleCount = sampleCount = view.getUint32(i + 1);
+      // sizes are only listed when they differ between samples
+      if (result.defaultSampleInfoSize === 0) {
+        for (i += 5; sampleCount; i++, sampleCount--) {
+          result.sampleInfoSizes.push(data[i]);
+        }
+      }
+      return result;
+    },
+    schi: function(data) {
       return {
         boxes: inspectMp4(data)
       };
     },
-    stco: function(data) {
+    schm: function(data) {
       var
         view = new DataView(data.buffer, data.byteOffset, data.byteLength),
         result = {
           version: data[0],
           flags: new Uint8Array(data.subarray(1, 4)),
-          chunkOffsets: []
+          schemeType: parseType(data.subarray(4, 8)),
+          schemeVersion: view.getUint32(8)
         },
-        entryCount = view.getUint32(4),
         i;
-      for (i = 8; entryCount; i += 4, entryCount--) {
-        result.chunkOffsets.push(view.getUint32(i));
+
+      // the scheme_uri is a null-terminated string
+      if (data[3] & 0x01) {
+        result.schemeUri = '';
+        for (i = 12; i < data.byteLength && data[i] !== 0x00; i++) {
+          result.schemeUri += String.fromCharCode(data[i]);
+        }
+      }
+      return result;
+    },
+    sdtp: function(data) {
+      var
+        result = {
+          version: data[0],
+          flags: new Uint8Array(data.subarray(1, 4)),
+          samples: []
+        }, i;
+
+      for (i = 4; i < data.byteLength; i++) {
+        result.samples.push({
+          dependsOn: (data[i] & 0x30) >> 4,
+          isDependedOn: (data[i] & 0x0c) >> 2,
+          hasRedundancy: data[i] & 0x03
+        });
       }
       return result;
     },
-    stsc: function(data) {
+    senc: function(data) {
       var
         view = new DataView(data.buffer, data.byteOffset, data.byteLength),
-        entryCount = view.getUint32(4),
+        useSubsamples = !!(data[3] & 0x02),
         result = {
           version: data[0],
           flags: new Uint8Array(data.subarray(1, 4)),
-          sampleToChunks: []
+          samples: []
         },
-        i;
-      for (i = 8; entryCount; i += 12, entryCount--) {
-        result.sampleToChunks.push({
-          firstChunk: view.getUint32(i),
-          samplesPerChunk: view.getUint32(i + 4),
-          sampleDescriptionIndex: view.getUint32(i + 8)
-        });
+        sampleCount = view.getUint32(4),
+        i = 8,
+        sample,
+        subsampleCount;
+
+      result.perSampleIvSize = sencIvSize(data, sampleCount, useSubsamples);
+      // keep the raw bytes if no IV size fits the box
+      if (result.perSampleIvSize === null) {
+        result.data = new Uint8Array(data.subarray(8));
+        return result;
+      }
+
+      for (; sampleCount; sampleCount--) {
+        sample = {};
+        if (result.perSampleIvSize) {
+          sample.iv = new Uint8Array(data.subarray(i, i + result.perSampleIvSize));
+          i += result.perSampleIvSize;
+        }
+        if (useSubsamples) {
+          sample.subsamples = [];
+          subsampleCount = view.getUint16(i);
+          for (i += 2; subsampleCount; i += 6, subsampleCount--) {
+            sample.subsamples.push({
+              clearBytes: view.getUint16(i),
+              protectedBytes: view.getUint32(i + 2)
+            });
+          }
+        }
+        result.samples.push(sample);
       }
       return result;
     },
+    sidx: require('./parse-sidx.js'),
+    sinf: function(data) {
+      return {
+        boxes: inspectMp4(data)
+      };
+    },
+    smhd: function(data) {
+      return {
+        version: data[0],
+        flags: new Uint8Array(data.subarray(1, 4)),
+        balance: data[4] + (data[5] / 256)
+      };
+    },
+    stbl: function(data) {
+      return {
+        boxes: inspectMp4(data)
+      };
+    },
+    stco: sampleTables.stco,
+    stsc: sampleTables.stsc,
+    stss: sampleTables.stss,
     stsd: function(data) {
       return {
         version: data[0],
@@ -466,43 +710,70 @@ var
         sampleDescriptions: inspectMp4(data.subarray(8))
       };
     },
-    stsz: function(data) {
+    sthd: function(data) {
+      return {
+        version: data[0],
+        flags: new Uint8Array(data.subarray(1, 4))
+      };
+    },
+    // XMLSubtitleSampleEntry, ISO/IEC 14496-30
+    stpp: function(data) {
       var
         view = new DataView(data.buffer, data.byteOffset, data.byteLength),
+        fields = ['namespace', 'schemaLocation', 'auxiliaryMimeTypes'],
         result = {
-          version: data[0],
-          flags: new Uint8Array(data.subarray(1, 4)),
-          sampleSize: view.getUint32(4),
-          entries: []
+          // 6 bytes reserved
+          dataReferenceIndex: view.getUint16(6)
         },
-        i;
-      for (i = 12; i < data.byteLength; i += 4) {
-        result.entries.push(view.getUint32(i));
+        i = 8;
+
+      // three null-terminated strings
+      fields.forEach(function(field) {
+        result[field] = '';
+        while (i < data.byteLength && data[i] !== 0x00) {
+          result[field] += String.fromCharCode(data[i]);
+          i++;
+        }
+        i++;
+      });
+      if (i < data.byteLength) {
+        result.boxes = inspectMp4(data.subarray(i));
       }
       return result;
     },
-    stts: function(data) {
+    sttg: function(data) {
+      return {
+        settings: parseUtf8(data)
+      };
+    },
+    stsz: sampleTables.stsz,
+    stts: sampleTables.stts,
+    styp: function(data) {
+      return parse.ftyp(data);
+    },
+    tenc: function(data) {
       var
-        view = new DataView(data.buffer, data.byteOffset, data.byteLength),
         result = {
           version: data[0],
-          flags: new Uint8Array(data.subarray(1, 4)),
-          timeToSamples: []
+          flags: new Uint8Array(data.subarray(1, 4))
         },
-        entryCount = view.getUint32(4),
-        i;
+        constantIvSize;
 
-      for (i = 8; entryCount; i += 8, entryCount--) {
-        result.timeToSamples.push({
-          sampleCount: view.getUint32(i),
-          sampleDelta: view.getUint32(i + 4)
-        });
+      // the encryption pattern was added in version 1
+      if (result.version > 0) {
+        result.defaultCryptByteBlock = data[5] >>> 4;
+        result.defaultSkipByteBlock = data[5] & 0x0f;
+      }
+      result.defaultIsProtected = data[6];
+      result.defaultPerSampleIvSize = data[7];
+      result.defaultKid = parseUuid(data.subarray(8, 24));
+      // protected samples without a per-sample IV share a constant IV
+      if (result.defaultIsProtected === 1 && result.defaultPerSampleIvSize === 0) {
+        constantIvSize = data[24];
+        result.defaultConstantIv = new Uint8Array(data.subarray(25, 25 + constantIvSize));
       }
       return result;
     },
-    styp: function(data) {
-      return parse.ftyp(data);
-    },
     tfdt: require('./parse-tfdt.js'),
     tfhd: require('./parse-tfhd.js'),
     tkhd: function(data) {
@@ -594,6 +865,29 @@ var
                                   view.getUint16(8),
                                   view.getUint16(10)])
       };
+    },
+    vttC: function(data) {
+      return {
+        config: parseUtf8(data)
+      };
+    },
+    vttc: function(data) {
+      return {
+        boxes: inspectMp4(data)
+      };
+    },
+    vtte: function() {
+      return {};
+    },
+    // WVTTSampleEntry, ISO/IEC 14496-30
+    wvtt: function(data) {
+      var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+      return {
+        // 6 bytes reserved
+        dataReferenceIndex: view.getUint16(6),
+        boxes: inspectMp4(data.subarray(8))
+      };
     }
   };
 
@@ -717,5 +1011,7 @@ module.exports = {
   parseHdlr: parse.hdlr,
   parseTfhd: parse.tfhd,
   parseTrun: parse.trun,
-  parseSidx: parse.sidx
+  parseSidx: parse.sidx,
+  parseEmsg: parse.emsg,
+  parsePrft: parse.prft
 };
@@ -0,0 +1,70 @@
+var MAX_UINT32 = Math.pow(2, 32);
+
+// read a null-terminated UTF-8 string, and the offset of the byte after it.
+// Strings that are not valid UTF-8 are read as ISO-8859-1.
+var readString = function(data, offset) {
+  var end = offset, bytes, value;
+
+  while (end < data.byteLength && data[end] !== 0) {
+    end++;
+  }
+  bytes = String.fromCharCode.apply(null, data.subarray(offset, end));
+  try {
+    value = decodeURIComponent(escape(bytes));
+  } catch (e) {
+    value = bytes;
+  }
+  return {
+    value: value,
+    offset: end + 1
+  };
+};
+
+/**
+ * Parse an event message box, see ISO/IEC 23009-1, section 5.10.3.3.
+ * Version 0 boxes have the presentationTimeDelta of the event from the
+ * earliest presentation time of their segment, and version 1 boxes its
+ * presentationTime.
+ */
+var parseEmsg = function(data) {
+  var
+    view = new DataView(data.buffer, data.byteOffset, data.byteLength),
+    result = {
+      version: data[0],
+      flags: new Uint8Array(data.subarray(1, 4))
+    },
+    i = 4,
+    string;
+
+  if (result.version === 0) {
+    string = readString(data, i);
+    result.schemeIdUri = string.value;
+    string = readString(data, string.offset);
+    result.value = string.value;
+    i = string.offset;
+  }
+  result.timescale = view.getUint32(i);
+  if (result.version === 0) {
+    result.presentationTimeDelta = view.getUint32(i + 4);
+    i += 8;
+  } else {
+    // read 64 bits
+    result.presentationTime = view.getUint32(i + 4) * MAX_UINT32 + view.getUint32(i + 8);
+    i += 12;
+  }
+  result.eventDuration = view.getUint32(i);
+  result.id = view.getUint32(i + 4);
+  i += 8;
+  if (result.version !== 0) {
+    string = readString(data, i);
+    result.schemeIdUri = string.value;
+    string = readString(data, string.offset);
+    result.value = string.value;
+    i = string.offset;
+  }
+  result.messageData = new Uint8Array(data.subarray(i));
+
+  return result;
+};
+
+module.exports = parseEmsg;
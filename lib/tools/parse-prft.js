@@ -0,0 +1,36 @@
+var MAX_UINT32 = Math.pow(2, 32);
+// the seconds from the NTP epoch, 1900, to the Unix epoch, 1970
+var NTP_UNIX_OFFSET = 2208988800;
+
+/**
+ * Parse a producer reference time box, see ISO/IEC 14496-12:2015, section
+ * 8.16.5. The wallClockTime is the NTP timestamp in milliseconds since the
+ * Unix epoch, like Date.now(), at which the sample of the mediaTime of the
+ * track was produced.
+ */
+var parsePrft = function(data) {
+  var
+    view = new DataView(data.buffer, data.byteOffset, data.byteLength),
+    result = {
+      version: data[0],
+      flags: new Uint8Array(data.subarray(1, 4)),
+      referenceTrackId: view.getUint32(4),
+      ntpTimestamp: {
+        seconds: view.getUint32(8),
+        fraction: view.getUint32(12)
+      }
+    };
+
+  result.wallClockTime = (result.ntpTimestamp.seconds - NTP_UNIX_OFFSET) * 1000 +
+    result.ntpTimestamp.fraction / MAX_UINT32 * 1000;
+  if (result.version === 0) {
+    result.mediaTime = view.getUint32(16);
+  } else {
+    // read 64 bits
+    result.mediaTime = view.getUint32(16) * MAX_UINT32 + view.getUint32(20);
+  }
+
+  return result;
+};
+
+module.exports = parsePrft;
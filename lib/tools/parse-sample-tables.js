@@ -0,0 +1,138 @@
+// parsers for the boxes of a sample table (stbl), which describe the samples
+// of non-fragmented MP4s, see ISO/IEC 14496-12:2012(E), sections 8.6 and 8.7
+var fullBox = function(data) {
+  return {
+    view: new DataView(data.buffer, data.byteOffset, data.byteLength),
+    result: {
+      version: data[0],
+      flags: new Uint8Array(data.subarray(1, 4))
+    }
+  };
+};
+
+var stts = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    entryCount = view.getUint32(4),
+    i;
+
+  result.timeToSamples = [];
+  for (i = 8; entryCount; i += 8, entryCount--) {
+    result.timeToSamples.push({
+      sampleCount: view.getUint32(i),
+      sampleDelta: view.getUint32(i + 4)
+    });
+  }
+  return result;
+};
+
+// offsets are signed in version 1 boxes, and in many version 0 boxes too
+var ctts = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    entryCount = view.getUint32(4),
+    i;
+
+  result.compositionOffsets = [];
+  for (i = 8; entryCount; i += 8, entryCount--) {
+    result.compositionOffsets.push({
+      sampleCount: view.getUint32(i),
+      sampleOffset: view.getInt32(i + 4)
+    });
+  }
+  return result;
+};
+
+var stss = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    entryCount = view.getUint32(4),
+    i;
+
+  result.syncSamples = [];
+  for (i = 8; entryCount; i += 4, entryCount--) {
+    result.syncSamples.push(view.getUint32(i));
+  }
+  return result;
+};
+
+var stsz = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    i;
+
+  result.sampleSize = view.getUint32(4);
+  result.entries = [];
+  for (i = 12; i < data.byteLength; i += 4) {
+    result.entries.push(view.getUint32(i));
+  }
+  return result;
+};
+
+var stsc = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    entryCount = view.getUint32(4),
+    i;
+
+  result.sampleToChunks = [];
+  for (i = 8; entryCount; i += 12, entryCount--) {
+    result.sampleToChunks.push({
+      firstChunk: view.getUint32(i),
+      samplesPerChunk: view.getUint32(i + 4),
+      sampleDescriptionIndex: view.getUint32(i + 8)
+    });
+  }
+  return result;
+};
+
+var stco = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    entryCount = view.getUint32(4),
+    i;
+
+  result.chunkOffsets = [];
+  for (i = 8; entryCount; i += 4, entryCount--) {
+    result.chunkOffsets.push(view.getUint32(i));
+  }
+  return result;
+};
+
+// 64-bit offsets lose precision past 2^53, like 64-bit decode times
+var co64 = function(data) {
+  var
+    box = fullBox(data),
+    view = box.view,
+    result = box.result,
+    entryCount = view.getUint32(4),
+    i;
+
+  result.chunkOffsets = [];
+  for (i = 8; entryCount; i += 8, entryCount--) {
+    result.chunkOffsets.push(view.getUint32(i) * Math.pow(2, 32) + view.getUint32(i + 4));
+  }
+  return result;
+};
+
+module.exports = {
+  stts: stts,
+  ctts: ctts,
+  stss: stss,
+  stsz: stsz,
+  stsc: stsc,
+  stco: stco,
+  co64: co64
+};
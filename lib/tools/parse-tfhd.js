@@ -11,8 +11,8 @@ var tfhd = function(data) {
     defaultSampleDurationPresent = result.flags[2] & 0x08,
     defaultSampleSizePresent = result.flags[2] & 0x10,
     defaultSampleFlagsPresent = result.flags[2] & 0x20,
-    durationIsEmpty = result.flags[0] & 0x010000,
-    defaultBaseIsMoof =  result.flags[0] & 0x020000,
+    durationIsEmpty = result.flags[0] & 0x01, // compare with 3rd byte of 0x10000
+    defaultBaseIsMoof = result.flags[0] & 0x02, // compare with 3rd byte of 0x20000
     i;
 
   i = 8;
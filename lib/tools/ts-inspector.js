@@ -10,14 +10,28 @@
 
 var StreamTypes = require('../m2ts/stream-types.js');
 var handleRollover = require('../m2ts/timestamp-rollover-stream.js').handleRollover;
+var ExpGolomb = require('../utils/exp-golomb.js');
+var discardEmulationPreventionBytes =
+  require('./caption-packet-parser.js').discardEmulationPreventionBytes;
 var probe = {};
 probe.ts = require('../m2ts/probe.js');
 probe.aac = require('../aac/utils.js');
 var ONE_SECOND_IN_TS = require('../utils/clock').ONE_SECOND_IN_TS;
+var AdtsStream = require('../codecs/adts.js');
+var Ac3Stream = require('../codecs/ac3.js').Ac3Stream;
+var Mp3Stream = require('../codecs/mp3.js').Mp3Stream;
 
 var
   MP2T_PACKET_LENGTH = 188, // bytes
-  SYNC_BYTE = 0x47;
+  SYNC_BYTE = 0x47,
+  NULL_PID = 0x1fff,
+  PCR_CLOCK = 27000000, // ticks per second
+  PCR_ROLLOVER = Math.pow(2, 33) * 300,
+  // slice_type modulo 5, SP and SI slices are counted as P and I slices
+  SLICE_TYPES = ['P', 'B', 'I', 'P', 'I'],
+  // the slice_type of H.265 slice segments
+  H265_SLICE_TYPES = ['B', 'P', 'I'],
+  H265_PPS_NAL_UNIT_TYPE = 34;
 
 /**
  * walks through segment data looking for pat and pmt packets to parse out
@@ -446,12 +460,419 @@ var inspectAac_ = function(bytes) {
   return result;
 };
 
+/**
+ * The kind of track of a stream type, for the statistics of a segment
+ */
+var trackType_ = function(streamType) {
+  switch (streamType) {
+    case StreamTypes.H264_STREAM_TYPE:
+    case StreamTypes.H265_STREAM_TYPE:
+    case StreamTypes.SAMPLE_AES_H264_STREAM_TYPE:
+      return 'video';
+    case StreamTypes.ADTS_STREAM_TYPE:
+    case StreamTypes.MPEG1_AUDIO_STREAM_TYPE:
+    case StreamTypes.MPEG2_AUDIO_STREAM_TYPE:
+    case StreamTypes.AC3_STREAM_TYPE:
+    case StreamTypes.EAC3_STREAM_TYPE:
+    case StreamTypes.SAMPLE_AES_ADTS_STREAM_TYPE:
+      return 'audio';
+    case StreamTypes.METADATA_STREAM_TYPE:
+      return 'timed-metadata';
+    default:
+      return 'data';
+  }
+};
+
+/**
+ * Creates the codec stream that splits the PES packets of an audio track into
+ * frames, or returns null when the frames of the track cannot be counted
+ */
+var audioFrameStream_ = function(streamType) {
+  switch (streamType) {
+    case StreamTypes.ADTS_STREAM_TYPE:
+    case StreamTypes.SAMPLE_AES_ADTS_STREAM_TYPE:
+      return new AdtsStream();
+    case StreamTypes.AC3_STREAM_TYPE:
+    case StreamTypes.EAC3_STREAM_TYPE:
+      return new Ac3Stream();
+    case StreamTypes.MPEG1_AUDIO_STREAM_TYPE:
+    case StreamTypes.MPEG2_AUDIO_STREAM_TYPE:
+      return new Mp3Stream();
+    default:
+      return null;
+  }
+};
+
+/**
+ * Reads the type of an H.264 access unit from the slice header of its first
+ * slice, and whether it is an IDR picture
+ */
+var parseH264Frame_ = function(data) {
+  var frame = {type: null, keyFrame: false}, nalType, header, i;
+
+  for (i = 0; i + 3 < data.byteLength; i++) {
+    if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 1) {
+      continue;
+    }
+    nalType = data[i + 3] & 0x1f;
+    if (nalType === 0x01 || nalType === 0x05) {
+      // first_mb_in_slice and slice_type are in the first bytes of the header
+      header = new ExpGolomb(
+        discardEmulationPreventionBytes(data.subarray(i + 4, i + 16)));
+      header.skipUnsignedExpGolomb();
+      frame.type = SLICE_TYPES[header.readUnsignedExpGolomb() % 5];
+      frame.keyFrame = nalType === 0x05;
+      return frame;
+    }
+    i += 2;
+  }
+  return frame;
+};
+
+/**
+ * Reads the type of an H.265 access unit from the slice segment header of
+ * its first slice, and whether it is an IRAP picture: a BLA, IDR or CRA
+ * picture. The num_extra_slice_header_bits of the PPSs of the track, which
+ * come before the slice_type, are recorded in `extraSliceHeaderBits`.
+ */
+var parseH265Frame_ = function(data, extraSliceHeaderBits) {
+  var frame = {type: null, keyFrame: false}, nalType, header, ppsId, i;
+
+  for (i = 0; i + 5 < data.byteLength; i++) {
+    if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 1) {
+      continue;
+    }
+    nalType = (data[i + 3] >>> 1) & 0x3f;
+    if (nalType === H265_PPS_NAL_UNIT_TYPE) {
+      header = new ExpGolomb(
+        discardEmulationPreventionBytes(data.subarray(i + 5, i + 17)));
+      ppsId = header.readUnsignedExpGolomb();
+      // pps_seq_parameter_set_id, dependent_slice_segments_enabled_flag and
+      // output_flag_present_flag
+      header.skipUnsignedExpGolomb();
+      header.skipBits(2);
+      extraSliceHeaderBits[ppsId] = header.readBits(3);
+    } else if (nalType < 32 && (data[i + 5] & 0x80)) {
+      // the first_slice_segment_in_pic_flag is set on the first slice
+      header = new ExpGolomb(
+        discardEmulationPreventionBytes(data.subarray(i + 5, i + 17)));
+      header.skipBits(1);
+      // the no_output_of_prior_pics_flag of IRAP pictures
+      if (nalType >= 16 && nalType <= 23) {
+        header.skipBits(1);
+      }
+      ppsId = header.readUnsignedExpGolomb();
+      header.skipBits(extraSliceHeaderBits[ppsId] || 0);
+      frame.type = H265_SLICE_TYPES[header.readUnsignedExpGolomb()] || null;
+      frame.keyFrame = nalType >= 16 && nalType <= 21;
+      return frame;
+    }
+    i += 2;
+  }
+  return frame;
+};
+
+/**
+ * Summarizes the PES packets of a track: the number of frames, which are the
+ * access units of video and the audio frames inside the PES packets, the
+ * bitrate over windows of `interval` seconds and over the whole track, and for
+ * video, the frame types and the lengths of the GOPs, which start at IDR
+ * pictures, or at the IRAP pictures of H.265
+ */
+var trackStats_ = function(track, interval) {
+  var
+    frames = track.frames,
+    firstDts = frames.length ? frames[0].dts : 0,
+    lastDts = frames.length ? frames[frames.length - 1].dts : 0,
+    // the last frame lasts as long as the average frame
+    duration = frames.length > 1 ?
+      (lastDts - firstDts) * frames.length / (frames.length - 1) :
+      0,
+    bytes = 0,
+    windows = [],
+    stats,
+    gopLengths = [],
+    gopLength = 0;
+
+  frames.forEach(function(frame) {
+    var index = Math.floor((frame.dts - firstDts) / (interval * ONE_SECOND_IN_TS));
+
+    windows[index] = (windows[index] || 0) + frame.size;
+    bytes += frame.size;
+  });
+
+  stats = {
+    pid: track.pid,
+    type: trackType_(track.streamType),
+    streamType: track.streamType,
+    frames: track.frameStream ? track.audioFrames : frames.length,
+    pesPackets: frames.length,
+    duration: duration / ONE_SECOND_IN_TS,
+    bitrate: duration ? Math.round(bytes * 8 * ONE_SECOND_IN_TS / duration) : null,
+    bitrates: []
+  };
+
+  for (var i = 0; i < windows.length; i++) {
+    // the last window ends with the track
+    var windowDuration = Math.min(interval, stats.duration - i * interval);
+
+    stats.bitrates.push({
+      time: i * interval,
+      bitrate: windowDuration > 0 ?
+        Math.round((windows[i] || 0) * 8 / windowDuration) :
+        null
+    });
+  }
+
+  if (track.streamType === StreamTypes.H264_STREAM_TYPE ||
+      track.streamType === StreamTypes.H265_STREAM_TYPE) {
+    stats.frameTypes = {I: 0, P: 0, B: 0};
+    frames.forEach(function(frame) {
+      if (frame.type) {
+        stats.frameTypes[frame.type]++;
+      }
+      // frames before the first IDR picture do not belong to a complete GOP
+      if (frame.keyFrame && gopLength) {
+        gopLengths.push(gopLength);
+      }
+      if (frame.keyFrame || gopLength) {
+        gopLength++;
+      }
+      if (frame.keyFrame) {
+        gopLength = 1;
+      }
+    });
+    if (gopLength) {
+      gopLengths.push(gopLength);
+    }
+    stats.gops = {
+      lengths: gopLengths,
+      min: gopLengths.length ? Math.min.apply(null, gopLengths) : null,
+      max: gopLengths.length ? Math.max.apply(null, gopLengths) : null,
+      mean: gopLengths.length ?
+        gopLengths.reduce(function(sum, length) {
+          return sum + length;
+        }, 0) / gopLengths.length :
+        null
+    };
+  }
+
+  return stats;
+};
+
+/**
+ * The PCR interval and jitter of a segment. The jitter of a PCR is its
+ * distance to the time at which its packet arrives at the rate of the stream
+ * between the PCRs before and after it, so that variable bitrate streams do
+ * not count as jitter.
+ */
+var pcrStats_ = function(pid, pcrs) {
+  var
+    maxInterval = 0,
+    maxJitter = 0,
+    previous,
+    next;
+
+  pcrs.forEach(function(pcr, i) {
+    previous = pcrs[i - 1];
+    next = pcrs[i + 1];
+    if (previous) {
+      maxInterval = Math.max(maxInterval, pcr.pcr - previous.pcr);
+    }
+    if (previous && next) {
+      maxJitter = Math.max(maxJitter, Math.abs(pcr.pcr - previous.pcr -
+        (next.pcr - previous.pcr) * (pcr.offset - previous.offset) /
+        (next.offset - previous.offset)));
+    }
+  });
+
+  return {
+    pid: pid,
+    count: pcrs.length,
+    maxInterval: maxInterval / PCR_CLOCK,
+    maxJitter: maxJitter / PCR_CLOCK
+  };
+};
+
+/**
+ * walks through every packet of the segment to collect statistics about the
+ * transport stream and the tracks of the program map table: the packets and
+ * continuity counter errors of every PID, the PCRs, and the size, timestamps
+ * and type of every PES packet
+ */
+var inspectStats_ = function(bytes, pmt, options) {
+  var
+    pids = {},
+    tracks = {},
+    pcrs = [],
+    pcrPid = null,
+    startIndex = 0,
+    packet, pid, info, adaptationFieldControl, continuityCounter, discontinuity,
+    payloadOffset, pcr, track, pes, time, esData, frame, i;
+
+  var finishPes = function(finishedTrack) {
+    var data, offset = 0;
+
+    if (!finishedTrack.pes || !finishedTrack.pes.time) {
+      return;
+    }
+    data = new Uint8Array(finishedTrack.pes.size);
+    finishedTrack.pes.data.forEach(function(chunk) {
+      data.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    // skip the PES header
+    esData = data.subarray(9 + data[8]);
+    time = finishedTrack.pes.time;
+    frame = {
+      dts: finishedTrack.frames.length ?
+        handleRollover(time.dts, finishedTrack.frames[0].dts) :
+        time.dts,
+      size: esData.byteLength
+    };
+    if (finishedTrack.streamType === StreamTypes.H264_STREAM_TYPE) {
+      pes = parseH264Frame_(esData);
+      frame.type = pes.type;
+      frame.keyFrame = pes.keyFrame;
+    } else if (finishedTrack.streamType === StreamTypes.H265_STREAM_TYPE) {
+      pes = parseH265Frame_(esData, finishedTrack.extraSliceHeaderBits);
+      frame.type = pes.type;
+      frame.keyFrame = pes.keyFrame;
+    } else if (finishedTrack.frameStream) {
+      finishedTrack.frameStream.push({
+        type: 'audio',
+        streamType: finishedTrack.streamType,
+        pts: time.pts,
+        dts: time.dts,
+        data: esData
+      });
+    }
+    finishedTrack.frames.push(frame);
+    finishedTrack.pes = null;
+  };
+
+  var addTrack = function(trackPid, streamType) {
+    var newTrack = tracks[trackPid] = {
+      pid: Number(trackPid),
+      streamType: streamType,
+      frames: [],
+      pes: null,
+      extraSliceHeaderBits: {},
+      // audio frames can span PES packets, so they are counted by the codec
+      // streams of the transmuxer
+      frameStream: audioFrameStream_(streamType),
+      audioFrames: 0
+    };
+
+    if (newTrack.frameStream) {
+      newTrack.frameStream.on('data', function() {
+        newTrack.audioFrames++;
+      });
+    }
+  };
+
+  for (pid in pmt.table) {
+    if (pmt.table.hasOwnProperty(pid)) {
+      addTrack(pid, pmt.table[pid]);
+    }
+  }
+
+  while (startIndex + MP2T_PACKET_LENGTH <= bytes.byteLength) {
+    if (bytes[startIndex] !== SYNC_BYTE) {
+      // step forward one byte at a time until we find a packet
+      startIndex++;
+      continue;
+    }
+    packet = bytes.subarray(startIndex, startIndex + MP2T_PACKET_LENGTH);
+    pid = (packet[1] & 0x1f) << 8 | packet[2];
+
+    if (pid !== NULL_PID) {
+      info = pids[pid] = pids[pid] || {packets: 0, continuityErrors: 0};
+      info.packets++;
+
+      adaptationFieldControl = (packet[3] & 0x30) >>> 4;
+      continuityCounter = packet[3] & 0x0f;
+      discontinuity = (adaptationFieldControl & 0x02) && packet[4] && (packet[5] & 0x80);
+
+      // the counter increases with every packet that has a payload, and one
+      // duplicate packet is allowed
+      if (typeof info.continuityCounter === 'number' && !discontinuity) {
+        if (!(adaptationFieldControl & 0x01)) {
+          if (continuityCounter !== info.continuityCounter) {
+            info.continuityErrors++;
+          }
+        } else if (continuityCounter === info.continuityCounter && !info.duplicate) {
+          info.duplicate = true;
+        } else if (continuityCounter !== ((info.continuityCounter + 1) & 0x0f)) {
+          info.continuityErrors++;
+        } else {
+          info.duplicate = false;
+        }
+      }
+      info.continuityCounter = continuityCounter;
+
+      // the PCR of the first PID that carries one
+      if ((adaptationFieldControl & 0x02) && packet[4] && (packet[5] & 0x10)) {
+        pcr = (packet[6] * Math.pow(2, 25) + (packet[7] << 17 | packet[8] << 9 |
+          packet[9] << 1 | packet[10] >>> 7)) * 300 +
+          ((packet[10] & 0x01) << 8 | packet[11]);
+        if (pcrPid === null) {
+          pcrPid = pid;
+        }
+        if (pid === pcrPid) {
+          if (pcrs.length && pcr < pcrs[pcrs.length - 1].pcr - PCR_ROLLOVER / 2) {
+            pcr += PCR_ROLLOVER;
+          }
+          pcrs.push({pcr: pcr, offset: startIndex});
+        }
+      }
+
+      track = tracks[pid];
+      if (track && (adaptationFieldControl & 0x01)) {
+        payloadOffset = adaptationFieldControl & 0x02 ? 5 + packet[4] : 4;
+        if (probe.ts.parsePayloadUnitStartIndicator(packet)) {
+          finishPes(track);
+          track.pes = {time: probe.ts.parsePesTime(packet), data: [], size: 0};
+        }
+        if (track.pes && payloadOffset < MP2T_PACKET_LENGTH) {
+          track.pes.data.push(packet.subarray(payloadOffset));
+          track.pes.size += MP2T_PACKET_LENGTH - payloadOffset;
+        }
+      }
+    }
+
+    startIndex += MP2T_PACKET_LENGTH;
+  }
+
+  for (pid in tracks) {
+    if (tracks.hasOwnProperty(pid)) {
+      finishPes(tracks[pid]);
+    }
+  }
+
+  for (pid in pids) {
+    if (pids.hasOwnProperty(pid)) {
+      delete pids[pid].continuityCounter;
+      delete pids[pid].duplicate;
+    }
+  }
+
+  i = options.interval || 1;
+  return {
+    pids: pids,
+    pcr: pcrs.length ? pcrStats_(pcrPid, pcrs) : null,
+    tracks: Object.keys(tracks).map(function(key) {
+      return trackStats_(tracks[key], i);
+    })
+  };
+};
+
 /**
  * inspects the transport stream segment data for start and end time information
  * of the audio and video tracks (when present) as well as the first key frame's
  * start time.
  */
-var inspectTs_ = function(bytes) {
+var inspectTs_ = function(bytes, options) {
   var pmt = {
     pid: null,
     table: null
@@ -484,6 +905,10 @@ var inspectTs_ = function(bytes) {
       }
     }
   }
+
+  if (options.deep) {
+    result.stats = inspectStats_(bytes, pmt, options);
+  }
   return result;
 };
 
@@ -493,9 +918,14 @@ var inspectTs_ = function(bytes) {
  * @param {Uint8Array} bytes The segment byte data
  * @param {Number} baseTimestamp Relative reference timestamp used when adjusting frame
  *  timestamps for rollover. This value must be in 90khz clock.
+ * @param {Object} [options]
+ * @param {Boolean} [options.deep] Also walk every packet of a ts segment to add the
+ *  statistics of the PIDs, the PCR and the tracks to the result, see inspectStats_
+ * @param {Number} [options.interval=1] The length, in seconds, of the windows of the
+ *  track bitrates in deep mode
  * @return {Object} Object containing start and end frame timing info of segment.
  */
-var inspect = function(bytes, baseTimestamp) {
+var inspect = function(bytes, baseTimestamp, options) {
   var isAacData = probe.aac.isLikelyAacData(bytes);
 
   var result;
@@ -503,10 +933,12 @@ var inspect = function(bytes, baseTimestamp) {
   if (isAacData) {
     result = inspectAac_(bytes);
   } else {
-    result = inspectTs_(bytes);
+    result = inspectTs_(bytes, options || {});
   }
 
-  if (!result || (!result.audio && !result.video)) {
+  // the statistics of deep mode also describe the tracks without timing
+  // information, like H.265 tracks
+  if (!result || (!result.audio && !result.video && !result.stats)) {
     return null;
   }
 
@@ -0,0 +1,282 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ *
+ * A small AES block cipher with the CTR and CBC modes used by Common
+ * Encryption and HLS SAMPLE-AES. The table-driven implementation follows
+ * the one of the Stanford Javascript Crypto Library.
+ */
+'use strict'
+
+const BLOCK_SIZE = 16
+
+/**
+ * Expand the S-box and the round tables for encryption and decryption.
+ * @return {Array} the encryption and decryption tables, each holding four
+ * round tables followed by the (inverse) S-box
+ */
+const precompute = function() {
+  const tables = [[], []]
+  const encTable = tables[0]
+  const decTable = tables[1]
+  const double = []
+  const thirds = []
+  let i, x, xInv, x2, x4, x8, s, tEnc, tDec
+
+  for (i = 0; i < 5; i++) {
+    encTable[i] = new Uint32Array(256)
+    decTable[i] = new Uint32Array(256)
+  }
+  const sbox = encTable[4]
+  const sboxInv = decTable[4]
+
+  // compute double and third tables
+  for (i = 0; i < 256; i++) {
+    thirds[(double[i] = i << 1 ^ (i >> 7) * 283) ^ i] = i
+  }
+
+  for (x = xInv = 0; !sbox[x]; x ^= x2 || 1, xInv = thirds[xInv] || 1) {
+    // compute the S-box
+    s = xInv ^ xInv << 1 ^ xInv << 2 ^ xInv << 3 ^ xInv << 4
+    s = s >> 8 ^ s & 255 ^ 99
+    sbox[x] = s
+    sboxInv[s] = x
+
+    // compute the MixColumns
+    x8 = double[x4 = double[x2 = double[x]]]
+    tDec = x8 * 0x1010101 ^ x4 * 0x10001 ^ x2 * 0x101 ^ x * 0x1010100
+    tEnc = double[s] * 0x101 ^ s * 0x1010100
+
+    for (i = 0; i < 4; i++) {
+      encTable[i][x] = tEnc = tEnc << 24 ^ tEnc >>> 8
+      decTable[i][s] = tDec = tDec << 24 ^ tDec >>> 8
+    }
+  }
+
+  return tables
+}
+
+let aesTables = null
+
+const readWords = function(bytes) {
+  const words = []
+
+  for (let i = 0; i < bytes.length; i += 4) {
+    words.push((bytes[i] << 24 | bytes[i + 1] << 16 |
+      bytes[i + 2] << 8 | bytes[i + 3]) >>> 0)
+  }
+  return words
+}
+
+/**
+ * An AES block cipher for 128, 192 or 256 bit keys.
+ */
+class AES {
+  /**
+   * @param key {Uint8Array} the 16, 24 or 32 byte key
+   */
+  constructor(key) {
+    if (!aesTables) {
+      aesTables = precompute()
+    }
+
+    const sbox = aesTables[0][4]
+    const decTable = aesTables[1]
+    const keyLen = key.length / 4
+    const encKey = readWords(key)
+    const decKey = []
+    let rcon = 1
+    let i, j, tmp
+
+    if (keyLen !== 4 && keyLen !== 6 && keyLen !== 8) {
+      throw new Error('Invalid AES key size')
+    }
+
+    // schedule the encryption keys
+    for (i = keyLen; i < 4 * keyLen + 28; i++) {
+      tmp = encKey[i - 1]
+
+      // apply the S-box every keyLen words, and half way for 256 bit keys
+      if (i % keyLen === 0 || (keyLen === 8 && i % keyLen === 4)) {
+        tmp = sbox[tmp >>> 24] << 24 ^ sbox[tmp >> 16 & 255] << 16 ^
+          sbox[tmp >> 8 & 255] << 8 ^ sbox[tmp & 255]
+
+        // shift rows and add rcon
+        if (i % keyLen === 0) {
+          tmp = tmp << 8 ^ tmp >>> 24 ^ rcon << 24
+          rcon = rcon << 1 ^ (rcon >> 7) * 283
+        }
+      }
+
+      encKey[i] = encKey[i - keyLen] ^ tmp
+    }
+
+    // schedule the decryption keys in reverse order
+    for (j = 0; i; j++, i--) {
+      tmp = encKey[j & 3 ? i : i - 4]
+      if (i <= 4 || j < 4) {
+        decKey[j] = tmp
+      } else {
+        decKey[j] = decTable[0][sbox[tmp >>> 24]] ^
+          decTable[1][sbox[tmp >> 16 & 255]] ^
+          decTable[2][sbox[tmp >> 8 & 255]] ^
+          decTable[3][sbox[tmp & 255]]
+      }
+    }
+
+    this.key_ = [encKey, decKey]
+  }
+
+  /**
+   * Run one block through the cipher.
+   * @param input {Uint8Array} the 16 byte block to read from
+   * @param output {Uint8Array} the 16 byte block to write to, may be the input
+   * @param dir {number} 0 to encrypt, 1 to decrypt
+   */
+  crypt_(input, output, dir) {
+    const key = this.key_[dir]
+    const table = aesTables[dir]
+    const words = readWords(input)
+    const nInnerRounds = key.length / 4 - 2
+    const table0 = table[0]
+    const table1 = table[1]
+    const table2 = table[2]
+    const table3 = table[3]
+    const sbox = table[4]
+    let a = words[0] ^ key[0]
+    let b = words[dir ? 3 : 1] ^ key[1]
+    let c = words[2] ^ key[2]
+    let d = words[dir ? 1 : 3] ^ key[3]
+    let kIndex = 4
+    let a2, b2, c2, i
+
+    // inner rounds
+    for (i = 0; i < nInnerRounds; i++) {
+      a2 = table0[a >>> 24] ^ table1[b >> 16 & 255] ^ table2[c >> 8 & 255] ^
+        table3[d & 255] ^ key[kIndex]
+      b2 = table0[b >>> 24] ^ table1[c >> 16 & 255] ^ table2[d >> 8 & 255] ^
+        table3[a & 255] ^ key[kIndex + 1]
+      c2 = table0[c >>> 24] ^ table1[d >> 16 & 255] ^ table2[a >> 8 & 255] ^
+        table3[b & 255] ^ key[kIndex + 2]
+      d = table0[d >>> 24] ^ table1[a >> 16 & 255] ^ table2[b >> 8 & 255] ^
+        table3[c & 255] ^ key[kIndex + 3]
+      kIndex += 4
+      a = a2
+      b = b2
+      c = c2
+    }
+
+    // last round
+    for (i = 0; i < 4; i++) {
+      const word = (sbox[a >>> 24] << 24 ^ sbox[b >> 16 & 255] << 16 ^
+        sbox[c >> 8 & 255] << 8 ^ sbox[d & 255] ^ key[kIndex++])
+      const offset = (dir ? 3 & -i : i) * 4
+
+      output[offset] = word >>> 24
+      output[offset + 1] = word >>> 16 & 255
+      output[offset + 2] = word >>> 8 & 255
+      output[offset + 3] = word & 255
+      a2 = a
+      a = b
+      b = c
+      c = d
+      d = a2
+    }
+  }
+
+  encryptBlock(input, output) {
+    this.crypt_(input, output, 0)
+  }
+
+  decryptBlock(input, output) {
+    this.crypt_(input, output, 1)
+  }
+}
+
+/**
+ * Encrypt or decrypt bytes in AES-CTR mode, in place.
+ * @param aes {AES} the cipher
+ * @param counter {Uint8Array} the 16 byte initial counter block, which is
+ * advanced past the blocks that were used
+ * @param data {Uint8Array} the bytes to transform
+ * @param offset {number} the number of bytes of the current keystream block
+ * that were already used by a previous call
+ * @return {number} the keystream offset for the next call
+ */
+const ctr = function(aes, counter, data, offset) {
+  const keystream = new Uint8Array(BLOCK_SIZE)
+  let i, j
+
+  offset = offset || 0
+  aes.encryptBlock(counter, keystream)
+  for (i = 0; i < data.length; i++) {
+    if (offset === BLOCK_SIZE) {
+      // increment the 128 bit counter as a big-endian integer
+      for (j = BLOCK_SIZE - 1; j >= 0 && ++counter[j] === 256; j--) {
+        counter[j] = 0
+      }
+      aes.encryptBlock(counter, keystream)
+      offset = 0
+    }
+    data[i] ^= keystream[offset++]
+  }
+  return offset
+}
+
+/**
+ * Encrypt the complete blocks of some bytes in AES-CBC mode, in place.
+ * Trailing bytes that do not fill a block are left untouched.
+ * @param aes {AES} the cipher
+ * @param iv {Uint8Array} the 16 byte initialization vector
+ * @param data {Uint8Array} the bytes to encrypt
+ * @return {Uint8Array} the last cipher block, to chain further calls
+ */
+const encryptCbc = function(aes, iv, data) {
+  let previous = iv
+
+  for (let i = 0; i + BLOCK_SIZE <= data.length; i += BLOCK_SIZE) {
+    const block = data.subarray(i, i + BLOCK_SIZE)
+
+    for (let j = 0; j < BLOCK_SIZE; j++) {
+      block[j] ^= previous[j]
+    }
+    aes.encryptBlock(block, block)
+    previous = block
+  }
+  return previous
+}
+
+/**
+ * Decrypt the complete blocks of some bytes in AES-CBC mode, in place.
+ * Trailing bytes that do not fill a block are left untouched.
+ * @param aes {AES} the cipher
+ * @param iv {Uint8Array} the 16 byte initialization vector
+ * @param data {Uint8Array} the bytes to decrypt
+ * @return {Uint8Array} the last cipher block, to chain further calls
+ */
+const decryptCbc = function(aes, iv, data) {
+  let previous = new Uint8Array(iv)
+  const cipherBlock = new Uint8Array(BLOCK_SIZE)
+
+  for (let i = 0; i + BLOCK_SIZE <= data.length; i += BLOCK_SIZE) {
+    const block = data.subarray(i, i + BLOCK_SIZE)
+
+    cipherBlock.set(block)
+    aes.decryptBlock(block, block)
+    for (let j = 0; j < BLOCK_SIZE; j++) {
+      block[j] ^= previous[j]
+    }
+    previous.set(cipherBlock)
+  }
+  return previous
+}
+
+module.exports = {
+  AES: AES,
+  BLOCK_SIZE: BLOCK_SIZE,
+  ctr: ctr,
+  encryptCbc: encryptCbc,
+  decryptCbc: decryptCbc,
+}
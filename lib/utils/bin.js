@@ -12,7 +12,21 @@ var toHexString = function(value) {
   return ('00' + value.toString(16)).slice(-2);
 };
 
+// the UTF-8 bytes of a string
+var utf8Bytes = function(string) {
+  var
+    utf8 = unescape(encodeURIComponent(string || '')),
+    bytes = new Uint8Array(utf8.length),
+    i;
+
+  for (i = 0; i < utf8.length; i++) {
+    bytes[i] = utf8.charCodeAt(i);
+  }
+  return bytes;
+};
+
 module.exports = {
   toUnsigned: toUnsigned,
-  toHexString: toHexString
+  toHexString: toHexString,
+  utf8Bytes: utf8Bytes
 };
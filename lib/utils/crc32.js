@@ -0,0 +1,39 @@
+/**
+ * mux.js
+ *
+ * Copyright (c) Brightcove
+ * Licensed Apache-2.0 https://github.com/videojs/mux.js/blob/master/LICENSE
+ */
+var CRC32_TABLE, crc32;
+
+// the CRC_32 of MPEG-2 sections: polynomial 0x04C11DB7, most significant bit
+// first, no final XOR
+// @see ISO/IEC 13818-1, Annex A
+CRC32_TABLE = (function() {
+  var table = new Uint32Array(256), i, j, crc;
+
+  for (i = 0; i < 256; i++) {
+    crc = i << 24;
+    for (j = 0; j < 8; j++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+}());
+
+/**
+ * Compute the CRC_32 of the bytes of a PSI section.
+ * @param bytes {Uint8Array|Array} the bytes of the section, up to the CRC_32
+ * @return {number} the CRC_32, as an unsigned 32 bit integer
+ */
+crc32 = function(bytes) {
+  var crc = 0xFFFFFFFF, i;
+
+  for (i = 0; i < bytes.length; i++) {
+    crc = (crc << 8) ^ CRC32_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF];
+  }
+  return crc >>> 0;
+};
+
+module.exports = crc32;
@@ -0,0 +1,264 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  codecs = require('../lib/codecs'),
+  mp4 = require('../lib/mp4'),
+  mp2t = require('../lib/m2ts'),
+  utils = require('./utils'),
+  Ac3Stream = codecs.ac3.Ac3Stream,
+  AdtsStream = codecs.Adts,
+  Transmuxer = mp4.Transmuxer,
+  packetize = utils.packetize,
+  transportPacket = utils.transportPacket,
+  PAT = utils.PAT,
+  generatePMT = utils.generatePMT,
+  ac3Stream,
+  syncframe,
+  ac3Frame,
+  eac3Frame,
+  eac3DependentFrame;
+
+mp4.tools = require('../lib/tools/mp4-inspector');
+
+// pad a syncframe header out to the size of the frame
+syncframe = function(header, frameLength) {
+  var frame = new Uint8Array(frameLength);
+
+  frame.set(header);
+  return frame;
+};
+
+// 48kHz, 32kbps (128 bytes), bsid 8, 3/2 channels with LFE
+ac3Frame = syncframe([
+  0x0b, 0x77, // syncword
+  0x00, 0x00, // crc1
+  0x00, // fscod:00 frmsizecod:00 0000
+  0x40, // bsid:0100 0 bsmod:000
+  0xe1 // acmod:111 cmixlev:00 surmixlev:00 lfeon:1
+], 128);
+
+// independent substream, 48kHz, 6 blocks, 3/2 channels with LFE
+eac3Frame = syncframe([
+  0x0b, 0x77, // syncword
+  0x00, 0x3f, // strmtyp:00 substreamid:000 frmsiz:000 0011 1111
+  0x3f, // fscod:00 numblkscod:11 acmod:111 lfeon:1
+  0x80, // bsid:1000 0 dialnorm:000
+  0x00 // dialnorm:00 compre:0
+], 128);
+
+// dependent substream adding a pair of rear surround channels
+eac3DependentFrame = syncframe([
+  0x0b, 0x77, // syncword
+  0x40, 0x3f, // strmtyp:01 substreamid:000 frmsiz:000 0011 1111
+  0x34, // fscod:00 numblkscod:11 acmod:010 lfeon:0
+  0x80, // bsid:1000 0 dialnorm:000
+  0x10, // dialnorm:00 compre:0 chanmape:1 chanmap:0000
+  0x20, // chanmap:0010 0000, Lrs/Rrs
+  0x00 // chanmap:0000
+], 128);
+
+QUnit.module('AC-3 Stream', {
+  beforeEach: function() {
+    ac3Stream = new Ac3Stream();
+  }
+});
+
+QUnit.test('parses AC-3 syncframes', function(assert) {
+  var frames = [], data = new Uint8Array(256);
+
+  ac3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  data.set(ac3Frame);
+  data.set(ac3Frame, 128);
+  ac3Stream.push({
+    type: 'audio',
+    streamType: 0x81,
+    pts: 90000,
+    dts: 90000,
+    data: data
+  });
+  ac3Stream.flush();
+
+  assert.equal(frames.length, 2, 'parsed two frames');
+  assert.equal(frames[0].pts, 90000, 'the first frame starts at the packet pts');
+  assert.equal(frames[1].pts, 90000 + 2880, 'the second frame follows 1536 samples later');
+  assert.equal(frames[1].dts, 90000 + 2880, 'calculated the dts');
+  assert.equal(frames[0].sampleCount, 1536, 'AC-3 frames hold 1536 samples');
+  assert.equal(frames[0].samplerate, 48000, 'parsed the sample rate');
+  assert.equal(frames[0].channelcount, 6, 'counted the LFE channel');
+  assert.equal(frames[0].data.byteLength, 128, 'passed the syncframe through');
+  assert.deepEqual(frames[0].ac3Config, {
+    fscod: 0,
+    bsid: 8,
+    bsmod: 0,
+    acmod: 7,
+    lfeon: 1,
+    bitRateCode: 0
+  }, 'parsed the dac3 fields');
+});
+
+QUnit.test('parses syncframes that span packets', function(assert) {
+  var frames = [];
+
+  ac3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  ac3Stream.push({
+    type: 'audio',
+    streamType: 0x81,
+    data: ac3Frame.subarray(0, 100)
+  });
+  ac3Stream.push({
+    type: 'audio',
+    streamType: 0x81,
+    data: ac3Frame.subarray(100)
+  });
+  ac3Stream.flush();
+
+  assert.equal(frames.length, 1, 'parsed one frame');
+  assert.equal(frames[0].data.byteLength, 128, 'reassembled the frame');
+});
+
+QUnit.test('combines E-AC-3 dependent substreams with their program', function(assert) {
+  var frames = [], data = new Uint8Array(384);
+
+  ac3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  data.set(eac3Frame);
+  data.set(eac3DependentFrame, 128);
+  data.set(eac3Frame, 256);
+  ac3Stream.push({
+    type: 'audio',
+    streamType: 0x87,
+    pts: 0,
+    dts: 0,
+    data: data
+  });
+
+  assert.equal(frames.length, 1, 'waits for the next independent substream');
+
+  ac3Stream.flush();
+
+  assert.equal(frames.length, 2, 'flushed the last frame');
+  assert.equal(frames[0].data.byteLength, 256, 'appended the dependent substream');
+  assert.equal(frames[1].pts, 2880, 'dependent substreams do not add to the duration');
+  assert.equal(frames[0].sampleCount, 1536, 'six blocks of 256 samples');
+  assert.equal(frames[0].ac3Config.numDepSub, 1, 'counted the dependent substream');
+  assert.equal(frames[0].ac3Config.chanLoc, 0x80, 'recorded the added channels');
+  assert.equal(frames[0].ac3Config.dataRate, 64, 'data rate covers both substreams');
+  assert.equal(frames[1].ac3Config.dataRate, 32, 'calculated the data rate');
+  assert.equal(frames[1].ac3Config.bsid, 16, 'parsed the bsid');
+});
+
+QUnit.test('ignores other audio stream types', function(assert) {
+  var frames = [], adtsStream = new AdtsStream(), adtsFrames = [];
+
+  ac3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+  adtsStream.on('data', function(frame) {
+    adtsFrames.push(frame);
+  });
+
+  ac3Stream.push({
+    type: 'audio',
+    streamType: 0x0f,
+    data: ac3Frame
+  });
+  ac3Stream.flush();
+  adtsStream.push({
+    type: 'audio',
+    streamType: 0x81,
+    data: new Uint8Array([0xff, 0xf1, 0x50, 0x80, 0x01, 0xdf, 0xfc, 0x00, 0x00])
+  });
+
+  assert.equal(frames.length, 0, 'ignored ADTS audio');
+  assert.equal(adtsFrames.length, 0, 'AdtsStream ignored AC-3 audio');
+});
+
+QUnit.module('AC-3 Transmuxing');
+
+QUnit.test('parses Dolby stream types out of the PMT', function(assert) {
+  var
+    transportPacketStream = new mp2t.TransportPacketStream(),
+    transportParseStream = new mp2t.TransportParseStream(),
+    elementaryStream = new mp2t.ElementaryStream(),
+    tracks = [];
+
+  transportPacketStream.pipe(transportParseStream).pipe(elementaryStream);
+  elementaryStream.on('data', function(event) {
+    if (event.type === 'metadata') {
+      tracks = tracks.concat(event.tracks);
+    }
+  });
+
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x81
+  })));
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x87
+  })));
+  transportPacketStream.flush();
+
+  assert.equal(transportParseStream.programMapTable.audio, 0x12, 'found the audio pid');
+  assert.equal(transportParseStream.programMapTable.audioStreamType, 0x87,
+               'recorded the audio stream type');
+  assert.equal(tracks[0].codec, 'ac-3', 'identified the AC-3 track');
+  assert.equal(tracks[1].codec, 'ec-3', 'identified the E-AC-3 track');
+});
+
+QUnit.test('generates an ac-3 track', function(assert) {
+  var
+    transmuxer = new Transmuxer({}),
+    segments = [],
+    sampleEntry,
+    dac3,
+    trun;
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x81
+  })));
+  transmuxer.push(packetize(transportPacket(0x12, Array.prototype.slice.call(ac3Frame),
+                                            true, 90000)));
+  transmuxer.push(packetize(transportPacket(0x12, Array.prototype.slice.call(ac3Frame),
+                                            true, 92880)));
+  // the last PES packet stays buffered until the next one starts
+  transmuxer.push(packetize(transportPacket(0x12, Array.prototype.slice.call(ac3Frame),
+                                            true, 95760)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+  assert.equal(segments[0].type, 'audio', 'audio is the segment type');
+  assert.equal(segments[0].info.samplerate, 48000, 'reported the sample rate');
+  assert.equal(segments[0].info.channelcount, 6, 'reported the channel count');
+
+  sampleEntry = mp4.tools.inspect(segments[0].initSegment)[1]
+    .boxes[1].boxes[1].boxes[2].boxes[2].boxes[0].sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'ac-3', 'generated an ac-3 sample entry');
+
+  dac3 = mp4.tools.inspect(sampleEntry.data.subarray(28))[0];
+  assert.equal(dac3.type, 'dac3', 'generated a dac3 box');
+  assert.deepEqual(Array.prototype.slice.call(dac3.data), [0x10, 0x3c, 0x00],
+                   'wrote the dac3 fields');
+
+  trun = mp4.tools.inspect(segments[0].data)[0].boxes[1].boxes[2];
+  assert.equal(trun.samples.length, 2, 'wrote two samples');
+  assert.equal(trun.samples[0].duration, 1536, 'samples last one syncframe');
+  assert.equal(trun.samples[0].size, 128, 'samples hold a syncframe');
+});
@@ -293,6 +293,95 @@ QUnit.test('dispatches caption track information', function(assert) {
   assert.equal(captions[1].text, 'PERIOD, FOLKS.', 'parsed the text of the first caption in CC1');
 });
 
+QUnit.test('can be output as a text track', function(assert) {
+  var transmuxer = new mp4.Transmuxer({
+        textTrack: {stream: 'CC3', language: 'fr'}
+      }),
+      segments = [],
+      init,
+      traf,
+      ttml;
+
+  transmuxer.setBaseMediaDecodeTime(100000);
+  transmuxer.on('data', function(data) {
+    segments.push(data);
+  });
+
+  transmuxer.push(multiChannel608Captions);
+  transmuxer.flush();
+
+  assert.deepEqual(segments.map(function(segment) {
+    return segment.type;
+  }), ['video', 'text'], 'output a text segment after the video');
+
+  init = mp4.tools.inspect(segments[1].initSegment);
+  assert.equal(init[1].boxes[1].boxes[0].trackId, 0x2000, 'numbered the text track');
+  assert.equal(init[1].boxes[1].boxes[1].boxes[2].boxes[2].boxes[0]
+    .sampleDescriptions[0].type, 'stpp', 'described TTML samples');
+
+  traf = mp4.tools.inspect(segments[1].data)[0].boxes[1];
+  assert.equal(traf.boxes[1].baseMediaDecodeTime, 100000, 'started with the video');
+  assert.equal(traf.boxes[2].samples[0].duration, 537537,
+               'lasted as long as the video segment');
+
+  ttml = new TextDecoder().decode(segments[1].data.subarray(traf.boxes[2].dataOffset));
+  assert.ok(ttml.indexOf(' xml:lang="fr">') > 0, 'wrote the language');
+  assert.ok(ttml.indexOf('<p begin="00:00:01.178" end="00:00:02.279" region="r0">' +
+                         '<span style="caption">être une période de questions</span></p>') > 0,
+            'timed the captions on the media timeline');
+  assert.equal(ttml.indexOf('PERIOD, FOLKS.'), -1, 'wrote a single caption stream');
+
+  assert.throws(function() {
+    return new mp4.Transmuxer({textTrack: {codec: 'tx3g'}}).push(multiChannel608Captions);
+  }, 'rejected unknown codecs');
+});
+
+QUnit.test('can be output as a WebVTT track', function(assert) {
+  var transmuxer = new mp4.Transmuxer({
+        textTrack: {codec: 'wvtt', stream: 'CC3'}
+      }),
+      segments = [],
+      init,
+      trun,
+      offset,
+      samples = [];
+
+  transmuxer.setBaseMediaDecodeTime(100000);
+  transmuxer.on('data', function(data) {
+    segments.push(data);
+  });
+
+  transmuxer.push(multiChannel608Captions);
+  transmuxer.flush();
+
+  init = mp4.tools.inspect(segments[1].initSegment);
+  assert.equal(init[1].boxes[1].boxes[1].boxes[2].boxes[2].boxes[0]
+    .sampleDescriptions[0].type, 'wvtt', 'described WebVTT samples');
+
+  trun = mp4.tools.inspect(segments[1].data)[0].boxes[1].boxes[2];
+  offset = trun.dataOffset;
+  trun.samples.forEach(function(sample) {
+    samples.push({
+      duration: sample.duration,
+      boxes: mp4.tools.inspect(segments[1].data.subarray(offset, offset + sample.size))
+    });
+    offset += sample.size;
+  });
+
+  assert.deepEqual(samples.map(function(sample) {
+    return sample.duration;
+  }), [6006, 99099, 351351, 81081], 'split the segment at the start and end of cues');
+  assert.equal(samples[0].boxes[0].type, 'vtte', 'nothing is displayed at first');
+  assert.equal(samples[1].boxes[0].boxes[1].cueText, 'être une période de questions',
+               'wrote the first caption');
+  assert.equal(samples[1].boxes[0].boxes[0].settings,
+               'line:68.67% position:10% align:left', 'placed the first caption');
+  assert.equal(samples[2].boxes[0].boxes[1].cueText,
+               'être une période de questions\ntrès courte, chers députés.',
+               'wrote the second caption');
+  assert.equal(samples[3].boxes[0].type, 'vtte', 'nothing is displayed at the end');
+});
+
 QUnit.test('sorting is fun', function(assert) {
   var packets, captions, seiNals;
   packets = [
@@ -1277,6 +1366,9 @@ QUnit.test('pop-on mode', function(assert) {
     startPts: 1000,
     endPts: 10 * 1000,
     text: 'hi',
+    content: [
+      { text: 'hi', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the caption');
 });
@@ -1312,6 +1404,9 @@ QUnit.test('ignores null characters', function(assert) {
     startPts: 1000,
     endPts: 10 * 1000,
     text: 'mu x',
+    content: [
+      { text: 'mu x', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'ignored null characters');
 });
@@ -1353,18 +1448,27 @@ QUnit.test('recognizes the Erase Displayed Memory command', function(assert) {
     startPts: 1 * 1000,
     endPts: 1.5 * 1000,
     text: '01',
+    content: [
+      { text: '01', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the first caption');
   assert.deepEqual(captions[1], {
     startPts: 2 * 1000,
     endPts: 3 * 1000,
     text: '23',
+    content: [
+      { text: '23', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the second caption');
   assert.deepEqual(captions[2], {
     startPts: 3 * 1000,
     endPts: 4 * 1000,
     text: '34',
+    content: [
+      { text: '34', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the third caption');
 });
@@ -1454,6 +1558,9 @@ QUnit.test('recognizes the Erase Non-Displayed Memory command', function(assert)
     startPts: 1 * 1000,
     endPts: 2 * 1000,
     text: '23',
+    content: [
+      { text: '23', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'cleared the non-displayed memory');
 });
@@ -1732,6 +1839,9 @@ QUnit.test('roll-up display mode', function(assert) {
     startPts: 0 * 1000,
     endPts: 3 * 1000,
     text: '01',
+    content: [
+      { text: '01', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the caption');
   captions = [];
@@ -1754,6 +1864,10 @@ QUnit.test('roll-up display mode', function(assert) {
     startPts: 3 * 1000,
     endPts: 5 * 1000,
     text: '01\n23',
+    content: [
+      { text: '01', line: 14, position: 10 },
+      { text: '23', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the new caption and kept the caption up after the new caption');
 });
@@ -1782,6 +1896,9 @@ QUnit.test('roll-up displays multiple rows simultaneously', function(assert) {
     startPts: 0 * 1000,
     endPts: 1 * 1000,
     text: '01',
+    content: [
+      { text: '01', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'created a caption for the first period');
   captions = [];
@@ -1802,6 +1919,10 @@ QUnit.test('roll-up displays multiple rows simultaneously', function(assert) {
     startPts: 1 * 1000,
     endPts: 3 * 1000,
     text: '01\n23',
+    content: [
+      { text: '01', line: 14, position: 10 },
+      { text: '23', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'created the top and bottom rows after the shift up');
   captions = [];
@@ -1822,6 +1943,10 @@ QUnit.test('roll-up displays multiple rows simultaneously', function(assert) {
     startPts: 3 * 1000,
     endPts: 5 * 1000,
     text: '23\n45',
+    content: [
+      { text: '23', line: 14, position: 10 },
+      { text: '45', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'created the top and bottom rows after the shift up');
 });
@@ -1907,12 +2032,18 @@ QUnit.test('switching to roll-up from pop-on wipes memories and flushes captions
     startPts: 1000,
     endPts: 2000,
     text: 'hi',
+    content: [
+      { text: 'hi', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'first caption correct');
   assert.deepEqual(captions[1], {
     startPts: 2000,
     endPts: 3000,
     text: 'oh',
+    content: [
+      { text: 'oh', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'second caption correct');
 });
@@ -1947,6 +2078,9 @@ QUnit.test('switching to roll-up from paint-on wipes memories and flushes captio
     startPts: 0,
     endPts: 1000,
     text: 'hi',
+    content: [
+      { text: 'hi', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'caption correct');
 });
@@ -2185,6 +2319,41 @@ QUnit.test('preserves newlines from PACs in pop-on mode', function(assert) {
   assert.equal(captions[0].text, 'TEST\n\nSTRING\nDATA', 'Position PACs were converted to newlines');
 });
 
+QUnit.test('places rows at their PAC row and indent', function(assert) {
+  var captions = [];
+  cea608Stream.on('data', function(caption) {
+    captions.push(caption);
+  });
+
+  [
+    // RCL, resume caption loading
+    { ccData: 0x1420, type: 0 },
+    // PAC: row 12, indent 8
+    { ccData: 0x1354, type: 0 },
+    // text: HI
+    { ccData: characters('HI'), type: 0 },
+    // PAC: row 15, indent 0
+    { ccData: 0x1470, type: 0 },
+    // text: THERE
+    { ccData: characters('TH'), type: 0 },
+    { ccData: characters('ER'), type: 0 },
+    { ccData: 0x4500, type: 0 },
+    // EOC, end of caption
+    { pts: 1 * 1000, ccData: 0x142f, type: 0 },
+    // Send another command so that the second EOC isn't ignored
+    { ccData: 0x1420, type: 0 },
+    // EOC, dispatch caption
+    { pts: 2 * 1000, ccData: 0x142f, type: 0 }
+  ].forEach(cea608Stream.push, cea608Stream);
+
+  assert.equal(captions.length, 1, 'caption emitted');
+  assert.deepEqual(captions[0].content, [
+    { text: 'HI', line: 12, position: 30 },
+    { text: 'THERE', line: 15, position: 10 }
+  ], 'placed the rows');
+  assert.equal(captions[0].text, 'HI\n\n\nTHERE', 'did not indent the text');
+});
+
 QUnit.test('extracts real-world cc1 and cc3 channels', function(assert) {
   var cea608Stream1 = cea608Stream;
   var cea608Stream3 = new m2ts.Cea608Stream(1, 0);
@@ -2347,6 +2516,9 @@ QUnit.test('paint-on mode', function(assert) {
     startPts: 1000,
     endPts: 3000,
     text: 'hi',
+    content: [
+      { text: 'hi', line: 15, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the caption');
 });
@@ -2607,42 +2779,67 @@ QUnit.test('mix of all modes (extract from CNN)', function(assert) {
     startPts: 6675,
     endPts: 6677,
     text: 'YEAR.',
+    content: [
+      { text: 'YEAR.', line: 2, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the 1st roll-up caption');
   assert.deepEqual(captions[1], {
     startPts: 6677,
     endPts: 6697,
     text: 'YEAR.\nGO TO CNNHEROS.COM.',
+    content: [
+      { text: 'YEAR.', line: 1, position: 10 },
+      { text: 'GO TO CNNHEROS.COM.', line: 2, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the 2nd roll-up caption');
   assert.deepEqual(captions[2], {
     startPts: 6749,
     endPts: 6781,
     text: 'Did your Senator or Congressman\nget elected by talking tough',
+    content: [
+      { text: 'Did your Senator or Congressman', line: 1, position: 10 },
+      { text: 'get elected by talking tough', line: 2, position: 15 }
+    ],
     stream: 'CC1'
   }, 'parsed the paint-on caption');
   assert.deepEqual(captions[3], {
     startPts: 6782,
     endPts: 6797,
     text: 'on the national debt?',
+    content: [
+      { text: 'on the national debt?', line: 1, position: 22.5 }
+    ],
     stream: 'CC1'
   }, 'parsed the 1st pop-on caption');
   assert.deepEqual(captions[4], {
     startPts: 6798,
     endPts: 6838,
     text: 'Will they stay true\nto their words?',
+    content: [
+      { text: 'Will they stay true', line: 1, position: 25 },
+      { text: 'to their words?', line: 2, position: 30 }
+    ],
     stream: 'CC1'
   }, 'parsed the 2nd pop-on caption');
   assert.deepEqual(captions[5], {
     startPts: 6841,
     endPts: 6844,
     text: '>>> NO MORE SPECULATION, NO MORE',
+    content: [
+      { text: '>>> NO MORE SPECULATION, NO MORE', line: 2, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the 3rd roll-up caption');
   assert.deepEqual(captions[6], {
     startPts: 6844,
     endPts: 6846,
     text: '>>> NO MORE SPECULATION, NO MORE\nRUMORS OR GUESSING GAMES.',
+    content: [
+      { text: '>>> NO MORE SPECULATION, NO MORE', line: 1, position: 10 },
+      { text: 'RUMORS OR GUESSING GAMES.', line: 2, position: 10 }
+    ],
     stream: 'CC1'
   }, 'parsed the 4th roll-up caption');
 
@@ -2704,36 +2901,90 @@ QUnit.test('parses 708 captions', function(assert) {
     startPts: 6723335478,
     endPts: 6723626769,
     text: '\"Pinkalicious_and_Peterrific\"\nis_made_possible_in_part_by:',
+    formattedText: '\"Pinkalicious_and_Peterrific\"\nis_made_possible_in_part_by:',
+    windows: [{
+      text: '"Pinkalicious_and_Peterrific"\nis_made_possible_in_part_by:',
+      formattedText: '"Pinkalicious_and_Peterrific"\nis_made_possible_in_part_by:',
+      relativePositioning: 0,
+      anchorVertical: 65,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed first caption correctly');
   assert.deepEqual(captions[1], {
     startPts: 6723740883,
     endPts: 6723945087,
     text: 'GIRL:\nRead_me_the_tale\nof_a_faraway_land.',
+    formattedText: 'GIRL:\nRead_me_the_tale\nof_a_faraway_land.',
+    windows: [{
+      text: 'GIRL:\nRead_me_the_tale\nof_a_faraway_land.',
+      formattedText: 'GIRL:\nRead_me_the_tale\nof_a_faraway_land.',
+      relativePositioning: 0,
+      anchorVertical: 60,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed second caption correctly');
   assert.deepEqual(captions[2], {
     startPts: 6723948090,
     endPts: 6724200342,
     text: 'Tell_me_of_planets\nwith_oceans_of_sand.',
+    formattedText: 'Tell_me_of_planets\nwith_oceans_of_sand.',
+    windows: [{
+      text: 'Tell_me_of_planets\nwith_oceans_of_sand.',
+      formattedText: 'Tell_me_of_planets\nwith_oceans_of_sand.',
+      relativePositioning: 0,
+      anchorVertical: 65,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed third caption correctly');
   assert.deepEqual(captions[33], {
     startPts: 6732617751,
     endPts: 6732876009,
     text: '♪_It\'s_a_Pinkalicious_feeling_♪',
+    formattedText: '♪_It\'s_a_Pinkalicious_feeling_♪',
+    windows: [{
+      text: '♪_It\'s_a_Pinkalicious_feeling_♪',
+      formattedText: '♪_It\'s_a_Pinkalicious_feeling_♪',
+      relativePositioning: 0,
+      anchorVertical: 70,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 33 correctly with music note');
   assert.deepEqual(captions[38], {
     startPts: 6734218350,
     endPts: 6734425557,
     text: 'PINKALICIOUS:\n\"Dream_Salon.\"',
+    formattedText: 'PINKALICIOUS:\n\"Dream_Salon.\"',
+    windows: [{
+      text: 'PINKALICIOUS:\n"Dream_Salon."',
+      formattedText: 'PINKALICIOUS:\n"Dream_Salon."',
+      relativePositioning: 0,
+      anchorVertical: 65,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 38 correctly');
   assert.deepEqual(captions[234], {
     startPts: 6778809897,
     endPts: 6779104191,
     text: 'I_guess_I\'ll_just_have\nto_duck_a_little_bit.',
+    formattedText: 'I_guess_I\'ll_just_have\nto_duck_a_little_bit.',
+    windows: [{
+      text: 'I_guess_I\'ll_just_have\nto_duck_a_little_bit.',
+      formattedText: 'I_guess_I\'ll_just_have\nto_duck_a_little_bit.',
+      relativePositioning: 0,
+      anchorVertical: 65,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 234 correctly');
 });
@@ -2792,6 +3043,15 @@ QUnit.test('reset command', function(assert) {
     startPts: 153315036,
     endPts: 153408129,
     text: '*\n;',
+    formattedText: '*\n;',
+    windows: [{
+      text: '*\n;',
+      formattedText: '*\n;',
+      relativePositioning: 1,
+      anchorVertical: 17,
+      anchorHorizontal: 42,
+      anchorPoint: 8
+    }],
     stream: 'cc708_1'
   }, 'parsed the caption correctly');
 });
@@ -2868,34 +3128,153 @@ QUnit.test('windowing', function(assert) {
     startPts: 2000,
     endPts: 3000,
     text: 'w0',
+    formattedText: 'w0',
+    windows: [{
+      text: 'w0',
+      formattedText: 'w0',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 0 correctly');
   assert.deepEqual(captions[1], {
     startPts: 3000,
     endPts: 4000,
     text: 'w1',
+    formattedText: 'w1',
+    windows: [{
+      text: 'w1',
+      formattedText: 'w1',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 1 correctly');
   assert.deepEqual(captions[2], {
     startPts: 4000,
     endPts: 5000,
     text: 'w2\n\nw3',
+    formattedText: 'w2\n\nw3',
+    windows: [{
+      text: 'w2',
+      formattedText: 'w2',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }, {
+      text: 'w3',
+      formattedText: 'w3',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 2 correctly');
   assert.deepEqual(captions[3], {
     startPts: 5000,
     endPts: 6000,
     text: 'w3\n\nw4',
+    formattedText: 'w3\n\nw4',
+    windows: [{
+      text: 'w3',
+      formattedText: 'w3',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }, {
+      text: 'w4',
+      formattedText: 'w4',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 3 correctly');
   assert.deepEqual(captions[4], {
     startPts: 6000,
     endPts: 7000,
     text: 'w5\n\nw6\n\nw7',
+    formattedText: 'w5\n\nw6\n\nw7',
+    windows: [{
+      text: 'w5',
+      formattedText: 'w5',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }, {
+      text: 'w6',
+      formattedText: 'w6',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }, {
+      text: 'w7',
+      formattedText: 'w7',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 0,
+      anchorPoint: 0
+    }],
     stream: 'cc708_1'
   }, 'parsed caption 4 correctly');
 });
 
+QUnit.test('positions windows and formats pen attributes', function(assert) {
+  var captions = [];
+
+  cea708Stream.on('data', function(caption) {
+    captions.push(caption);
+  });
+
+  [
+    { type: 3, pts: 1000, ccData: packetHeader708(0, 7, 1, 12) },
+    // DF0, hidden, anchored at 90% down and 50% across by its bottom center
+    { type: 2, pts: 1000, ccData: 0x9800 },
+    { type: 2, pts: 1000, ccData: 0xda32 },
+    { type: 2, pts: 1000, ccData: 0x7120 },
+    // SPA, italics
+    { type: 2, pts: 1000, ccData: 0x0090 },
+    { type: 2, pts: 1000, ccData: 0x0080 },
+    { type: 2, pts: 1000, ccData: characters('hi') },
+
+    { type: 3, pts: 2000, ccData: packetHeader708(1, 2, 1, 2) },
+    { type: 2, pts: 2000, ccData: displayWindows708([0]) },
+
+    { type: 3, pts: 3000, ccData: packetHeader708(2, 2, 1, 2) },
+    { type: 2, pts: 3000, ccData: 0x8aff }, // HDW (Hide all)
+
+    // Indicate end of last packet
+    { type: 3, pts: 4000, ccData: packetHeader708(3, 1, 1, 0) }
+  ].forEach(cea708Stream.push, cea708Stream);
+
+  assert.equal(captions.length, 1, 'parsed 1 caption');
+  assert.deepEqual(captions[0], {
+    startPts: 2000,
+    endPts: 3000,
+    text: 'hi',
+    formattedText: '<i>hi</i>',
+    windows: [{
+      text: 'hi',
+      formattedText: '<i>hi</i>',
+      relativePositioning: 1,
+      anchorVertical: 90,
+      anchorHorizontal: 50,
+      anchorPoint: 7
+    }],
+    stream: 'cc708_1'
+  }, 'parsed the window position and italics');
+});
+
 QUnit.test('backspace', function(assert) {
   var captions = [];
 
@@ -0,0 +1,269 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  codecs = require('../lib/codecs'),
+  mp4 = require('../lib/mp4'),
+  mp2t = require('../lib/m2ts'),
+  utils = require('./utils'),
+  H265Stream = codecs.h265.H265Stream,
+  H264Stream = codecs.h264.H264Stream,
+  readSequenceParameterSet = codecs.h265.readSequenceParameterSet,
+  Transmuxer = mp4.Transmuxer,
+  binaryStringToArrayOfBytes = utils.binaryStringToArrayOfBytes,
+  packetize = utils.packetize,
+  videoPes = utils.videoPes,
+  PAT = utils.PAT,
+  generatePMT = utils.generatePMT,
+  h265Stream,
+  spsRbsp,
+  addEmulationPreventionBytes;
+
+mp4.tools = require('../lib/tools/mp4-inspector');
+
+// a 1920x1088 Main profile, level 3.1 SPS cropped to 1080 lines
+spsRbsp = binaryStringToArrayOfBytes([
+  '0000', // sps_video_parameter_set_id
+  '000', // sps_max_sub_layers_minus1
+  '1', // sps_temporal_id_nesting_flag
+  // general_profile_space, general_tier_flag, general_profile_idc
+  '00' + '0' + '00001',
+  // general_profile_compatibility_flags
+  '01100000' + '00000000' + '00000000' + '00000000',
+  // general constraint indicator flags
+  '10010000' + '00000000' + '00000000' + '00000000' + '00000000' + '00000000',
+  '01011101', // general_level_idc
+  '1', // sps_seq_parameter_set_id
+  '010', // chroma_format_idc
+  '0000000000' + '11110000001', // pic_width_in_luma_samples
+  '0000000000' + '10001000001', // pic_height_in_luma_samples
+  '1', // conformance_window_flag
+  '1', // conf_win_left_offset
+  '1', // conf_win_right_offset
+  '1', // conf_win_top_offset
+  '00101', // conf_win_bottom_offset
+  '1', // bit_depth_luma_minus8
+  '1', // bit_depth_chroma_minus8
+  '1000' // rbsp_stop_one_bit and alignment
+].join(''));
+
+addEmulationPreventionBytes = function(bytes) {
+  var result = [], zeroes = 0, i;
+
+  for (i = 0; i < bytes.length; i++) {
+    if (zeroes === 2 && bytes[i] <= 0x03) {
+      result.push(0x03);
+      zeroes = 0;
+    }
+    result.push(bytes[i]);
+    zeroes = bytes[i] === 0x00 ? zeroes + 1 : 0;
+  }
+  return result;
+};
+
+QUnit.module('H265 Stream', {
+  beforeEach: function() {
+    h265Stream = new H265Stream();
+  }
+});
+
+QUnit.test('parses the dimensions and configuration of an SPS', function(assert) {
+  var config = readSequenceParameterSet(new Uint8Array(spsRbsp));
+
+  assert.equal(config.width, 1920, 'parsed the width');
+  assert.equal(config.height, 1080, 'applied the conformance window');
+  assert.equal(config.profileIdc, 1, 'parsed the profile');
+  assert.equal(config.levelIdc, 93, 'parsed the level');
+  assert.equal(config.profileCompatibility, 0x60000000, 'parsed compatibility flags');
+  assert.deepEqual(config.hevcConfig.generalConstraintIndicatorFlags,
+                   [0x90, 0x00, 0x00, 0x00, 0x00, 0x00],
+                   'parsed the constraint flags');
+  assert.equal(config.hevcConfig.chromaFormatIdc, 1, 'parsed chroma format');
+  assert.equal(config.hevcConfig.bitDepthLumaMinus8, 0, 'parsed luma bit depth');
+  assert.equal(config.hevcConfig.numTemporalLayers, 1, 'parsed temporal layers');
+  assert.equal(config.hevcConfig.temporalIdNested, 1, 'parsed temporal nesting');
+});
+
+QUnit.test('identifies NAL unit types', function(assert) {
+  var nalUnits = [];
+
+  h265Stream.on('data', function(nalUnit) {
+    nalUnits.push(nalUnit);
+  });
+
+  h265Stream.push({
+    type: 'video',
+    streamType: 0x24,
+    trackId: 1,
+    pts: 90000,
+    dts: 90000,
+    data: new Uint8Array([
+      0x00, 0x00, 0x01, 0x46, 0x01, 0x50, // AUD_NUT
+      0x00, 0x00, 0x01, 0x40, 0x01, 0x0c, // VPS_NUT
+      0x00, 0x00, 0x01, 0x44, 0x01, 0xc1, // PPS_NUT
+      0x00, 0x00, 0x01, 0x26, 0x01, 0xaf, // IDR_W_RADL
+      0x00, 0x00, 0x01, 0x2a, 0x01, 0xaf, // CRA_NUT
+      0x00, 0x00, 0x01, 0x02, 0x01, 0xd0, // TRAIL_R
+      0x00, 0x00, 0x01, 0x4e, 0x01, 0x05 // PREFIX_SEI_NUT
+    ])
+  });
+  h265Stream.flush();
+
+  assert.deepEqual(nalUnits.map(function(nalUnit) {
+    return nalUnit.nalUnitType;
+  }), [
+    'access_unit_delimiter_rbsp',
+    'video_parameter_set_rbsp',
+    'pic_parameter_set_rbsp',
+    'slice_segment_layer_rbsp_irap',
+    'slice_segment_layer_rbsp_irap',
+    undefined,
+    'sei_rbsp'
+  ], 'identified each NAL unit');
+  assert.equal(nalUnits[0].trackId, 1, 'carried over the track id');
+  assert.equal(nalUnits[0].pts, 90000, 'carried over the pts');
+  assert.deepEqual(nalUnits[6].escapedRBSP, new Uint8Array([0x05]),
+                   'stripped the two byte header from SEI payloads');
+});
+
+QUnit.test('parses the SPS out of the bitstream', function(assert) {
+  var nalUnits = [];
+
+  h265Stream.on('data', function(nalUnit) {
+    nalUnits.push(nalUnit);
+  });
+
+  h265Stream.push({
+    type: 'video',
+    streamType: 0x24,
+    data: new Uint8Array([0x00, 0x00, 0x01, 0x42, 0x01]
+                         .concat(addEmulationPreventionBytes(spsRbsp)))
+  });
+  h265Stream.flush();
+
+  assert.equal(nalUnits.length, 1, 'parsed one NAL unit');
+  assert.equal(nalUnits[0].nalUnitType, 'seq_parameter_set_rbsp', 'found the SPS');
+  assert.equal(nalUnits[0].config.width, 1920, 'parsed the width');
+  assert.equal(nalUnits[0].config.height, 1080, 'parsed the height');
+});
+
+QUnit.test('ignores video that is not H.265', function(assert) {
+  var nalUnits = [];
+
+  h265Stream.on('data', function(nalUnit) {
+    nalUnits.push(nalUnit);
+  });
+
+  h265Stream.push({
+    type: 'video',
+    streamType: 0x1b,
+    data: new Uint8Array([0x00, 0x00, 0x01, 0x09, 0xf0])
+  });
+  h265Stream.flush();
+
+  assert.equal(nalUnits.length, 0, 'ignored H.264 data');
+});
+
+QUnit.test('H264Stream ignores H.265 video', function(assert) {
+  var h264Stream = new H264Stream(), nalUnits = [];
+
+  h264Stream.on('data', function(nalUnit) {
+    nalUnits.push(nalUnit);
+  });
+
+  h264Stream.push({
+    type: 'video',
+    streamType: 0x24,
+    data: new Uint8Array([0x00, 0x00, 0x01, 0x46, 0x01, 0x50])
+  });
+  h264Stream.flush();
+
+  assert.equal(nalUnits.length, 0, 'ignored H.265 data');
+});
+
+QUnit.module('H265 Transmuxing');
+
+QUnit.test('parses H.265 stream types out of the PMT', function(assert) {
+  var
+    transportPacketStream = new mp2t.TransportPacketStream(),
+    transportParseStream = new mp2t.TransportParseStream(),
+    elementaryStream = new mp2t.ElementaryStream(),
+    metadata;
+
+  transportPacketStream.pipe(transportParseStream).pipe(elementaryStream);
+  elementaryStream.on('data', function(event) {
+    if (event.type === 'metadata') {
+      metadata = event;
+    }
+  });
+
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasVideo: true,
+    videoStreamType: 0x24
+  })));
+  transportPacketStream.flush();
+
+  assert.equal(transportParseStream.programMapTable.video, 0x11, 'found the video pid');
+  assert.equal(transportParseStream.programMapTable.videoStreamType, 0x24,
+               'recorded the video stream type');
+  assert.equal(metadata.tracks.length, 1, 'emitted one track');
+  assert.equal(metadata.tracks[0].codec, 'hevc', 'identified the track as hevc');
+});
+
+QUnit.test('generates an hvc1 init segment', function(assert) {
+  var transmuxer = new Transmuxer({}), segments = [], boxes, sampleEntry, hvcC;
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasVideo: true,
+    videoStreamType: 0x24
+  })));
+  transmuxer.push(packetize(videoPes([
+    0x46, 0x01, 0x50 // AUD_NUT
+  ], true)));
+  transmuxer.push(packetize(videoPes([
+    0x40, 0x01, 0x0c // VPS_NUT
+  ], true)));
+  transmuxer.push(packetize(videoPes([
+    0x42, 0x01 // SPS_NUT
+  ].concat(addEmulationPreventionBytes(spsRbsp)), true)));
+  transmuxer.push(packetize(videoPes([
+    0x44, 0x01, 0xc1 // PPS_NUT
+  ], true)));
+  transmuxer.push(packetize(videoPes([
+    0x26, 0x01, 0xaf // IDR_W_RADL
+  ], true)));
+  // only complete access units are emitted and the last PES packet
+  // stays buffered until the next one starts
+  transmuxer.push(packetize(videoPes([
+    0x46, 0x01, 0x50 // AUD_NUT
+  ], true)));
+  transmuxer.push(packetize(videoPes([
+    0x02, 0x01, 0xd0 // TRAIL_R
+  ], true)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+  assert.equal(segments[0].type, 'video', 'video is the segment type');
+  assert.equal(segments[0].info.width, 1920, 'reported the width');
+  assert.equal(segments[0].info.height, 1080, 'reported the height');
+
+  boxes = mp4.tools.inspect(segments[0].initSegment);
+  sampleEntry = boxes[1].boxes[1].boxes[1].boxes[2].boxes[2].boxes[0].sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'hvc1', 'generated an hvc1 sample entry');
+
+  hvcC = mp4.tools.inspect(sampleEntry.data.subarray(78))[0];
+  assert.equal(hvcC.type, 'hvcC', 'generated an hvcC box');
+  assert.equal(hvcC.data[1], 0x01, 'wrote the profile');
+  assert.equal(hvcC.data[12], 93, 'wrote the level');
+  assert.equal(hvcC.data[21] & 0x03, 0x03, 'uses four byte NAL unit lengths');
+  assert.equal(hvcC.data[22], 3, 'wrote three parameter set arrays');
+  assert.deepEqual(Array.prototype.slice.call(hvcC.data.subarray(23, 31)),
+                   [0xa0, 0x00, 0x01, 0x00, 0x03, 0x40, 0x01, 0x0c],
+                   'wrote the VPS array');
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  id3Writer = require('../lib/m2ts/id3-writer'),
+  MetadataStream = require('../lib/m2ts/metadata-stream'),
+  AacStream = require('../lib/aac'),
+  metadataStream,
+  tags;
+
+QUnit.module('ID3 Writer', {
+  beforeEach: function() {
+    metadataStream = new MetadataStream();
+    tags = [];
+    metadataStream.on('data', function(tag) {
+      tags.push(tag);
+    });
+  }
+});
+
+QUnit.test('writes frames that the MetadataStream reads', function(assert) {
+  var tag = id3Writer.id3Tag([
+    { id: 'TXXX', description: 'ad', value: 'café' },
+    { id: 'WXXX', description: 'link', url: 'https://example.com/' },
+    { id: 'PRIV', owner: 'com.example', privateData: new Uint8Array([1, 2, 3]) },
+    { id: 'TIT2', value: 'Title' }
+  ]);
+
+  assert.deepEqual(Array.from(tag.subarray(0, 6)), [0x49, 0x44, 0x33, 0x04, 0x00, 0x00],
+                   'wrote an ID3v2.4 header');
+
+  metadataStream.push({ type: 'timed-metadata', pts: 9000, dts: 9000, data: tag });
+
+  assert.equal(tags.length, 1, 'parsed the tag');
+  assert.equal(tags[0].pts, 9000, 'kept the time of the tag');
+  assert.deepEqual(tags[0].frames.map(function(frame) {
+    return frame.id;
+  }), ['TXXX', 'WXXX', 'PRIV', 'TIT2'], 'parsed the frames');
+  assert.equal(tags[0].frames[0].description, 'ad', 'parsed the TXXX description');
+  assert.equal(tags[0].frames[0].value, 'café', 'parsed the UTF-8 TXXX value');
+  assert.equal(tags[0].frames[1].url, 'https://example.com/', 'parsed the WXXX url');
+  assert.equal(tags[0].frames[2].owner, 'com.example', 'parsed the PRIV owner');
+  assert.deepEqual(Array.from(tags[0].frames[2].privateData), [1, 2, 3],
+                   'parsed the PRIV data');
+  assert.deepEqual(Array.from(tags[0].frames[3].data),
+                   [0x03, 0x54, 0x69, 0x74, 0x6c, 0x65], 'wrote the TIT2 text');
+});
+
+QUnit.test('writes GEOB and APIC frames', function(assert) {
+  var data = new Uint8Array(200), geob, apic;
+
+  data[199] = 0xaa;
+  geob = id3Writer.id3Frame({
+    id: 'GEOB',
+    mimeType: 'text/plain',
+    filename: 'a.txt',
+    description: 'b',
+    data: data
+  });
+  apic = id3Writer.id3Frame({
+    id: 'APIC',
+    mimeType: 'image/png',
+    pictureType: 0x03,
+    description: 'cover',
+    data: new Uint8Array([0x89, 0x50])
+  });
+
+  assert.deepEqual(Array.from(geob.subarray(0, 10)), [
+    0x47, 0x45, 0x4f, 0x42,
+    // a syncsafe size of 1 + 11 + 6 + 2 + 200 bytes
+    0x00, 0x00, 0x01, 0x5c,
+    0x00, 0x00
+  ], 'wrote the GEOB header');
+  assert.equal(geob[10], 0x03, 'wrote the text encoding');
+  assert.equal(String.fromCharCode.apply(null, geob.subarray(11, 30)),
+               'text/plain\0a.txt\0b\0', 'wrote the GEOB strings');
+  assert.equal(geob[geob.length - 1], 0xaa, 'ended with the object');
+
+  assert.equal(String.fromCharCode.apply(null, apic.subarray(10, 21)),
+               '\x03image/png\0', 'wrote the encoding and the MIME type');
+  assert.equal(apic[21], 0x03, 'wrote the picture type');
+  assert.deepEqual(Array.from(apic.subarray(22)),
+                   [0x63, 0x6f, 0x76, 0x65, 0x72, 0x00, 0x89, 0x50],
+                   'wrote the description and the picture');
+
+  assert.throws(function() {
+    id3Writer.id3Frame({ id: 'XYZW' });
+  }, /Cannot write ID3 frames of type XYZW/, 'refused unknown frames');
+});
+
+QUnit.test('writes the timestamp of raw AAC tags', function(assert) {
+  var
+    aacStream = new AacStream(),
+    timestamps = [],
+    pts = Math.pow(2, 32) + 1234;
+
+  aacStream.pipe(metadataStream);
+  metadataStream.on('timestamp', function(frame) {
+    timestamps.push(frame.timeStamp);
+  });
+  aacStream.push(id3Writer.aacId3Tag([
+    { id: 'TXXX', description: 'a', value: 'b' }
+  ], pts));
+
+  assert.equal(tags.length, 1, 'emitted the tag as timed metadata');
+  assert.deepEqual(timestamps, [pts], 'read the 33 bit timestamp');
+  assert.equal(tags[0].frames[1].value, 'b', 'kept the frames after the timestamp');
+  assert.equal(id3Writer.aacId3Tag([{ id: 'TIT2', value: 'c' }]).length,
+               id3Writer.id3Tag([{ id: 'TIT2', value: 'c' }]).length,
+               'wrote no timestamp without a pts');
+});
@@ -0,0 +1,212 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  codecs = require('../lib/codecs'),
+  mp4 = require('../lib/mp4'),
+  mp2t = require('../lib/m2ts'),
+  utils = require('./utils'),
+  Mp3Stream = codecs.mp3.Mp3Stream,
+  parseFrameHeader = codecs.mp3.parseFrameHeader,
+  Transmuxer = mp4.Transmuxer,
+  packetize = utils.packetize,
+  transportPacket = utils.transportPacket,
+  PAT = utils.PAT,
+  generatePMT = utils.generatePMT,
+  mp3Stream,
+  audioFrame,
+  mp3Frame;
+
+mp4.tools = require('../lib/tools/mp4-inspector');
+
+// pad a frame header out to the size of the frame
+audioFrame = function(header, frameLength) {
+  var frame = new Uint8Array(frameLength);
+
+  frame.set(header);
+  return frame;
+};
+
+// MPEG-1 Layer III, 32kbps, 48kHz, mono: 96 bytes
+mp3Frame = audioFrame([0xff, 0xfb, 0x14, 0xc0], 96);
+
+QUnit.module('MP3 Stream', {
+  beforeEach: function() {
+    mp3Stream = new Mp3Stream();
+  }
+});
+
+QUnit.test('parses MPEG audio frames', function(assert) {
+  var frames = [], data = new Uint8Array(2 + 96 * 2);
+
+  mp3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  // leading garbage is skipped
+  data.set(mp3Frame, 2);
+  data.set(mp3Frame, 98);
+  mp3Stream.push({
+    type: 'audio',
+    streamType: 0x03,
+    pts: 90000,
+    dts: 90000,
+    data: data
+  });
+
+  assert.equal(frames.length, 2, 'parsed two frames');
+  assert.equal(frames[0].pts, 90000, 'the first frame starts at the packet pts');
+  assert.equal(frames[1].pts, 90000 + 2160, 'the second frame follows 1152 samples later');
+  assert.equal(frames[1].dts, 90000 + 2160, 'calculated the dts');
+  assert.equal(frames[0].sampleCount, 1152, 'parsed the sample count');
+  assert.equal(frames[0].samplerate, 48000, 'parsed the sample rate');
+  assert.equal(frames[0].channelcount, 1, 'parsed the channel count');
+  assert.equal(frames[0].data.byteLength, 96, 'kept the whole frame');
+  assert.equal(frames[0].data[0], 0xff, 'kept the frame header');
+});
+
+QUnit.test('parses frames that span packets', function(assert) {
+  var frames = [];
+
+  mp3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  mp3Stream.push({
+    type: 'audio',
+    streamType: 0x04,
+    data: mp3Frame.subarray(0, 50)
+  });
+  assert.equal(frames.length, 0, 'waits for the rest of the frame');
+
+  mp3Stream.push({
+    type: 'audio',
+    streamType: 0x04,
+    data: mp3Frame.subarray(50)
+  });
+  assert.equal(frames.length, 1, 'parsed one frame');
+  assert.equal(frames[0].data.byteLength, 96, 'reassembled the frame');
+});
+
+QUnit.test('ignores other audio stream types', function(assert) {
+  var frames = [];
+
+  mp3Stream.on('data', function(frame) {
+    frames.push(frame);
+  });
+  mp3Stream.push({
+    type: 'audio',
+    streamType: 0x0f,
+    data: mp3Frame
+  });
+
+  assert.equal(frames.length, 0, 'ignored ADTS audio');
+});
+
+QUnit.test('sizes frames for every layer and version', function(assert) {
+  assert.deepEqual(parseFrameHeader([0xff, 0xf3, 0x14, 0x00], 0), {
+    frameLength: 24,
+    sampleCount: 576,
+    samplerate: 24000,
+    channelcount: 2
+  }, 'parsed an MPEG-2 Layer III header');
+  assert.deepEqual(parseFrameHeader([0xff, 0xe3, 0x16, 0x00], 0), {
+    frameLength: 49,
+    sampleCount: 576,
+    samplerate: 12000,
+    channelcount: 2
+  }, 'parsed a padded MPEG-2.5 Layer III header');
+  assert.deepEqual(parseFrameHeader([0xff, 0xfd, 0x14, 0x00], 0), {
+    frameLength: 96,
+    sampleCount: 1152,
+    samplerate: 48000,
+    channelcount: 2
+  }, 'parsed an MPEG-1 Layer II header');
+  assert.deepEqual(parseFrameHeader([0xff, 0xff, 0x14, 0x00], 0), {
+    frameLength: 32,
+    sampleCount: 384,
+    samplerate: 48000,
+    channelcount: 2
+  }, 'parsed an MPEG-1 Layer I header');
+  assert.equal(parseFrameHeader([0xff, 0xfb, 0x04, 0x00], 0), null,
+               'free format frames are not supported');
+  assert.equal(parseFrameHeader([0xff, 0xfb, 0x1c, 0x00], 0), null,
+               'rejected a reserved sampling frequency');
+});
+
+QUnit.module('MP3 Transmuxing');
+
+QUnit.test('parses MPEG audio stream types out of the PMT', function(assert) {
+  var
+    transportPacketStream = new mp2t.TransportPacketStream(),
+    transportParseStream = new mp2t.TransportParseStream(),
+    elementaryStream = new mp2t.ElementaryStream(),
+    tracks = [];
+
+  transportPacketStream.pipe(transportParseStream).pipe(elementaryStream);
+  elementaryStream.on('data', function(event) {
+    if (event.type === 'metadata') {
+      tracks = tracks.concat(event.tracks);
+    }
+  });
+
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x03
+  })));
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x04
+  })));
+  transportPacketStream.flush();
+
+  assert.equal(transportParseStream.programMapTable.audio, 0x12, 'found the audio pid');
+  assert.equal(tracks[0].codec, 'mp3', 'identified MPEG-1 audio');
+  assert.equal(tracks[1].codec, 'mp3', 'identified MPEG-2 audio');
+});
+
+QUnit.test('generates an mp4a track for MPEG audio', function(assert) {
+  var
+    transmuxer = new Transmuxer({}),
+    segments = [],
+    sampleEntry,
+    trun;
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x03
+  })));
+  transmuxer.push(packetize(transportPacket(0x12, Array.prototype.slice.call(mp3Frame),
+                                            true, 90000)));
+  transmuxer.push(packetize(transportPacket(0x12, Array.prototype.slice.call(mp3Frame),
+                                            true, 92160)));
+  // the last PES packet stays buffered until the next one starts
+  transmuxer.push(packetize(transportPacket(0x12, Array.prototype.slice.call(mp3Frame),
+                                            true, 94320)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+  assert.equal(segments[0].type, 'audio', 'audio is the segment type');
+
+  sampleEntry = mp4.tools.inspect(segments[0].initSegment)[1]
+    .boxes[1].boxes[1].boxes[2].boxes[2].boxes[0].sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'mp4a', 'generated an mp4a sample entry');
+  assert.equal(sampleEntry.samplerate, 48000, 'wrote the sample rate');
+  assert.equal(sampleEntry.channelcount, 1, 'wrote the channel count');
+  assert.equal(sampleEntry.streamDescriptor.decoderConfig.objectProfileIndication, 0x6b,
+               'signalled MPEG-1 audio');
+  assert.notOk(sampleEntry.streamDescriptor.decoderConfig.decoderConfigDescriptor,
+               'wrote no decoder specific info');
+
+  trun = mp4.tools.inspect(segments[0].data)[0].boxes[1].boxes[2];
+  assert.equal(trun.samples.length, 2, 'wrote two samples');
+  assert.equal(trun.samples[0].duration, 1152, 'samples last one frame');
+  assert.equal(trun.samples[0].size, 96, 'samples hold a frame');
+});
@@ -0,0 +1,243 @@
+'use strict';
+
+var segments = require('data-files!segments');
+
+var
+  QUnit = require('qunit'),
+  mp4 = require('../lib/mp4'),
+  codecs = require('../lib/codecs'),
+  CaptionStream = require('../lib/m2ts/caption-stream').CaptionStream,
+  DemuxStream = require('../lib/mp4/demux-stream'),
+  dashInit = segments['dash-608-captions-init.mp4'](),
+  dashSegment = segments['dash-608-captions-seg.m4s'](),
+  videoTrack,
+  audioTrack,
+  sampleFlags,
+  fragment,
+  demuxStream,
+  events;
+
+videoTrack = {
+  id: 1,
+  type: 'video',
+  width: 600,
+  height: 300,
+  profileIdc: 66,
+  levelIdc: 30,
+  profileCompatibility: 0,
+  sarRatio: [1, 1],
+  sps: [new Uint8Array([0x67, 0x42, 0x00, 0x1e])],
+  pps: [new Uint8Array([0x68, 0xce])]
+};
+
+audioTrack = {
+  id: 2,
+  type: 'audio',
+  audioobjecttype: 2,
+  channelcount: 2,
+  samplerate: 48000,
+  samplingfrequencyindex: 3,
+  samplesize: 16
+};
+
+sampleFlags = function(isNonSyncSample) {
+  return {
+    isLeading: 0,
+    dependsOn: isNonSyncSample ? 1 : 2,
+    isDependedOn: 0,
+    hasRedundancy: 0,
+    paddingValue: 0,
+    isNonSyncSample: isNonSyncSample,
+    degradationPriority: 0
+  };
+};
+
+// a moof and mdat with the samples of a track
+fragment = function(sequenceNumber, track, baseMediaDecodeTime, samples) {
+  var
+    data = new Uint8Array(samples.reduce(function(size, sample) {
+      return size + sample.data.length;
+    }, 0)),
+    offset = 0,
+    moof,
+    mdat,
+    result;
+
+  samples.forEach(function(sample) {
+    data.set(sample.data, offset);
+    offset += sample.data.length;
+    sample.size = sample.data.length;
+  });
+  moof = mp4.generator.moof(sequenceNumber, [Object.assign({}, track, {
+    baseMediaDecodeTime: baseMediaDecodeTime,
+    samples: samples
+  })]);
+  mdat = mp4.generator.mdat(data);
+  result = new Uint8Array(moof.length + mdat.length);
+  result.set(moof);
+  result.set(mdat, moof.length);
+  return result;
+};
+
+QUnit.module('MP4 Demux Stream', {
+  beforeEach: function() {
+    demuxStream = new DemuxStream();
+    events = [];
+    demuxStream.on('data', function(event) {
+      events.push(event);
+    });
+  }
+});
+
+QUnit.test('emits the tracks of a moov', function(assert) {
+  demuxStream.push(mp4.generator.initSegment([videoTrack, audioTrack]));
+
+  assert.deepEqual(events, [{
+    type: 'metadata',
+    tracks: [{
+      timelineStartInfo: { baseMediaDecodeTime: 0 },
+      id: 1,
+      codec: 'avc',
+      type: 'video'
+    }, {
+      timelineStartInfo: { baseMediaDecodeTime: 0 },
+      id: 2,
+      codec: 'adts',
+      type: 'audio'
+    }]
+  }], 'described the tracks like a PMT');
+});
+
+QUnit.test('emits video samples as Annex B access units', function(assert) {
+  var segment = fragment(1, videoTrack, 9000, [{
+    duration: 3000,
+    compositionTimeOffset: 3000,
+    flags: sampleFlags(0),
+    data: new Uint8Array([0, 0, 0, 2, 0x65, 0x88])
+  }, {
+    duration: 3000,
+    compositionTimeOffset: 0,
+    flags: sampleFlags(1),
+    data: new Uint8Array([0, 0, 0, 2, 0x41, 0x9a, 0, 0, 0, 1, 0x06])
+  }]);
+
+  demuxStream.push(mp4.generator.initSegment([videoTrack]));
+  // split the fragment in the middle of the mdat
+  demuxStream.push(segment.subarray(0, segment.length - 4));
+  assert.equal(events.length, 1, 'waited for the end of the mdat');
+  demuxStream.push(segment.subarray(segment.length - 4));
+
+  assert.equal(events.length, 3, 'emitted every sample');
+  assert.equal(events[1].type, 'video', 'emitted a video event');
+  assert.equal(events[1].trackId, 1, 'set the track id');
+  assert.equal(events[1].streamType, 0x1b, 'set the H.264 stream type');
+  assert.equal(events[1].dts, 9000, 'set the dts');
+  assert.equal(events[1].pts, 12000, 'added the composition time offset');
+  assert.deepEqual(Array.from(events[1].data), [
+    0, 0, 0, 1, 0x09, 0xf0,
+    0, 0, 0, 1, 0x67, 0x42, 0x00, 0x1e,
+    0, 0, 0, 1, 0x68, 0xce,
+    0, 0, 0, 1, 0x65, 0x88
+  ], 'added a delimiter and the parameter sets to the key frame');
+  assert.equal(events[2].dts, 12000, 'added the duration to the dts');
+  assert.deepEqual(Array.from(events[2].data), [
+    0, 0, 0, 1, 0x09, 0xf0,
+    0, 0, 0, 1, 0x41, 0x9a,
+    0, 0, 0, 1, 0x06
+  ], 'converted every NAL unit');
+});
+
+QUnit.test('emits AAC samples as ADTS frames', function(assert) {
+  var adtsStream = new codecs.Adts(), frames = [];
+
+  demuxStream.pipe(adtsStream);
+  adtsStream.on('data', function(frame) {
+    frames.push(frame);
+  });
+  demuxStream.push(mp4.generator.initSegment([audioTrack]));
+  demuxStream.push(fragment(1, audioTrack, 48000, [{
+    duration: 1024,
+    data: new Uint8Array([0x21, 0x10, 0x04])
+  }, {
+    duration: 1024,
+    data: new Uint8Array([0x21, 0x10, 0x05, 0x60])
+  }]));
+  demuxStream.flush();
+
+  assert.deepEqual(events.slice(1).map(function(event) {
+    return [event.type, event.pts, event.dts, event.streamType];
+  }), [['audio', 90000, 90000, 0x0f], ['audio', 91920, 91920, 0x0f]],
+  'converted the timestamps to 90kHz');
+  assert.equal(frames.length, 2, 'parsed the ADTS frames');
+  assert.equal(frames[0].samplerate, 48000, 'wrote the sampling frequency');
+  assert.equal(frames[0].channelcount, 2, 'wrote the channel count');
+  assert.equal(frames[0].audioobjecttype, 2, 'wrote the audio object type');
+  assert.deepEqual(Array.from(frames[1].data), [0x21, 0x10, 0x05, 0x60],
+                   'kept the raw frame');
+});
+
+QUnit.test('describes HE-AAC samples by their core AAC stream', function(assert) {
+  var
+    adtsStream = new codecs.Adts(),
+    heAacTrack = {
+      id: 2,
+      type: 'audio',
+      audioobjecttype: 5,
+      channelcount: 2,
+      samplerate: 24000,
+      samplingfrequencyindex: 6,
+      samplesize: 16
+    },
+    init = mp4.generator.initSegment([heAacTrack]),
+    frames = [],
+    i;
+
+  // signal SBR explicitly with a 3 byte AudioSpecificConfig: a 24kHz core AAC
+  // LC stream with a 48kHz extension. The SLConfigDescriptor gives up a byte
+  // so that the sizes of the boxes are kept.
+  for (i = 0; i < init.length; i++) {
+    if (init[i] === 0x04 && init[i + 2] === 0x40 && init[i + 3] === 0x15) {
+      init[i + 1]++;
+    }
+    if (init[i] === 0x05 && init[i + 1] === 0x02 && init[i + 2] === 0x2b) {
+      init.set([0x05, 0x03, 0x2b, 0x11, 0x88, 0x06, 0x00], i);
+    }
+  }
+
+  demuxStream.pipe(adtsStream);
+  adtsStream.on('data', function(frame) {
+    frames.push(frame);
+  });
+  demuxStream.push(init);
+  demuxStream.push(fragment(1, heAacTrack, 0, [{
+    duration: 1024,
+    data: new Uint8Array([0x21, 0x10, 0x04])
+  }]));
+  demuxStream.flush();
+
+  assert.equal(frames.length, 1, 'parsed the ADTS frame');
+  assert.equal(frames[0].audioobjecttype, 2, 'wrote the core object type');
+  assert.equal(frames[0].samplerate, 24000, 'wrote the core sampling frequency');
+  assert.equal(frames[0].channelcount, 2, 'wrote the channel count');
+});
+
+QUnit.test('feeds the caption stream from MP4 segments', function(assert) {
+  var
+    h264Stream = new codecs.h264.H264Stream(),
+    captionStream = new CaptionStream(),
+    captions = [];
+
+  demuxStream.pipe(h264Stream).pipe(captionStream);
+  captionStream.on('data', function(caption) {
+    captions.push(caption);
+  });
+  demuxStream.push(dashInit);
+  demuxStream.push(dashSegment);
+  demuxStream.flush();
+
+  assert.equal(captions.length, 1, 'parsed a caption');
+  assert.equal(captions[0].text, '00:00:00', 'parsed the caption text');
+  assert.equal(captions[0].stream, 'CC1', 'parsed the caption stream');
+  assert.equal(captions[0].startPts, 0, 'parsed the start time');
+  assert.equal(captions[0].endPts, 119 * 90000, 'parsed the end time');
+});
@@ -354,6 +354,97 @@ QUnit.test('generates an audio moov', function(assert) {
   });
 });
 
+QUnit.test('generates an ec-3 sample entry', function(assert) {
+  var boxes, sampleEntry, dec3,
+    data = mp4.generator.moov([{
+      id: 2,
+      duration: 100,
+      type: 'audio',
+      codec: 'ec-3',
+      channelcount: 6,
+      samplesize: 16,
+      samplerate: 48000,
+      ac3Config: {
+        dataRate: 640,
+        fscod: 0,
+        bsid: 16,
+        bsmod: 0,
+        acmod: 7,
+        lfeon: 1,
+        numDepSub: 1,
+        chanLoc: 0x80
+      }
+    }]);
+
+  boxes = mp4.tools.inspect(data);
+  sampleEntry = boxes[0].boxes[1].boxes[1].boxes[2].boxes[2].boxes[0]
+    .sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'ec-3', 'generated an ec-3 sample entry');
+
+  dec3 = mp4.tools.inspect(sampleEntry.data.subarray(28))[0];
+  assert.equal(dec3.type, 'dec3', 'generated a dec3 box');
+  assert.deepEqual(Array.prototype.slice.call(dec3.data), [
+    0x14, 0x00, // data_rate:0 0001 0100 0000 0 num_ind_sub:000
+    0x20, // fscod:00 bsid:10000 reserved:0
+    0x0f, // asvc:0 bsmod:000 acmod:111 lfeon:1
+    0x02, // reserved:000 num_dep_sub:0001 chan_loc:0
+    0x80 // chan_loc:1000 0000
+  ], 'wrote the dec3 fields');
+});
+
+QUnit.test('generates an encv sample entry for cbcs', function(assert) {
+  var boxes, sampleEntry, sinf, tenc,
+    data = mp4.generator.moov([{
+      id: 1,
+      duration: 100,
+      width: 600,
+      height: 300,
+      type: 'video',
+      profileIdc: 3,
+      levelIdc: 5,
+      profileCompatibility: 7,
+      sarRatio: [1, 1],
+      sps: [new Uint8Array([0, 1, 2]), new Uint8Array([3, 4, 5])],
+      pps: [new Uint8Array([6, 7, 8])],
+      encryption: {
+        scheme: 'cbcs',
+        keyId: new Uint8Array(16).fill(0x11),
+        perSampleIvSize: 0,
+        constantIv: new Uint8Array(16).fill(0x22),
+        cryptByteBlock: 1,
+        skipByteBlock: 9,
+        pssh: []
+      }
+    }]);
+
+  boxes = mp4.tools.inspect(data);
+  assert.equal(boxes[0].boxes.length, 3, 'wrote no pssh boxes');
+  sampleEntry = boxes[0].boxes[1].boxes[1].boxes[2].boxes[2].boxes[0]
+    .sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'encv', 'generated an encv sample entry');
+
+  sinf = sampleEntry.config.filter(function(box) {
+    return box.type === 'sinf';
+  })[0];
+  assert.equal(sinf.boxes[0].dataFormat, 'avc1', 'recorded the avc1 format');
+  assert.equal(sinf.boxes[1].schemeType, 'cbcs', 'wrote the scheme type');
+  assert.equal(sinf.boxes[1].schemeVersion, 0x00010000, 'wrote the scheme version');
+
+  tenc = sinf.boxes[2].boxes[0];
+  assert.deepEqual(tenc, {
+    type: 'tenc',
+    size: 49,
+    version: 1,
+    flags: new Uint8Array([0, 0, 0]),
+    defaultCryptByteBlock: 1,
+    defaultSkipByteBlock: 9,
+    defaultIsProtected: 1,
+    defaultPerSampleIvSize: 0,
+    defaultKid: '11111111-1111-1111-1111-111111111111',
+    defaultConstantIv: new Uint8Array(16).fill(0x22)
+  }, 'wrote the encryption pattern and constant IV');
+});
+
 QUnit.test('generates a sound hdlr', function(assert) {
   var boxes, hdlr,
     data = mp4.generator.moov([{
@@ -371,6 +462,24 @@ QUnit.test('generates a sound hdlr', function(assert) {
   assert.equal(hdlr.name, 'SoundHandler', 'wrote the handler name');
 });
 
+QUnit.test('writes the language of a track in the mdhd', function(assert) {
+  var mdhd = mp4.tools.inspect(mp4.generator.moov([{
+    duration: 100,
+    type: 'audio',
+    language: 'fra'
+  }]))[0].boxes[1].boxes[1].boxes[0];
+
+  assert.equal(mdhd.type, 'mdhd', 'generated an mdhd');
+  assert.equal(mdhd.language, 'fra', 'wrote the language');
+
+  mdhd = mp4.tools.inspect(mp4.generator.moov([{
+    duration: 100,
+    type: 'audio',
+    language: 'ENG'
+  }]))[0].boxes[1].boxes[1].boxes[0];
+  assert.equal(mdhd.language, 'eng', 'wrote an upper case language in lower case');
+});
+
 QUnit.test('generates a video hdlr', function(assert) {
   var boxes, hdlr,
     data = mp4.generator.moov([{
@@ -392,6 +501,108 @@ QUnit.test('generates a video hdlr', function(assert) {
   assert.equal(hdlr.name, 'VideoHandler', 'wrote the handler name');
 });
 
+QUnit.test('generates a text moov', function(assert) {
+  var boxes, trak, minf, sampleEntry, trex,
+    data = mp4.generator.moov([{
+      id: 3,
+      type: 'text',
+      codec: 'stpp'
+    }]);
+
+  boxes = mp4.tools.inspect(data);
+  trak = boxes[0].boxes[1];
+  assert.equal(trak.boxes[1].boxes[1].handlerType, 'subt', 'wrote a subtitle handler');
+  assert.equal(trak.boxes[1].boxes[1].name, 'SubtitleHandler', 'wrote the handler name');
+
+  minf = trak.boxes[1].boxes[2];
+  assert.equal(minf.boxes[0].type, 'sthd', 'wrote a subtitle media header');
+
+  sampleEntry = minf.boxes[2].boxes[0].sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'stpp', 'generated an stpp sample entry');
+  assert.equal(sampleEntry.dataReferenceIndex, 1, 'wrote the data reference index');
+  assert.equal(sampleEntry.namespace, 'http://www.w3.org/ns/ttml', 'wrote the namespace');
+  assert.equal(sampleEntry.schemaLocation, '', 'wrote no schema location');
+  assert.equal(sampleEntry.auxiliaryMimeTypes, '', 'wrote no auxiliary mime types');
+
+  trex = boxes[0].boxes[2].boxes[0];
+  assert.equal(trex.sampleDependsOn, 2, 'samples depend on no other');
+  assert.equal(trex.sampleIsDifferenceSample, false, 'every sample is a sync sample');
+});
+
+QUnit.test('can generate a null media header for text', function(assert) {
+  var minf = mp4.tools.inspect(mp4.generator.moov([{
+    id: 4,
+    type: 'text',
+    codec: 'stpp',
+    nullMediaHeader: true
+  }]))[0].boxes[1].boxes[1].boxes[2];
+
+  assert.equal(minf.boxes[0].type, 'nmhd', 'wrote a null media header');
+});
+
+QUnit.test('generates a WebVTT moov', function(assert) {
+  var boxes, mdia, sampleEntry,
+    data = mp4.generator.moov([{
+      id: 3,
+      type: 'text',
+      codec: 'wvtt'
+    }]);
+
+  boxes = mp4.tools.inspect(data);
+  mdia = boxes[0].boxes[1].boxes[1];
+  assert.equal(mdia.boxes[1].handlerType, 'text', 'wrote a text handler');
+  assert.equal(mdia.boxes[1].name, 'TextHandler', 'wrote the handler name');
+  assert.equal(mdia.boxes[2].boxes[0].type, 'nmhd', 'wrote a null media header');
+
+  sampleEntry = mdia.boxes[2].boxes[2].boxes[0].sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'wvtt', 'generated a wvtt sample entry');
+  assert.equal(sampleEntry.dataReferenceIndex, 1, 'wrote the data reference index');
+  assert.deepEqual(sampleEntry.boxes, [{
+    type: 'vttC',
+    size: 14,
+    config: 'WEBVTT'
+  }], 'wrote the WebVTT configuration');
+});
+
+QUnit.test('generates WebVTT cues', function(assert) {
+  assert.deepEqual(mp4.tools.inspect(mp4.generator.vttc({
+    id: 'c1',
+    text: 'première ligne\nsecond line',
+    settings: 'line:10% align:left'
+  })), [{
+    type: 'vttc',
+    size: 80,
+    boxes: [{
+      type: 'iden',
+      size: 10,
+      cueId: 'c1'
+    }, {
+      type: 'sttg',
+      size: 27,
+      settings: 'line:10% align:left'
+    }, {
+      type: 'payl',
+      size: 35,
+      cueText: 'première ligne\nsecond line'
+    }]
+  }], 'wrote the id, settings and UTF-8 payload');
+
+  assert.deepEqual(mp4.tools.inspect(mp4.generator.vttc({text: 'text'})), [{
+    type: 'vttc',
+    size: 20,
+    boxes: [{
+      type: 'payl',
+      size: 12,
+      cueText: 'text'
+    }]
+  }], 'only wrote the payload');
+
+  assert.deepEqual(mp4.tools.inspect(mp4.generator.vtte()), [{
+    type: 'vtte',
+    size: 8
+  }], 'wrote an empty cue');
+});
+
 QUnit.test('generates an initialization segment', function(assert) {
   var
     data = mp4.generator.initSegment([{
@@ -432,6 +643,118 @@ QUnit.test('generates an initialization segment', function(assert) {
   assert.equal(mvex.type, 'mvex', 'wrote an mvex');
 });
 
+QUnit.test('generates a progressive moov', function(assert) {
+  var
+    sampleFlags = function(isNonSyncSample) {
+      return { isNonSyncSample: isNonSyncSample };
+    },
+    data = mp4.generator.progressiveMoov([{
+      id: 1,
+      type: 'video',
+      width: 600,
+      height: 300,
+      profileIdc: 66,
+      levelIdc: 30,
+      profileCompatibility: 0,
+      sarRatio: [1, 1],
+      sps: [new Uint8Array([0x67, 0x42, 0x00, 0x1e])],
+      pps: [new Uint8Array([0x68, 0xce])],
+      duration: 9000,
+      samples: [
+        { duration: 3000, size: 10, compositionTimeOffset: 3000, flags: sampleFlags(0) },
+        { duration: 3000, size: 20, compositionTimeOffset: 0, flags: sampleFlags(1) },
+        { duration: 3000, size: 30, compositionTimeOffset: 0, flags: sampleFlags(0) }
+      ],
+      chunks: [{ offset: 100, sampleCount: 2 }, { offset: 500, sampleCount: 1 }]
+    }, {
+      id: 2,
+      type: 'audio',
+      audioobjecttype: 2,
+      channelcount: 2,
+      samplerate: 48000,
+      samplingfrequencyindex: 3,
+      samplesize: 16,
+      duration: 2048,
+      startTime: 900,
+      samples: [{ duration: 1024, size: 8 }, { duration: 1024, size: 8 }],
+      chunks: [{ offset: 130, sampleCount: 1 }, { offset: 530, sampleCount: 1 }]
+    }]),
+    moov = mp4.tools.inspect(data)[0],
+    boxOf = function(parent, type) {
+      return parent.boxes.filter(function(child) {
+        return child.type === type;
+      })[0];
+    },
+    tableOf = function(trak) {
+      return boxOf(boxOf(boxOf(trak, 'mdia'), 'minf'), 'stbl');
+    },
+    video = tableOf(moov.boxes[1]),
+    audio = tableOf(moov.boxes[2]);
+
+  assert.deepEqual(moov.boxes.map(function(box) {
+    return box.type;
+  }), ['mvhd', 'trak', 'trak'], 'generated no movie extends box');
+  assert.equal(moov.boxes[0].duration, 9000, 'set the movie duration');
+  assert.equal(boxOf(moov.boxes[2], 'tkhd').duration, 4740,
+               'set the track duration in the movie timescale');
+  assert.equal(boxOf(boxOf(moov.boxes[2], 'mdia'), 'mdhd').duration, 2048,
+               'set the media duration in the sample rate');
+  assert.ok(boxOf(moov.boxes[2], 'edts'), 'delayed the audio with an edit list');
+
+  assert.deepEqual(video.boxes.map(function(box) {
+    return box.type;
+  }), ['stsd', 'stts', 'ctts', 'stss', 'stsc', 'stsz', 'stco'],
+  'generated the sample tables');
+  assert.deepEqual(boxOf(video, 'stts').timeToSamples, [{
+    sampleCount: 3,
+    sampleDelta: 3000
+  }], 'grouped the sample durations');
+  assert.deepEqual(boxOf(video, 'ctts').compositionOffsets, [{
+    sampleCount: 1,
+    sampleOffset: 3000
+  }, {
+    sampleCount: 2,
+    sampleOffset: 0
+  }], 'wrote the composition time offsets');
+  assert.deepEqual(boxOf(video, 'stss').syncSamples, [1, 3], 'listed the sync samples');
+  assert.deepEqual(boxOf(video, 'stsc').sampleToChunks, [{
+    firstChunk: 1,
+    samplesPerChunk: 2,
+    sampleDescriptionIndex: 1
+  }, {
+    firstChunk: 2,
+    samplesPerChunk: 1,
+    sampleDescriptionIndex: 1
+  }], 'mapped the samples to the chunks');
+  assert.deepEqual(boxOf(video, 'stsz').entries, [10, 20, 30], 'listed the sample sizes');
+  assert.deepEqual(boxOf(video, 'stco').chunkOffsets, [100, 500],
+                   'wrote the chunk offsets');
+
+  assert.deepEqual(audio.boxes.map(function(box) {
+    return box.type;
+  }), ['stsd', 'stts', 'stsc', 'stsz', 'stco'],
+  'generated no composition offsets or sync samples for audio');
+  assert.equal(boxOf(audio, 'stsz').sampleSize, 8, 'wrote a single sample size');
+  assert.deepEqual(boxOf(audio, 'stsz').entries, [], 'listed no sample sizes');
+});
+
+QUnit.test('generates a co64 for offsets past 4GB', function(assert) {
+  var
+    data = mp4.generator.progressiveMoov([{
+      id: 1,
+      type: 'text',
+      codec: 'stpp',
+      duration: 90000,
+      samples: [{ duration: 90000, size: 10 }],
+      chunks: [{ offset: Math.pow(2, 32) + 5, sampleCount: 1 }]
+    }]),
+    stbl = mp4.tools.inspect(data)[0].boxes[1].boxes[1].boxes[2].boxes[2];
+
+  assert.equal(stbl.boxes[4].type, 'co64', 'generated a chunk large offset box');
+  assert.deepEqual(stbl.boxes[4].chunkOffsets, [Math.pow(2, 32) + 5],
+                   'wrote 64-bit offsets');
+});
+
 QUnit.test('generates a minimal moof', function(assert) {
   var
     data = mp4.generator.moof(7, [{
@@ -560,6 +883,30 @@ QUnit.test('generates a moof for audio', function(assert) {
   }], 'wrote simple audio samples');
 });
 
+QUnit.test('generates a moof for text', function(assert) {
+  var
+    data = mp4.generator.moof(2, [{
+      id: 3,
+      type: 'text',
+      baseMediaDecodeTime: 180000,
+      samples: [{
+        duration: 540000,
+        size: 120
+      }]
+    }]),
+    traf = mp4.tools.inspect(data)[0].boxes[1];
+
+  assert.deepEqual(traf.boxes.map(function(box) {
+    return box.type;
+  }), ['tfhd', 'tfdt', 'trun'], 'wrote no sample dependency table');
+  assert.equal(traf.boxes[1].baseMediaDecodeTime, 180000, 'wrote the decode time');
+  assert.equal(traf.boxes[2].dataOffset, data.byteLength + 8, 'calculated the data offset');
+  assert.deepEqual(traf.boxes[2].samples, [{
+    duration: 540000,
+    size: 120
+  }], 'wrote the text sample');
+});
+
 QUnit.test('can generate a traf without samples', function(assert) {
   var
     data = mp4.generator.moof(8, [{
@@ -766,6 +766,65 @@ QUnit.test('can parse an stsz', function(assert) {
             }]);
 });
 
+QUnit.test('can parse a ctts', function(assert) {
+  var data = box('ctts',
+                 0x01, // version 1
+                 0x00, 0x00, 0x00, // flags
+                 0x00, 0x00, 0x00, 0x02, // entry_count
+                 0x00, 0x00, 0x00, 0x01, // sample_count
+                 0x00, 0x00, 0x0b, 0xb8, // sample_offset
+                 0x00, 0x00, 0x00, 0x02, // sample_count
+                 0xff, 0xff, 0xf4, 0x48); // sample_offset
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)),
+            [{
+              type: 'ctts',
+              size: 32,
+              version: 1,
+              flags: new Uint8Array([0, 0, 0]),
+              compositionOffsets: [{
+                sampleCount: 1,
+                sampleOffset: 3000
+              }, {
+                sampleCount: 2,
+                sampleOffset: -3000
+              }]
+            }]);
+});
+
+QUnit.test('can parse an stss', function(assert) {
+  var data = box('stss',
+                 0x00, // version
+                 0x00, 0x00, 0x00, // flags
+                 0x00, 0x00, 0x00, 0x02, // entry_count
+                 0x00, 0x00, 0x00, 0x01, // sample_number
+                 0x00, 0x00, 0x00, 0x1f); // sample_number
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)),
+            [{
+              type: 'stss',
+              size: 24,
+              version: 0,
+              flags: new Uint8Array([0, 0, 0]),
+              syncSamples: [1, 31]
+            }]);
+});
+
+QUnit.test('can parse a co64', function(assert) {
+  var data = box('co64',
+                 0x00, // version
+                 0x00, 0x00, 0x00, // flags
+                 0x00, 0x00, 0x00, 0x02, // entry_count
+                 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x30, // chunk_offset
+                 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x05); // chunk_offset
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)),
+            [{
+              type: 'co64',
+              size: 32,
+              version: 0,
+              flags: new Uint8Array([0, 0, 0]),
+              chunkOffsets: [0x30, Math.pow(2, 32) + 5]
+            }]);
+});
+
 QUnit.test('can parse a moof', function(assert) {
   var data = box('moof',
                  box('mfhd',
@@ -1021,6 +1080,97 @@ QUnit.test('can parse a version 1 sidx', function(assert) {
     }]);
 });
 
+QUnit.test('can parse a version 0 and a version 1 emsg', function(assert) {
+  var
+    v0 = box('emsg',
+             0x00, // version
+             0x00, 0x00, 0x00, // flags
+             0x75, 0x72, 0x6e, 0x00, // scheme_id_uri, 'urn'
+             0x31, 0x00, // value, '1'
+             0x00, 0x01, 0x5f, 0x90, // timescale
+             0x00, 0x00, 0x03, 0x84, // presentation_time_delta
+             0x00, 0x00, 0x00, 0x0a, // event_duration
+             0x00, 0x00, 0x00, 0x02, // id
+             0x01, 0x02), // message_data
+    v1 = box('emsg',
+             0x01, // version
+             0x00, 0x00, 0x00, // flags
+             0x00, 0x01, 0x5f, 0x90, // timescale
+             0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02, // presentation_time
+             0xff, 0xff, 0xff, 0xff, // event_duration
+             0x00, 0x00, 0x00, 0x03, // id
+             0x75, 0x72, 0x6e, 0x00, // scheme_id_uri, 'urn'
+             0x00); // value, ''
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(v0.concat(v1))), [{
+    type: 'emsg',
+    size: 36,
+    version: 0,
+    flags: new Uint8Array([0, 0, 0]),
+    schemeIdUri: 'urn',
+    value: '1',
+    timescale: 90000,
+    presentationTimeDelta: 900,
+    eventDuration: 10,
+    id: 2,
+    messageData: new Uint8Array([1, 2])
+  }, {
+    type: 'emsg',
+    size: 37,
+    version: 1,
+    flags: new Uint8Array([0, 0, 0]),
+    timescale: 90000,
+    presentationTime: Math.pow(2, 32) + 2,
+    eventDuration: 0xffffffff,
+    id: 3,
+    schemeIdUri: 'urn',
+    value: '',
+    messageData: new Uint8Array([])
+  }], 'parsed the emsg boxes');
+});
+
+QUnit.test('reads emsg strings that are not UTF-8 as ISO-8859-1', function(assert) {
+  var
+    data = box('emsg',
+               0x00, // version
+               0x00, 0x00, 0x00, // flags
+               0x63, 0x61, 0x66, 0xe9, 0x00, // scheme_id_uri, 'café' in ISO-8859-1
+               0x63, 0x61, 0x66, 0xc3, 0xa9, 0x00, // value, 'café' in UTF-8
+               0x00, 0x01, 0x5f, 0x90, // timescale
+               0x00, 0x00, 0x00, 0x00, // presentation_time_delta
+               0x00, 0x00, 0x00, 0x00, // event_duration
+               0x00, 0x00, 0x00, 0x01), // id
+    emsg = mp4.tools.inspect(new Uint8Array(data))[0];
+
+  assert.equal(emsg.schemeIdUri, 'caf\u00e9', 'fell back to ISO-8859-1');
+  assert.equal(emsg.value, 'caf\u00e9', 'decoded UTF-8');
+  assert.equal(emsg.id, 1, 'parsed the rest of the box');
+});
+
+QUnit.test('can parse a prft', function(assert) {
+  var data = box('prft',
+                 0x01, // version
+                 0x00, 0x00, 0x18, // flags
+                 0x00, 0x00, 0x00, 0x01, // reference_track_ID
+                 0xbc, 0x17, 0xc2, 0x00, // ntp_timestamp seconds, 2000-01-01
+                 0x80, 0x00, 0x00, 0x00, // ntp_timestamp fraction, 0.5
+                 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00); // media_time
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)), [{
+    type: 'prft',
+    size: 32,
+    version: 1,
+    flags: new Uint8Array([0, 0, 0x18]),
+    referenceTrackId: 1,
+    ntpTimestamp: {
+      seconds: 0xbc17c200,
+      fraction: 0x80000000
+    },
+    wallClockTime: Date.UTC(2000, 0, 1) + 500,
+    mediaTime: Math.pow(2, 32)
+  }], 'parsed the prft');
+});
+
 QUnit.test('can parse an smhd', function(assert) {
   var data = box('smhd',
                  0x00,             // version
@@ -1070,6 +1220,253 @@ QUnit.test('can parse a version 1 tfdt and return an unsigned integer value', fu
             }]);
 });
 
+QUnit.test('can parse a version 1 pssh', function(assert) {
+  var data = box('pssh',
+                 0x01, // version
+                 0x00, 0x00, 0x00, // flags
+                 0xed, 0xef, 0x8b, 0xa9, 0x79, 0xd6, 0x4a, 0xce,
+                 0xa3, 0xc8, 0x27, 0xdc, 0xd5, 0x1d, 0x21, 0xed, // SystemID
+                 0x00, 0x00, 0x00, 0x01, // KID_count
+                 0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77,
+                 0x88, 0x99, 0xaa, 0xbb, 0xcc, 0xdd, 0xee, 0xff, // KID
+                 0x00, 0x00, 0x00, 0x02, // DataSize
+                 0x08, 0x01); // Data
+  var inspected = mp4.tools.inspect(new Uint8Array(data));
+
+  assert.deepEqual(inspected, [{
+    type: 'pssh',
+    size: 54,
+    version: 1,
+    flags: new Uint8Array([0, 0, 0]),
+    systemId: 'edef8ba9-79d6-4ace-a3c8-27dcd51d21ed',
+    drm: 'Widevine',
+    keyIds: ['00112233-4455-6677-8899-aabbccddeeff'],
+    data: new Uint8Array([0x08, 0x01])
+  }], 'parsed a pssh');
+  assert.ok(/drm: "Widevine"/.test(mp4.tools.textify(inspected)),
+            'named the DRM system in the text output');
+});
+
+QUnit.test('can parse a sinf', function(assert) {
+  var data = box('sinf',
+                 box('frma', typeBytes('avc1')),
+                 box('schm',
+                     0x00, // version
+                     0x00, 0x00, 0x01, // flags, scheme_uri present
+                     typeBytes('cenc'), // scheme_type
+                     0x00, 0x01, 0x00, 0x00, // scheme_version
+                     0x61, 0x3a, 0x62, 0x00), // scheme_uri, 'a:b'
+                 box('schi',
+                     box('tenc',
+                         0x00, // version
+                         0x00, 0x00, 0x00, // flags
+                         0x00, 0x00, // reserved
+                         0x01, // default_isProtected
+                         0x08, // default_Per_Sample_IV_Size
+                         0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77,
+                         0x88, 0x99, 0xaa, 0xbb, 0xcc, 0xdd, 0xee, 0xff))); // default_KID
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)), [{
+    type: 'sinf',
+    size: 84,
+    boxes: [{
+      type: 'frma',
+      size: 12,
+      dataFormat: 'avc1'
+    }, {
+      type: 'schm',
+      size: 24,
+      version: 0,
+      flags: new Uint8Array([0, 0, 1]),
+      schemeType: 'cenc',
+      schemeVersion: 0x00010000,
+      schemeUri: 'a:b'
+    }, {
+      type: 'schi',
+      size: 40,
+      boxes: [{
+        type: 'tenc',
+        size: 32,
+        version: 0,
+        flags: new Uint8Array([0, 0, 0]),
+        defaultIsProtected: 1,
+        defaultPerSampleIvSize: 8,
+        defaultKid: '00112233-4455-6677-8899-aabbccddeeff'
+      }]
+    }]
+  }], 'parsed a sinf');
+});
+
+QUnit.test('can parse an encrypted HEVC sample entry', function(assert) {
+  var
+    data = box('encv',
+               0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, // reserved
+               0x00, 0x01, // data_reference_index
+               0x00, 0x00, // pre_defined
+               0x00, 0x00, // reserved
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00, // pre_defined
+               0x05, 0x00, // width
+               0x02, 0xd0, // height
+               0x00, 0x48, 0x00, 0x00, // horizresolution
+               0x00, 0x48, 0x00, 0x00, // vertresolution
+               0x00, 0x00, 0x00, 0x00, // reserved
+               0x00, 0x01, // frame_count
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00,
+               0x00, 0x00, 0x00, 0x00, // compressorname
+               0x00, 0x18, // depth = 24
+               0xff, 0xff, // pre_defined
+               box('hvcC',
+                   0x01, // configurationVersion
+                   0x01, // general_profile_space, tier and profile_idc
+                   0x60, 0x00, 0x00, 0x00, // general_profile_compatibility_flags
+                   0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // constraint flags
+                   0x5d, // general_level_idc
+                   0xf0, 0x00, 0xfc, 0xfd, 0xf8, 0xf8, 0x00, 0x00,
+                   0x0f, // lengthSizeMinusOne
+                   0x01, // numOfArrays
+                   0xa1, 0x00, 0x01, // SPS array of 1 NAL unit
+                   0x00, 0x02, 0x42, 0x01),
+               box('sinf', box('frma', typeBytes('hvc1')))),
+    entry = mp4.tools.inspect(new Uint8Array(data))[0];
+
+  assert.equal(entry.type, 'encv', 'parsed an encv');
+  assert.equal(entry.dataFormat, 'hvc1', 'named the original sample entry');
+  assert.equal(entry.width, 1280, 'parsed the width');
+  assert.equal(entry.height, 720, 'parsed the height');
+  assert.deepEqual(entry.config.map(function(child) {
+    return child.type;
+  }), ['hvcC', 'sinf'], 'parsed the boxes of the entry');
+  assert.equal(entry.config[0].data[12], 93, 'kept the hvcC');
+  assert.equal(entry.config[1].type, 'sinf', 'parsed the sinf');
+});
+
+QUnit.test('can parse a senc with subsamples', function(assert) {
+  var data = box('senc',
+                 0x00, // version
+                 0x00, 0x00, 0x02, // flags, UseSubSampleEncryption
+                 0x00, 0x00, 0x00, 0x02, // sample_count
+                 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, 0x01, // IV
+                 0x00, 0x02, // subsample_count
+                 0x00, 0x20, 0x00, 0x00, 0x01, 0x00, // subsample
+                 0x00, 0x05, 0x00, 0x00, 0x00, 0x00, // subsample
+                 0x02, 0x02, 0x02, 0x02, 0x02, 0x02, 0x02, 0x02, // IV
+                 0x00, 0x01, // subsample_count
+                 0x00, 0x24, 0x00, 0x00, 0x00, 0x40); // subsample
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)), [{
+    type: 'senc',
+    size: 54,
+    version: 0,
+    flags: new Uint8Array([0, 0, 2]),
+    perSampleIvSize: 8,
+    samples: [{
+      iv: new Uint8Array([1, 1, 1, 1, 1, 1, 1, 1]),
+      subsamples: [{
+        clearBytes: 0x20,
+        protectedBytes: 0x100
+      }, {
+        clearBytes: 5,
+        protectedBytes: 0
+      }]
+    }, {
+      iv: new Uint8Array([2, 2, 2, 2, 2, 2, 2, 2]),
+      subsamples: [{
+        clearBytes: 0x24,
+        protectedBytes: 0x40
+      }]
+    }]
+  }], 'parsed a senc');
+});
+
+QUnit.test('can parse a senc with 16 byte IVs', function(assert) {
+  var
+    iv = [
+      0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07,
+      0x08, 0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x0e, 0x0f
+    ],
+    data = box('senc',
+               0x00, // version
+               0x00, 0x00, 0x00, // flags
+               0x00, 0x00, 0x00, 0x01, // sample_count
+               iv);
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data))[0].samples, [{
+    iv: new Uint8Array(iv)
+  }], 'inferred the IV size');
+});
+
+QUnit.test('can parse a saiz and a saio', function(assert) {
+  var data = box('saiz',
+                 0x00, // version
+                 0x00, 0x00, 0x01, // flags
+                 typeBytes('cenc'), // aux_info_type
+                 0x00, 0x00, 0x00, 0x00, // aux_info_type_parameter
+                 0x00, // default_sample_info_size
+                 0x00, 0x00, 0x00, 0x02, // sample_count
+                 0x10, 0x16) // sample_info_size
+    .concat(box('saio',
+                0x01, // version
+                0x00, 0x00, 0x00, // flags
+                0x00, 0x00, 0x00, 0x01, // entry_count
+                0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02)); // offset
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)), [{
+    type: 'saiz',
+    size: 27,
+    version: 0,
+    flags: new Uint8Array([0, 0, 1]),
+    auxInfoType: 'cenc',
+    auxInfoTypeParameter: 0,
+    defaultSampleInfoSize: 0,
+    sampleCount: 2,
+    sampleInfoSizes: [0x10, 0x16]
+  }, {
+    type: 'saio',
+    size: 24,
+    version: 1,
+    flags: new Uint8Array([0, 0, 0]),
+    offsets: [Math.pow(2, 32) + 2]
+  }], 'parsed a saiz and a saio');
+});
+
+QUnit.test('can parse WebVTT samples', function(assert) {
+  var data = box('vttc',
+                 box('iden', 0x31), // '1'
+                 box('sttg', 0x6c, 0x69, 0x6e, 0x65, 0x3a, 0x30), // 'line:0'
+                 box('payl', 0xc3, 0xa9, 0x74, 0xc3, 0xa9)) // 'été'
+    .concat(box('vtte'));
+
+  assert.deepEqual(mp4.tools.inspect(new Uint8Array(data)), [{
+    type: 'vttc',
+    size: 44,
+    boxes: [{
+      type: 'iden',
+      size: 9,
+      cueId: '1'
+    }, {
+      type: 'sttg',
+      size: 14,
+      settings: 'line:0'
+    }, {
+      type: 'payl',
+      size: 13,
+      cueText: 'été'
+    }]
+  }, {
+    type: 'vtte',
+    size: 8
+  }], 'parsed a cue and an empty cue');
+});
+
 QUnit.test('can parse a series of boxes', function(assert) {
   var ftyp = [
     0x00, 0x00, 0x00, 0x18 // size 4 * 6 = 24
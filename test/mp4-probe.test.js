@@ -3,8 +3,10 @@
 var
   QUnit = require('qunit'),
   probe = require('../lib/mp4/probe'),
+  generator = require('../lib/mp4/mp4-generator'),
   mp4Helpers = require('./utils/mp4-helpers'),
   box = mp4Helpers.box,
+  id3 = require('./utils/id3-generator'),
 
   // defined below
   moovWithoutMdhd,
@@ -143,6 +145,206 @@ QUnit.test('getTimescaleFromMediaHeader gets timescale for version 0 mdhd', func
   );
 });
 
+QUnit.test('sampleIndex reads the samples of a non-fragmented file', function(assert) {
+  var
+    fileType = generator.ftyp(),
+    moov = function(dataOffset) {
+      return generator.progressiveMoov([{
+        id: 1,
+        type: 'video',
+        width: 600,
+        height: 300,
+        profileIdc: 66,
+        levelIdc: 30,
+        profileCompatibility: 0,
+        sarRatio: [1, 1],
+        sps: [new Uint8Array([0x67, 0x42, 0x00, 0x1e])],
+        pps: [new Uint8Array([0x68, 0xce])],
+        duration: 9000,
+        samples: [{
+          duration: 3000,
+          size: 4,
+          compositionTimeOffset: 3000,
+          flags: { isNonSyncSample: 0 }
+        }, {
+          duration: 3000,
+          size: 2,
+          compositionTimeOffset: -3000,
+          flags: { isNonSyncSample: 1 }
+        }, {
+          duration: 3000,
+          size: 3,
+          compositionTimeOffset: 0,
+          flags: { isNonSyncSample: 1 }
+        }],
+        chunks: [
+          { offset: dataOffset, sampleCount: 2 },
+          { offset: dataOffset + 8, sampleCount: 1 }
+        ]
+      }, {
+        id: 2,
+        type: 'audio',
+        audioobjecttype: 2,
+        channelcount: 2,
+        samplerate: 48000,
+        samplingfrequencyindex: 3,
+        samplesize: 16,
+        duration: 2048,
+        samples: [{ duration: 1024, size: 1 }, { duration: 1024, size: 1 }],
+        chunks: [
+          { offset: dataOffset + 6, sampleCount: 1 },
+          { offset: dataOffset + 11, sampleCount: 1 }
+        ]
+      }]);
+    },
+    // a faststart layout, with an mdat that uses a 64-bit largesize
+    movie = moov(fileType.length + moov(0).length + 16),
+    file = new Uint8Array(fileType.length + movie.length + 16 + 12),
+    tracks;
+
+  file.set(fileType);
+  file.set(movie, fileType.length);
+  file.set([
+    0x00, 0x00, 0x00, 0x01,
+    0x6d, 0x64, 0x61, 0x74, // mdat
+    0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x1c // largesize
+  ], fileType.length + movie.length);
+
+  tracks = probe.sampleIndex(file);
+  assert.deepEqual(tracks.map(function(track) {
+    return [track.id, track.type, track.timescale];
+  }), [[1, 'video', 90000], [2, 'audio', 48000]], 'read the tracks');
+  assert.deepEqual(tracks[0].samples, [{
+    offset: fileType.length + movie.length + 16,
+    size: 4,
+    dts: 0,
+    cts: 3000,
+    keyFrame: true
+  }, {
+    offset: fileType.length + movie.length + 20,
+    size: 2,
+    dts: 3000,
+    cts: 0,
+    keyFrame: false
+  }, {
+    offset: fileType.length + movie.length + 24,
+    size: 3,
+    dts: 6000,
+    cts: 6000,
+    keyFrame: false
+  }], 'indexed the video samples');
+  assert.deepEqual(tracks[1].samples.map(function(sample) {
+    return [sample.offset - fileType.length - movie.length - 16, sample.size,
+      sample.dts, sample.keyFrame];
+  }), [[6, 1, 0, true], [11, 1, 1024, true]],
+  'indexed the audio samples, which are all sync samples');
+
+  assert.deepEqual(probe.sampleIndex(file.subarray(fileType.length + movie.length)), [],
+                   'found no tracks without a moov');
+});
+
+QUnit.test('eventMessages parses the emsg boxes of a segment', function(assert) {
+  var
+    tag = id3.id3Tag(id3.id3Frame('TXXX',
+                                  0x03, // utf-8
+                                  id3.stringToCString('ad'),
+                                  id3.stringToInts('break'))),
+    id3Emsg = generator.emsg({
+      version: 1,
+      schemeIdUri: 'https://aomedia.org/emsg/ID3',
+      timescale: 90000,
+      presentationTime: Math.pow(2, 32) + 9000,
+      duration: 0,
+      id: 1,
+      messageData: new Uint8Array(tag)
+    }),
+    scte35Emsg = generator.emsg({
+      schemeIdUri: 'urn:scte:scte35:2013:bin',
+      value: '1',
+      timescale: 1000,
+      presentationTimeDelta: 500,
+      duration: 30000,
+      id: 7,
+      messageData: new Uint8Array([0xfc, 0x30])
+    }),
+    segment = new Uint8Array(id3Emsg.byteLength + scte35Emsg.byteLength +
+                             moofWithTfdt.length),
+    events;
+
+  segment.set(id3Emsg);
+  segment.set(scte35Emsg, id3Emsg.byteLength);
+  segment.set(moofWithTfdt, id3Emsg.byteLength + scte35Emsg.byteLength);
+  events = probe.eventMessages(segment);
+
+  assert.equal(events.length, 2, 'parsed both events');
+  assert.equal(events[0].version, 1, 'parsed the version');
+  assert.equal(events[0].schemeIdUri, 'https://aomedia.org/emsg/ID3',
+               'parsed the scheme');
+  assert.equal(events[0].presentationTime, Math.pow(2, 32) + 9000,
+               'parsed the 64-bit presentation time');
+  assert.deepEqual(Array.from(events[0].messageData), tag, 'kept the message data');
+  assert.equal(events[0].frames.length, 1, 'parsed the frames of the tag');
+  assert.equal(events[0].frames[0].id, 'TXXX', 'parsed the frame id');
+  assert.equal(events[0].frames[0].description, 'ad', 'parsed the description');
+  assert.equal(events[0].frames[0].value, 'break', 'parsed the value');
+
+  assert.deepEqual(events[1], {
+    version: 0,
+    flags: new Uint8Array([0, 0, 0]),
+    schemeIdUri: 'urn:scte:scte35:2013:bin',
+    value: '1',
+    timescale: 1000,
+    presentationTimeDelta: 500,
+    eventDuration: 30000,
+    id: 7,
+    messageData: new Uint8Array([0xfc, 0x30])
+  }, 'parsed the version 0 event, without frames');
+
+  assert.deepEqual(probe.eventMessages(new Uint8Array(moofWithTfdt)), [],
+                   'found no events without an emsg');
+});
+
+QUnit.test('producerReferenceTimes parses the prft boxes of a segment', function(assert) {
+  var times = probe.producerReferenceTimes(new Uint8Array(box('prft',
+    0x01, // version 1
+    0x00, 0x00, 0x00, // flags
+    0x00, 0x00, 0x00, 0x01, // reference_track_ID
+    0xbc, 0x17, 0xc2, 0x00, // ntp_timestamp seconds, 2000-01-01
+    0x40, 0x00, 0x00, 0x00, // ntp_timestamp fraction, 0.25 s
+    0x00, 0x00, 0x00, 0x01,
+    0x00, 0x00, 0x00, 0x10 // media_time
+  ).concat(moofWithTfdt)));
+
+  assert.equal(times.length, 1, 'parsed the prft');
+  assert.equal(times[0].referenceTrackId, 1, 'parsed the track id');
+  assert.equal(times[0].wallClockTime, Date.UTC(2000, 0, 1) + 250,
+               'converted the NTP timestamp to a wall-clock time');
+  assert.equal(times[0].mediaTime, Math.pow(2, 32) + 16, 'parsed the media time');
+});
+
+QUnit.test('segmentIndexes parses the sidx boxes of a file', function(assert) {
+  var indexes = probe.segmentIndexes(new Uint8Array(box('sidx',
+    0x00, // version 0
+    0x00, 0x00, 0x00, // flags
+    0x00, 0x00, 0x00, 0x01, // reference_ID
+    0x00, 0x00, 0x03, 0xe8, // timescale
+    0x00, 0x00, 0x00, 0x00, // earliest_presentation_time
+    0x00, 0x00, 0x00, 0x00, // first_offset
+    0x00, 0x00, // reserved
+    0x00, 0x01, // reference_count
+    0x00, 0x00, 0x10, 0x00, // reference_type and referenced_size
+    0x00, 0x00, 0x07, 0xd0, // subsegment_duration
+    0x90, 0x00, 0x00, 0x00 // SAP
+  )));
+
+  assert.equal(indexes.length, 1, 'parsed the sidx');
+  assert.equal(indexes[0].timescale, 1000, 'parsed the timescale');
+  assert.equal(indexes[0].references.length, 1, 'parsed the references');
+  assert.equal(indexes[0].references[0].referencedSize, 0x1000, 'parsed the size');
+  assert.equal(indexes[0].references[0].subsegmentDuration, 2000, 'parsed the duration');
+});
+
 // ---------
 // Test Data
 // ---------
@@ -0,0 +1,241 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  codecs = require('../lib/codecs'),
+  mp4 = require('../lib/mp4'),
+  mp2t = require('../lib/m2ts'),
+  utils = require('./utils'),
+  OpusStream = codecs.opus.OpusStream,
+  packetSampleCount = codecs.opus.packetSampleCount,
+  Transmuxer = mp4.Transmuxer,
+  packetize = utils.packetize,
+  transportPacket = utils.transportPacket,
+  PAT = utils.PAT,
+  generatePMT = utils.generatePMT,
+  opusStream,
+  opusPacket,
+  accessUnit,
+  opusDescriptors;
+
+mp4.tools = require('../lib/tools/mp4-inspector');
+
+// a 20ms CELT-only fullband packet with a single frame
+opusPacket = [0xf8].concat(new Array(9).fill(0));
+
+// prefix an Opus packet with a control header
+accessUnit = function(packet, startTrim) {
+  var header = [0x7f, startTrim === undefined ? 0xe0 : 0xf0, packet.length];
+
+  if (startTrim !== undefined) {
+    header.push(startTrim >>> 8, startTrim & 0xff);
+  }
+  return header.concat(packet);
+};
+
+// an Opus registration descriptor and an extension descriptor for
+// the given channel_config_code
+opusDescriptors = function(channelConfigCode) {
+  return [
+    0x05, 0x04, 0x4f, 0x70, 0x75, 0x73, // registration, 'Opus'
+    0x7f, 0x02, 0x80, channelConfigCode // extension, channel_config_code
+  ];
+};
+
+QUnit.module('Opus Stream', {
+  beforeEach: function() {
+    opusStream = new OpusStream();
+  }
+});
+
+QUnit.test('parses access units out of control header framing', function(assert) {
+  var frames = [];
+
+  opusStream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  opusStream.push({
+    type: 'audio',
+    streamType: 0x06,
+    pts: 90000,
+    dts: 90000,
+    data: new Uint8Array(accessUnit(opusPacket, 312).concat(accessUnit(opusPacket)))
+  });
+
+  assert.equal(frames.length, 2, 'parsed two access units');
+  assert.equal(frames[0].pts, 90000, 'the first packet starts at the PES pts');
+  assert.equal(frames[1].pts, 90000 + 1800, 'the second packet follows 20ms later');
+  assert.equal(frames[1].dts, 90000 + 1800, 'calculated the dts');
+  assert.equal(frames[0].sampleCount, 960, 'counted the samples of the packet');
+  assert.equal(frames[0].samplerate, 48000, 'Opus is decoded at 48kHz');
+  assert.equal(frames[0].channelcount, 2, 'defaults to stereo');
+  assert.deepEqual(Array.prototype.slice.call(frames[0].data), opusPacket,
+                   'stripped the control header');
+  assert.equal(frames[1].opusConfig.preSkip, 312,
+               'the start trim of the stream is the pre-skip');
+});
+
+QUnit.test('skips trim and extension fields of the control header', function(assert) {
+  var frames = [];
+
+  opusStream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  opusStream.push({
+    type: 'audio',
+    streamType: 0x06,
+    data: new Uint8Array([
+      0x7f, 0xec, // prefix, end_trim_flag and control_extension_flag
+      0xff, 0x01, // au_size, 256
+      0x00, 0x10, // end_trim
+      0x02, 0x00, 0x00 // control_extension_length and data
+    ].concat(opusPacket, new Array(246).fill(0)))
+  });
+
+  assert.equal(frames.length, 1, 'parsed one access unit');
+  assert.equal(frames[0].data.byteLength, 256, 'summed the au_size bytes');
+  assert.equal(frames[0].data[0], 0xf8, 'found the TOC byte');
+  assert.equal(frames[0].opusConfig.preSkip, 0, 'no pre-skip without a start trim');
+});
+
+QUnit.test('uses the channel configuration of the PMT', function(assert) {
+  var frames = [];
+
+  opusStream.on('data', function(frame) {
+    frames.push(frame);
+  });
+
+  opusStream.push({
+    type: 'metadata',
+    tracks: [{
+      type: 'audio',
+      codec: 'opus',
+      channelConfigCode: 6
+    }]
+  });
+  opusStream.push({
+    type: 'audio',
+    streamType: 0x06,
+    data: new Uint8Array(accessUnit(opusPacket))
+  });
+
+  assert.equal(frames[0].channelcount, 6, 'used the signalled channel count');
+  assert.deepEqual(frames[0].opusConfig, {
+    preSkip: 0,
+    channelcount: 6,
+    channelMappingFamily: 1,
+    streamCount: 4,
+    coupledCount: 2,
+    channelMapping: [0, 4, 1, 2, 3, 5]
+  }, 'described the Vorbis channel order');
+});
+
+QUnit.test('ignores other audio stream types', function(assert) {
+  var frames = [];
+
+  opusStream.on('data', function(frame) {
+    frames.push(frame);
+  });
+  opusStream.push({
+    type: 'audio',
+    streamType: 0x0f,
+    data: new Uint8Array(accessUnit(opusPacket))
+  });
+
+  assert.equal(frames.length, 0, 'ignored ADTS audio');
+});
+
+QUnit.test('counts the samples of every TOC frame count code', function(assert) {
+  assert.equal(packetSampleCount([0x00]), 480, 'one 10ms SILK frame');
+  assert.equal(packetSampleCount([0x61]), 960, 'two 10ms hybrid frames');
+  assert.equal(packetSampleCount([0x82, 0x00]), 240, 'two 2.5ms CELT frames');
+  assert.equal(packetSampleCount([0x1b, 0x03]), 8640, 'three 60ms SILK frames');
+});
+
+QUnit.module('Opus Transmuxing');
+
+QUnit.test('parses Opus registration descriptors out of the PMT', function(assert) {
+  var
+    transportPacketStream = new mp2t.TransportPacketStream(),
+    transportParseStream = new mp2t.TransportParseStream(),
+    elementaryStream = new mp2t.ElementaryStream(),
+    tracks = [];
+
+  transportPacketStream.pipe(transportParseStream).pipe(elementaryStream);
+  elementaryStream.on('data', function(event) {
+    if (event.type === 'metadata') {
+      tracks = tracks.concat(event.tracks);
+    }
+  });
+
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x06
+  })));
+  transportPacketStream.push(packetize(PAT));
+  transportPacketStream.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x06,
+    audioDescriptors: opusDescriptors(1)
+  })));
+  transportPacketStream.flush();
+
+  assert.equal(tracks.length, 1, 'private data without a registration is not audio');
+  assert.equal(tracks[0].codec, 'opus', 'identified the Opus track');
+  assert.equal(tracks[0].channelConfigCode, 1, 'recorded the channel configuration');
+  assert.equal(transportParseStream.programMapTable.audio, 0x12, 'found the audio pid');
+});
+
+QUnit.test('generates an Opus track', function(assert) {
+  var
+    transmuxer = new Transmuxer({}),
+    segments = [],
+    sampleEntry,
+    dOps,
+    trun;
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0x06,
+    audioDescriptors: opusDescriptors(2)
+  })));
+  transmuxer.push(packetize(transportPacket(0x12, accessUnit(opusPacket, 312),
+                                            true, 90000)));
+  transmuxer.push(packetize(transportPacket(0x12, accessUnit(opusPacket),
+                                            true, 91800)));
+  // the last PES packet stays buffered until the next one starts
+  transmuxer.push(packetize(transportPacket(0x12, accessUnit(opusPacket),
+                                            true, 93600)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+  assert.equal(segments[0].type, 'audio', 'audio is the segment type');
+
+  sampleEntry = mp4.tools.inspect(segments[0].initSegment)[1]
+    .boxes[1].boxes[1].boxes[2].boxes[2].boxes[0].sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'Opus', 'generated an Opus sample entry');
+
+  dOps = mp4.tools.inspect(sampleEntry.data.subarray(28))[0];
+  assert.equal(dOps.type, 'dOps', 'generated a dOps box');
+  assert.deepEqual(Array.prototype.slice.call(dOps.data), [
+    0x00, // Version
+    0x02, // OutputChannelCount
+    0x01, 0x38, // PreSkip
+    0x00, 0x00, 0xbb, 0x80, // InputSampleRate
+    0x00, 0x00, // OutputGain
+    0x00 // ChannelMappingFamily
+  ], 'wrote the dOps fields');
+
+  trun = mp4.tools.inspect(segments[0].data)[0].boxes[1].boxes[2];
+  assert.equal(trun.samples.length, 2, 'wrote two samples');
+  assert.equal(trun.samples[0].duration, 960, 'samples last one packet');
+  assert.equal(trun.samples[0].size, 10, 'samples hold an Opus packet');
+});
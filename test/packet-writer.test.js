@@ -0,0 +1,355 @@
+'use strict';
+
+var segments = require('data-files!segments');
+
+var
+  QUnit = require('qunit'),
+  m2ts = require('../lib/m2ts'),
+  crc32 = require('../lib/utils/crc32'),
+  DemuxStream = require('../lib/mp4/demux-stream'),
+  TransportPacketWriter = require('../lib/m2ts/packet-writer'),
+  id3Writer = require('../lib/m2ts/id3-writer'),
+  dashInit = segments['dash-608-captions-init.mp4'](),
+  dashSegment = segments['dash-608-captions-seg.m4s'](),
+  metadata,
+  packetsOf,
+  pcrOf,
+  parse,
+  writer,
+  written;
+
+metadata = {
+  type: 'metadata',
+  tracks: [{
+    timelineStartInfo: { baseMediaDecodeTime: 0 },
+    id: 1,
+    codec: 'avc',
+    type: 'video'
+  }, {
+    timelineStartInfo: { baseMediaDecodeTime: 0 },
+    id: 2,
+    codec: 'adts',
+    type: 'audio'
+  }]
+};
+
+// split a segment into its packets
+packetsOf = function(segment) {
+  var packets = [], i;
+
+  for (i = 0; i < segment.length; i += 188) {
+    packets.push(segment.subarray(i, i + 188));
+  }
+  return packets;
+};
+
+// the base of the PCR of a packet, if it has one
+pcrOf = function(packet) {
+  if (!(packet[3] & 0x20) || !packet[4] || !(packet[5] & 0x10)) {
+    return undefined;
+  }
+  return packet[6] * Math.pow(2, 25) + (packet[7] << 17 | packet[8] << 9 |
+    packet[9] << 1 | packet[10] >>> 7);
+};
+
+// the events of an ElementaryStream that reads a segment
+parse = function(segment) {
+  var
+    packetStream = new m2ts.TransportPacketStream(),
+    parseStream = new m2ts.TransportParseStream(),
+    elementaryStream = new m2ts.ElementaryStream(),
+    events = [];
+
+  packetStream.pipe(parseStream).pipe(elementaryStream);
+  elementaryStream.on('data', function(event) {
+    events.push(event);
+  });
+  packetStream.push(segment);
+  packetStream.flush();
+  elementaryStream.flush('endTimeline');
+  return events;
+};
+
+QUnit.module('Transport Packet Writer', {
+  beforeEach: function() {
+    writer = new TransportPacketWriter();
+    written = [];
+    writer.on('data', function(segment) {
+      written.push(segment.data);
+    });
+  }
+});
+
+QUnit.test('writes a PAT and a PMT at the start of a segment', function(assert) {
+  var packets, pat, pmt;
+
+  writer.push(metadata);
+  writer.push({
+    type: 'audio',
+    trackId: 2,
+    pts: 90000,
+    dts: 90000,
+    data: new Uint8Array(10)
+  });
+  writer.flush();
+
+  packets = packetsOf(written[0]);
+  assert.equal(packets.length, 3, 'wrote the tables and the audio frame');
+
+  pat = packets[0];
+  assert.deepEqual(Array.from(pat.subarray(0, 4)), [0x47, 0x40, 0x00, 0x10],
+                   'started a payload on the PAT PID');
+  assert.deepEqual(Array.from(pat.subarray(5, 17)), [
+    0x00, 0xb0, 0x0d, 0x00, 0x01, 0xc1, 0x00, 0x00, 0x00, 0x01, 0xf0, 0x00
+  ], 'mapped the program to the PMT PID');
+  assert.deepEqual(Array.from(pat.subarray(17, 21)), [0x2a, 0xb1, 0x04, 0xb2],
+                   'ended the section with its CRC_32');
+  assert.equal(pat[21], 0xff, 'stuffed the rest of the packet');
+
+  pmt = packets[1];
+  assert.deepEqual(Array.from(pmt.subarray(0, 3)), [0x47, 0x50, 0x00], 'used the PMT PID');
+  assert.deepEqual(Array.from(pmt.subarray(5, 27)), [
+    0x02, 0xb0, 0x17, 0x00, 0x01, 0xc1, 0x00, 0x00,
+    0xe1, 0x00, // PCR_PID
+    0xf0, 0x00,
+    0x1b, 0xe1, 0x00, 0xf0, 0x00,
+    0x0f, 0xe1, 0x01, 0xf0, 0x00
+  ], 'listed the streams of the tracks');
+  assert.equal(crc32(pmt.subarray(5, 31)), 0, 'ended the section with its CRC_32');
+});
+
+QUnit.test('splits PES packets into transport packets', function(assert) {
+  var frame = new Uint8Array(400), packets, events;
+
+  frame.set([0x00, 0x00, 0x00, 0x01, 0x09, 0xf0, 0x00, 0x00, 0x00, 0x01, 0x65]);
+  writer.push(metadata);
+  writer.push({
+    type: 'video',
+    trackId: 1,
+    pts: 12000,
+    dts: 9000,
+    data: frame
+  });
+  writer.flush();
+
+  packets = packetsOf(written[0]).slice(2);
+  assert.equal(packets.length, 3, 'split the PES packet');
+  assert.deepEqual(packets.map(function(packet) {
+    return [packet[1] & 0x40, packet[3] & 0x0f];
+  }), [[0x40, 0], [0, 1], [0, 2]],
+  'started the payload in the first packet and counted the packets');
+  assert.equal(packets[0][5], 0x50, 'flagged a random access point with a PCR');
+  assert.equal(pcrOf(packets[0]), Math.pow(2, 33) + 9000 - 63000,
+               'wrote a PCR 0.7 seconds before the DTS');
+  assert.equal(packets[2][3] & 0x30, 0x30, 'stuffed the last packet');
+
+  events = parse(written[0]);
+  assert.equal(events[0].type, 'metadata', 'parsed the PMT');
+  assert.equal(events[1].pts, 12000, 'wrote the PTS');
+  assert.equal(events[1].dts, 9000, 'wrote the DTS');
+  assert.deepEqual(events[1].data, frame, 'wrote the frame');
+});
+
+QUnit.test('multiplexes the frames of the tracks in DTS order', function(assert) {
+  var pids;
+
+  writer.push(metadata);
+  // the frames of a fragment, in the order of its mdat
+  [0, 3000, 6000].forEach(function(dts) {
+    writer.push({
+      type: 'video',
+      trackId: 1,
+      pts: dts + 3000,
+      dts: dts,
+      data: new Uint8Array([0x00, 0x00, 0x01, 0x65])
+    });
+  });
+  [0, 1920, 3840, 5760].forEach(function(dts) {
+    writer.push({
+      type: 'audio',
+      trackId: 2,
+      pts: dts,
+      dts: dts,
+      data: new Uint8Array(10)
+    });
+  });
+  writer.flush();
+
+  pids = packetsOf(written[0]).filter(function(packet) {
+    return packet[1] & 0x40;
+  }).map(function(packet) {
+    return (packet[1] & 0x1f) << 8 | packet[2];
+  }).filter(function(pid) {
+    return pid === 0x100 || pid === 0x101;
+  });
+  assert.deepEqual(pids, [0x100, 0x101, 0x101, 0x100, 0x101, 0x101, 0x100],
+                   'interleaved the audio and video frames');
+});
+
+QUnit.test('writes a PCR behind the DTS of every frame', function(assert) {
+  var
+    packetStream = new m2ts.TransportPacketStream(),
+    parseStream = new m2ts.TransportParseStream(),
+    elementaryStream = new m2ts.ElementaryStream(),
+    pcrs = [],
+    frames = [];
+
+  writer.push(metadata);
+  [900000, 903000, 906000].forEach(function(dts) {
+    writer.push({
+      type: 'video',
+      trackId: 1,
+      pts: dts + 6000,
+      dts: dts,
+      data: new Uint8Array(300)
+    });
+  });
+  writer.flush();
+
+  packetStream.on('data', function(packet) {
+    if (pcrOf(packet) !== undefined) {
+      pcrs.push(pcrOf(packet));
+    }
+  });
+  packetStream.pipe(parseStream).pipe(elementaryStream);
+  elementaryStream.on('data', function(event) {
+    if (event.type === 'video') {
+      frames.push(event);
+    }
+  });
+  packetStream.push(written[0]);
+  packetStream.flush();
+  elementaryStream.flush('endTimeline');
+
+  assert.equal(pcrs.length, frames.length, 'wrote a PCR for every frame');
+  frames.forEach(function(frame, i) {
+    assert.equal(frame.dts - pcrs[i], 63000, 'buffered the frame for 0.7 seconds');
+  });
+});
+
+QUnit.test('keeps counting packets across segments', function(assert) {
+  var counters;
+
+  writer.push(metadata);
+  [0, 1].forEach(function(segment) {
+    writer.push({
+      type: 'audio',
+      trackId: 2,
+      pts: segment * 90000,
+      dts: segment * 90000,
+      data: new Uint8Array(10)
+    });
+    writer.flush();
+  });
+
+  counters = written.map(function(segment) {
+    return packetsOf(segment).map(function(packet) {
+      return packet[3] & 0x0f;
+    });
+  });
+  assert.deepEqual(counters, [[0, 0, 0], [1, 1, 1]], 'continued the counters');
+
+  writer.reset();
+  writer.flush();
+  assert.equal(written.length, 2, 'emitted no empty segment');
+});
+
+QUnit.test('writes ID3 tags on the metadata PID', function(assert) {
+  var
+    tag = id3Writer.id3Tag([{ id: 'TXXX', description: 'ad', value: 'start' }]),
+    packets,
+    pmt,
+    events;
+
+  writer = new TransportPacketWriter({ metadataPid: 0x102 });
+  writer.on('data', function(segment) {
+    written.push(segment.data);
+  });
+  writer.push(metadata);
+  writer.push({ type: 'timed-metadata', trackId: 0x300, pts: 45000, data: tag });
+  writer.flush();
+
+  packets = packetsOf(written[0]);
+  pmt = packets[1];
+  assert.deepEqual(Array.from(pmt.subarray(15, 34)), [
+    0xf0, 0x11,
+    // metadata_pointer_descriptor
+    0x25, 0x0f, 0xff, 0xff, 0x49, 0x44, 0x33, 0x20, 0xff, 0x49, 0x44, 0x33, 0x20,
+    0x00, 0x1f, 0x00, 0x01
+  ], 'pointed the program to ID3 metadata');
+  assert.deepEqual(Array.from(pmt.subarray(44, 51)),
+                   [0x15, 0xe1, 0x02, 0xf0, 0x0f, 0x26, 0x0d],
+                   'listed the metadata stream with its metadata_descriptor');
+  assert.equal(crc32(pmt.subarray(5, 5 + 3 + ((pmt[6] & 0x0f) << 8 | pmt[7]))), 0,
+               'ended the section with its CRC_32');
+  assert.deepEqual(Array.from(packets[2].subarray(1, 3)), [0x41, 0x02],
+                   'started the PES packet on the metadata PID');
+
+  events = parse(written[0]).filter(function(event) {
+    return event.type === 'timed-metadata';
+  });
+  assert.equal(events.length, 1, 'parsed the metadata');
+  assert.equal(events[0].pts, 45000, 'wrote the PTS');
+  assert.ok(events[0].dataAlignmentIndicator, 'aligned the tag');
+  assert.deepEqual(events[0].data, tag, 'wrote the tag');
+});
+
+QUnit.test('ignores timed metadata without a metadata PID', function(assert) {
+  writer.push(metadata);
+  writer.push({
+    type: 'timed-metadata',
+    pts: 0,
+    data: id3Writer.id3Tag([{ id: 'TIT2', value: 'a' }])
+  });
+  writer.flush();
+
+  assert.equal(written.length, 0, 'wrote nothing');
+});
+
+QUnit.module('MP2T Transmuxer');
+
+QUnit.test('converts fMP4 segments to a transport stream', function(assert) {
+  var
+    transmuxer = new m2ts.Transmuxer(),
+    demuxStream = new DemuxStream(),
+    samples = [],
+    output = [],
+    events;
+
+  demuxStream.on('data', function(event) {
+    if (event.type !== 'metadata') {
+      samples.push(event);
+    }
+  });
+  demuxStream.push(dashInit);
+  demuxStream.push(dashSegment);
+  demuxStream.flush();
+
+  transmuxer.on('data', function(segment) {
+    output.push(segment.data);
+  });
+  transmuxer.push(dashInit);
+  transmuxer.push(dashSegment);
+  transmuxer.flush();
+
+  assert.equal(output.length, 1, 'emitted a segment');
+  assert.equal(output[0].length % 188, 0, 'wrote whole packets');
+
+  events = parse(output[0]);
+  assert.deepEqual(events[0].tracks.map(function(track) {
+    return [track.id, track.codec, track.type];
+  }), [[0x100, 'avc', 'video']], 'wrote the video track');
+  assert.equal(events.filter(function(event) {
+    return event.type === 'metadata';
+  }).length, 2, 'repeated the tables before the second key frame');
+
+  events = events.filter(function(event) {
+    return event.type === 'video';
+  });
+  assert.equal(events.length, samples.length, 'wrote every sample');
+  assert.deepEqual(events.map(function(event) {
+    return [event.pts, event.dts, event.data.length];
+  }), samples.map(function(sample) {
+    return [sample.pts, sample.dts, sample.data.length];
+  }), 'kept the timestamps and data of the samples');
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  aes = require('../lib/utils/aes'),
+  mp2t = require('../lib/m2ts'),
+  mp4 = require('../lib/mp4'),
+  H264Stream = require('../lib/codecs/h264').H264Stream,
+  utils = require('./utils'),
+  SampleAesStream = mp2t.SampleAesStream,
+  Transmuxer = mp4.Transmuxer,
+  packetize = utils.packetize,
+  audioPes = utils.audioPes,
+  PAT = utils.PAT,
+  generatePMT = utils.generatePMT,
+  key = new Uint8Array([
+    0x2b, 0x7e, 0x15, 0x16, 0x28, 0xae, 0xd2, 0xa6,
+    0xab, 0xf7, 0x15, 0x88, 0x09, 0xcf, 0x4f, 0x3c
+  ]),
+  iv = new Uint8Array([
+    0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07,
+    0x08, 0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x0e, 0x0f
+  ]),
+  filledArray,
+  addEmulationPrevention,
+  encryptNalUnit,
+  encryptFrame;
+
+mp4.tools = require('../lib/tools/mp4-inspector');
+
+filledArray = function(length, start) {
+  var bytes = [], i;
+
+  for (i = 0; i < length; i++) {
+    bytes.push(((start + i) % 255) + 1);
+  }
+  return bytes;
+};
+
+addEmulationPrevention = function(bytes) {
+  var result = [], zeros = 0;
+
+  bytes.forEach(function(byte) {
+    if (zeros >= 2 && byte <= 3) {
+      result.push(0x03);
+      zeros = 0;
+    }
+    result.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  });
+  return result;
+};
+
+// encrypt one block in ten after a 32 byte leader, then apply
+// emulation prevention to the result
+encryptNalUnit = function(nalUnit) {
+  var
+    data = new Uint8Array(nalUnit),
+    cipher = new aes.AES(key),
+    chain = iv,
+    i;
+
+  for (i = 32; i < data.length - 16; i += 160) {
+    chain = aes.encryptCbc(cipher, chain, data.subarray(i, i + 16));
+  }
+  return addEmulationPrevention(Array.prototype.slice.call(data));
+};
+
+// encrypt the complete blocks of an AAC frame after a 16 byte leader
+encryptFrame = function(frame) {
+  var data = new Uint8Array(frame);
+
+  aes.encryptCbc(new aes.AES(key), iv, data.subarray(16));
+  return Array.prototype.slice.call(data);
+};
+
+QUnit.module('SAMPLE-AES Stream');
+
+QUnit.test('decrypts H.264 slices', function(assert) {
+  var
+    h264Stream = new H264Stream(),
+    sampleAesStream = new SampleAesStream({key: key, iv: iv}),
+    // an IDR slice with an emulation prevention byte in its clear leader
+    slice = [0x65, 0x00, 0x00, 0x03, 0x01].concat(filledArray(245, 0)),
+    encrypted = encryptNalUnit(slice),
+    pps = [0x68].concat(filledArray(60, 7)),
+    nalUnits = [];
+
+  h264Stream.pipe(sampleAesStream);
+  sampleAesStream.on('data', function(nalUnit) {
+    nalUnits.push(nalUnit);
+  });
+
+  assert.notDeepEqual(encrypted.slice(32, 48), slice.slice(31, 47), 'encrypted the slice');
+
+  h264Stream.push({
+    type: 'video',
+    streamType: 0xdb,
+    data: new Uint8Array([0x00, 0x00, 0x00, 0x01]
+      .concat(encrypted, [0x00, 0x00, 0x01], pps))
+  });
+  h264Stream.flush();
+
+  assert.equal(nalUnits.length, 2, 'parsed two NAL units');
+  assert.equal(nalUnits[0].nalUnitType, 'slice_layer_without_partitioning_rbsp_idr',
+               'parsed the slice');
+  assert.deepEqual(nalUnits[0].data, new Uint8Array(slice), 'decrypted the slice');
+  assert.deepEqual(nalUnits[1].data, new Uint8Array(pps),
+                   'left other NAL units untouched');
+});
+
+QUnit.test('leaves short slices and frames in the clear', function(assert) {
+  var
+    sampleAesStream = new SampleAesStream({key: key, iv: iv}),
+    slice = [0x41].concat(filledArray(47, 0)),
+    frame = filledArray(16, 0),
+    events = [];
+
+  sampleAesStream.on('data', function(event) {
+    events.push(event);
+  });
+  sampleAesStream.push({
+    nalUnitType: 'slice_layer_without_partitioning_rbsp',
+    data: new Uint8Array(slice)
+  });
+  sampleAesStream.push({
+    data: new Uint8Array(frame)
+  });
+
+  assert.deepEqual(events[0].data, new Uint8Array(slice), 'slices of 48 bytes are clear');
+  assert.deepEqual(events[1].data, new Uint8Array(frame), 'frames of 16 bytes are clear');
+});
+
+QUnit.test('decrypts ADTS frames in the transmuxer', function(assert) {
+  var
+    segments = [],
+    transmuxer = new Transmuxer({
+      sampleAes: {
+        key: key,
+        iv: iv
+      }
+    }),
+    frame = filledArray(40, 0),
+    moof,
+    sample;
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true,
+    audioStreamType: 0xcf
+  })));
+  transmuxer.push(packetize(audioPes(encryptFrame(frame), true, 90000)));
+  // the last PES packet stays buffered until the next one starts
+  transmuxer.push(packetize(audioPes(encryptFrame(frame), true, 92090)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+  assert.equal(segments[0].type, 'audio', 'generated an audio segment');
+
+  moof = mp4.tools.inspect(segments[0].data)[0];
+  sample = segments[0].data.subarray(moof.boxes[1].boxes[2].dataOffset);
+  assert.deepEqual(sample.subarray(0, 40), new Uint8Array(frame), 'decrypted the frame');
+});
@@ -0,0 +1,313 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  aes = require('../lib/utils/aes'),
+  mp4 = require('../lib/mp4'),
+  sampleEncryption = require('../lib/mp4/sample-encryption'),
+  utils = require('./utils'),
+  SampleEncryptor = sampleEncryption.SampleEncryptor,
+  videoSubsamples = sampleEncryption.videoSubsamples,
+  Transmuxer = mp4.Transmuxer,
+  packetize = utils.packetize,
+  audioPes = utils.audioPes,
+  PAT = utils.PAT,
+  generatePMT = utils.generatePMT,
+  key = new Uint8Array([
+    0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07,
+    0x08, 0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x0e, 0x0f
+  ]),
+  keyId = new Uint8Array(16).fill(0x11),
+  nalUnit,
+  filledArray;
+
+mp4.tools = require('../lib/tools/mp4-inspector');
+
+filledArray = function(length, start) {
+  var bytes = [], i;
+
+  for (i = 0; i < length; i++) {
+    bytes.push((start + i) & 0xff);
+  }
+  return bytes;
+};
+
+// a length-prefixed NAL unit with a header byte followed by a payload
+nalUnit = function(header, payloadLength) {
+  var length = payloadLength + 1;
+
+  return [
+    (length >>> 24) & 0xff,
+    (length >>> 16) & 0xff,
+    (length >>> 8) & 0xff,
+    length & 0xff,
+    header
+  ].concat(filledArray(payloadLength, 0));
+};
+
+QUnit.module('Sample Encryption');
+
+QUnit.test('keeps non-VCL NAL units and slice headers in the clear', function(assert) {
+  var sample = new Uint8Array(nalUnit(0x67, 9).concat(nalUnit(0x65, 99)));
+
+  assert.deepEqual(videoSubsamples('avc', sample), [{
+    clearBytes: 14 + 4 + 36,
+    protectedBytes: 64
+  }], 'protected the whole blocks at the end of the slice');
+
+  assert.deepEqual(videoSubsamples('avc', new Uint8Array(nalUnit(0x65, 20))), [{
+    clearBytes: 25,
+    protectedBytes: 0
+  }], 'short slices stay in the clear');
+
+  assert.deepEqual(videoSubsamples('hevc', new Uint8Array(nalUnit(0x26, 47))), [{
+    clearBytes: 4 + 32,
+    protectedBytes: 16
+  }], 'recognized HEVC slices');
+});
+
+QUnit.test('merges subsamples to fit the saiz box', function(assert) {
+  var
+    slices = [],
+    track = { type: 'video', codec: 'hevc' },
+    subsamples,
+    i;
+
+  for (i = 0; i < 50; i++) {
+    slices = slices.concat(nalUnit(0x02, i === 10 ? 47 : 99));
+  }
+  track.samples = [{ size: slices.length }];
+  new SampleEncryptor(track, {
+    key: key,
+    keyId: keyId,
+    iv: new Uint8Array(8)
+  }).encrypt(new Uint8Array(slices));
+
+  subsamples = track.sampleEncryption[0].subsamples;
+  assert.equal(subsamples.length, 40, 'kept to the 40 subsamples that fit in 255 bytes');
+  assert.equal(subsamples.reduce(function(sum, subsample) {
+    return sum + subsample.protectedBytes;
+  }, 0), 40 * 64, 'left the smallest protected ranges in the clear');
+  assert.equal(subsamples.reduce(function(sum, subsample) {
+    return sum + subsample.clearBytes + subsample.protectedBytes;
+  }, 0), slices.length, 'covered the whole sample');
+  assert.equal(videoSubsamples('hevc', new Uint8Array(slices)).length, 50,
+               'kept every subsample without a maximum');
+});
+
+QUnit.test('encrypts audio samples with AES-CTR', function(assert) {
+  var
+    track = {
+      type: 'audio',
+      samples: [{size: 20}, {size: 20}]
+    },
+    encryptor = new SampleEncryptor(track, {
+      key: key,
+      keyId: keyId,
+      iv: new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0xff])
+    }),
+    data = new Uint8Array(filledArray(40, 0)),
+    encrypted = encryptor.encrypt(data),
+    counter = new Uint8Array(16),
+    decrypted;
+
+  assert.deepEqual(track.encryption, {
+    scheme: 'cenc',
+    keyId: keyId,
+    perSampleIvSize: 8,
+    constantIv: null,
+    cryptByteBlock: 0,
+    skipByteBlock: 0,
+    pssh: []
+  }, 'described the protection scheme');
+  assert.deepEqual(data, new Uint8Array(filledArray(40, 0)), 'left the input untouched');
+  assert.notDeepEqual(encrypted, data, 'encrypted the samples');
+  assert.deepEqual(track.sampleEncryption[0].iv,
+                   new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0xff]), 'started from the IV');
+  assert.deepEqual(track.sampleEncryption[1].iv,
+                   new Uint8Array([0, 0, 0, 0, 0, 0, 1, 0x00]),
+                   'incremented the IV for every sample');
+  assert.equal(track.sampleEncryption[0].subsamples, null, 'audio uses full samples');
+
+  counter.set(track.sampleEncryption[1].iv);
+  decrypted = new Uint8Array(encrypted.subarray(20));
+  aes.ctr(new aes.AES(key), counter, decrypted);
+  assert.deepEqual(decrypted, data.subarray(20), 'samples decrypt with their IV');
+});
+
+QUnit.test('encrypts video samples with the cbcs pattern', function(assert) {
+  var
+    iv = new Uint8Array(16).fill(0x22),
+    sample = nalUnit(0x65, 31 + 16 * 11),
+    track = {
+      type: 'video',
+      codec: 'avc',
+      samples: [{size: sample.length}]
+    },
+    encryptor = new SampleEncryptor(track, {
+      scheme: 'cbcs',
+      key: key,
+      keyId: keyId,
+      iv: iv
+    }),
+    encrypted = encryptor.encrypt(new Uint8Array(sample)),
+    cipher = new aes.AES(key),
+    block;
+
+  assert.equal(track.encryption.cryptByteBlock, 1, 'encrypts one block');
+  assert.equal(track.encryption.skipByteBlock, 9, 'out of every ten');
+  assert.deepEqual(track.encryption.constantIv, iv, 'uses a constant IV');
+  assert.equal(track.sampleEncryption[0].iv, null, 'wrote no per-sample IV');
+  assert.deepEqual(track.sampleEncryption[0].subsamples, [{
+    clearBytes: 36,
+    protectedBytes: 176
+  }], 'described the subsamples');
+
+  assert.deepEqual(encrypted.subarray(0, 36), new Uint8Array(sample.slice(0, 36)),
+                   'left the slice header in the clear');
+  assert.deepEqual(encrypted.subarray(52, 196), new Uint8Array(sample.slice(52, 196)),
+                   'skipped nine blocks');
+
+  block = new Uint8Array(encrypted.subarray(36, 52));
+  aes.decryptCbc(cipher, iv, block);
+  assert.deepEqual(block, new Uint8Array(sample.slice(36, 52)),
+                   'the first block is encrypted with the constant IV');
+
+  block = new Uint8Array(encrypted.subarray(196, 212));
+  aes.decryptCbc(cipher, encrypted.subarray(36, 52), block);
+  assert.deepEqual(block, new Uint8Array(sample.slice(196, 212)),
+                   'the cipher block chain continues across the pattern');
+});
+
+QUnit.test('never uses the same IV for two tracks of one key', function(assert) {
+  var
+    options = {
+      key: key,
+      keyId: keyId,
+      iv: new Uint8Array(8)
+    },
+    video = {
+      type: 'video',
+      codec: 'avc',
+      samples: [{size: 10}, {size: 10}]
+    },
+    audio = {
+      type: 'audio',
+      samples: [{size: 10}, {size: 10}]
+    },
+    videoEncryptor = new SampleEncryptor(video, options),
+    audioEncryptor = new SampleEncryptor(audio, options),
+    ivs = [];
+
+  [0, 1].forEach(function() {
+    videoEncryptor.encrypt(new Uint8Array(20));
+    audioEncryptor.encrypt(new Uint8Array(20));
+    video.sampleEncryption.concat(audio.sampleEncryption).forEach(function(entry) {
+      ivs.push(Array.from(entry.iv).join());
+    });
+  });
+
+  assert.equal(ivs.length, 8, 'wrote an IV for every sample');
+  assert.ok(ivs.every(function(iv, index) {
+    return ivs.indexOf(iv) === index;
+  }), 'the IVs of the tracks never collide');
+  assert.equal(ivs[0], '0,0,0,0,0,0,0,0', 'started from the IV of the options');
+});
+
+QUnit.test('rejects unknown schemes', function(assert) {
+  assert.throws(function() {
+    return new SampleEncryptor({type: 'audio'}, {
+      scheme: 'cens',
+      key: key,
+      keyId: keyId,
+      iv: new Uint8Array(8)
+    });
+  }, 'threw for cens');
+});
+
+QUnit.module('Sample Encryption Transmuxing');
+
+QUnit.test('generates encrypted fragments', function(assert) {
+  var
+    segments = [],
+    transmuxer = new Transmuxer({
+      encryption: {
+        key: key,
+        keyId: keyId,
+        iv: new Uint8Array(8),
+        pssh: [{
+          systemId: new Uint8Array(16).fill(0x33),
+          data: new Uint8Array([0x01, 0x02])
+        }]
+      }
+    }),
+    init,
+    sampleEntry,
+    sinf,
+    moof,
+    traf,
+    mdat,
+    senc,
+    saio,
+    counter = new Uint8Array(16),
+    sample;
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true
+  })));
+  transmuxer.push(packetize(audioPes(filledArray(30, 0), true, 90000)));
+  transmuxer.push(packetize(audioPes(filledArray(30, 0), true, 92090)));
+  // the last PES packet stays buffered until the next one starts
+  transmuxer.push(packetize(audioPes(filledArray(30, 0), true, 94180)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+
+  init = mp4.tools.inspect(segments[0].initSegment);
+  assert.equal(init[1].boxes[2].type, 'pssh', 'wrote the pssh box');
+  assert.equal(init[1].boxes[2].systemId, '33333333-3333-3333-3333-333333333333',
+               'wrote the system ID');
+  assert.deepEqual(init[1].boxes[2].data, new Uint8Array([0x01, 0x02]), 'wrote the data');
+
+  sampleEntry = init[1].boxes[1].boxes[1].boxes[2].boxes[2].boxes[0]
+    .sampleDescriptions[0];
+  assert.equal(sampleEntry.type, 'enca', 'generated an enca sample entry');
+  assert.equal(sampleEntry.config[0].type, 'esds', 'kept the codec configuration');
+  sinf = sampleEntry.config.filter(function(box) {
+    return box.type === 'sinf';
+  })[0];
+  assert.ok(sinf, 'generated a sinf box');
+  assert.deepEqual(sinf.boxes.map(function(box) {
+    return box.type;
+  }), ['frma', 'schm', 'schi'], 'described the protection scheme');
+  assert.equal(sinf.boxes[0].dataFormat, 'mp4a', 'kept the original format');
+
+  moof = mp4.tools.inspect(segments[0].data)[0];
+  traf = moof.boxes[1];
+  assert.deepEqual(traf.boxes.map(function(box) {
+    return box.type;
+  }), ['tfhd', 'tfdt', 'trun', 'saiz', 'saio', 'senc'], 'wrote the auxiliary boxes');
+
+  senc = traf.boxes[5];
+  saio = traf.boxes[4];
+  // the offset in the saio box points at the first sample IV in the senc box
+  assert.deepEqual(
+    segments[0].data.subarray(saio.offsets[0], saio.offsets[0] + 8),
+    new Uint8Array(8),
+    'pointed the saio box at the first IV'
+  );
+  assert.equal(senc.samples.length, 2, 'wrote an entry for every sample');
+  assert.equal(senc.perSampleIvSize, 8, 'wrote 8 byte IVs');
+
+  // decrypt the first sample from the mdat with the first IV
+  mdat = segments[0].data.subarray(traf.boxes[2].dataOffset);
+  sample = new Uint8Array(mdat.subarray(0, 30));
+  counter.set(senc.samples[0].iv);
+  aes.ctr(new aes.AES(key), counter, sample);
+  assert.deepEqual(sample, new Uint8Array(filledArray(30, 0)), 'encrypted the sample');
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  parseSpliceInfoSection = require('../lib/m2ts/scte35').parseSpliceInfoSection,
+  base64ToUint8Array = require('./base64-to-uint8-array'),
+  utils = require('./utils'),
+  spliceTime = utils.spliceTime,
+  spliceInfoSection = utils.spliceInfoSection;
+
+QUnit.module('SCTE-35');
+
+QUnit.test('parses a splice_insert', function(assert) {
+  // the splice_insert example of SCTE 35, with an avail_descriptor
+  var message = parseSpliceInfoSection(base64ToUint8Array(
+    '/DAvAAAAAAAA///wFAVIAACPf+/+c2nALv4AUsz1AAAAAAAKAAhDVUVJAAABNWLbowo='));
+
+  assert.equal(message.spliceCommandType, 0x05, 'parsed the command type');
+  assert.deepEqual(message.spliceCommand, {
+    type: 'splice_insert',
+    spliceEventId: 0x4800008f,
+    spliceEventCancel: false,
+    outOfNetwork: true,
+    programSplice: true,
+    spliceImmediate: false,
+    ptsTime: 0x07369c02e,
+    breakDuration: {
+      autoReturn: true,
+      duration: 0x00052ccf5
+    },
+    uniqueProgramId: 0,
+    availNum: 0,
+    availsExpected: 0
+  }, 'parsed the splice_insert');
+  assert.deepEqual(message.descriptors, [{
+    spliceDescriptorTag: 0x00,
+    type: 'avail_descriptor',
+    identifier: 'CUEI',
+    providerAvailId: 0x135
+  }], 'parsed the avail_descriptor');
+  assert.equal(message.pts, 0x07369c02e, 'set the pts of the splice');
+  assert.equal(message.dts, 0x07369c02e, 'set the dts of the splice');
+});
+
+QUnit.test('parses a time_signal with a segmentation_descriptor', function(assert) {
+  // the time_signal example of SCTE 35, starting a placement opportunity
+  var message = parseSpliceInfoSection(base64ToUint8Array(
+    '/DA0AAAAAAAA///wBQb+cr0AUAAeAhxDVUVJSAAAjn/PAAGlmbAICAAAAAAsoKGKNAIAmsnRfg=='));
+  var descriptor = message.descriptors[0];
+
+  assert.deepEqual(message.spliceCommand, {
+    type: 'time_signal',
+    ptsTime: 0x072bd0050
+  }, 'parsed the time_signal');
+  assert.equal(message.pts, 0x072bd0050, 'set the pts of the signal');
+  assert.equal(descriptor.type, 'segmentation_descriptor', 'parsed the descriptor type');
+  assert.equal(descriptor.segmentationEventId, 0x4800008e, 'parsed the event id');
+  assert.equal(descriptor.segmentationEventCancel, false, 'parsed the cancel indicator');
+  assert.equal(descriptor.programSegmentation, true, 'parsed the program flag');
+  assert.equal(descriptor.segmentationDuration, 0x0001a599b0, 'parsed the duration');
+  assert.equal(descriptor.segmentationUpidType, 0x08, 'parsed the UPID type');
+  assert.deepEqual(Array.from(descriptor.segmentationUpid),
+                   [0x00, 0x00, 0x00, 0x00, 0x2c, 0xa0, 0xa1, 0x8a], 'parsed the UPID');
+  assert.equal(descriptor.segmentationTypeId, 0x34, 'parsed the segmentation type');
+  assert.equal(descriptor.segmentNum, 2, 'parsed the segment number');
+  assert.equal(descriptor.segmentsExpected, 0, 'parsed the expected segments');
+  assert.notOk('subSegmentNum' in descriptor, 'did not read past the descriptor');
+});
+
+QUnit.test('adds the pts_adjustment to the splice time', function(assert) {
+  var message = parseSpliceInfoSection(new Uint8Array(spliceInfoSection(
+    Math.pow(2, 33) - 1000, 0x06, spliceTime(3000), [])));
+
+  assert.equal(message.ptsAdjustment, Math.pow(2, 33) - 1000, 'parsed the adjustment');
+  assert.equal(message.spliceCommand.ptsTime, 3000, 'kept the pts_time of the command');
+  assert.equal(message.pts, 2000, 'wrapped the adjusted time around 33 bits');
+
+  message = parseSpliceInfoSection(new Uint8Array(spliceInfoSection(
+    0, 0x05, [0x00, 0x00, 0x00, 0x01, 0x7f, 0xdf, 0x00, 0x01, 0x00, 0x00], [])));
+  assert.equal(message.spliceCommand.spliceImmediate, true, 'parsed an immediate splice');
+  assert.notOk('pts' in message, 'did not set a pts without a splice time');
+});
+
+QUnit.test('parses the segmentation descriptors of components', function(assert) {
+  var message = parseSpliceInfoSection(new Uint8Array(spliceInfoSection(0, 0x06, [0x7f], [
+    0x02, 24, 0x43, 0x55, 0x45, 0x49,
+    // event id, not cancelled, segmentation of components with restrictions
+    0x00, 0x00, 0x00, 0x07, 0x7f, 0x1c,
+    // one component with a pts_offset
+    0x01, 0x22, 0xfe, 0x00, 0x00, 0x01, 0x00,
+    // no UPID, a provider placement opportunity with its sub-segments
+    0x00, 0x00, 0x34, 0x01, 0x02, 0x03, 0x04,
+    // an unknown descriptor
+    0x80, 0x04, 0x61, 0x62, 0x63, 0x64
+  ])));
+  var descriptor = message.descriptors[0];
+
+  assert.equal(descriptor.programSegmentation, false, 'parsed the program flag');
+  assert.equal(descriptor.deliveryNotRestricted, false, 'parsed the delivery flag');
+  assert.equal(descriptor.archiveAllowed, true, 'parsed the archive flag');
+  assert.equal(descriptor.noRegionalBlackout, true, 'parsed the blackout flag');
+  assert.equal(descriptor.webDeliveryAllowed, true, 'parsed the web delivery flag');
+  assert.deepEqual(descriptor.components, [{ componentTag: 0x22, ptsOffset: 0x100 }],
+                   'parsed the components');
+  assert.equal(descriptor.subSegmentNum, 3, 'parsed the sub-segment number');
+  assert.equal(descriptor.subSegmentsExpected, 4, 'parsed the expected sub-segments');
+  assert.equal(message.descriptors[1].identifier, 'abcd',
+               'parsed the identifier of the unknown descriptor');
+  assert.deepEqual(Array.from(message.descriptors[1].data), [], 'kept its data');
+});
+
+QUnit.test('ignores invalid sections', function(assert) {
+  var section = spliceInfoSection(0, 0x00, [], []);
+
+  assert.ok(parseSpliceInfoSection(new Uint8Array(section)), 'parsed a splice_null');
+  section[section.length - 1] ^= 0x01;
+  assert.equal(parseSpliceInfoSection(new Uint8Array(section)), null,
+               'ignored a section with a bad CRC_32');
+  assert.equal(parseSpliceInfoSection(new Uint8Array(spliceInfoSection(
+    0, 0x05, [0x00, 0x00, 0x00, 0x01, 0x7f, 0xff], []))), null,
+               'ignored a truncated splice_insert');
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  TeletextStream = require('../lib/m2ts/teletext-stream'),
+  utils = require('./utils'),
+  teletextHeader = utils.teletextHeader,
+  teletextRow = utils.teletextRow,
+  teletextStream,
+  cues,
+  pushUnits;
+
+// push the data units of a teletext PES packet
+pushUnits = function(pts, units) {
+  teletextStream.push({
+    type: 'teletext',
+    trackId: 0x105,
+    pts: pts,
+    dts: pts,
+    data: new Uint8Array(Array.prototype.concat.apply([0x10], units))
+  });
+};
+
+QUnit.module('Teletext Stream', {
+  beforeEach: function() {
+    teletextStream = new TeletextStream();
+    cues = [];
+    teletextStream.on('data', function(cue) {
+      cues.push(cue);
+    });
+  }
+});
+
+QUnit.test('decodes the cues of a subtitle page', function(assert) {
+  var subtitle = { erase: true, subtitle: true };
+
+  pushUnits(1000, [
+    teletextHeader(888, subtitle),
+    teletextRow(8, 20, 'Hello'),
+    teletextRow(8, 22, 'world')
+  ]);
+  pushUnits(5000, [teletextHeader(888, subtitle)]);
+  pushUnits(9000, [teletextHeader(888, subtitle), teletextRow(8, 22, 'Bye')]);
+  assert.equal(cues.length, 1, 'emitted the cue that was replaced');
+
+  pushUnits(9500, [teletextHeader(888, subtitle), teletextRow(8, 22, 'Bye')]);
+  pushUnits(9800, [teletextHeader(800, {})]);
+  teletextStream.endTimeline();
+
+  assert.deepEqual(cues, [{
+    startPts: 1000,
+    endPts: 5000,
+    text: 'Hello\nworld',
+    page: 888,
+    trackId: 0x105
+  }, {
+    startPts: 9000,
+    endPts: 9800,
+    text: 'Bye',
+    page: 888,
+    trackId: 0x105
+  }], 'emitted a cue for every subtitle');
+});
+
+QUnit.test('decodes the characters of national option subsets', function(assert) {
+  pushUnits(1000, [
+    teletextHeader(888, { erase: true, subtitle: true, nationalOption: 1 }),
+    teletextRow(8, 22, 'Gr[\\e')
+  ]);
+  pushUnits(2000, [teletextHeader(888, { erase: true, subtitle: true })]);
+  pushUnits(3000, [teletextHeader(800, {})]);
+
+  assert.equal(cues[0].text, 'GrÄÖe', 'used the German subset');
+});
+
+QUnit.test('decodes the page of the page option', function(assert) {
+  teletextStream = new TeletextStream({ page: 801 });
+  teletextStream.on('data', function(cue) {
+    cues.push(cue);
+  });
+
+  pushUnits(1000, [
+    teletextHeader(888, { erase: true, subtitle: true }),
+    teletextRow(8, 22, 'Subtitle')
+  ]);
+  pushUnits(1000, [teletextHeader(801, { erase: true }), teletextRow(8, 1, 'News')]);
+  pushUnits(2000, [teletextHeader(899, {})]);
+  teletextStream.endTimeline();
+
+  assert.deepEqual(cues.map(function(cue) {
+    return [cue.page, cue.text];
+  }), [[801, 'News']], 'only decoded the page');
+});
+
+QUnit.test('ignores pages that are not subtitles by default', function(assert) {
+  pushUnits(1000, [teletextHeader(100, { erase: true }), teletextRow(1, 1, 'Index')]);
+  pushUnits(2000, [teletextHeader(101, { erase: true })]);
+  teletextStream.endTimeline();
+
+  assert.equal(cues.length, 0, 'emitted no cues');
+});
+
+QUnit.test('ends the pages of every magazine in serial mode', function(assert) {
+  pushUnits(1000, [
+    teletextHeader(888, { erase: true, subtitle: true, serial: true }),
+    teletextRow(8, 22, 'Serial')
+  ]);
+  // the row is not part of the page anymore
+  pushUnits(2000, [teletextHeader(100, { serial: true }), teletextRow(8, 23, 'Index')]);
+  teletextStream.endTimeline();
+
+  assert.deepEqual(cues.map(function(cue) {
+    return [cue.startPts, cue.endPts, cue.text];
+  }), [[1000, 2000, 'Serial']], 'ended the page with the header of another magazine');
+});
+
+QUnit.test('adds the language of the page from the PMT', function(assert) {
+  teletextStream.push({
+    type: 'metadata',
+    tracks: [],
+    subtitleTracks: [{
+      id: 0x105,
+      type: 'teletext',
+      pages: [{ language: 'fra', teletextType: 2, page: 888 }]
+    }]
+  });
+  pushUnits(1000, [
+    teletextHeader(888, { erase: true, subtitle: true }),
+    teletextRow(8, 22, 'Bonjour')
+  ]);
+  teletextStream.endTimeline();
+
+  assert.equal(cues.length, 1, 'emitted the cue');
+  assert.equal(cues[0].language, 'fra', 'added the language');
+});
@@ -55,7 +55,12 @@ var mp2t = require('../lib/m2ts'),
     videoPes = utils.videoPes,
     adtsFrame = utils.adtsFrame,
     audioPes = utils.audioPes,
-    timedMetadataPes = utils.timedMetadataPes;
+    timedMetadataPes = utils.timedMetadataPes,
+    transportPacket = utils.transportPacket,
+    teletextHeader = utils.teletextHeader,
+    teletextRow = utils.teletextRow,
+    spliceTime = utils.spliceTime,
+    spliceInfoSection = utils.spliceInfoSection;
 
 mp4.tools = require('../lib/tools/mp4-inspector');
 
@@ -174,6 +179,138 @@ QUnit.test('buffers extra after multiple packets', function(assert) {
   assert.equal(188, datas[2].length, 'parsed the finel packet');
 });
 
+// a transport packet of a PID, with a payload unless adaptation field flags
+// are passed in
+var continuityPacket = function(pid, continuityCounter, adaptationFieldFlags) {
+  var packet = new Uint8Array(188);
+
+  packet.set([0x47, pid >> 8, pid & 0xff, 0x10 | continuityCounter]);
+  if (adaptationFieldFlags !== undefined) {
+    packet[3] |= 0x20;
+    packet[4] = 1;
+    packet[5] = adaptationFieldFlags;
+  }
+  return packet;
+};
+
+QUnit.test('warns about lost and duplicate packets', function(assert) {
+  var warnings = [], noPayload = continuityPacket(0x100, 3, 0x00);
+
+  noPayload[3] &= ~0x10;
+  transportPacketStream.on('warning', function(warning) {
+    warnings.push(warning);
+  });
+  [
+    continuityPacket(0x100, 0),
+    continuityPacket(0x100, 1),
+    continuityPacket(0x100, 1),
+    continuityPacket(0x101, 5),
+    continuityPacket(0x100, 1),
+    continuityPacket(0x100, 3),
+    noPayload,
+    continuityPacket(0x100, 9, 0x80),
+    continuityPacket(0x100, 10),
+    continuityPacket(0x1fff, 0)
+  ].forEach(function(packet) {
+    transportPacketStream.push(packet);
+  });
+  transportPacketStream.flush();
+
+  assert.deepEqual(warnings.map(function(warning) {
+    return [warning.type, warning.pid, warning.packetIndex, warning.continuityCounter,
+      warning.expected];
+  }), [
+    ['duplicate-packet', 0x100, 2, 1, 2],
+    ['continuity-error', 0x100, 4, 1, 2],
+    ['continuity-error', 0x100, 5, 3, 2]
+  ], 'warned about the duplicate and the lost packets');
+  assert.equal(warnings[1].message,
+               'Packet 4 of PID 256 has continuity counter 1 instead of 2',
+               'described the error');
+});
+
+QUnit.test('warns about transport errors', function(assert) {
+  var warnings = [], datas = [], packet = continuityPacket(0x100, 0);
+
+  packet[1] |= 0x80;
+  transportPacketStream.on('warning', function(warning) {
+    warnings.push(warning);
+  });
+  transportPacketStream.on('data', function(data) {
+    datas.push(data);
+  });
+  transportPacketStream.push(packet);
+  transportPacketStream.flush();
+
+  assert.equal(warnings.length, 1, 'warned once');
+  assert.equal(warnings[0].type, 'transport-error', 'warned about the transport error');
+  assert.equal(warnings[0].pid, 0x100, 'reported the PID');
+  assert.equal(datas.length, 1, 'still emitted the packet');
+});
+
+QUnit.test('discards duplicate packets', function(assert) {
+  var
+    writer = new mp2t.TransportPacketWriter(),
+    parseStream = new TransportParseStream(),
+    videoStream = new ElementaryStream(),
+    frame = new Uint8Array(400),
+    frames = [],
+    packets = [],
+    segment;
+
+  frame.set([0x00, 0x00, 0x00, 0x01, 0x65]);
+  frame[399] = 0xaa;
+  writer.on('data', function(data) {
+    segment = data.data;
+  });
+  writer.push({
+    type: 'metadata',
+    tracks: [{ id: 1, codec: 'avc', type: 'video' }]
+  });
+  writer.push({ type: 'video', trackId: 1, pts: 90000, dts: 90000, data: frame });
+  writer.flush();
+
+  transportPacketStream.pipe(parseStream).pipe(videoStream);
+  transportPacketStream.on('data', function(packet) {
+    packets.push(packet);
+  });
+  videoStream.on('data', function(event) {
+    if (event.type === 'video') {
+      frames.push(event);
+    }
+  });
+  // the tables and the first packet of the frame, then its second packet twice
+  transportPacketStream.push(segment.subarray(0, 4 * 188));
+  transportPacketStream.push(segment.subarray(3 * 188));
+  transportPacketStream.flush();
+  videoStream.flush('endTimeline');
+
+  assert.equal(packets.length, 5, 'emitted the packets once');
+  assert.equal(frames.length, 1, 'reassembled the frame');
+  assert.deepEqual(frames[0].data, frame, 'kept the frame unchanged');
+});
+
+QUnit.test('checks the continuity of every timeline separately', function(assert) {
+  var warnings = [];
+
+  transportPacketStream.on('warning', function(warning) {
+    warnings.push(warning);
+  });
+  transportPacketStream.push(continuityPacket(0x100, 0));
+  transportPacketStream.flush();
+  transportPacketStream.push(continuityPacket(0x100, 2));
+  transportPacketStream.endTimeline();
+  assert.equal(warnings.length, 1, 'checked the counters across segments');
+  assert.equal(warnings[0].packetIndex, 0, 'counted the packets of the segment');
+
+  transportPacketStream.push(continuityPacket(0x100, 7));
+  transportPacketStream.flush();
+  transportPacketStream.reset();
+  transportPacketStream.push(continuityPacket(0x100, 4));
+  transportPacketStream.flush();
+  assert.equal(warnings.length, 1, 'started over after the timeline and the reset');
+});
+
 QUnit.module('MP2T TransportParseStream', {
   beforeEach: function() {
     transportPacketStream = new TransportPacketStream();
@@ -313,6 +450,224 @@ QUnit.test('parse the elementary streams from a program map table', function(ass
   assert.deepEqual(transportParseStream.programMapTable, packet.programMapTable, 'recorded the PMT');
 });
 
+// a transport packet carrying a PSI section
+var psiPacket = function(pid, section) {
+  var packet = new Uint8Array(188);
+
+  packet.fill(0xff);
+  // the CRC_32 is not checked
+  packet.set([0x47, 0x40 | pid >> 8, pid & 0xff, 0x10, 0x00]
+    .concat(section, [0, 0, 0, 0]));
+  return packet;
+};
+
+// a PAT listing the PMT PID of every program number
+var multiProgramPat = function(programs) {
+  var entries = [];
+
+  programs.forEach(function(program) {
+    entries.push(program[0] >> 8, program[0] & 0xff,
+                 0xe0 | program[1] >> 8, program[1] & 0xff);
+  });
+  return psiPacket(0, [0x00, 0xb0, 9 + entries.length, 0x00, 0x01, 0xc1, 0x00, 0x00]
+    .concat(entries));
+};
+
+// a PMT listing the PID and the descriptors of every stream type
+var programPmt = function(pmtPid, programNumber, streams) {
+  var entries = [];
+
+  streams.forEach(function(stream) {
+    var descriptors = stream[2] || [];
+
+    entries.push(stream[0], 0xe0 | stream[1] >> 8, stream[1] & 0xff,
+                 0xf0, descriptors.length);
+    entries = entries.concat(descriptors);
+  });
+  return psiPacket(pmtPid, [
+    0x02, 0xb0, 13 + entries.length,
+    programNumber >> 8, programNumber & 0xff, 0xc1, 0x00, 0x00,
+    0xe0 | streams[0][1] >> 8, streams[0][1] & 0xff, 0xf0, 0x00
+  ].concat(entries));
+};
+
+// a PAT with a network PID and two programs, and the PMTs of the programs
+var multiProgramTables = function() {
+  return [
+    multiProgramPat([[0, 0x10], [1, 0x20], [2, 0x30]]),
+    programPmt(0x20, 1, [[H264_STREAM_TYPE, 0x101], [ADTS_STREAM_TYPE, 0x102]]),
+    programPmt(0x30, 2, [[ADTS_STREAM_TYPE, 0x202]])
+  ];
+};
+
+QUnit.test('lists every program of a multi-program stream', function(assert) {
+  var programs = [], pmts = [];
+
+  transportParseStream.on('programs', function(event) {
+    programs.push(event);
+  });
+  transportParseStream.on('data', function(data) {
+    if (data.type === 'pmt') {
+      pmts.push(data);
+    }
+  });
+  multiProgramTables().concat(multiProgramTables().map(function(packet) {
+    // the next continuity_counter, so that the tables are not duplicates
+    packet[3] |= 0x01;
+    return packet;
+  })).forEach(function(packet) {
+    transportPacketStream.push(packet);
+  });
+  transportPacketStream.flush();
+
+  assert.equal(programs.length, 3,
+               'triggered when the programs were found and described');
+  assert.deepEqual(programs[0], [
+    { programNumber: 1, pmtPid: 0x20, streams: undefined, selected: true },
+    { programNumber: 2, pmtPid: 0x30, streams: undefined, selected: false }
+  ], 'listed the programs of the PAT, without the network PID');
+  assert.deepEqual(programs[2], [{
+    programNumber: 1,
+    pmtPid: 0x20,
+    streams: [
+      { pid: 0x101, streamType: H264_STREAM_TYPE },
+      { pid: 0x102, streamType: ADTS_STREAM_TYPE }
+    ],
+    selected: true
+  }, {
+    programNumber: 2,
+    pmtPid: 0x30,
+    streams: [{ pid: 0x202, streamType: ADTS_STREAM_TYPE }],
+    selected: false
+  }], 'described the streams of every program');
+
+  assert.equal(pmts.length, 2, 'only emitted the PMTs of the first program');
+  assert.equal(transportParseStream.programMapTable.video, 0x101, 'mapped the video');
+  assert.equal(transportParseStream.programMapTable.audio, 0x102, 'mapped the audio');
+});
+
+QUnit.test('parses the program of the programNumber option', function(assert) {
+  var programs;
+
+  transportParseStream = new TransportParseStream({ programNumber: 2 });
+  transportParseStream.on('programs', function(event) {
+    programs = event;
+  });
+  multiProgramTables().forEach(function(packet) {
+    transportParseStream.push(packet);
+  });
+
+  assert.equal(transportParseStream.pmtPid, 0x30, 'used the PMT PID of the program');
+  assert.equal(transportParseStream.programMapTable.video, null, 'mapped no video');
+  assert.equal(transportParseStream.programMapTable.audio, 0x202, 'mapped the audio');
+  assert.deepEqual(programs.map(function(program) {
+    return program.selected;
+  }), [false, true], 'selected the second program');
+});
+
+QUnit.test('warns when the programNumber option matches no program', function(assert) {
+  var warnings = [];
+
+  transportParseStream = new TransportParseStream({ programNumber: 3 });
+  transportParseStream.on('warning', function(warning) {
+    warnings.push(warning);
+  });
+  multiProgramTables().concat(multiProgramTables()).forEach(function(packet) {
+    transportParseStream.push(packet);
+  });
+
+  assert.equal(warnings.length, 1, 'warned once');
+  assert.equal(warnings[0].type, 'program-not-found', 'warned about the program');
+  assert.equal(warnings[0].programNumber, 3, 'reported the program number');
+  assert.equal(warnings[0].message,
+               'The PAT does not list program 3, its programs are 1, 2',
+               'listed the programs of the PAT');
+  assert.equal(transportParseStream.programMapTable, undefined, 'parsed no program');
+});
+
+// an ISO_639_language_descriptor
+var languageDescriptor = function(language) {
+  return [0x0a, 4].concat(language.split('').map(function(letter) {
+    return letter.charCodeAt(0);
+  }), 0x00);
+};
+
+// a PMT with video and two dubs
+var dubbedPmt = function() {
+  return programPmt(0x20, 1, [
+    [H264_STREAM_TYPE, 0x101],
+    [ADTS_STREAM_TYPE, 0x102, languageDescriptor('eng')],
+    [ADTS_STREAM_TYPE, 0x103, languageDescriptor('fra')]
+  ]);
+};
+
+QUnit.test('lists every audio stream of a program', function(assert) {
+  transportParseStream.pmtPid = 0x20;
+  transportParseStream.push(dubbedPmt());
+
+  assert.deepEqual(transportParseStream.programMapTable.audioTracks, [
+    { pid: 0x102, streamType: ADTS_STREAM_TYPE, language: 'eng' },
+    { pid: 0x103, streamType: ADTS_STREAM_TYPE, language: 'fra' }
+  ], 'listed the audio streams with their language');
+  assert.equal(transportParseStream.programMapTable.audio, 0x102,
+               'selected the first audio stream');
+  assert.equal(transportParseStream.programMapTable.audioLanguage, 'eng',
+               'recorded the language of the audio stream');
+});
+
+QUnit.test('selects an audio stream by language or PID', function(assert) {
+  [
+    [{ audioLanguage: 'FRA' }, 0x103],
+    [{ audioLanguage: 'deu' }, 0x102],
+    [{ audioPid: 0x103, audioLanguage: 'eng' }, 0x103],
+    [{ audioPid: 0x104 }, 0x102]
+  ].forEach(function(test) {
+    transportParseStream = new TransportParseStream(test[0]);
+    transportParseStream.pmtPid = 0x20;
+    transportParseStream.push(dubbedPmt());
+
+    assert.equal(transportParseStream.programMapTable.audio, test[1],
+                 'selected the audio stream of ' + JSON.stringify(test[0]));
+  });
+});
+
+// a PMT with DVB subtitles and teletext
+var subtitlePmt = function() {
+  return programPmt(0x20, 1, [
+    [0x06, 0x44, [
+      // subtitling_descriptor: 'eng', type, composition and ancillary page IDs
+      0x59, 8, 0x65, 0x6e, 0x67, 0x10, 0x00, 0x01, 0x00, 0x02
+    ]],
+    [0x06, 0x45, [
+      // teletext_descriptor: 'fra', subtitle page 888
+      0x56, 5, 0x66, 0x72, 0x61, 0x02 << 3, 0x88
+    ]]
+  ]);
+};
+
+QUnit.test('maps DVB subtitles and teletext', function(assert) {
+  transportParseStream.pmtPid = 0x20;
+  transportParseStream.push(subtitlePmt());
+
+  assert.deepEqual(transportParseStream.programMapTable.subtitles, {
+    0x44: {
+      type: 'dvb-subtitles',
+      subtitles: [{
+        language: 'eng',
+        subtitlingType: 0x10,
+        compositionPageId: 1,
+        ancillaryPageId: 2
+      }]
+    },
+    0x45: {
+      type: 'teletext',
+      pages: [{ language: 'fra', teletextType: 2, page: 888 }]
+    }
+  }, 'described the subtitles of the private data streams');
+  assert.equal(transportParseStream.programMapTable.audio, null,
+               'did not take the private data streams for Opus audio');
+});
+
 QUnit.module('MP2T ElementaryStream', {
   beforeEach: function() {
     elementaryStream = new ElementaryStream();
@@ -730,6 +1085,53 @@ QUnit.test('drops packets with unknown stream types', function(assert) {
   assert.equal(packets.length, 0, 'ignored unknown packets');
 });
 
+QUnit.test('reassembles the sections of SCTE-35 messages', function(assert) {
+  var
+    messages = [],
+    warnings = [],
+    first = spliceInfoSection(0, 0x06, spliceTime(1000), []),
+    second = spliceInfoSection(0, 0x06, spliceTime(2000), []),
+    third = spliceInfoSection(0, 0x06, spliceTime(3000), []),
+    corrupted = spliceInfoSection(0, 0x06, spliceTime(4000), []),
+    pushSection = function(start, bytes) {
+      elementaryStream.push({
+        type: 'pes',
+        pid: 0x46,
+        streamType: mp2t.SCTE35_STREAM_TYPE,
+        payloadUnitStartIndicator: start,
+        data: new Uint8Array(bytes)
+      });
+    };
+
+  elementaryStream.on('data', function(message) {
+    messages.push(message);
+  });
+  elementaryStream.on('warning', function(warning) {
+    warnings.push(warning);
+  });
+  corrupted[corrupted.length - 1] ^= 0x01;
+
+  // ignored until the start of a section
+  pushSection(false, third);
+  pushSection(true, [0x00].concat(first, second.slice(0, 10)));
+  assert.equal(messages.length, 1, 'emitted the complete section');
+  pushSection(false, second.slice(10, 20));
+  // the pointer_field skips the end of the previous section
+  pushSection(true, [second.length - 20].concat(second.slice(20), third, [0xff, 0xff]));
+  pushSection(true, [0x00].concat(corrupted));
+
+  assert.deepEqual(messages.map(function(message) {
+    return [message.type, message.trackId, message.pts];
+  }), [
+    ['scte35', 0x46, 1000],
+    ['scte35', 0x46, 2000],
+    ['scte35', 0x46, 3000]
+  ], 'emitted the SCTE-35 messages');
+  assert.deepEqual(warnings.map(function(warning) {
+    return [warning.type, warning.pid];
+  }), [['scte35-error', 0x46]], 'warned about the corrupted section');
+});
+
 QUnit.module('MP2T TimestampRolloverStream', {
   beforeEach: function() {
     timestampRolloverStream = new TimestampRolloverStream('audio');
@@ -830,6 +1232,26 @@ QUnit.test('Correctly parses multiple PTS rollovers', function(assert) {
   assert.equal(packets[9].pts, (3 * maxTS) + 1, 'correctly parsed the pts value');
 });
 
+QUnit.test('keeps the reference of events without a time', function(assert) {
+  var
+    maxTS = 8589934592,
+    sharedStream = new TimestampRolloverStream(),
+    events = [];
+
+  sharedStream.on('data', function(event) {
+    events.push(event);
+  });
+  sharedStream.push({ type: 'video', pts: maxTS - 90000, dts: maxTS - 90000 });
+  // a splice_null heartbeat
+  sharedStream.push({ type: 'scte35', spliceCommandType: 0x00 });
+  sharedStream.flush();
+  sharedStream.push({ type: 'video', pts: 1000, dts: 1000 });
+
+  assert.equal(events.length, 3, 'passed on every event');
+  assert.notOk('pts' in events[1], 'did not give a time to the message');
+  assert.equal(events[2].dts, maxTS + 1000, 'unwrapped the time of the next segment');
+});
+
 QUnit.module('H264 Stream', {
   beforeEach: function() {
     h264Stream = new H264Stream();
@@ -3738,6 +4160,242 @@ QUnit.test('generates a video init segment', function(assert) {
   assert.equal('moov', boxes[1].type, 'generated a moov box');
 });
 
+QUnit.test('passes up the warnings of the packet stream', function(assert) {
+  var warnings = [], segment, videoPackets = 0, i;
+
+  // drop the third video packet
+  for (i = 0; i < testSegment.length; i += 188) {
+    if (((testSegment[i + 1] & 0x1f) << 8 | testSegment[i + 2]) === 0x100 &&
+        ++videoPackets === 3) {
+      break;
+    }
+  }
+  segment = new Uint8Array(testSegment.length - 188);
+  segment.set(testSegment.subarray(0, i));
+  segment.set(testSegment.subarray(i + 188), i);
+
+  transmuxer.on('warning', function(warning) {
+    warnings.push(warning);
+  });
+  transmuxer.push(segment);
+  transmuxer.flush();
+
+  assert.equal(warnings.length, 1, 'warned once');
+  assert.equal(warnings[0].type, 'continuity-error', 'warned about the lost packet');
+  assert.equal(warnings[0].pid, 0x100, 'reported the video PID');
+  assert.equal(warnings[0].packetIndex, i / 188,
+               'reported the packet after the lost one');
+});
+
+QUnit.test('transmuxes the program of the programNumber option', function(assert) {
+  var programs = [], trackinfo = [];
+
+  transmuxer = new Transmuxer({ programNumber: 2 });
+  transmuxer.on('programs', function(event) {
+    programs.push(event);
+  });
+  transmuxer.on('trackinfo', function(event) {
+    trackinfo.push(event);
+  });
+  multiProgramTables().forEach(function(packet) {
+    transmuxer.push(packet);
+  });
+  transmuxer.flush();
+
+  assert.equal(programs.length, 3, 'passed up the programs');
+  assert.equal(programs[2][1].programNumber, 2, 'listed the second program');
+  assert.ok(programs[2][1].selected, 'selected the second program');
+  assert.deepEqual(trackinfo, [{
+    hasAudio: true,
+    hasVideo: false,
+    audioTracks: [{ id: 0x202, codec: 'adts', language: undefined, selected: true }]
+  }], 'used the tracks of the second program');
+});
+
+QUnit.test('lists the audio streams in trackinfo events', function(assert) {
+  var trackinfo;
+
+  transmuxer = new Transmuxer({ audioLanguage: 'fra' });
+  transmuxer.on('trackinfo', function(event) {
+    trackinfo = event;
+  });
+  transmuxer.push(multiProgramPat([[1, 0x20]]));
+  transmuxer.push(dubbedPmt());
+  transmuxer.flush();
+
+  assert.deepEqual(trackinfo.audioTracks, [
+    { id: 0x102, codec: 'adts', language: 'eng', selected: false },
+    { id: 0x103, codec: 'adts', language: 'fra', selected: true }
+  ], 'listed the audio streams');
+  assert.equal(transmuxer.audioTrack.id, 0x103, 'transmuxed the selected stream');
+  assert.equal(transmuxer.audioTrack.language, 'fra', 'kept the language of the track');
+});
+
+QUnit.test('triggers teletext cues and DVB subtitles', function(assert) {
+  var cues = [], subtitles = [], subtitle = { erase: true, subtitle: true };
+
+  transmuxer.on('teletext', function(cue) {
+    cues.push(cue);
+  });
+  transmuxer.on('dvbSubtitle', function(pes) {
+    subtitles.push(pes);
+  });
+  transmuxer.push(multiProgramPat([[1, 0x20]]));
+  transmuxer.push(subtitlePmt());
+  [
+    [1000, [teletextHeader(888, subtitle), teletextRow(8, 22, 'Hello')]],
+    [5000, [teletextHeader(888, subtitle)]],
+    [6000, [teletextHeader(800, {})]]
+  ].forEach(function(pes) {
+    transmuxer.push(new Uint8Array(transportPacket(0x45,
+      Array.prototype.concat.apply([0x10], pes[1]), true, pes[0])));
+  });
+  transmuxer.push(new Uint8Array(
+    transportPacket(0x44, [0x20, 0x00, 0x0f, 0xff], true, 2000)));
+  transmuxer.endTimeline();
+
+  assert.deepEqual(cues, [{
+    startPts: 1000,
+    endPts: 5000,
+    text: 'Hello',
+    page: 888,
+    trackId: 0x45,
+    language: 'fra'
+  }], 'decoded the teletext subtitles');
+  assert.equal(subtitles.length, 1, 'triggered the DVB subtitles');
+  assert.equal(subtitles[0].trackId, 0x44, 'triggered the PID of the subtitles');
+  assert.equal(subtitles[0].pts, 2000, 'triggered the PTS of the subtitles');
+  assert.deepEqual(Array.from(subtitles[0].data), [0x20, 0x00, 0x0f, 0xff],
+                   'triggered the subtitling segments');
+});
+
+QUnit.test('triggers SCTE-35 messages', function(assert) {
+  var
+    messages = [],
+    section = spliceInfoSection(900, 0x06, spliceTime(Math.pow(2, 33) - 100), []),
+    packet = new Uint8Array(188);
+
+  transmuxer.on('scte35', function(message) {
+    messages.push(message);
+  });
+  packet.fill(0xff);
+  packet.set([0x47, 0x40, 0x46, 0x10, 0x00].concat(section));
+  transmuxer.push(multiProgramPat([[1, 0x20]]));
+  transmuxer.push(programPmt(0x20, 1, [[ADTS_STREAM_TYPE, 0x42], [0x86, 0x46]]));
+  transmuxer.push(packet);
+  transmuxer.flush();
+
+  assert.equal(messages.length, 1, 'triggered the message');
+  assert.equal(messages[0].trackId, 0x46, 'triggered the PID of the message');
+  assert.equal(messages[0].spliceCommand.type, 'time_signal', 'parsed the command');
+  assert.equal(messages[0].pts, 800, 'adjusted the splice time');
+});
+
+// the fields of an emsg box
+var parseEmsg = function(bytes) {
+  var
+    view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    version = bytes[8],
+    offset = 12,
+    result = { version: version },
+    readString = function() {
+      var end = Array.prototype.indexOf.call(bytes, 0, offset),
+        string = String.fromCharCode.apply(null, bytes.subarray(offset, end));
+
+      offset = end + 1;
+      return string;
+    };
+
+  if (!version) {
+    result.schemeIdUri = readString();
+    result.value = readString();
+  }
+  result.timescale = view.getUint32(offset);
+  if (version) {
+    result.presentationTime = view.getUint32(offset + 4) * Math.pow(2, 32) +
+      view.getUint32(offset + 8);
+    offset += 12;
+  } else {
+    result.presentationTimeDelta = view.getUint32(offset + 4);
+    offset += 8;
+  }
+  result.duration = view.getUint32(offset);
+  result.id = view.getUint32(offset + 4);
+  offset += 8;
+  if (version) {
+    result.schemeIdUri = readString();
+    result.value = readString();
+  }
+  result.messageData = Array.from(bytes.subarray(offset, view.getUint32(0)));
+  return result;
+};
+
+QUnit.test('writes ID3 tags and SCTE-35 messages as emsg boxes', function(assert) {
+  var
+    id3 = id3Generator,
+    tag = id3.id3Tag(id3.id3Frame('PRIV', 0x00, 0x01)),
+    section = spliceInfoSection(0, 0x05, [
+      // splice_event_id, out of network with a break duration of 2 seconds
+      0x00, 0x00, 0x00, 0x07, 0x7f, 0xef
+    ].concat(spliceTime(91800), [
+      0xfe, 0x00, 0x02, 0xbf, 0x20, 0x00, 0x01, 0x00, 0x00
+    ]), []),
+    splicePacket = new Uint8Array(188),
+    output = [],
+    transmux = function(options) {
+      output = [];
+      transmuxer = new Transmuxer(options);
+      transmuxer.on('data', function(segment) {
+        output.push(segment);
+      });
+      transmuxer.push(multiProgramPat([[1, 0x20]]));
+      transmuxer.push(programPmt(0x20, 1, [
+        [ADTS_STREAM_TYPE, 0x12], [METADATA_STREAM_TYPE, 0x13], [0x86, 0x46]
+      ]));
+      transmuxer.push(packetize(audioPes([0x19, 0x47], true, 90000)));
+      transmuxer.push(new Uint8Array(transportPacket(0x13, tag, true, 90900)));
+      transmuxer.push(splicePacket);
+      transmuxer.endTimeline();
+      return mp4.tools.inspect(output[0].data);
+    },
+    boxes;
+
+  splicePacket.fill(0xff);
+  splicePacket.set([0x47, 0x40, 0x46, 0x10, 0x00].concat(section));
+
+  boxes = transmux({ emsg: true });
+  assert.deepEqual(boxes.map(function(box) {
+    return box.type;
+  }), ['emsg', 'emsg', 'moof', 'mdat'], 'wrote the emsg boxes before the moof');
+  assert.deepEqual(parseEmsg(output[0].data), {
+    version: 1,
+    timescale: 90000,
+    presentationTime: 900,
+    duration: 0,
+    id: 0,
+    schemeIdUri: 'https://aomedia.org/emsg/ID3',
+    value: '',
+    messageData: tag
+  }, 'wrote the ID3 tag in a version 1 emsg');
+  assert.deepEqual(parseEmsg(output[0].data.subarray(boxes[0].size)), {
+    version: 1,
+    timescale: 90000,
+    presentationTime: 1800,
+    duration: 180000,
+    id: 7,
+    schemeIdUri: 'urn:scte:scte35:2013:bin',
+    value: '',
+    messageData: section
+  }, 'wrote the SCTE-35 section in a version 1 emsg');
+
+  boxes = transmux({ emsg: { version: 0 }, baseMediaDecodeTime: 9000 });
+  assert.equal(parseEmsg(output[0].data).presentationTimeDelta, 900,
+               'wrote the time from the start of the segment in a version 0 emsg');
+
+  boxes = transmux();
+  assert.equal(boxes[0].type, 'moof', 'wrote no emsg boxes by default');
+});
+
 QUnit.test('transmuxer triggers video timing info event on flush', function(assert) {
   var videoSegmentTimingInfoArr = [];
 
@@ -4165,6 +4823,151 @@ QUnit.test('can be reused for multiple TS segments', function(assert) {
             'generated identical audio mdats');
 });
 
+QUnit.test('outputs the packets buffered at the end of a timeline', function(assert) {
+  var segments = [];
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true
+  })));
+  transmuxer.push(packetize(audioPes([0x19, 0x47], true, 90000)));
+  transmuxer.push(packetize(audioPes([0x19, 0x47], true, 92090)));
+  transmuxer.flush();
+
+  assert.equal(segments.length, 1, 'generated a segment');
+  assert.equal(mp4.tools.inspect(segments[0].data)[0].boxes[1].boxes[2].samples.length, 1,
+               'kept the last packet buffered');
+
+  transmuxer.endTimeline();
+
+  assert.equal(segments.length, 2, 'generated a segment for the end of the timeline');
+  assert.equal(mp4.tools.inspect(segments[1].data)[0].boxes[1].boxes[2].samples.length, 1,
+               'output the last packet');
+});
+
+QUnit.test('starts later timelines at a new baseMediaDecodeTime', function(assert) {
+  var segments = [];
+
+  transmuxer.on('data', function(segment) {
+    segments.push(segment);
+  });
+  transmuxer.push(packetize(PAT));
+  transmuxer.push(packetize(generatePMT({
+    hasAudio: true
+  })));
+  transmuxer.push(packetize(audioPes([0x19, 0x47], true, 90000)));
+  transmuxer.endTimeline();
+
+  // the timestamps of the next timeline start over
+  transmuxer.setBaseMediaDecodeTime(180000);
+  transmuxer.push(packetize(audioPes([0x19, 0x47], true, 90000)));
+  transmuxer.endTimeline();
+
+  assert.equal(segments.length, 2, 'generated two segments');
+  assert.equal(mp4.tools.inspect(segments[0].data)[0].boxes[1].boxes[1].baseMediaDecodeTime,
+               0, 'started the first timeline at zero');
+  assert.equal(mp4.tools.inspect(segments[1].data)[0].boxes[1].boxes[1].baseMediaDecodeTime,
+               88200, 'started the second timeline at the new baseMediaDecodeTime');
+});
+
+QUnit.test('writes a progressive file at the end of the timeline', function(assert) {
+  var
+    fragments = [],
+    files = [],
+    progressive = new Transmuxer({ progressive: { faststart: true } }),
+    boxes,
+    traks,
+    stblOf,
+    sizesOf,
+    offset,
+    moofSize;
+
+  transmuxer.on('data', function(segment) {
+    fragments.push(segment);
+  });
+  transmuxer.push(testSegment);
+  transmuxer.flush();
+  transmuxer.endTimeline();
+
+  progressive.on('data', function(segment) {
+    files.push(segment);
+  });
+  progressive.push(testSegment);
+  progressive.flush();
+  assert.equal(files.length, 0, 'waited for the end of the timeline');
+  progressive.endTimeline();
+
+  assert.equal(files.length, 1, 'output a single file');
+  assert.equal(files[0].type, 'progressive', 'output a progressive file');
+  assert.deepEqual(files[0].info.tracks, [
+    { id: 256, type: 'video' },
+    { id: 257, type: 'audio' }
+  ], 'described the tracks of the file');
+
+  boxes = mp4.tools.inspect(files[0].data);
+  assert.deepEqual(boxes.map(function(box) {
+    return box.type;
+  }), ['ftyp', 'moov', 'mdat'], 'wrote the moov first');
+
+  stblOf = function(trak) {
+    return trak.boxes[1].boxes[2].boxes[2];
+  };
+  sizesOf = function(stbl) {
+    return stbl.boxes.filter(function(box) {
+      return box.type === 'stsz';
+    })[0].entries;
+  };
+  traks = boxes[1].boxes.slice(1);
+  ['video', 'audio'].forEach(function(type, i) {
+    var sizes = [];
+
+    fragments.forEach(function(fragment) {
+      if (fragment.type === type) {
+        mp4.tools.inspect(fragment.data)[0].boxes[1].boxes[2].samples
+          .forEach(function(sample) {
+            sizes.push(sample.size);
+          });
+      }
+    });
+    assert.deepEqual(sizesOf(stblOf(traks[i])), sizes, 'wrote the ' + type + ' samples');
+  });
+
+  offset = boxes[0].size + boxes[1].size + 8;
+  moofSize = mp4.tools.inspect(fragments[0].data)[0].size;
+  assert.equal(stblOf(traks[0]).boxes.filter(function(box) {
+    return box.type === 'stco';
+  })[0].chunkOffsets[0], offset, 'pointed at the video samples in the mdat');
+  assert.deepEqual(files[0].data.subarray(offset, offset + 16),
+                   fragments[0].data.subarray(moofSize + 8, moofSize + 24),
+                   'wrote the video samples first');
+});
+
+QUnit.test('writes the moov of a progressive file last by default', function(assert) {
+  var files = [];
+
+  transmuxer = new Transmuxer({ progressive: true });
+  transmuxer.on('data', function(segment) {
+    files.push(mp4.tools.inspect(segment.data));
+  });
+  transmuxer.push(testSegment);
+  transmuxer.endTimeline();
+
+  assert.deepEqual(files[0].map(function(box) {
+    return box.type;
+  }), ['ftyp', 'mdat', 'moov'], 'wrote the mdat first');
+
+  assert.throws(function() {
+    transmuxer = new Transmuxer({
+      progressive: true,
+      encryption: { keyId: new Uint8Array(16), key: new Uint8Array(16) }
+    });
+    transmuxer.push(testSegment);
+  }, /cannot be encrypted/, 'does not encrypt progressive files');
+});
+
 QUnit.module('NalByteStream', {
   beforeEach: function() {
     nalByteStream = new NalByteStream();
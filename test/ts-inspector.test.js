@@ -9,6 +9,7 @@ var
   tsNoAudioSegment = segments['test-no-audio-segment.ts'](),
   aacSegment = segments['test-aac-segment.aac'](),
   utils = require('./utils'),
+  TransportPacketWriter = require('../lib/m2ts/packet-writer'),
   inspect = tsInspector.inspect,
   parseAudioPes_ = tsInspector.parseAudioPes_,
   packetize = utils.packetize,
@@ -116,6 +117,133 @@ QUnit.test('adjusts timestamp values based on provided reference', function(asse
     'adjusts inspected time data to account for pts rollover');
 });
 
+QUnit.test('adds statistics in deep mode', function(assert) {
+  var stats = inspect(tsSegment, undefined, { deep: true }).stats, video, audio;
+
+  assert.deepEqual(Object.keys(stats.pids), ['0', '17', '256', '257', '4095'],
+                   'counted the packets of every PID');
+  assert.equal(stats.pids[256].packets, 561, 'counted the video packets');
+  assert.ok(Object.keys(stats.pids).every(function(pid) {
+    return stats.pids[pid].continuityErrors === 0;
+  }), 'found no continuity errors');
+  assert.equal(stats.pcr.pid, 256, 'read the PCRs of the video PID');
+  assert.equal(stats.pcr.count, 45, 'counted the PCRs');
+  assert.equal(stats.pcr.maxInterval, 0.2, 'measured the longest PCR interval');
+
+  video = stats.tracks[0];
+  assert.equal(video.type, 'video', 'described the video track');
+  assert.equal(video.streamType, StreamTypes.H264_STREAM_TYPE, 'kept the stream type');
+  assert.equal(video.frames, 134, 'counted the access units');
+  assert.equal(video.duration, 804000 / PES_TIMESCALE, 'measured the duration');
+  assert.equal(video.bitrates.length, 9, 'measured the bitrate of every second');
+  assert.equal(video.bitrates[8].time, 8, 'started the last window at 8 seconds');
+  assert.deepEqual(video.frameTypes, { I: 9, P: 125, B: 0 }, 'counted the frame types');
+  assert.deepEqual(video.gops.lengths, [15, 15, 15, 15, 15, 15, 15, 15, 14],
+                   'measured the GOPs from every IDR picture');
+  assert.equal(video.gops.min, 14, 'found the shortest GOP');
+  assert.equal(video.gops.max, 15, 'found the longest GOP');
+
+  audio = stats.tracks[1];
+  assert.equal(audio.type, 'audio', 'described the audio track');
+  assert.equal(audio.frameTypes, undefined, 'counted no frame types for audio');
+  assert.ok(audio.bitrate > 60000 && audio.bitrate < 70000, 'measured the audio bitrate');
+
+  assert.equal(inspect(tsSegment, undefined, { deep: true, interval: 4 })
+    .stats.tracks[0].bitrates.length, 3, 'measured the bitrate over longer windows');
+  assert.equal(inspect(tsSegment).stats, undefined, 'added no statistics by default');
+});
+
+QUnit.test('counts continuity counter errors in deep mode', function(assert) {
+  var segment, dropped, stats, i;
+
+  // drop the second video packet
+  for (i = 0, dropped = 0; i < tsSegment.length; i += 188) {
+    if (((tsSegment[i + 1] & 0x1f) << 8 | tsSegment[i + 2]) === 256 && ++dropped === 2) {
+      break;
+    }
+  }
+  segment = new Uint8Array(tsSegment.length - 188);
+  segment.set(tsSegment.subarray(0, i));
+  segment.set(tsSegment.subarray(i + 188), i);
+
+  stats = inspect(segment, undefined, { deep: true }).stats;
+  assert.equal(stats.pids[256].continuityErrors, 1, 'found the missing packet');
+  assert.equal(stats.pids[257].continuityErrors, 0, 'found no errors on other PIDs');
+});
+
+QUnit.test('counts the frame types of H.265 tracks in deep mode', function(assert) {
+  var
+    writer = new TransportPacketWriter(),
+    // a PPS with 2 extra slice header bits, which come before the slice_type
+    pps = [0x00, 0x00, 0x01, 0x44, 0x01, 0xc5],
+    // the first slice segments of IDR, CRA and trailing pictures, with their
+    // I, P or B slice_type
+    idr = [0x00, 0x00, 0x01, 0x26, 0x01, 0xa3, 0x80],
+    cra = [0x00, 0x00, 0x01, 0x2a, 0x01, 0xa3, 0x80],
+    p = [0x00, 0x00, 0x01, 0x02, 0x01, 0xc5, 0x80],
+    b = [0x00, 0x00, 0x01, 0x02, 0x01, 0xcc, 0x80],
+    segment,
+    video;
+
+  writer.on('data', function(output) {
+    segment = output.data;
+  });
+  writer.push({
+    type: 'metadata',
+    tracks: [{ id: 1, type: 'video', codec: 'hevc' }]
+  });
+  [pps.concat(idr), p, b, p, cra, p].forEach(function(frame, index) {
+    writer.push({
+      type: 'video',
+      trackId: 1,
+      pts: 9000 + index * 3000,
+      dts: 9000 + index * 3000,
+      data: new Uint8Array(frame)
+    });
+  });
+  writer.flush();
+
+  video = inspect(segment, undefined, { deep: true }).stats.tracks[0];
+  assert.equal(video.streamType, StreamTypes.H265_STREAM_TYPE, 'read an H.265 track');
+  assert.deepEqual(video.frameTypes, { I: 2, P: 3, B: 1 }, 'counted the frame types');
+  assert.deepEqual(video.gops.lengths, [4, 2],
+                   'measured the GOPs from every IRAP picture');
+});
+
+QUnit.test('counts the audio frames inside PES packets in deep mode', function(assert) {
+  var
+    writer = new TransportPacketWriter(),
+    frame = utils.adtsFrame(10).concat([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]),
+    // four ADTS frames, the last of which carries on in the next PES packet
+    first = frame.concat(frame, frame, frame.slice(0, 8)),
+    second = frame.slice(8).concat(frame),
+    segment,
+    audio;
+
+  writer.on('data', function(output) {
+    segment = output.data;
+  });
+  writer.push({
+    type: 'metadata',
+    tracks: [{ id: 1, type: 'audio', codec: 'adts' }]
+  });
+  [first, second].forEach(function(data, index) {
+    writer.push({
+      type: 'audio',
+      trackId: 1,
+      pts: 90000 + index * 8359,
+      dts: 90000 + index * 8359,
+      data: new Uint8Array(data)
+    });
+  });
+  writer.flush();
+
+  audio = inspect(segment, undefined, { deep: true }).stats.tracks[0];
+  assert.equal(audio.streamType, StreamTypes.ADTS_STREAM_TYPE, 'read an ADTS track');
+  assert.equal(audio.pesPackets, 2, 'counted the PES packets');
+  assert.equal(audio.frames, 5, 'counted the ADTS frames inside the PES packets');
+});
+
 QUnit.test('can parse an aac segment', function(assert) {
   var expected = {
     audio: [
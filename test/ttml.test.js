@@ -0,0 +1,102 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  toTtml = require('../lib/captions/ttml').toTtml,
+  body;
+
+// the paragraphs of a TTML document
+body = function(ttml) {
+  return ttml.slice(ttml.indexOf('<body><div>\n') + 12, ttml.indexOf('</div></body>'));
+};
+
+QUnit.module('TTML');
+
+QUnit.test('writes an IMSC1 text document', function(assert) {
+  var ttml = toTtml([{
+    startPts: 180000,
+    endPts: 270000,
+    text: 'second <i>line</i> & <more>',
+    stream: 'CC1'
+  }, {
+    startPts: 90000,
+    endPts: 180000,
+    text: 'first\n\nline',
+    stream: 'CC1'
+  }, {
+    startPts: 90000,
+    endPts: 180000,
+    text: 'first line',
+    stream: 'cc708_1'
+  }], {timelineStartPts: 45000, language: 'en'});
+
+  assert.equal(ttml.indexOf('<?xml version="1.0" encoding="UTF-8"?>\n'), 0,
+               'started with an XML declaration');
+  assert.ok(ttml.indexOf(' ttp:profile="http://www.w3.org/ns/ttml/profile/imsc1/text"') > 0,
+            'declared the IMSC1 Text Profile');
+  assert.ok(ttml.indexOf(' xml:lang="en">') > 0, 'declared the language');
+  assert.ok(ttml.indexOf('<region xml:id="r0" tts:origin="10% 10%" tts:extent="80% 80%"' +
+                         ' tts:displayAlign="after" tts:textAlign="center"') > 0,
+            'defined a region at the bottom of the screen');
+  assert.equal(body(ttml),
+    '<p begin="00:00:00.500" end="00:00:01.500" region="r0"><span style="caption">' +
+    'first<br/>line</span></p>\n' +
+    '<p begin="00:00:01.500" end="00:00:02.500" region="r0"><span style="caption">' +
+    'second <span tts:fontStyle="italic">line</span> &amp; &lt;more&gt;</span></p>\n',
+    'wrote the cues of the first stream in order');
+});
+
+QUnit.test('places captions in regions', function(assert) {
+  var ttml = toTtml([{
+    startPts: 0,
+    endPts: 90000,
+    text: 'centered\ntext',
+    content: [
+      { text: 'centered', line: 13, position: 40 },
+      { text: 'text', line: 14, position: 45 }
+    ],
+    stream: 'CC1'
+  }, {
+    startPts: 90000,
+    endPts: 180000,
+    text: '<u>top',
+    windows: [{
+      text: '<u>top',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 105,
+      anchorPoint: 1
+    }, {
+      text: 'bottom',
+      relativePositioning: 1,
+      anchorVertical: 100,
+      anchorHorizontal: 0,
+      anchorPoint: 8
+    }],
+    stream: 'CC1'
+  }]);
+
+  assert.ok(ttml.indexOf('<region xml:id="r0" tts:origin="40% 74%" tts:extent="50% 16%"' +
+                         ' tts:displayAlign="before" tts:textAlign="left"') > 0,
+            'started a region at the first row');
+  assert.ok(ttml.indexOf('<region xml:id="r1" tts:origin="45% 79.33%"') > 0,
+            'started a region at the indented row');
+  assert.ok(ttml.indexOf('<region xml:id="r2" tts:origin="10% 10%" tts:extent="80% 80%"' +
+                         ' tts:displayAlign="before" tts:textAlign="center"') > 0,
+            'centered a region on the top anchor');
+  assert.ok(ttml.indexOf('<region xml:id="r3" tts:origin="10% 10%" tts:extent="0% 80%"' +
+                         ' tts:displayAlign="after" tts:textAlign="right"') > 0,
+            'ended a region at the bottom left anchor');
+  assert.equal(body(ttml),
+    '<p begin="00:00:00.000" end="00:00:01.000" region="r0"><span style="caption">' +
+    'centered</span></p>\n' +
+    '<p begin="00:00:00.000" end="00:00:01.000" region="r1"><span style="caption">' +
+    'text</span></p>\n' +
+    '<p begin="00:00:01.000" end="00:00:02.000" region="r2"><span style="caption">' +
+    '<span tts:textDecoration="underline">top</span></span></p>\n' +
+    '<p begin="00:00:01.000" end="00:00:02.000" region="r3"><span style="caption">' +
+    'bottom</span></p>\n',
+    'wrote a paragraph for every block');
+
+  assert.equal(toTtml([], {}).indexOf('<layout>'), -1, 'defined no regions without cues');
+});
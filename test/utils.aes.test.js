@@ -0,0 +1,92 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  aes = require('../lib/utils/aes'),
+  hexBytes;
+
+hexBytes = function(hex) {
+  var bytes = new Uint8Array(hex.length / 2), i;
+
+  for (i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+QUnit.module('AES');
+
+// test vectors from FIPS-197, Appendix C
+QUnit.test('encrypts and decrypts blocks for every key size', function(assert) {
+  var
+    plaintext = hexBytes('00112233445566778899aabbccddeeff'),
+    vectors = [{
+      key: '000102030405060708090a0b0c0d0e0f',
+      ciphertext: '69c4e0d86a7b0430d8cdb78070b4c55a'
+    }, {
+      key: '000102030405060708090a0b0c0d0e0f1011121314151617',
+      ciphertext: 'dda97ca4864cdfe06eaf70a0ec0d7191'
+    }, {
+      key: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+      ciphertext: '8ea2b7ca516745bfeafc49904b496089'
+    }];
+
+  vectors.forEach(function(vector) {
+    var
+      cipher = new aes.AES(hexBytes(vector.key)),
+      block = new Uint8Array(plaintext);
+
+    cipher.encryptBlock(block, block);
+    assert.deepEqual(block, hexBytes(vector.ciphertext),
+                     'encrypted with a ' + vector.key.length * 4 + ' bit key');
+    cipher.decryptBlock(block, block);
+    assert.deepEqual(block, plaintext,
+                     'decrypted with a ' + vector.key.length * 4 + ' bit key');
+  });
+});
+
+QUnit.test('rejects invalid key sizes', function(assert) {
+  assert.throws(function() {
+    return new aes.AES(new Uint8Array(10));
+  }, 'threw for a 10 byte key');
+});
+
+// test vectors from NIST SP 800-38A, F.2.1 and F.5.1
+QUnit.test('encrypts and decrypts in CBC mode', function(assert) {
+  var
+    cipher = new aes.AES(hexBytes('2b7e151628aed2a6abf7158809cf4f3c')),
+    iv = hexBytes('000102030405060708090a0b0c0d0e0f'),
+    plaintext = hexBytes('6bc1bee22e409f96e93d7e117393172a' +
+                         'ae2d8a571e03ac9c9eb76fac45af8e51' + 'ff'),
+    data = new Uint8Array(plaintext),
+    last;
+
+  last = aes.encryptCbc(cipher, iv, data);
+  assert.deepEqual(data.subarray(0, 32), hexBytes('7649abac8119b246cee98e9b12e9197d' +
+                                                  '5086cb9b507219ee95db113a917678b2'),
+                   'encrypted the complete blocks');
+  assert.equal(data[32], 0xff, 'left the partial block in the clear');
+  assert.deepEqual(last, data.subarray(16, 32), 'returned the last cipher block');
+
+  aes.decryptCbc(cipher, iv, data);
+  assert.deepEqual(data, plaintext, 'decrypted the complete blocks');
+});
+
+QUnit.test('encrypts in CTR mode across calls', function(assert) {
+  var
+    cipher = new aes.AES(hexBytes('2b7e151628aed2a6abf7158809cf4f3c')),
+    counter = hexBytes('f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff'),
+    data = hexBytes('6bc1bee22e409f96e93d7e117393172a' +
+                    'ae2d8a571e03ac9c9eb76fac45af8e51'),
+    offset;
+
+  offset = aes.ctr(cipher, counter, data.subarray(0, 5));
+  assert.equal(offset, 5, 'reported the used keystream bytes');
+  aes.ctr(cipher, counter, data.subarray(5), offset);
+
+  assert.deepEqual(data, hexBytes('874d6191b620e3261bef6864990db6ce' +
+                                  '9806f66b7970fdff8617187bb9fffdff'),
+                   'encrypted with a continuous keystream');
+  assert.deepEqual(counter, hexBytes('f0f1f2f3f4f5f6f7f8f9fafbfcfdff00'),
+                   'advanced the counter');
+});
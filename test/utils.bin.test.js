@@ -1,6 +1,7 @@
 var
   QUnit = require('qunit'),
-  toUnsigned = require('../lib/utils/bin').toUnsigned;
+  toUnsigned = require('../lib/utils/bin').toUnsigned,
+  utf8Bytes = require('../lib/utils/bin').utf8Bytes;
 
 QUnit.module('Binary Utils');
 
@@ -30,3 +31,9 @@ QUnit.test('converts values to unsigned integers after bitwise operations', func
                          bytes[3]),
               2531974592, 'negative signed result becomes unsigned positive');
 });
+
+QUnit.test('converts strings to their UTF-8 bytes', function(assert) {
+  assert.deepEqual(Array.from(utf8Bytes('a\u00e9\u20ac')),
+                   [0x61, 0xc3, 0xa9, 0xe2, 0x82, 0xac], 'encoded multi-byte characters');
+  assert.equal(utf8Bytes().length, 0, 'encoded a missing string as no bytes');
+});
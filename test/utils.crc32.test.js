@@ -0,0 +1,14 @@
+var
+  QUnit = require('qunit'),
+  crc32 = require('../lib/utils/crc32');
+
+QUnit.module('CRC32 Utils');
+
+QUnit.test('computes the CRC_32 of MPEG-2 sections', function(assert) {
+  assert.equal(crc32([0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39]), 0x0376E6E7,
+               'matched the check value of CRC-32/MPEG-2');
+  assert.equal(crc32(new Uint8Array([
+    0x00, 0xb0, 0x0d, 0x00, 0x01, 0xc1, 0x00, 0x00, 0x00, 0x01, 0xf0, 0x00
+  ])), 0x2AB104B2, 'matched the CRC_32 of a PAT');
+  assert.equal(crc32([]), 0xFFFFFFFF, 'started from all ones');
+});
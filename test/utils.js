@@ -1,6 +1,7 @@
 var
   mp2t = require('../lib/m2ts'),
   id3Generator = require('./utils/id3-generator'),
+  crc32 = require('../lib/utils/crc32'),
   MP2T_PACKET_LENGTH = mp2t.MP2T_PACKET_LENGTH,
   PMT,
   PAT,
@@ -13,7 +14,11 @@ var
   audioPes,
   timedMetadataPes,
   binaryStringToArrayOfBytes,
-  leftPad;
+  leftPad,
+  teletextHeader,
+  teletextRow,
+  spliceInfoSection,
+  spliceTime;
 
 
 PMT = [
@@ -93,6 +98,7 @@ PAT = [
 ];
 
 generatePMT = function(options) {
+  var audioDescriptors = options.audioDescriptors || [];
   var PMT = [
     0x47, // sync byte
     // tei:0 pusi:1 tp:0 pid:0 0000 0010 0000
@@ -100,7 +106,7 @@ generatePMT = function(options) {
     // tsc:01 afc:01 cc:0000 pointer_field:0000 0000
     0x50, 0x00,
     // tid:0000 0010 ssi:0 0:0 r:00 sl:0000 0001 1100
-    0x02, 0x00, 0x1c,
+    0x02, 0x00, 0x1c + audioDescriptors.length,
     // pn:0000 0000 0000 0001
     0x00, 0x01,
     // r:00 vn:00 000 cni:1 sn:0000 0000 lsn:0000 0000
@@ -111,23 +117,23 @@ generatePMT = function(options) {
     0x00, 0x00];
 
     if (options.hasVideo) {
-      // h264
+      // h264, unless another video stream type is requested
       PMT = PMT.concat([
         // st:0001 1010 r:000 epid:0 0000 0001 0001
-        0x1b, 0x00, 0x11,
+        options.videoStreamType || 0x1b, 0x00, 0x11,
         // r:0000 esil:0000 0000 0000
         0x00, 0x00
       ]);
     }
 
     if (options.hasAudio) {
-      // adts
+      // adts, unless another audio stream type is requested
       PMT = PMT.concat([
         // st:0000 1111 r:000 epid:0 0000 0001 0010
-        0x0f, 0x00, 0x12,
-        // r:0000 esil:0000 0000 0000
-        0x00, 0x00
-      ]);
+        options.audioStreamType || 0x0f, 0x00, 0x12,
+        // r:0000 esil:0000 0000 0000, plus any audio descriptors
+        0x00, audioDescriptors.length
+      ].concat(audioDescriptors));
     }
 
     if (options.hasMetadata) {
@@ -304,6 +310,104 @@ binaryStringToArrayOfBytes = function(string) {
   return array;
 };
 
+// the data bits of a Hamming 8/4 byte, without its protection bits
+var ham = function(nibble) {
+  return (nibble & 0x01) << 1 | (nibble & 0x02) << 2 |
+    (nibble & 0x04) << 3 | (nibble & 0x08) << 4;
+};
+
+// a teletext packet as an EBU teletext data unit, whose bytes are sent least
+// significant bit first
+var teletextDataUnit = function(magazine, row, bytes) {
+  var address = (magazine & 0x07) | row << 3;
+
+  return [0x03, 0x2c, 0xe0, 0xe4].concat([
+    ham(address & 0x0f), ham(address >> 4)
+  ].concat(bytes).map(function(byte) {
+    var reversed = 0, i;
+
+    for (i = 0; i < 8; i++) {
+      reversed = reversed << 1 | (byte >> i & 0x01);
+    }
+    return reversed;
+  }));
+};
+
+/**
+ * Helper function to create the header of a teletext page
+ * @param page {number} - the page number, like 888
+ * @param options {object} - the erase, subtitle, serial and nationalOption
+ * control bits of the header
+ */
+teletextHeader = function(page, options) {
+  var
+    nationalOption = options.nationalOption || 0,
+    header = [
+      ham(page % 10), ham(Math.floor(page / 10) % 10),
+      ham(0), ham(options.erase ? 0x08 : 0), ham(0), ham(options.subtitle ? 0x08 : 0),
+      ham(0),
+      ham((options.serial ? 0x01 : 0) | (nationalOption & 0x04) >> 1 |
+        (nationalOption & 0x02) << 1 | (nationalOption & 0x01) << 3)
+    ];
+
+  while (header.length < 40) {
+    header.push(0x20);
+  }
+  return teletextDataUnit(Math.floor(page / 100), 0, header);
+};
+
+/**
+ * Helper function to create a display row of a teletext page
+ * @param magazine {number} - the magazine of the page
+ * @param row {number} - the row number, from 1 to 23
+ * @param text {string} - the text of the row, boxed like subtitles
+ */
+teletextRow = function(magazine, row, text) {
+  var bytes = [0x0d, 0x0b, 0x0b].concat(text.split('').map(function(letter) {
+    return letter.charCodeAt(0);
+  }), [0x0a, 0x0a]);
+
+  while (bytes.length < 40) {
+    bytes.push(0x20);
+  }
+  return teletextDataUnit(magazine, row, bytes);
+};
+
+/**
+ * Helper function to create a splice_time with a 33-bit pts_time
+ * @param ptsTime {number} - the pts_time, if the time is specified
+ */
+spliceTime = function(ptsTime) {
+  if (ptsTime === undefined) {
+    return [0x7f];
+  }
+  return [0xfe | Math.floor(ptsTime / Math.pow(2, 32)),
+    ptsTime >>> 24 & 0xff, ptsTime >>> 16 & 0xff, ptsTime >>> 8 & 0xff, ptsTime & 0xff];
+};
+
+/**
+ * Helper function to create the splice_info_section of an SCTE-35 message
+ * @param ptsAdjustment {number} - the 33-bit pts_adjustment
+ * @param commandType {number} - the splice_command_type
+ * @param command {array} - the bytes of the splice command
+ * @param descriptors {array} - the bytes of the splice descriptors
+ */
+spliceInfoSection = function(ptsAdjustment, commandType, command, descriptors) {
+  var
+    adjustment = spliceTime(ptsAdjustment),
+    section = [
+      0xfc, 0x30, 0x00, 0x00,
+      0x7e | adjustment[0] & 0x01
+    ].concat(adjustment.slice(1), [
+      0x00, 0xff, 0xf0 | command.length >> 8, command.length & 0xff, commandType
+    ], command, [descriptors.length >> 8, descriptors.length & 0xff], descriptors),
+    crc;
+
+  section[2] = section.length + 4 - 3;
+  crc = crc32(section);
+  return section.concat([crc >>> 24, crc >>> 16 & 0xff, crc >>> 8 & 0xff, crc & 0xff]);
+};
+
 leftPad = function(string, targetLength) {
   if (string.length >= targetLength) {
     return string;
@@ -323,5 +427,9 @@ module.exports = {
   audioPes: audioPes,
   timedMetadataPes: timedMetadataPes,
   binaryStringToArrayOfBytes: binaryStringToArrayOfBytes,
-  leftPad: leftPad
+  leftPad: leftPad,
+  teletextHeader: teletextHeader,
+  teletextRow: teletextRow,
+  spliceTime: spliceTime,
+  spliceInfoSection: spliceInfoSection
 };
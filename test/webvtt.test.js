@@ -0,0 +1,193 @@
+'use strict';
+
+var
+  QUnit = require('qunit'),
+  webvtt = require('../lib/captions/webvtt'),
+  toWebVtt = webvtt.toWebVtt,
+  toWebVttSegments = webvtt.toWebVttSegments;
+
+QUnit.module('WebVTT');
+
+QUnit.test('formats timestamps', function(assert) {
+  assert.equal(webvtt.formatTimestamp(0), '00:00:00.000', 'formatted zero');
+  assert.equal(webvtt.formatTimestamp(61.0405), '00:01:01.041',
+               'rounded to milliseconds');
+  assert.equal(webvtt.formatTimestamp(36000 + 59 * 60 + 0.5), '10:59:00.500',
+               'formatted hours');
+});
+
+QUnit.test('serializes the cues of one stream', function(assert) {
+  var cues = [{
+    startPts: 180000,
+    endPts: 270000,
+    text: 'second <i>line</i> & <more>',
+    stream: 'CC1'
+  }, {
+    startPts: 90000,
+    endPts: 180000,
+    text: 'first\n\nline',
+    stream: 'CC1'
+  }, {
+    startPts: 90000,
+    endPts: 180000,
+    text: 'first line',
+    stream: 'cc708_1'
+  }, {
+    startPts: 0,
+    endPts: 45000,
+    text: 'before the timeline',
+    stream: 'CC1'
+  }];
+
+  assert.equal(toWebVtt(cues, {timelineStartPts: 45000}),
+    'WEBVTT\n\n' +
+    '00:00:00.500 --> 00:00:01.500\nfirst\nline\n\n' +
+    '00:00:01.500 --> 00:00:02.500\nsecond <i>line</i> &amp; &lt;more&gt;\n\n',
+    'wrote the cues of the first stream in order');
+
+  assert.equal(toWebVtt(cues, {stream: 'cc708_1', timescale: 1000}),
+    'WEBVTT\n\n00:01:30.000 --> 00:03:00.000\nfirst line\n\n',
+    'selected a stream and a timescale');
+});
+
+QUnit.test('converts cues for WebVTT samples', function(assert) {
+  assert.deepEqual(webvtt.toWebVttCues([{
+    startPts: 90000,
+    endPts: 180000,
+    text: 'left & <i>right</i>',
+    content: [
+      { text: 'left & <i>right</i>', line: 15, position: 10 }
+    ],
+    stream: 'CC1'
+  }, {
+    startPts: 180000,
+    endPts: 270000,
+    text: 'other',
+    stream: 'CC3'
+  }]), [{
+    startTime: 1,
+    endTime: 2,
+    text: 'left &amp; <i>right</i>',
+    settings: 'line:84.67% position:10% align:left'
+  }], 'escaped and placed the cues of the first stream');
+});
+
+QUnit.test('places CEA-608 rows', function(assert) {
+  var cues = [{
+    startPts: 0,
+    endPts: 90000,
+    text: 'centered\ntext\nbelow',
+    content: [
+      { text: 'centered', line: 13, position: 40 },
+      { text: 'text', line: 14, position: 45 },
+      { text: 'below', line: 15, position: 45 }
+    ],
+    stream: 'CC1'
+  }];
+
+  assert.equal(toWebVtt(cues),
+    'WEBVTT\n\n' +
+    '00:00:00.000 --> 00:00:01.000 line:74% position:40% align:left\ncentered\n\n' +
+    '00:00:00.000 --> 00:00:01.000 line:79.33% position:45% align:left\ntext\nbelow\n\n',
+    'grouped the rows that share an indentation');
+
+  assert.equal(toWebVtt(cues, {positions: false}),
+    'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\ncentered\ntext\nbelow\n\n',
+    'left the placement to the player');
+});
+
+QUnit.test('places CEA-708 windows', function(assert) {
+  var cues = [{
+    startPts: 0,
+    endPts: 90000,
+    text: 'top\n\nbottom',
+    windows: [{
+      text: 'top',
+      relativePositioning: 0,
+      anchorVertical: 0,
+      anchorHorizontal: 105,
+      anchorPoint: 1
+    }, {
+      text: 'bottom',
+      relativePositioning: 1,
+      anchorVertical: 100,
+      anchorHorizontal: 0,
+      anchorPoint: 6
+    }],
+    stream: 'cc708_1'
+  }];
+
+  assert.equal(toWebVtt(cues),
+    'WEBVTT\n\n' +
+    '00:00:00.000 --> 00:00:01.000 line:10%,start position:50%,center align:center\n' +
+    'top\n\n' +
+    '00:00:00.000 --> 00:00:01.000 line:90%,end position:10%,line-left align:left\n' +
+    'bottom\n\n',
+    'anchored every window');
+});
+
+QUnit.test('writes the formatting of CEA-708 captions', function(assert) {
+  var cues = [{
+    startPts: 0,
+    endPts: 90000,
+    text: 'in italics',
+    formattedText: 'in <i>italics</i>',
+    windows: [{
+      text: 'in italics',
+      formattedText: 'in <i>italics</i>',
+      relativePositioning: 1,
+      anchorVertical: 90,
+      anchorHorizontal: 50,
+      anchorPoint: 7
+    }],
+    stream: 'cc708_1'
+  }];
+
+  assert.equal(toWebVtt(cues).split('\n')[3], 'in <i>italics</i>',
+               'tagged the text of the window');
+  assert.equal(toWebVtt(cues, {positions: false}).split('\n')[3], 'in <i>italics</i>',
+               'tagged the text of the cue');
+});
+
+QUnit.test('segments cues with a timestamp map', function(assert) {
+  var
+    cues = [{
+      startPts: 900000 + 90000,
+      endPts: 900000 + 540000,
+      text: 'spans two segments',
+      stream: 'CC1'
+    }, {
+      startPts: 900000 + 630000,
+      endPts: 900000 + 720000,
+      text: 'in the second segment',
+      stream: 'CC1'
+    }],
+    header = 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n',
+    segments = toWebVttSegments(cues, {
+      timelineStartPts: 900000,
+      segmentDuration: 4,
+      duration: 12
+    });
+
+  assert.equal(segments.length, 3, 'covered the duration');
+  assert.deepEqual(segments.map(function(segment) {
+    return [segment.startTime, segment.endTime];
+  }), [[0, 4], [4, 8], [8, 12]], 'timed the segments');
+  assert.equal(segments[0].data,
+    header + '00:00:01.000 --> 00:00:06.000\nspans two segments\n\n',
+    'wrote the first segment');
+  assert.equal(segments[1].data,
+    header +
+    '00:00:01.000 --> 00:00:06.000\nspans two segments\n\n' +
+    '00:00:07.000 --> 00:00:08.000\nin the second segment\n\n',
+    'repeated the cue that spans segments');
+  assert.equal(segments[2].data, header, 'wrote an empty segment');
+
+  assert.equal(toWebVttSegments(cues, {
+    timelineStartPts: 900000,
+    segmentDuration: 10
+  }).length, 1, 'ended with the last cue');
+  assert.throws(function() {
+    toWebVttSegments(cues);
+  }, 'needs a segment duration');
+});